@@ -1,19 +1,51 @@
 const express = require('express');
 const { ethers } = require('ethers');
 const cors = require('cors');
-const redisModule = require('./lib/redis');
-const { validateName, validateAddress, normalizeName, STANDARD_TEXT_KEYS, EXTENDED_TEXT_KEYS } = require('./lib/ens');
-const { ensCache } = require('./lib/cache');
-let redis = redisModule.redis;
-let redisConfigured = redisModule.isConfigured;
-if (global.__ENSIGHT_TEST_REDIS__) {
-  redis = global.__ENSIGHT_TEST_REDIS__.redis;
-  redisConfigured = global.__ENSIGHT_TEST_REDIS__.isConfigured;
-}
+const { randomBytes } = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const storage = require('./lib/storage');
+const {
+  validateName, validateAddress, validateTextKey, parseTextKeys, normalizeName,
+  STANDARD_TEXT_KEYS, EXTENDED_TEXT_KEYS, DEFAULT_TEXT_KEYS_LIMIT,
+} = require('./lib/ens');
+const { analyzeName } = require('./lib/similarity');
+const { createProviderRegistry, parseChainId, coinTypeForChain, chainName, MAINNET } = require('./lib/chains');
+const { LayeredCache, parseCacheTtls } = require('./lib/cache');
+const { createEnsDataService, mapLimit } = require('./lib/ensdata');
+const { createCcipReader, parseAllowlist, isCcipError } = require('./lib/ccip');
+const { createUniversalResolver } = require('./lib/universal');
+const { createAvatarService, isAvatarError } = require('./lib/avatar');
+const { decodeContenthash, parseGateways, isContenthashError } = require('./lib/contenthash');
+const { describeOwnership } = require('./lib/ownership');
+const { reverseRegistrarsFromEnv, REASONS } = require('./lib/primary');
+const { decodeCalldata, parseValue } = require('./lib/decoder');
+const { simulateTransaction } = require('./lib/simulate');
+const { parseTypedData, analyzeTypedData } = require('./lib/eip712');
+const { loadFeeds, syncFeed, getSyncHistory, feedSetKey } = require('./lib/feeds');
+const { checkDomain } = require('./lib/domains');
+const { createRiskEngine, parseWeights } = require('./lib/risk');
+const { findPath, computeExposure, collectSubgraph } = require('./lib/graph');
+const { serializeGraph, EXPORT_FORMATS } = require('./lib/export');
+const { createGraphStore } = require('./lib/graphstore');
+// Upstash, Redis (REDIS_URL) or in-memory — see lib/storage.js
+const { redis } = storage;
 
 const app = express();
 
-const DEFAULT_SCAMSNIFFER_URL = 'https://raw.githubusercontent.com/scamsniffer/scam-database/main/blacklist/address.json';
+// Risk engine; per-rule weights can be tuned via RISK_WEIGHTS (JSON, keyed by rule id)
+const riskEngine = createRiskEngine({ weights: parseWeights(process.env.RISK_WEIGHTS) });
+
+// ENS cache: in-process tier in front of the shared store (when it is persistent).
+// Per-type TTLs, the miss TTL ("negative") and the stale-while-revalidate window
+// ("stale") via ENS_CACHE_TTLS (JSON, seconds).
+const cacheTtls = parseCacheTtls(process.env.ENS_CACHE_TTLS);
+const ensCache = new LayeredCache({
+  redis: storage.persistent ? redis : null,
+  ttls: cacheTtls,
+  negativeTtlMs: cacheTtls.negative,
+  staleTtlMs: cacheTtls.stale,
+});
 
 // Enable CORS
 app.use(cors());
@@ -29,21 +61,71 @@ app.use((req, res, next) => {
   next();
 });
 
-// Initialize provider - using public Ethereum mainnet RPC
-// You can replace this with your own RPC endpoint (Infura, Alchemy, etc.)
-// In tests, set global.__ENSIGHT_TEST_PROVIDER__ before requiring app to inject a mock.
-let provider = new ethers.JsonRpcProvider(
-  process.env.RPC_URL || 'https://eth.llamarpc.com'
-);
-if (global.__ENSIGHT_TEST_PROVIDER__) {
-  provider = global.__ENSIGHT_TEST_PROVIDER__;
-}
+// Provider pools keyed by chainId: RPC_URL / RPC_URLS for mainnet, RPC_URL_<chainId> /
+// RPC_URLS_<chainId> for others (comma-separated lists fail over; see lib/pool.js).
+// Defaults to the public eth.llamarpc.com endpoint for mainnet; use your own in production.
+// In tests, set global.__ENSIGHT_TEST_PROVIDER__ (mainnet) and/or
+// global.__ENSIGHT_TEST_PROVIDERS__ ({ chainId: provider }) before requiring app to inject mocks.
+const providers = createProviderRegistry({
+  providers: {
+    ...(global.__ENSIGHT_TEST_PROVIDERS__ || {}),
+    ...(global.__ENSIGHT_TEST_PROVIDER__ ? { [MAINNET]: global.__ENSIGHT_TEST_PROVIDER__ } : {}),
+  },
+});
+// ENS registry and resolvers live on mainnet
+const provider = providers.get(MAINNET);
+// Wildcard / offchain names: Universal Resolver + CCIP-Read through allowlisted gateways
+// (CCIP_GATEWAY_ALLOWLIST, CCIP_TIMEOUT_MS; ENS_UNIVERSAL_RESOLVER overrides the contract)
+const ccip = createCcipReader({
+  provider,
+  allowlist: parseAllowlist(process.env.CCIP_GATEWAY_ALLOWLIST),
+  timeoutMs: parseInt(process.env.CCIP_TIMEOUT_MS, 10) || undefined,
+});
+const universal = createUniversalResolver({
+  provider,
+  ccip,
+  address: process.env.ENS_UNIVERSAL_RESOLVER || undefined,
+});
+// ENSIP-12 avatars: NFT ownership checks on any configured chain, gateway URLs, image proxy
+const avatars = createAvatarService({
+  getProvider: (chainId) => providers.get(chainId),
+  ipfsGateway: process.env.IPFS_GATEWAY || undefined,
+  arweaveGateway: process.env.ARWEAVE_GATEWAY || undefined,
+  maxBytes: parseInt(process.env.AVATAR_MAX_BYTES, 10) || undefined,
+  timeoutMs: parseInt(process.env.AVATAR_TIMEOUT_MS, 10) || undefined,
+});
+// Contenthash gateway URL templates (CONTENTHASH_GATEWAYS; default eth.limo, dweb.link, ipfs.io, Swarm, Arweave)
+const contenthashGateways = parseGateways(process.env.CONTENTHASH_GATEWAYS);
+// Text key discovery: TextChanged logs of the last ENS_TEXT_DISCOVERY_BLOCKS blocks (0 disables)
+const TEXT_DISCOVERY_BLOCKS = process.env.ENS_TEXT_DISCOVERY_BLOCKS
+  ? Math.max(0, parseInt(process.env.ENS_TEXT_DISCOVERY_BLOCKS, 10) || 0)
+  : undefined;
+// Max keys per multi-key text request (and discovered keys read per request)
+const TEXT_KEYS_LIMIT = parseInt(process.env.ENS_TEXT_KEYS_LIMIT, 10) || DEFAULT_TEXT_KEYS_LIMIT;
+// Cached ENS reads for the profile routes (resolvers, addresses, records; see lib/ensdata.js)
+const ensData = createEnsDataService({
+  provider,
+  cache: ensCache,
+  universal,
+  avatars,
+  textConcurrency: parseInt(process.env.ENS_TEXT_CONCURRENCY, 10) || undefined,
+  textDiscovery: {
+    blocks: TEXT_DISCOVERY_BLOCKS,
+    chunkSize: parseInt(process.env.ENS_TEXT_DISCOVERY_CHUNK, 10) || undefined,
+  },
+  // ENSIP-19 per-chain primary names (L2_REVERSE_REGISTRAR_<chainId> overrides the registrar)
+  getProvider: (chainId) => providers.get(chainId),
+  reverseRegistrars: reverseRegistrarsFromEnv(),
+});
+// Strict primary names: withhold names that don't resolve back (per request: ?strict= / "strict")
+const STRICT_PRIMARY_NAMES = process.env.ENS_STRICT_PRIMARY_NAMES === 'true';
 
 /**
  * Resolve ENS name to Ethereum address
- * GET /api/ens/resolve/:name
+ * GET /api/ens/resolve/:name?chainId=8453
  * Example: /api/ens/resolve/vitalik.eth
  * Supports any valid ENS name (including subdomains and DNS TLDs).
+ * With `chainId`, returns the ENSIP-11 address for that chain instead of the mainnet one.
  */
 app.get('/api/ens/resolve/:name', async (req, res) => {
   try {
@@ -51,26 +133,31 @@ app.get('/api/ens/resolve/:name', async (req, res) => {
     if (!valid) {
       return res.status(400).json({ error });
     }
-
-    const cacheKey = `resolve:${normalized}`;
-    let address = ensCache.get(cacheKey);
-    if (address === undefined) {
-      address = await provider.resolveName(normalized);
-      if (address) ensCache.set(cacheKey, address);
+    const chain = chainFromQuery(req.query);
+    if (chain.error) {
+      return res.status(400).json({ error: chain.error });
     }
 
+    const address = await ensData.resolveAddress(normalized, chain.chainId);
+
     if (!address) {
       return res.status(404).json({
-        error: `ENS name "${normalized}" not found or not resolved`
+        error: chain.chainId === MAINNET
+          ? `ENS name "${normalized}" not found or not resolved`
+          : `ENS name "${normalized}" has no address for ${chainName(chain.chainId)} (chainId ${chain.chainId})`
       });
     }
 
     res.json({
       name: normalized,
       address,
+      chainId: chain.chainId,
+      coinType: coinTypeForChain(chain.chainId),
+      resolution: await ensData.getResolution(normalized),
       success: true
     });
   } catch (error) {
+    if (sendOffchainError(res, error)) return;
     res.status(500).json({
       error: 'Failed to resolve ENS name',
       message: error.message
@@ -80,8 +167,13 @@ app.get('/api/ens/resolve/:name', async (req, res) => {
 
 /**
  * Reverse lookup: Get ENS name from Ethereum address
- * GET /api/ens/reverse/:address
+ * GET /api/ens/reverse/:address?chainId=8453&strict=true
  * Example: /api/ens/reverse/0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045
+ * The name is verified by resolving it back (with `chainId`, against its ENSIP-11
+ * address for that chain; ENSIP-19 L2 primary names are read first). `reason` says
+ * why: VERIFIED, MISMATCH or NORMALIZATION_FAILED (404s carry NO_REVERSE_RECORD).
+ * In strict mode (`strict=true`, default ENS_STRICT_PRIMARY_NAMES) unverified names
+ * are withheld: 404 with the reason.
  */
 app.get('/api/ens/reverse/:address', async (req, res) => {
   try {
@@ -89,39 +181,114 @@ app.get('/api/ens/reverse/:address', async (req, res) => {
     if (!valid) {
       return res.status(400).json({ error });
     }
+    const chain = chainFromQuery(req.query);
+    if (chain.error) {
+      return res.status(400).json({ error: chain.error });
+    }
+    const strict = strictFrom(req.query.strict);
     const address = req.params.address;
 
-    const cacheKey = `reverse:${address.toLowerCase()}`;
-    let cached = ensCache.get(cacheKey);
-    let name, isVerified;
+    const cached = await ensData.lookupName(address.toLowerCase(), chain.chainId);
+
+    if (!cached) {
+      return res.status(404).json({
+        error: `No ENS name found for address "${address}"`,
+        reason: REASONS.NO_REVERSE_RECORD
+      });
+    }
+    if (strict && !cached.verified) {
+      return res.status(404).json({
+        error: `No verified ENS name for address "${address}"`,
+        reason: cached.reason
+      });
+    }
+
+    res.json({
+      address,
+      name: cached.name,
+      verified: cached.verified,
+      reason: cached.reason,
+      source: cached.source,
+      chainId: chain.chainId,
+      strict,
+      success: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to perform reverse lookup',
+      message: error.message
+    });
+  }
+});
 
-    if (cached) {
-      name = cached.name;
-      isVerified = cached.verified;
-    } else {
-      name = await provider.lookupAddress(address);
+/**
+ * Get several text records of an ENS name
+ * GET /api/ens/text/:name?keys=url,org.farcaster,com.github
+ * GET /api/ens/text/:name                (keys discovered from TextChanged logs)
+ * GET /api/ens/text/:name?keys=url&discover=true   (both)
+ * At most ENS_TEXT_KEYS_LIMIT keys per request; `records` holds the keys that
+ * are set, `missing` the rest.
+ */
+app.get('/api/ens/text/:name', async (req, res) => {
+  try {
+    const { valid, normalized, error } = validateName(req.params.name);
+    if (!valid) {
+      return res.status(400).json({ error });
+    }
 
-      if (!name) {
-        return res.status(404).json({
-          error: `No ENS name found for address "${address}"`
-        });
+    let requested = [];
+    if (req.query.keys !== undefined) {
+      const parsed = parseTextKeys(req.query.keys, TEXT_KEYS_LIMIT);
+      if (!parsed.valid) {
+        return res.status(400).json({ error: parsed.error });
       }
+      requested = parsed.keys;
+    }
+    const discover = req.query.keys === undefined || req.query.discover === 'true';
+    if (discover && TEXT_DISCOVERY_BLOCKS === 0) {
+      return res.status(400).json({
+        error: 'Text key discovery is disabled (ENS_TEXT_DISCOVERY_BLOCKS=0); pass keys'
+      });
+    }
+
+    const resolver = await ensData.getResolver(normalized);
 
-      // Verify the reverse resolution
-      const verifiedAddress = await provider.resolveName(name);
-      isVerified = verifiedAddress?.toLowerCase() === address.toLowerCase();
-      ensCache.set(cacheKey, { name, verified: isVerified });
+    if (!resolver) {
+      return res.status(404).json({
+        error: `No resolver found for "${normalized}"`
+      });
     }
 
+    let discovery = null;
+    let keys = requested;
+    if (discover) {
+      const found = await ensData.getTextKeys(normalized);
+      const extra = found.keys.filter((k) => !requested.includes(k) && validateTextKey(k).valid);
+      const room = Math.max(0, TEXT_KEYS_LIMIT - requested.length);
+      keys = [...requested, ...extra.slice(0, room)];
+      discovery = {
+        keys: found.keys,
+        fromBlock: found.fromBlock,
+        toBlock: found.toBlock,
+        truncated: extra.length > room,
+      };
+    }
+
+    const records = await ensData.getTexts(normalized, keys);
+
     res.json({
-      address,
-      name,
-      verified: isVerified,
+      name: normalized,
+      keys,
+      records,
+      missing: keys.filter((k) => !(k in records)),
+      discovery,
+      resolution: await ensData.getResolution(normalized),
       success: true
     });
   } catch (error) {
+    if (sendOffchainError(res, error)) return;
     res.status(500).json({
-      error: 'Failed to perform reverse lookup',
+      error: 'Failed to get text records',
       message: error.message
     });
   }
@@ -141,7 +308,12 @@ app.get('/api/ens/text/:name/:key', async (req, res) => {
     }
 
     const { key } = req.params;
-    const resolver = await provider.getResolver(normalized);
+    const keyCheck = validateTextKey(key);
+    if (!keyCheck.valid) {
+      return res.status(400).json({ error: keyCheck.error });
+    }
+
+    const resolver = await ensData.getResolver(normalized);
 
     if (!resolver) {
       return res.status(404).json({
@@ -149,7 +321,7 @@ app.get('/api/ens/text/:name/:key', async (req, res) => {
       });
     }
 
-    const text = await resolver.getText(key);
+    const text = await ensData.getText(normalized, key);
 
     if (!text) {
       return res.status(404).json({
@@ -161,9 +333,11 @@ app.get('/api/ens/text/:name/:key', async (req, res) => {
       name: normalized,
       key,
       value: text,
+      resolution: await ensData.getResolution(normalized),
       success: true
     });
   } catch (error) {
+    if (sendOffchainError(res, error)) return;
     res.status(500).json({
       error: 'Failed to get text record',
       message: error.message
@@ -175,6 +349,9 @@ app.get('/api/ens/text/:name/:key', async (req, res) => {
  * Get avatar URL from ENS name
  * GET /api/ens/avatar/:name
  * Example: /api/ens/avatar/vitalik.eth
+ * Resolves the ENSIP-12 avatar record: http(s), ipfs://, ipns://, ar:// and
+ * data: URIs, and eip155 NFT avatars whose token the name's address owns.
+ * `image` is the proxied copy (see below).
  */
 app.get('/api/ens/avatar/:name', async (req, res) => {
   try {
@@ -183,7 +360,7 @@ app.get('/api/ens/avatar/:name', async (req, res) => {
       return res.status(400).json({ error });
     }
 
-    const resolver = await provider.getResolver(normalized);
+    const resolver = await ensData.getResolver(normalized);
 
     if (!resolver) {
       return res.status(404).json({
@@ -191,20 +368,38 @@ app.get('/api/ens/avatar/:name', async (req, res) => {
       });
     }
 
-    const avatar = await resolver.getAvatar();
+    const avatar = await ensData.getAvatar(normalized);
 
     if (!avatar) {
       return res.status(404).json({
         error: `No avatar found for "${normalized}"`
       });
     }
+    if (!avatar.url) {
+      return res.status(404).json({
+        error: `Avatar for "${normalized}" could not be resolved: ${avatar.error}`,
+        record: avatar.record,
+        nft: avatar.nft,
+      });
+    }
 
     res.json({
       name: normalized,
       avatar: avatar.url,
+      record: avatar.record,
+      type: avatar.type,
+      ...(avatar.nft ? { nft: avatar.nft } : {}),
+      image: `/api/ens/avatar/${encodeURIComponent(normalized)}/image`,
       success: true
     });
   } catch (error) {
+    if (isAvatarError(error)) {
+      return res.status(502).json({
+        error: 'Failed to resolve avatar',
+        message: error.message,
+        code: error.code
+      });
+    }
     res.status(500).json({
       error: 'Failed to get avatar',
       message: error.message
@@ -212,11 +407,58 @@ app.get('/api/ens/avatar/:name', async (req, res) => {
   }
 });
 
+/**
+ * Proxied avatar image
+ * GET /api/ens/avatar/:name/image
+ * Example: /api/ens/avatar/vitalik.eth/image
+ * Serves the avatar bytes so clients never load third-party URLs: private hosts
+ * are refused, size is capped (AVATAR_MAX_BYTES), the type is sniffed from the
+ * bytes and SVGs are sanitised and served under a no-script CSP.
+ */
+app.get('/api/ens/avatar/:name/image', async (req, res) => {
+  try {
+    const { valid, normalized, error } = validateName(req.params.name);
+    if (!valid) {
+      return res.status(400).json({ error });
+    }
+
+    const avatar = await ensData.getAvatar(normalized);
+
+    if (!avatar || !avatar.url) {
+      return res.status(404).json({
+        error: `No avatar found for "${normalized}"`
+      });
+    }
+
+    const image = await avatars.fetchImage(avatar.url);
+    res.set({
+      'Content-Type': image.contentType,
+      'Content-Length': String(image.body.length),
+      'Cache-Control': 'public, max-age=3600',
+      'Content-Security-Policy': "default-src 'none'; img-src data:; style-src 'unsafe-inline'",
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.send(image.body);
+  } catch (error) {
+    if (isAvatarError(error)) {
+      return res.status(502).json({
+        error: 'Failed to fetch avatar image',
+        message: error.message,
+        code: error.code
+      });
+    }
+    res.status(500).json({
+      error: 'Failed to get avatar image',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Get comprehensive ENS information for a name
- * GET /api/ens/info/:name
+ * GET /api/ens/info/:name?chainId=8453
  * Example: /api/ens/info/vitalik.eth
- * Returns address, resolver, avatar, and all standard text records.
+ * Returns address (for `chainId`, default mainnet), resolver, avatar, and all standard text records.
  */
 app.get('/api/ens/info/:name', async (req, res) => {
   try {
@@ -224,11 +466,19 @@ app.get('/api/ens/info/:name', async (req, res) => {
     if (!valid) {
       return res.status(400).json({ error });
     }
+    const chain = chainFromQuery(req.query);
+    if (chain.error) {
+      return res.status(400).json({ error: chain.error });
+    }
 
-    const resolver = await provider.getResolver(normalized);
-    const address = await provider.resolveName(normalized);
+    // Standard text records (including namespaced social keys), fetched in parallel
+    const profile = await ensData.getProfile(normalized, {
+      chainId: chain.chainId,
+      keys: STANDARD_TEXT_KEYS,
+      contenthash: false,
+    });
 
-    if (!address) {
+    if (!profile.address) {
       return res.status(404).json({
         error: `ENS name "${normalized}" not found or not resolved`
       });
@@ -236,32 +486,14 @@ app.get('/api/ens/info/:name', async (req, res) => {
 
     const info = {
       name: normalized,
-      address,
-      resolver: resolver ? resolver.address : null,
+      address: profile.address,
+      chainId: chain.chainId,
+      resolver: profile.resolver,
+      resolution: profile.resolution,
     };
-
-    // Get avatar if available
-    if (resolver) {
-      try {
-        const avatar = await resolver.getAvatar();
-        info.avatar = avatar ? avatar.url : null;
-      } catch (e) {
-        info.avatar = null;
-      }
-
-      // Fetch all standard text records (including namespaced social keys)
-      info.textRecords = {};
-
-      for (const key of STANDARD_TEXT_KEYS) {
-        try {
-          const value = await resolver.getText(key);
-          if (value) {
-            info.textRecords[key] = value;
-          }
-        } catch (e) {
-          // Skip if text record doesn't exist
-        }
-      }
+    if (profile.resolver) {
+      info.avatar = profile.avatar;
+      info.textRecords = profile.textRecords;
     }
 
     res.json({
@@ -269,6 +501,7 @@ app.get('/api/ens/info/:name', async (req, res) => {
       success: true
     });
   } catch (error) {
+    if (sendOffchainError(res, error)) return;
     res.status(500).json({
       error: 'Failed to get ENS info',
       message: error.message
@@ -276,11 +509,54 @@ app.get('/api/ens/info/:name', async (req, res) => {
   }
 });
 
+// "Expiring soon" window for /api/ens/ownership (days)
+const EXPIRY_WARNING_DAYS = parseInt(process.env.ENS_EXPIRY_WARNING_DAYS, 10) || undefined;
+
+/**
+ * Ownership, registration and expiry of an ENS name
+ * GET /api/ens/ownership/:name
+ * Example: /api/ens/ownership/vitalik.eth
+ * Reads the ENS Registry owner, the BaseRegistrar expiry / registrant (.eth
+ * 2LDs) and NameWrapper owner and fuses in one multicall. Flags names expiring
+ * within ENS_EXPIRY_WARNING_DAYS (default 30), in their grace period, or whose
+ * owner is not the address they resolve to.
+ */
+app.get('/api/ens/ownership/:name', async (req, res) => {
+  try {
+    const { valid, normalized, error } = validateName(req.params.name);
+    if (!valid) {
+      return res.status(400).json({ error });
+    }
+
+    const [raw, resolvedAddress] = await Promise.all([
+      ensData.getOwnership(normalized),
+      ensData.resolveAddress(normalized).catch(() => null),
+    ]);
+
+    if (!raw.registryOwner && !raw.registrar?.expiry) {
+      return res.status(404).json({
+        error: `ENS name "${normalized}" is not registered`
+      });
+    }
+
+    res.json({
+      ...describeOwnership(normalized, raw, { resolvedAddress, warningDays: EXPIRY_WARNING_DAYS }),
+      success: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get ENS ownership',
+      message: error.message
+    });
+  }
+});
+
 /**
- * Get contenthash for an ENS name (IPFS, IPNS, Swarm, Onion, etc.)
+ * Get contenthash for an ENS name (IPFS, IPNS, Swarm, Onion, Arweave)
  * GET /api/ens/contenthash/:name
  * Example: /api/ens/contenthash/vitalik.eth
- * Returns the raw contenthash bytes and a decoded URI when possible.
+ * Returns the decoded contenthash: protocol, CIDv0/v1 (IPFS / IPNS), URI and
+ * gateway URLs (CONTENTHASH_GATEWAYS). Malformed values answer 422.
  */
 app.get('/api/ens/contenthash/:name', async (req, res) => {
   try {
@@ -289,7 +565,7 @@ app.get('/api/ens/contenthash/:name', async (req, res) => {
       return res.status(400).json({ error });
     }
 
-    const resolver = await provider.getResolver(normalized);
+    const resolver = await ensData.getResolver(normalized);
 
     if (!resolver) {
       return res.status(404).json({
@@ -297,7 +573,7 @@ app.get('/api/ens/contenthash/:name', async (req, res) => {
       });
     }
 
-    const contenthash = await resolver.getContentHash();
+    const contenthash = await ensData.getContenthash(normalized);
 
     if (!contenthash) {
       return res.status(404).json({
@@ -305,12 +581,25 @@ app.get('/api/ens/contenthash/:name', async (req, res) => {
       });
     }
 
+    const decoded = describeContenthash(contenthash, normalized);
+    if (decoded.error) {
+      return res.status(422).json({
+        error: `Invalid contenthash for "${normalized}"`,
+        message: decoded.error,
+        code: decoded.code,
+        raw: decoded.raw
+      });
+    }
+
     res.json({
       name: normalized,
-      contenthash,
+      contenthash: decoded.uri,
+      ...decoded,
+      resolution: await ensData.getResolution(normalized),
       success: true
     });
   } catch (error) {
+    if (sendOffchainError(res, error)) return;
     res.status(500).json({
       error: 'Failed to get contenthash',
       message: error.message
@@ -320,9 +609,11 @@ app.get('/api/ens/contenthash/:name', async (req, res) => {
 
 /**
  * Get all ENS records for a name (extended text records + contenthash + address).
- * GET /api/ens/records/:name
+ * GET /api/ens/records/:name?chainId=8453
  * Example: /api/ens/records/vitalik.eth
- * Returns a comprehensive dump of all available ENS records.
+ * Returns a comprehensive dump of all available ENS records. `address` is for
+ * `chainId` (default mainnet). `?discover=true` also reads the custom text keys
+ * found in the resolver's TextChanged logs.
  */
 app.get('/api/ens/records/:name', async (req, res) => {
   try {
@@ -330,61 +621,83 @@ app.get('/api/ens/records/:name', async (req, res) => {
     if (!valid) {
       return res.status(400).json({ error });
     }
+    const chain = chainFromQuery(req.query);
+    if (chain.error) {
+      return res.status(400).json({ error: chain.error });
+    }
 
-    const resolver = await provider.getResolver(normalized);
-    const address = await provider.resolveName(normalized);
+    // ?discover=true adds the keys found in the resolver's TextChanged logs;
+    // a failed log scan just leaves them out
+    const discovery = req.query.discover === 'true' && TEXT_DISCOVERY_BLOCKS !== 0
+      ? await ensData.getTextKeys(normalized).catch(() => null)
+      : null;
+    const discovered = (discovery?.keys || [])
+      .filter((k) => !EXTENDED_TEXT_KEYS.includes(k) && validateTextKey(k).valid)
+      .slice(0, TEXT_KEYS_LIMIT);
+
+    // Extended text records — all known keys, fetched in parallel
+    const profile = await ensData.getProfile(normalized, {
+      chainId: chain.chainId,
+      keys: [...EXTENDED_TEXT_KEYS, ...discovered],
+    });
 
-    if (!resolver && !address) {
+    if (!profile.resolver && !profile.address) {
       return res.status(404).json({
         error: `ENS name "${normalized}" not found`
       });
     }
 
+    const decoded = describeContenthash(profile.contenthash, normalized);
     const records = {
       name: normalized,
-      address: address || null,
-      resolver: resolver ? resolver.address : null,
-      contenthash: null,
-      avatar: null,
-      textRecords: {},
+      address: profile.address || null,
+      chainId: chain.chainId,
+      resolver: profile.resolver,
+      contenthash: decoded ? decoded.uri || null : null,
+      contenthashDecoded: decoded,
+      avatar: profile.avatar,
+      textRecords: profile.textRecords,
+      ...(discovery ? { discoveredKeys: discovery.keys } : {}),
+      resolution: profile.resolution,
     };
 
-    if (resolver) {
-      // Contenthash
-      try {
-        records.contenthash = await resolver.getContentHash();
-      } catch (e) {
-        records.contenthash = null;
-      }
-
-      // Avatar
-      try {
-        const avatar = await resolver.getAvatar();
-        records.avatar = avatar ? avatar.url : null;
-      } catch (e) {
-        records.avatar = null;
-      }
+    res.json({
+      ...records,
+      success: true
+    });
+  } catch (error) {
+    if (sendOffchainError(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to get ENS records',
+      message: error.message
+    });
+  }
+});
 
-      // Extended text records — fetch all known keys
-      for (const key of EXTENDED_TEXT_KEYS) {
-        try {
-          const value = await resolver.getText(key);
-          if (value) {
-            records.textRecords[key] = value;
-          }
-        } catch (e) {
-          // Skip unavailable keys
-        }
-      }
+/**
+ * Homoglyph / impersonation check for an ENS name
+ * GET /api/ens/similarity/:name
+ * Example: /api/ens/similarity/vita1ik.eth
+ * Flags invisible characters, mixed scripts and confusable characters, reports
+ * near-matches of high-value names, and returns a `safeToDisplay` verdict.
+ * Names that fail normalization are still analyzed (they are usually the
+ * interesting ones), so only empty names or names without a TLD are rejected.
+ */
+app.get('/api/ens/similarity/:name', async (req, res) => {
+  try {
+    const name = req.params.name;
+    if (!name || !name.includes('.')) {
+      return res.status(400).json({ error: validateName(name).error });
     }
 
+    const result = analyzeName(name);
     res.json({
-      ...records,
+      ...result,
       success: true
     });
   } catch (error) {
     res.status(500).json({
-      error: 'Failed to get ENS records',
+      error: 'Failed to analyze ENS name',
       message: error.message
     });
   }
@@ -393,20 +706,29 @@ app.get('/api/ens/records/:name', async (req, res) => {
 /**
  * Batch ENS resolution — resolve multiple names and/or addresses in a single request.
  * POST /api/ens/batch
- * Body: { names?: string[], addresses?: string[] }
+ * Body: { names?: string[], addresses?: string[], chainId?: number, strict?: boolean }
  * Returns: { results: { names: {...}, addresses: {...} }, success: true }
+ * Addresses map to `{ name, verified, reason, source }` (see the reverse route);
+ * with `strict` unverified names come back as null.
  *
  * Limited to 20 items per array to prevent abuse.
  */
 const BATCH_LIMIT = 20;
+// Reverse lookups have no multicall path (each is a quorum read); run a few at once
+const BATCH_CONCURRENCY = 5;
 
 app.post('/api/ens/batch', async (req, res) => {
   try {
-    const { names = [], addresses = [] } = req.body || {};
+    const { names = [], addresses = [], chainId, strict: rawStrict } = req.body || {};
 
     if (!Array.isArray(names) || !Array.isArray(addresses)) {
       return res.status(400).json({ error: '"names" and "addresses" must be arrays' });
     }
+    const chain = chainFromQuery({ chainId });
+    if (chain.error) {
+      return res.status(400).json({ error: chain.error });
+    }
+    const strict = strictFrom(rawStrict);
 
     if (names.length > BATCH_LIMIT || addresses.length > BATCH_LIMIT) {
       return res.status(400).json({
@@ -416,54 +738,39 @@ app.post('/api/ens/batch', async (req, res) => {
 
     const results = { names: {}, addresses: {} };
 
-    // Resolve names → addresses
+    // Resolve names → addresses: cache misses go out as two multicalls
+    const valid = [];
     for (const rawName of names) {
-      const { valid, normalized } = validateName(rawName);
-      if (!valid) {
-        results.names[rawName] = { address: null, error: 'invalid name' };
-        continue;
-      }
-      try {
-        const cacheKey = `resolve:${normalized}`;
-        let address = ensCache.get(cacheKey);
-        if (address === undefined) {
-          address = await provider.resolveName(normalized);
-          if (address) ensCache.set(cacheKey, address);
-        }
-        results.names[normalized] = { address: address || null };
-      } catch (e) {
-        results.names[normalized] = { address: null, error: e.message };
-      }
+      const { valid: ok, normalized } = validateName(rawName);
+      if (ok) valid.push(normalized);
+      else results.names[rawName] = { address: null, error: 'invalid name' };
+    }
+    const resolved = await ensData.resolveMany(valid, chain.chainId);
+    for (const name of valid) {
+      results.names[name] = resolved.get(name);
     }
 
     // Reverse-resolve addresses → names
-    for (const addr of addresses) {
-      if (!ethers.isAddress(addr)) {
-        results.addresses[addr] = { name: null, error: 'invalid address' };
-        continue;
-      }
+    const reversed = await mapLimit(addresses, BATCH_CONCURRENCY, async (addr) => {
+      if (!ethers.isAddress(addr)) return { name: null, error: 'invalid address' };
       try {
-        const cacheKey = `reverse:${addr.toLowerCase()}`;
-        let cached = ensCache.get(cacheKey);
-        if (cached) {
-          results.addresses[addr] = { name: cached.name, verified: cached.verified };
-        } else {
-          const name = await provider.lookupAddress(addr);
-          if (name) {
-            const verifiedAddress = await provider.resolveName(name);
-            const verified = verifiedAddress?.toLowerCase() === addr.toLowerCase();
-            ensCache.set(cacheKey, { name, verified });
-            results.addresses[addr] = { name, verified };
-          } else {
-            results.addresses[addr] = { name: null };
-          }
-        }
+        const cached = await ensData.lookupName(addr.toLowerCase(), chain.chainId);
+        if (!cached) return { name: null, verified: false, reason: REASONS.NO_REVERSE_RECORD };
+        return {
+          name: strict && !cached.verified ? null : cached.name,
+          verified: cached.verified,
+          reason: cached.reason,
+          source: cached.source,
+        };
       } catch (e) {
-        results.addresses[addr] = { name: null, error: e.message };
+        return { name: null, error: e.message };
       }
-    }
+    });
+    addresses.forEach((addr, i) => {
+      results.addresses[addr] = reversed[i];
+    });
 
-    res.json({ results, success: true });
+    res.json({ results, chainId: chain.chainId, strict, success: true });
   } catch (error) {
     res.status(500).json({
       error: 'Failed to process batch ENS resolution',
@@ -472,149 +779,568 @@ app.post('/api/ens/batch', async (req, res) => {
   }
 });
 
+/**
+ * A failed CCIP-Read lookup (lib/ccip.js) is the gateway's fault, not a missing
+ * record: answer 502 with its code and the resolution metadata. Returns true
+ * if the error was handled.
+ */
+function sendOffchainError(res, error) {
+  if (!isCcipError(error)) return false;
+  res.status(502).json({
+    error: 'Offchain (CCIP-Read) lookup failed',
+    message: error.message,
+    code: error.code,
+    resolution: error.resolution || null,
+  });
+  return true;
+}
+
+/**
+ * Decoded contenthash for the contenthash and records routes: the decoded object, or
+ * `{ raw, error, code }` when the stored bytes are malformed or unsupported.
+ */
+function describeContenthash(raw, name) {
+  if (!raw) return null;
+  try {
+    return decodeContenthash(raw, { name, gateways: contenthashGateways });
+  } catch (error) {
+    if (!isContenthashError(error)) throw error;
+    return { raw, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Strict primary-name mode from a `strict` query / body value; unset means
+ * ENS_STRICT_PRIMARY_NAMES.
+ */
+function strictFrom(raw) {
+  if (raw === undefined || raw === null || raw === '') return STRICT_PRIMARY_NAMES;
+  return raw === true || raw === 'true' || raw === '1';
+}
+
+/* --- chain helpers --- */
+
+/**
+ * Read an optional `chainId` (query or body). Defaults to mainnet.
+ *
+ * @param {{ chainId?: unknown }} source
+ * @param {{ requireProvider?: boolean }} [options] - Reject chains without an RPC_URL_<chainId>
+ * @returns {{ chainId: number }|{ error: string }}
+ */
+function chainFromQuery(source, { requireProvider = false } = {}) {
+  const raw = source?.chainId;
+  if (raw === undefined || raw === null || raw === '') return { chainId: MAINNET };
+  const chainId = parseChainId(raw);
+  if (!chainId) return { error: `invalid chainId "${raw}"` };
+  if (requireProvider && !providers.has(chainId)) {
+    return { error: `No RPC configured for chainId ${chainId} (set RPC_URL_${chainId})` };
+  }
+  return { chainId };
+}
+
+/* ====================================================================
+ * Intent — decode wallet requests into human-readable actions
+ * ==================================================================== */
+
+/**
+ * POST /api/intent/decode — decode transaction calldata.
+ * Body: { from?, to?, method?, value?, chainId?, data }
+ * Same shape as POST /api/graph/interaction, plus raw calldata in `data`.
+ * Returns the function selector, decoded arguments (for known ABIs) and a summary.
+ */
+app.post('/api/intent/decode', (req, res) => {
+  try {
+    const { tx, error } = parseIntentTx(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const decoded = decodeCalldata(tx.data, { to: tx.to, value: tx.value });
+
+    res.json({
+      ...describeIntentTx(tx),
+      ...decoded,
+      success: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to decode calldata',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/intent/simulate — simulate a transaction before it is signed.
+ * Body: { from, to?, value?, data?, chainId?, method?, gas? }
+ * Runs debug_traceCall (falling back to eth_call) on the RPC for the
+ * transaction's chainId (mainnet when omitted) and returns ETH / token balance
+ * changes, transfers, approvals and a summary. 400 when that chain has no RPC.
+ */
+app.post('/api/intent/simulate', async (req, res) => {
+  try {
+    const { tx, error } = parseIntentTx(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!tx.from) {
+      return res.status(400).json({ error: '"from" address required for simulation' });
+    }
+    const chain = chainFromQuery(tx, { requireProvider: true });
+    if (chain.error) {
+      return res.status(400).json({ error: chain.error });
+    }
+
+    const simulation = await simulateTransaction(providers.get(chain.chainId), tx);
+
+    res.json({
+      ...describeIntentTx(tx),
+      ...simulation,
+      success: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to simulate transaction',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/intent/typed-data — analyze an EIP-712 (eth_signTypedData_v4) request.
+ * Body: { typedData, chainId?, from? } or { params: [from, typedDataJson], chainId? }
+ * Recognises Permit (EIP-2612 / DAI), Permit2, Seaport orders and Blur listings
+ * and returns spender, token, amount, deadline and a warning level.
+ */
+app.post('/api/intent/typed-data', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const params = Array.isArray(body.params) ? body.params : [];
+    const rawTypedData = body.typedData ?? params[1];
+    const from = body.from ?? params[0] ?? null;
+    if (rawTypedData == null) {
+      return res.status(400).json({ error: '"typedData" (or params[1]) required' });
+    }
+    if (from != null && (typeof from !== 'string' || !ethers.isAddress(from))) {
+      return res.status(400).json({ error: '"from" must be a valid address' });
+    }
+
+    const { typedData, hash, error } = parseTypedData(rawTypedData);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const analysis = await analyzeTypedData(typedData, {
+      activeChainId: body.chainId ?? null,
+      isFlagged: isAddressFlagged,
+    });
+
+    res.json({
+      from: from ? ethers.getAddress(from) : null,
+      chainId: body.chainId ?? null,
+      hash,
+      ...analysis,
+      success: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to analyze typed data',
+      message: error.message
+    });
+  }
+});
+
+/* --- intent helpers --- */
+
+/**
+ * Validate and normalize an intent payload ({ from, to, method, value, chainId, data, gas }).
+ * Returns { tx } on success or { error } with a message suitable for a 400.
+ */
+function parseIntentTx(body) {
+  const { from, to, method, value, chainId, data, gas } = body || {};
+  if (data != null && (typeof data !== 'string' || !ethers.isHexString(data) || data.length % 2 !== 0)) {
+    return { error: '"data" must be a 0x-prefixed hex string' };
+  }
+  if (to != null && (typeof to !== 'string' || !ethers.isAddress(to))) {
+    return { error: '"to" must be a valid address' };
+  }
+  if (from != null && (typeof from !== 'string' || !ethers.isAddress(from))) {
+    return { error: '"from" must be a valid address' };
+  }
+  const parsedValue = parseValue(value);
+  if (parsedValue === null) {
+    return { error: '"value" must be a non-negative integer (wei)' };
+  }
+  const parsedGas = gas == null ? null : parseValue(gas);
+  if (parsedGas === null && gas != null) {
+    return { error: '"gas" must be a non-negative integer' };
+  }
+  return {
+    tx: {
+      from: from ? ethers.getAddress(from) : null,
+      to: to ? ethers.getAddress(to) : null,
+      method: method || null,
+      chainId: chainId ?? null,
+      value: parsedValue,
+      data: data || '0x',
+      gas: parsedGas,
+    },
+  };
+}
+
+/** JSON-safe echo of the parsed intent, included in every intent response. */
+function describeIntentTx(tx) {
+  return {
+    from: tx.from,
+    to: tx.to,
+    method: tx.method,
+    chainId: tx.chainId,
+    value: tx.value.toString(),
+  };
+}
+
 /**
  * ScamSniffer cron: sync address blacklist to Redis
  * GET /api/cron/scamsniffer-sync
  * Requires: Authorization: Bearer <CRON_SECRET>
+ * Kept for existing cron configs; equivalent to /api/cron/feeds-sync?feed=scamsniffer&force=1.
  */
 app.get('/api/cron/scamsniffer-sync', async (req, res) => {
-  const auth = req.headers.authorization;
-  const CRON_SECRET = process.env.CRON_SECRET;
-  if (!CRON_SECRET || auth !== `Bearer ${CRON_SECRET}`) {
+  if (!isCronAuthorized(req)) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
-  if (!redisConfigured) {
-    return res.status(503).json({ error: 'Redis not configured' });
+  const feed = loadFeeds().find((f) => f.id === 'scamsniffer');
+  if (!feed) {
+    return res.status(404).json({ error: 'ScamSniffer feed is not enabled (THREAT_FEEDS)' });
   }
   try {
-    const url = process.env.SCAMSNIFFER_JSON_URL || DEFAULT_SCAMSNIFFER_URL;
-    const etag = await redis.get('scamsniffer:etag');
-    const resp = await fetch(url, {
-      headers: etag ? { 'If-None-Match': etag } : {},
-    });
-    if (resp.status === 304) {
-      return res.json({ ok: true, skipped: true, reason: 'not modified' });
-    }
-    const newEtag = resp.headers.get('etag');
-    const data = await resp.json();
-    const raw = Array.isArray(data) ? data : (data?.addresses || data?.data || []);
-    const addresses = raw
-      .filter((a) => typeof a === 'string' && ethers.isAddress(a))
-      .map((a) => a.toLowerCase());
-    if (addresses.length > 0) {
-      await redis.del('scamsniffer:addresses');
-      for (const addr of addresses) {
-        await redis.sadd('scamsniffer:addresses', addr);
-      }
+    const result = await syncFeed(redis, feed, { force: true });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Threat feed cron: sync every enabled feed that is due
+ * GET /api/cron/feeds-sync?feed=<id>&force=1
+ * Requires: Authorization: Bearer <CRON_SECRET>
+ * Each feed is synced independently; one failing feed does not stop the others.
+ */
+app.get('/api/cron/feeds-sync', async (req, res) => {
+  if (!isCronAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  let feeds = loadFeeds();
+  if (req.query.feed) {
+    feeds = feeds.filter((f) => f.id === req.query.feed);
+    if (feeds.length === 0) {
+      return res.status(404).json({ error: `Unknown or disabled feed "${req.query.feed}"` });
     }
-    await redis.set('scamsniffer:lastUpdated', String(Date.now()));
-    if (newEtag) await redis.set('scamsniffer:etag', newEtag);
-    res.json({ ok: true, count: addresses.length });
+  }
+  const force = req.query.force === '1' || req.query.force === 'true';
+  const results = {};
+  for (const feed of feeds) {
+    try {
+      results[feed.id] = await syncFeed(redis, feed, { force });
+    } catch (e) {
+      results[feed.id] = { error: e.message };
+    }
+  }
+  res.json({ ok: Object.values(results).every((r) => !r.error), results });
+});
+
+/**
+ * Threat feed sync history (newest first)
+ * GET /api/cron/feeds-history?feed=<id>&limit=20
+ * Requires: Authorization: Bearer <CRON_SECRET>
+ */
+app.get('/api/cron/feeds-history', async (req, res) => {
+  if (!isCronAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  let feeds = loadFeeds();
+  if (req.query.feed) {
+    feeds = feeds.filter((f) => f.id === req.query.feed);
+    if (feeds.length === 0) {
+      return res.status(404).json({ error: `Unknown or disabled feed "${req.query.feed}"` });
+    }
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+  try {
+    const history = {};
+    for (const feed of feeds) {
+      history[feed.id] = await getSyncHistory(redis, feed, limit);
+    }
+    res.json({ history });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
 /**
- * Risk lookup: check if address is in ScamSniffer blacklist
- * GET /api/risk/address/:address
+ * ENS cache statistics
+ * GET /api/admin/cache/stats?reset=1
+ * Requires: Authorization: Bearer <ADMIN_SECRET> (falls back to CRON_SECRET)
+ * Hit/miss counters for the in-process and Redis tiers, overall and per record
+ * type. `reset=1` returns the counters and then zeroes them.
+ */
+app.get('/api/admin/cache/stats', (req, res) => {
+  if (!isAdminAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  const stats = ensCache.stats();
+  if (req.query.reset === '1' || req.query.reset === 'true') ensCache.resetStats();
+  res.json({ stats });
+});
+
+/**
+ * Risk lookup: blocklist check plus a graded risk score
+ * GET /api/risk/address/:address?chainId=8453
+ * Returns { flagged, lastUpdated, sources, chainId, chains, score, level, reasons }.
+ * `sources` lists each threat feed that flagged the address and when that feed was last updated.
+ * `chainId` selects the chain for the contract check and ENS verification (needs RPC_URL_<chainId>);
+ * `chains` lists the chains the address has been seen on in the graph.
  */
 app.get('/api/risk/address/:address', async (req, res) => {
   let address = (req.params.address || '').trim();
   if (!address) return res.status(400).json({ error: 'address required' });
   if (!ethers.isAddress(address)) return res.status(400).json({ error: 'invalid address' });
   address = address.toLowerCase();
-  if (!redisConfigured) {
-    return res.json({ flagged: false, lastUpdated: null });
-  }
+  const chain = chainFromQuery(req.query, { requireProvider: true });
+  if (chain.error) return res.status(400).json({ error: chain.error });
   try {
-    const flagged = await redis.sismember('scamsniffer:addresses', address);
-    const lastUpdated = await redis.get('scamsniffer:lastUpdated');
+    const signals = await gatherRiskSignals(address, chain.chainId);
+    let lastUpdated = null;
+    const sources = [];
+    for (const feed of loadFeeds().filter((f) => f.type === 'address')) {
+      const feedUpdated = Number(await redis.get(`${feed.id}:lastUpdated`)) || null;
+      if (feedUpdated && (!lastUpdated || feedUpdated > lastUpdated)) lastUpdated = feedUpdated;
+      if (signals.flaggedSources.includes(feed.id)) {
+        sources.push({ id: feed.id, name: feed.name, lastUpdated: feedUpdated });
+      }
+    }
     res.json({
-      flagged: !!flagged,
-      lastUpdated: lastUpdated ? Number(lastUpdated) : null,
+      flagged: signals.flagged,
+      lastUpdated,
+      sources,
+      chainId: chain.chainId,
+      chains: signals.chains,
+      ...riskEngine.score(signals),
     });
   } catch (e) {
     res.status(503).json({ error: e.message });
   }
 });
 
+/**
+ * Phishing check for a dApp hostname
+ * GET /api/risk/domain/:hostname
+ * Example: /api/risk/domain/app.uniswap.org
+ * Checks domain threat feeds (exact + parent domains), look-alikes of known dApps
+ * (homoglyphs, edit distance, brand on another TLD) and punycode hostnames.
+ */
+app.get('/api/risk/domain/:hostname', async (req, res) => {
+  try {
+    const result = await checkHostname(req.params.hostname);
+    if (!result) {
+      return res.status(400).json({ error: 'valid hostname required' });
+    }
+    res.json(result);
+  } catch (e) {
+    res.status(503).json({ error: e.message });
+  }
+});
+
+/* --- risk helpers --- */
+
+/**
+ * Collect the inputs for the risk engine: blacklist hit and graph context
+ * from storage, contract check and verified ENS name from RPC on `chainId`.
+ * RPC failures leave the corresponding signal as null rather than throwing.
+ */
+async function gatherRiskSignals(address, chainId = MAINNET) {
+  const signals = {
+    address,
+    chainId,
+    chains: [],
+    flagged: false,
+    flaggedSources: [],
+    flaggedNeighborCount: 0,
+    totalNeighborCount: 0,
+    firstSeen: 0,
+    isContract: null,
+    ensName: null,
+    ensVerified: null,
+    now: Date.now(),
+  };
+
+  const [node, neighbors] = await Promise.all([graph.getNode(address), graph.neighbors(address)]);
+  if (node) {
+    signals.firstSeen = node.firstSeen;
+    signals.chains = node.chains;
+  }
+  const [sources, ...neighborSources] = await flaggedSourcesMany([address, ...neighbors]);
+  signals.flaggedSources = sources;
+  signals.flagged = sources.length > 0;
+  signals.totalNeighborCount = neighbors.length;
+  signals.flaggedNeighborCount = neighborSources.filter((s) => s.length > 0).length;
+
+  try {
+    const code = await providers.get(chainId).getCode(address);
+    signals.isContract = !!code && code !== '0x';
+  } catch { /* unknown */ }
+
+  try {
+    const cached = await ensData.lookupName(address, chainId);
+    signals.ensName = cached ? cached.name : null;
+    signals.ensVerified = cached ? cached.verified : false;
+  } catch { /* unknown */ }
+
+  return signals;
+}
+
+/**
+ * Ids of the enabled address feeds whose blocklist contains `address` (lowercased).
+ */
+async function flaggedSources(address) {
+  return (await flaggedSourcesMany([address]))[0];
+}
+
+async function isAddressFlagged(address) {
+  return (await flaggedSources(address)).length > 0;
+}
+
+/**
+ * flaggedSources() of each address, in order: one SMISMEMBER per address feed,
+ * sent in one pipeline.
+ *
+ * @param {string[]} addresses - Lowercased
+ * @returns {Promise<string[][]>}
+ */
+async function flaggedSourcesMany(addresses) {
+  const hits = addresses.map(() => []);
+  const feeds = loadFeeds().filter((f) => f.type === 'address');
+  if (feeds.length === 0 || addresses.length === 0) return hits;
+  const pipe = redis.pipeline();
+  for (const feed of feeds) pipe.smismember(feedSetKey(feed), addresses);
+  (await pipe.exec()).forEach((members, f) => {
+    members.forEach((member, i) => {
+      if (Number(member)) hits[i].push(feeds[f].id);
+    });
+  });
+  return hits;
+}
+
+/**
+ * Run the dApp hostname check, using the enabled domain feeds as blocklist.
+ */
+function checkHostname(hostname) {
+  const domainFeeds = loadFeeds().filter((f) => f.type === 'domain');
+  return checkDomain(hostname, {
+    blocklistSources: domainFeeds.length > 0
+      ? async (domain) => {
+        const hits = [];
+        for (const feed of domainFeeds) {
+          if (await redis.sismember(feedSetKey(feed), domain)) hits.push(feed.id);
+        }
+        return hits;
+      }
+      : null,
+  });
+}
+
+/** Cron routes require Authorization: Bearer <CRON_SECRET> (read at request time). */
+function isCronAuthorized(req) {
+  const CRON_SECRET = process.env.CRON_SECRET;
+  return !!CRON_SECRET && req.headers.authorization === `Bearer ${CRON_SECRET}`;
+}
+
+/** Admin routes require Authorization: Bearer <ADMIN_SECRET>, or CRON_SECRET if unset. */
+function isAdminAuthorized(req) {
+  const secret = process.env.ADMIN_SECRET || process.env.CRON_SECRET;
+  return !!secret && req.headers.authorization === `Bearer ${secret}`;
+}
+
 /* ====================================================================
  * Knowledge Graph — semantic wallet interaction edges
  *
- * Redis key schema:
- *   graph:node:{address}          → JSON hash (ensName, label, firstSeen, lastSeen, interactionCount)
- *   graph:neighbors:{address}     → SET of neighbor addresses
- *   graph:edge:{from}:{to}        → JSON hash (type, method, count, firstSeen, lastSeen)
- *   graph:edges-of:{address}      → SET of "from:to" edge keys involving this address
+ * Storage (key schema, atomic writes, batched reads) lives in lib/graphstore.js.
  * ==================================================================== */
 
+// Multi-hop traversal caps (path / exposure routes): hops per request, nodes visited per walk
+const GRAPH_MAX_HOPS = parseInt(process.env.GRAPH_MAX_HOPS, 10) || 6;
+const GRAPH_MAX_NODES = parseInt(process.env.GRAPH_MAX_NODES, 10) || undefined;
+// Exposure: contribution kept per hop away from a flagged node
+const GRAPH_EXPOSURE_DECAY = parseFloat(process.env.GRAPH_EXPOSURE_DECAY) || undefined;
+// Per-edge event log: events older than the retention are dropped, and at most GRAPH_EVENT_MAX kept
+const GRAPH_EVENT_RETENTION_MS = (parseInt(process.env.GRAPH_EVENT_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60 * 1000;
+const GRAPH_EVENT_MAX = parseInt(process.env.GRAPH_EVENT_MAX, 10) || 1000;
+// Addresses read per batch while streaming an export
+const GRAPH_EXPORT_BATCH = 100;
+
+const graph = createGraphStore({
+  redis,
+  // Reverse ENS name to label new nodes
+  lookupName: (address) => provider.lookupAddress(address),
+  eventRetentionMs: GRAPH_EVENT_RETENTION_MS,
+  eventMax: GRAPH_EVENT_MAX,
+});
+
 /**
  * POST /api/graph/interaction — record a wallet interaction edge.
  * Body: { from, to, method, kind, hostname, chainId?, value?, hasData? }
+ * The response includes `domainRisk` (phishing check of `hostname`) when a hostname is sent.
  */
 app.post('/api/graph/interaction', async (req, res) => {
-  if (!redisConfigured) {
-    return res.json({ ok: true, stored: false, reason: 'redis not configured' });
-  }
   try {
     const { from, to, method, kind, hostname, chainId, value, hasData } = req.body || {};
+
+    // Phishing check for the requesting dApp — returned even when nothing is stored,
+    // so the extension can warn on connect.
+    const domainRisk = hostname ? await checkHostname(hostname) : null;
+    const domainSummary = domainRisk
+      ? { hostname: domainRisk.hostname, level: domainRisk.level, warnings: domainRisk.warnings }
+      : null;
+
     if (!to || (typeof to !== 'string') || !ethers.isAddress(to)) {
-      return res.status(400).json({ error: 'valid "to" address required' });
+      return res.status(400).json({ error: 'valid "to" address required', domainRisk: domainSummary });
     }
     const fromAddr = (from && typeof from === 'string' && ethers.isAddress(from)) ? from.toLowerCase() : null;
     const toAddr = to.toLowerCase();
     const now = Date.now();
+    // Wallets send chainId as hex ("0x2105"); store it as a number
+    const chain = parseChainId(chainId);
 
     // Determine semantic edge type
     const edgeType = edgeTypeFromKind(kind, method);
 
-    // Upsert "to" node
-    await upsertGraphNode(toAddr, now);
-
-    // Upsert "from" node if present
-    if (fromAddr) {
-      await upsertGraphNode(fromAddr, now);
-    }
-
-    // Upsert edge
-    const effectiveFrom = fromAddr || 'unknown';
-    const edgeKey = `graph:edge:${effectiveFrom}:${toAddr}`;
-    const existingEdge = await redis.get(edgeKey);
-    let edgeData;
-    if (existingEdge) {
-      edgeData = typeof existingEdge === 'string' ? JSON.parse(existingEdge) : existingEdge;
-      edgeData.count = (edgeData.count || 0) + 1;
-      edgeData.lastSeen = now;
-      edgeData.type = edgeType;
-      edgeData.method = method || edgeData.method;
-    } else {
-      edgeData = {
-        from: effectiveFrom,
-        to: toAddr,
+    await graph.recordInteraction({
+      from: fromAddr,
+      to: toAddr,
+      type: edgeType,
+      method,
+      kind,
+      hostname,
+      hostnameRisk: domainRisk ? domainRisk.level : null,
+      chainId: chain,
+      value,
+      hasData,
+      event: {
+        id: `${now}-${randomBytes(4).toString('hex')}`,
+        ts: now,
         type: edgeType,
         method: method || '',
         kind: kind || '',
-        hostname: hostname || '',
-        count: 1,
-        firstSeen: now,
-        lastSeen: now,
-        ...(chainId != null ? { chainId } : {}),
+        ...(hostname ? { hostname } : {}),
+        ...(domainRisk ? { hostnameRisk: domainRisk.level } : {}),
+        ...(chain ? { chainId: chain } : {}),
         ...(value != null ? { value } : {}),
         ...(hasData != null ? { hasData } : {}),
-      };
-    }
-    await redis.set(edgeKey, JSON.stringify(edgeData));
-
-    // Track edge membership for both nodes
-    await redis.sadd(`graph:edges-of:${toAddr}`, `${effectiveFrom}:${toAddr}`);
-    if (fromAddr) {
-      await redis.sadd(`graph:edges-of:${fromAddr}`, `${effectiveFrom}:${toAddr}`);
-      await redis.sadd(`graph:neighbors:${fromAddr}`, toAddr);
-      await redis.sadd(`graph:neighbors:${toAddr}`, fromAddr);
-    }
+      },
+    });
 
-    res.json({ ok: true, stored: true });
+    res.json({ ok: true, stored: true, domainRisk: domainSummary });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -622,6 +1348,8 @@ app.post('/api/graph/interaction', async (req, res) => {
 
 /**
  * GET /api/graph/address/:address — get node info + all edges for an address.
+ * With `?since=&until=` (ms timestamps or ISO dates) only edges with interactions
+ * in that window are returned, each with `window` stats from its event log.
  */
 app.get('/api/graph/address/:address', async (req, res) => {
   let address = (req.params.address || '').trim();
@@ -629,39 +1357,38 @@ app.get('/api/graph/address/:address', async (req, res) => {
     return res.status(400).json({ error: 'valid address required' });
   }
   address = address.toLowerCase();
-
-  if (!redisConfigured) {
-    return res.json({ node: emptyNode(address), edges: [], riskSummary: { flagged: false, flaggedNeighborCount: 0, totalNeighborCount: 0 } });
+  const range = timeRangeFromQuery(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
   }
 
   try {
-    // Node
-    const nodeRaw = await redis.get(`graph:node:${address}`);
-    const node = nodeRaw
-      ? (typeof nodeRaw === 'string' ? JSON.parse(nodeRaw) : nodeRaw)
-      : emptyNode(address);
-
-    // Edges
-    const edgeKeys = await smembers(`graph:edges-of:${address}`);
+    const [{ neighbors, edgeKeys }] = await graph.adjacency([address]);
+    const [[node], edgeList, eventLists] = await Promise.all([
+      graph.getNodes([address]),
+      graph.getEdges(edgeKeys),
+      range.active ? graph.edgeEventsMany(edgeKeys, range) : null,
+    ]);
+
     const edges = [];
-    for (const ek of edgeKeys) {
-      const raw = await redis.get(`graph:edge:${ek}`);
-      if (raw) {
-        edges.push(typeof raw === 'string' ? JSON.parse(raw) : raw);
+    for (const [i, edge] of edgeList.entries()) {
+      if (!edge) continue;
+      if (range.active) {
+        if (eventLists[i].length === 0) continue;
+        edge.window = summarizeEvents(eventLists[i]);
       }
+      edges.push(edge);
     }
 
     // Risk summary: is this address flagged, how many neighbors are flagged?
-    const flagged = !!(await redis.sismember('scamsniffer:addresses', address));
-    const neighbors = await smembers(`graph:neighbors:${address}`);
-    let flaggedNeighborCount = 0;
-    for (const nb of neighbors) {
-      if (await redis.sismember('scamsniffer:addresses', nb)) flaggedNeighborCount++;
-    }
+    const [sources, ...neighborSources] = await flaggedSourcesMany([address, ...neighbors]);
+    const flagged = sources.length > 0;
+    const flaggedNeighborCount = neighborSources.filter((s) => s.length > 0).length;
 
     res.json({
-      node: { ...node, flagged },
+      node: { ...(node || emptyNode(address)), flagged },
       edges,
+      ...(range.active ? { window: { since: range.since, until: range.until } } : {}),
       riskSummary: {
         flagged,
         flaggedNeighborCount,
@@ -683,38 +1410,287 @@ app.get('/api/graph/address/:address/neighbors', async (req, res) => {
   }
   address = address.toLowerCase();
 
-  if (!redisConfigured) {
-    return res.json({ address, neighbors: [], edges: [] });
+  try {
+    const [{ neighbors: neighborAddrs, edgeKeys }] = await graph.adjacency([address]);
+    const [nodes, sources, edges] = await Promise.all([
+      graph.getNodes(neighborAddrs),
+      flaggedSourcesMany(neighborAddrs),
+      // Edges between address and its neighbors
+      graph.getEdges(edgeKeys),
+    ]);
+    const neighbors = nodes.map((node, i) => ({
+      ...(node || emptyNode(neighborAddrs[i])),
+      flagged: sources[i].length > 0,
+    }));
+
+    res.json({ address, neighbors, edges: edges.filter(Boolean) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * GET /api/graph/edge/:from/:to/events?since=&until=&limit=100&order=desc — interaction
+ * timeline of one edge (`from` may be "unknown" for interactions without a sender),
+ * newest first by default. `total` counts every event in the window.
+ */
+app.get('/api/graph/edge/:from/:to/events', async (req, res) => {
+  const from = (req.params.from || '').trim().toLowerCase();
+  const to = (req.params.to || '').trim().toLowerCase();
+  if ((from !== 'unknown' && !ethers.isAddress(from)) || !ethers.isAddress(to)) {
+    return res.status(400).json({ error: 'valid "from" and "to" addresses required' });
   }
+  const range = timeRangeFromQuery(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), GRAPH_EVENT_MAX);
+  const order = req.query.order === 'asc' ? 'asc' : 'desc';
 
   try {
-    const neighborAddrs = await smembers(`graph:neighbors:${address}`);
-    const neighbors = [];
-    for (const nb of neighborAddrs) {
-      const raw = await redis.get(`graph:node:${nb}`);
-      const node = raw
-        ? (typeof raw === 'string' ? JSON.parse(raw) : raw)
-        : emptyNode(nb);
-      const flagged = !!(await redis.sismember('scamsniffer:addresses', nb));
-      neighbors.push({ ...node, flagged });
-    }
-
-    // Edges between address and its neighbors
-    const edgeKeys = await smembers(`graph:edges-of:${address}`);
-    const edges = [];
-    for (const ek of edgeKeys) {
-      const raw = await redis.get(`graph:edge:${ek}`);
-      if (raw) edges.push(typeof raw === 'string' ? JSON.parse(raw) : raw);
+    const edgeKey = `${from}:${to}`;
+    const edge = await graph.getEdge(edgeKey);
+    if (!edge) {
+      return res.status(404).json({ error: `No interactions recorded from ${from} to ${to}` });
     }
+    const [total, events] = await Promise.all([
+      graph.countEdgeEvents(edgeKey, range),
+      graph.edgeEvents(edgeKey, range, { limit, rev: order === 'desc' }),
+    ]);
+    res.json({
+      from,
+      to,
+      edge,
+      since: range.since,
+      until: range.until,
+      order,
+      total,
+      events,
+      truncated: total > events.length,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    res.json({ address, neighbors, edges });
+/**
+ * GET /api/graph/path?from=&to=&maxHops=4 — shortest path between two addresses
+ * (BFS over the neighbor sets), with the edges along it. `maxHops` is capped at
+ * GRAPH_MAX_HOPS; the walk stops after GRAPH_MAX_NODES nodes (`truncated`).
+ */
+app.get('/api/graph/path', async (req, res) => {
+  const from = typeof req.query.from === 'string' ? req.query.from.trim() : '';
+  const to = typeof req.query.to === 'string' ? req.query.to.trim() : '';
+  if (!ethers.isAddress(from) || !ethers.isAddress(to)) {
+    return res.status(400).json({ error: 'valid "from" and "to" addresses required' });
+  }
+  const maxHops = hopsFromQuery(req.query.maxHops, 4);
+
+  try {
+    const result = await findPath(from.toLowerCase(), to.toLowerCase(), {
+      neighborsMany: graphNeighborsMany,
+      maxHops,
+      maxNodes: GRAPH_MAX_NODES,
+    });
+    const edges = result.path ? await pathEdges(result.path) : [];
+    res.json({
+      from: from.toLowerCase(),
+      to: to.toLowerCase(),
+      maxHops,
+      found: result.path !== null,
+      hops: result.hops,
+      path: result.path,
+      edges,
+      visited: result.visited,
+      truncated: result.truncated,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * GET /api/graph/address/:address/exposure?depth=2 — risk from flagged addresses
+ * within `depth` hops, decayed per hop (GRAPH_EXPOSURE_DECAY, default 0.5), with
+ * the nearest one and the path to it (e.g. "2 hops from a flagged address").
+ */
+app.get('/api/graph/address/:address/exposure', async (req, res) => {
+  let address = (req.params.address || '').trim();
+  if (!address || !ethers.isAddress(address)) {
+    return res.status(400).json({ error: 'valid address required' });
+  }
+  address = address.toLowerCase();
+  const depth = hopsFromQuery(req.query.depth, 2);
+
+  try {
+    const exposure = await computeExposure(address, {
+      neighborsMany: graphNeighborsMany,
+      flaggedSourcesMany,
+      depth,
+      maxNodes: GRAPH_MAX_NODES,
+      decay: GRAPH_EXPOSURE_DECAY,
+    });
+    res.json(exposure);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+/**
+ * GET /api/graph/export?root=&depth=2&format=graphml|gexf|cytoscape|dot — the subgraph
+ * within `depth` hops of `root` for Gephi / Cytoscape / Graphviz, streamed: nodes and
+ * edges are read from storage while the file is written. The walk is capped like the
+ * path route (GRAPH_MAX_HOPS, GRAPH_MAX_NODES; X-Graph-Truncated: true when cut).
+ */
+app.get('/api/graph/export', async (req, res) => {
+  const root = typeof req.query.root === 'string' ? req.query.root.trim().toLowerCase() : '';
+  if (!ethers.isAddress(root)) {
+    return res.status(400).json({ error: 'valid "root" address required' });
+  }
+  const format = req.query.format || 'graphml';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  const depth = hopsFromQuery(req.query.depth, 2);
+
+  try {
+    if (!(await graph.hasNode(root))) {
+      return res.status(404).json({ error: `Address "${root}" is not in the graph` });
+    }
+    const { nodes, truncated } = await collectSubgraph(root, {
+      neighborsMany: graphNeighborsMany,
+      depth,
+      maxNodes: GRAPH_MAX_NODES,
+    });
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    // attachment() sets a type from the extension: set ours after it
+    res.attachment(`ensight-graph-${root}.${extension}`);
+    res.type(contentType);
+    res.set('X-Graph-Nodes', String(nodes.length));
+    res.set('X-Graph-Truncated', String(truncated));
+    const chunks = serializeGraph(format, {
+      nodes: exportNodes(nodes),
+      edges: exportEdges(nodes),
+      meta: {
+        id: 'ensight',
+        description: `ENSight interaction graph: ${nodes.length} addresses within ${depth} hops of ${root}`
+          + (truncated ? ' (truncated)' : ''),
+      },
+    });
+    await pipeline(Readable.from(chunks), res);
+  } catch (e) {
+    // Once streaming started the status is sent: pipeline has already destroyed the response
+    if (!res.headersSent) res.status(500).json({ error: e.message });
+  }
+});
+
 /* --- graph helpers --- */
 
+/** Slices of at most `size` items. */
+function* chunks(items, size) {
+  for (let i = 0; i < items.length; i += size) yield items.slice(i, i + size);
+}
+
+/** Export nodes (lib/export.js) for `addresses`, read GRAPH_EXPORT_BATCH at a time. */
+async function* exportNodes(addresses) {
+  for (const batch of chunks(addresses, GRAPH_EXPORT_BATCH)) {
+    const [nodes, sources] = await Promise.all([graph.getNodes(batch), flaggedSourcesMany(batch)]);
+    for (const [i, address] of batch.entries()) {
+      const node = nodes[i] || emptyNode(address);
+      yield {
+        id: address,
+        ensName: node.ensName || null,
+        label: node.label || null,
+        flagged: sources[i].length > 0,
+        interactionCount: node.interactionCount || 0,
+      };
+    }
+  }
+}
+
+/** Export edges between `addresses` (each once, in the direction it was recorded). */
+async function* exportEdges(addresses) {
+  const inGraph = new Set(addresses);
+  const seen = new Set();
+  for (const batch of chunks(addresses, GRAPH_EXPORT_BATCH)) {
+    const keys = [];
+    for (const { edgeKeys } of await graph.adjacency(batch)) {
+      for (const key of edgeKeys) {
+        const [from, to] = key.split(':');
+        if (seen.has(key) || !inGraph.has(from) || !inGraph.has(to)) continue;
+        seen.add(key);
+        keys.push(key);
+      }
+    }
+    for (const [i, edge] of (await graph.getEdges(keys)).entries()) {
+      if (!edge) continue;
+      const [from, to] = keys[i].split(':');
+      yield {
+        id: keys[i],
+        source: from,
+        target: to,
+        type: edge.type || null,
+        method: edge.method || null,
+        count: edge.count || 0,
+        firstSeen: edge.firstSeen || null,
+        lastSeen: edge.lastSeen || null,
+        chainId: edge.chainId || null,
+      };
+    }
+  }
+}
+
+/** Count, per-type counts and first / last timestamps of `events` (oldest first). */
+function summarizeEvents(events) {
+  const types = {};
+  for (const event of events) types[event.type] = (types[event.type] || 0) + 1;
+  return {
+    count: events.length,
+    types,
+    firstSeen: events[0].ts,
+    lastSeen: events[events.length - 1].ts,
+  };
+}
+
+/**
+ * `since` / `until` query values (ms timestamps or ISO dates), both inclusive.
+ *
+ * @returns {{ since: number|null, until: number|null, active: boolean }|{ error: string }}
+ */
+function timeRangeFromQuery(query) {
+  const out = { since: null, until: null, active: false };
+  for (const field of ['since', 'until']) {
+    const raw = query[field];
+    if (raw === undefined || raw === '') continue;
+    const ms = typeof raw === 'string' && /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+    if (!Number.isFinite(ms)) return { error: `invalid "${field}": use a timestamp in ms or an ISO date` };
+    out[field] = ms;
+    out.active = true;
+  }
+  if (out.since !== null && out.until !== null && out.since > out.until) {
+    return { error: '"since" must not be after "until"' };
+  }
+  return out;
+}
+
+/** Hop count from a query value: `fallback` when missing, clamped to 1..GRAPH_MAX_HOPS. */
+function hopsFromQuery(raw, fallback) {
+  return Math.min(Math.max(parseInt(raw, 10) || fallback, 1), GRAPH_MAX_HOPS);
+}
+
+/** Neighbor lists of a BFS frontier, read in one pipeline. */
+async function graphNeighborsMany(addresses) {
+  return (await graph.adjacency(addresses)).map((a) => a.neighbors);
+}
+
+/** Edge data for each hop of a path, in whichever direction it was recorded, read in one pipeline. */
+async function pathEdges(path) {
+  const hops = path.slice(1).map((b, i) => [path[i], b]);
+  const records = await graph.getEdges(hops.flatMap(([a, b]) => [`${a}:${b}`, `${b}:${a}`]));
+  return hops.map(([a, b], i) => records[2 * i] || records[2 * i + 1] || { from: a, to: b });
+}
+
 function edgeTypeFromKind(kind, method) {
   switch (kind) {
     case 'tx': return 'sent_tx';
@@ -728,33 +1704,6 @@ function edgeTypeFromKind(kind, method) {
   }
 }
 
-async function upsertGraphNode(address, now) {
-  const key = `graph:node:${address}`;
-  const existing = await redis.get(key);
-  let node;
-  if (existing) {
-    node = typeof existing === 'string' ? JSON.parse(existing) : existing;
-    node.lastSeen = now;
-    node.interactionCount = (node.interactionCount || 0) + 1;
-  } else {
-    // Try reverse ENS lookup for labeling
-    let ensName = null;
-    try {
-      ensName = await provider.lookupAddress(address);
-    } catch { /* ignore */ }
-    node = {
-      address,
-      ensName,
-      label: ensName || null,
-      firstSeen: now,
-      lastSeen: now,
-      interactionCount: 1,
-    };
-  }
-  await redis.set(key, JSON.stringify(node));
-  return node;
-}
-
 function emptyNode(address) {
   return {
     address,
@@ -763,29 +1712,27 @@ function emptyNode(address) {
     firstSeen: 0,
     lastSeen: 0,
     interactionCount: 0,
+    chains: [],
     flagged: false,
   };
 }
 
-/**
- * smembers helper — redis.smembers may not exist on the stub or may
- * behave differently across Upstash SDK versions.
- */
-async function smembers(key) {
-  if (typeof redis.smembers === 'function') {
-    return (await redis.smembers(key)) || [];
-  }
-  // Fallback: not available on stub
-  return [];
-}
-
 /**
  * Health check endpoint
  */
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  // ?check=1 probes every RPC endpoint instead of reporting passive stats
+  const rpc = req.query.check === '1' || req.query.check === 'true'
+    ? await providers.checkHealth()
+    : providers.health();
+  // Degraded when some chain has no endpoint with a closed circuit
+  const degraded = Object.values(rpc).some((pool) => pool.healthy === 0);
   res.json({
-    status: 'ok',
+    status: degraded ? 'degraded' : 'ok',
     service: 'ENS Demo Backend',
+    storage: { backend: storage.backend, persistent: storage.persistent },
+    chains: providers.describe(),
+    rpc,
     timestamp: new Date().toISOString()
   });
 });
@@ -798,20 +1745,35 @@ app.get('/', (req, res) => {
     service: 'ENS Demo Backend',
     version: '1.0.0',
     endpoints: {
-      'GET /health': 'Health check',
-      'GET /api/ens/resolve/:name': 'Resolve ENS name to address (e.g., vitalik.eth)',
-      'GET /api/ens/reverse/:address': 'Reverse lookup: Get ENS name from address',
+      'GET /health': 'Health check (storage, chains, RPC pool health; ?check=1 probes endpoints)',
+      'GET /api/ens/resolve/:name': 'Resolve ENS name to address (e.g., vitalik.eth; ?chainId= for ENSIP-11 L2 addresses)',
+      'GET /api/ens/reverse/:address': 'Reverse lookup: Get ENS name from address (?chainId= verifies on that chain, ENSIP-19 L2 primary names; ?strict=true withholds unverified names)',
+      'GET /api/ens/text/:name': 'Get several text records (?keys=a,b,c; without keys, discovered from TextChanged logs)',
       'GET /api/ens/text/:name/:key': 'Get text record (e.g., /api/ens/text/vitalik.eth/com.twitter)',
-      'GET /api/ens/avatar/:name': 'Get avatar URL for ENS name',
+      'GET /api/ens/avatar/:name': 'Get avatar URL for ENS name (ENSIP-12, NFT ownership verified)',
+      'GET /api/ens/avatar/:name/image': 'Proxied, size-limited avatar image (sniffed type, sanitised SVG)',
       'GET /api/ens/info/:name': 'Get comprehensive ENS information',
-      'GET /api/ens/contenthash/:name': 'Get contenthash (IPFS/IPNS/Swarm) for ENS name',
+      'GET /api/ens/ownership/:name': 'Owner, registrant, NameWrapper fuses, expiry / grace period and warning flags',
+      'GET /api/ens/contenthash/:name': 'Get decoded contenthash (IPFS/IPNS/Swarm/Onion/Arweave, CIDs, gateway URLs) for ENS name',
       'GET /api/ens/records/:name': 'Get all ENS records (extended text, contenthash, avatar)',
-      'POST /api/ens/batch': 'Batch resolve names and/or addresses (max 20 each)',
-      'GET /api/risk/address/:address': 'Check if address is flagged (ScamSniffer)',
+      'GET /api/ens/similarity/:name': 'Homoglyph / impersonation check with a safe-to-display verdict',
+      'POST /api/ens/batch': 'Batch resolve names and/or addresses (max 20 each; "strict": true withholds unverified names)',
+      'POST /api/intent/decode': 'Decode transaction calldata into function, args and summary',
+      'POST /api/intent/simulate': 'Simulate a transaction and report balance changes + approvals',
+      'POST /api/intent/typed-data': 'Analyze an EIP-712 signature request (Permit, Permit2, Seaport, Blur)',
+      'GET /api/risk/address/:address': 'Risk score (0-100) + reasons; flagged = ScamSniffer hit (?chainId= for contract / ENS checks)',
+      'GET /api/risk/domain/:hostname': 'Phishing check for a dApp hostname (blocklists, look-alikes, punycode)',
       'GET /api/cron/scamsniffer-sync': 'Cron: sync ScamSniffer blacklist (Bearer CRON_SECRET)',
+      'GET /api/cron/feeds-sync': 'Cron: sync all due threat feeds (?feed=id&force=1, Bearer CRON_SECRET)',
+      'GET /api/cron/feeds-history': 'Recent threat feed sync runs (?feed=id&limit=20, Bearer CRON_SECRET)',
+      'GET /api/admin/cache/stats': 'ENS cache hit/miss stats per tier and record type (?reset=1, Bearer ADMIN_SECRET)',
       'POST /api/graph/interaction': 'Record a wallet interaction edge',
-      'GET /api/graph/address/:address': 'Get graph node + edges + risk summary',
-      'GET /api/graph/address/:address/neighbors': 'Get neighbors + edges for address'
+      'GET /api/graph/address/:address': 'Get graph node + edges + risk summary (?since=&until= time window)',
+      'GET /api/graph/edge/:from/:to/events': 'Interaction timeline of an edge (?since=&until=&limit=&order=)',
+      'GET /api/graph/address/:address/neighbors': 'Get neighbors + edges for address',
+      'GET /api/graph/address/:address/exposure': 'Decayed risk from flagged addresses within ?depth= hops (nearest + path)',
+      'GET /api/graph/path': 'Shortest path between two addresses (?from=&to=&maxHops=)',
+      'GET /api/graph/export': 'Streamed subgraph export (?root=&depth=&format=graphml|gexf|cytoscape|dot)'
     },
     examples: {
       resolve: '/api/ens/resolve/vitalik.eth',
@@ -821,8 +1783,14 @@ app.get('/', (req, res) => {
       info: '/api/ens/info/vitalik.eth',
       contenthash: '/api/ens/contenthash/vitalik.eth',
       records: '/api/ens/records/vitalik.eth',
+      ownership: '/api/ens/ownership/vitalik.eth',
+      similarity: '/api/ens/similarity/vita1ik.eth',
       risk: '/api/risk/address/0x...',
-      graph: '/api/graph/address/0x...'
+      domain: '/api/risk/domain/app.uniswap.org',
+      graph: '/api/graph/address/0x...',
+      exposure: '/api/graph/address/0x.../exposure?depth=2',
+      path: '/api/graph/path?from=0x...&to=0x...&maxHops=4',
+      export: '/api/graph/export?root=0x...&depth=2&format=gexf'
     }
   });
 });
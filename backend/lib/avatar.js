@@ -0,0 +1,370 @@
+/**
+ * ENSIP-12 avatar resolution and image proxying.
+ *
+ * An `avatar` text record is one of:
+ *   https://… / http://…                 used as is
+ *   ipfs://<cid>[/path], ipns://<name>   IPFS gateway URL (IPFS_GATEWAY)
+ *   ar://<txid>                          Arweave gateway URL (ARWEAVE_GATEWAY)
+ *   data:image/…                         inline image
+ *   eip155:<chainId>/erc721:<contract>/<tokenId>
+ *   eip155:<chainId>/erc1155:<contract>/<tokenId>
+ *
+ * NFT avatars only count if the name's address owns the token (ownerOf for
+ * ERC-721, a non-zero balance for ERC-1155); the image then comes from the
+ * token metadata (tokenURI / uri, with ERC-1155 `{id}` substitution).
+ *
+ * fetchImage() downloads an avatar for the image proxy: private and local
+ * hosts are refused (records are user-controlled URLs; see lib/publichttp.js),
+ * responses are size-limited, the type is sniffed from the bytes rather than
+ * trusted from the server, and SVGs are sanitised. Images are cached
+ * in-process.
+ *
+ * Errors carry an `AVATAR_*` code:
+ *   AVATAR_INVALID_URI       unsupported or malformed URI
+ *   AVATAR_BLOCKED_HOST      URL points at a private / local address
+ *   AVATAR_FETCH_FAILED      network error, timeout or HTTP error
+ *   AVATAR_TOO_LARGE         larger than maxBytes
+ *   AVATAR_UNSUPPORTED_TYPE  not a PNG, JPEG, GIF, WebP, AVIF or SVG image
+ */
+const dns = require('node:dns');
+const { ethers } = require('ethers');
+const { TTLCache } = require('./cache');
+const { httpRequest, publicLookup, isPrivateAddress, isPrivateHost } = require('./publichttp');
+
+const DEFAULT_IPFS_GATEWAY = 'https://ipfs.io';
+const DEFAULT_ARWEAVE_GATEWAY = 'https://arweave.net';
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10_000;
+// Token metadata is small JSON; anything bigger is not worth parsing
+const MAX_METADATA_BYTES = 256 * 1024;
+const MAX_REDIRECTS = 3;
+const IMAGE_CACHE_TTL_MS = 60 * 60 * 1000;
+const IMAGE_CACHE_ENTRIES = 100;
+
+const nftInterface = new ethers.Interface([
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function tokenURI(uint256 tokenId) view returns (string)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function uri(uint256 id) view returns (string)',
+]);
+
+function avatarError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function isAvatarError(err) {
+  return typeof err?.code === 'string' && err.code.startsWith('AVATAR_');
+}
+
+/**
+ * Parse an avatar record.
+ *
+ * @param {string} record
+ * @returns {{ type: 'https'|'http'|'ipfs'|'ipns'|'ar'|'data', uri: string }|{ type: 'erc721'|'erc1155', chainId: number, contract: string, tokenId: bigint }|null}
+ *   null if the record isn't a supported avatar URI
+ */
+function parseAvatarUri(record) {
+  const value = (record || '').trim();
+  const nft = /^eip155:(\d+)\/(erc721|erc1155):(0x[0-9a-fA-F]{40})\/(\d+)$/i.exec(value);
+  if (nft) {
+    return {
+      type: nft[2].toLowerCase(),
+      chainId: Number(nft[1]),
+      contract: ethers.getAddress(nft[3].toLowerCase()),
+      tokenId: BigInt(nft[4]),
+    };
+  }
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value)?.[1].toLowerCase();
+  if (scheme === 'https' || scheme === 'http' || scheme === 'ipfs' || scheme === 'ipns' || scheme === 'ar') {
+    return { type: scheme, uri: value };
+  }
+  if (scheme === 'data') {
+    return /^data:image\//i.test(value) ? { type: 'data', uri: value } : null;
+  }
+  // Bare CIDv0 / CIDv1 (common in older records)
+  if (/^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/.*)?$/.test(value)) return { type: 'ipfs', uri: `ipfs://${value}` };
+  return null;
+}
+
+/**
+ * HTTP(S) URL for an http/https/ipfs/ipns/ar URI; data: URIs are returned
+ * unchanged. Throws AVATAR_INVALID_URI for anything else.
+ *
+ * @param {string} uri
+ * @param {{ ipfsGateway?: string, arweaveGateway?: string }} [gateways]
+ * @returns {string}
+ */
+function toGatewayUrl(uri, { ipfsGateway = DEFAULT_IPFS_GATEWAY, arweaveGateway = DEFAULT_ARWEAVE_GATEWAY } = {}) {
+  const ipfs = ipfsGateway.replace(/\/+$/, '');
+  const match = /^([a-z][a-z0-9+.-]*):(?:\/\/)?(.*)$/i.exec(uri.trim());
+  if (!match) throw avatarError('AVATAR_INVALID_URI', `Unsupported avatar URI "${uri}"`);
+  const [, scheme, rest] = match;
+  switch (scheme.toLowerCase()) {
+    case 'https':
+    case 'http':
+    case 'data':
+      return uri.trim();
+    case 'ipfs':
+      // ipfs://ipfs/<cid> is a common mistake for ipfs://<cid>
+      return `${ipfs}/ipfs/${rest.replace(/^ipfs\//i, '')}`;
+    case 'ipns':
+      return `${ipfs}/ipns/${rest}`;
+    case 'ar':
+      return `${arweaveGateway.replace(/\/+$/, '')}/${rest}`;
+    default:
+      throw avatarError('AVATAR_INVALID_URI', `Unsupported avatar URI "${uri}"`);
+  }
+}
+
+/**
+ * Image MIME type from the first bytes, or null.
+ *
+ * @param {Buffer} buf
+ * @returns {string|null}
+ */
+function sniffImageType(buf) {
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  const ascii = buf.subarray(0, 16).toString('latin1');
+  if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) return 'image/gif';
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii.slice(4, 12) === 'ftypavif') return 'image/avif';
+  const head = buf.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '');
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(head)) return 'image/svg+xml';
+  return null;
+}
+
+/**
+ * Strip active and external content from an SVG: scripts, foreignObject,
+ * event handlers, entity declarations, and links or CSS urls that leave the
+ * document (only `#fragment` and inline raster data: URIs are kept).
+ * Served with a restrictive CSP as well, so this is defence in depth.
+ *
+ * @param {string} svg
+ * @returns {string}
+ */
+function sanitizeSvg(svg) {
+  // Attribute value: quoted or unquoted
+  const value = `(?:"[^"]*"|'[^']*'|[^\\s"'>]+)`;
+  const dangerous = 'script|foreignObject|iframe|object|embed|set|animate|animateTransform|animateMotion';
+  const localRef = '#|data:image/(?:png|jpe?g|gif|webp|avif)[;,]';
+  return svg
+    .replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi, '')
+    .replace(/<!ENTITY[\s\S]*?>/gi, '')
+    .replace(new RegExp(`<(${dangerous})\\b[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '')
+    .replace(new RegExp(`<(${dangerous})\\b[^>]*>`, 'gi'), '')
+    // Browsers also accept "/" or a closing quote before an attribute (<svg/onload=…>)
+    .replace(new RegExp(`([\\s/"'])on[a-z]+\\s*=\\s*${value}`, 'gi'), '$1')
+    .replace(new RegExp(`([\\s/"'])(?:xlink:)?href\\s*=\\s*(?!["']?(?:${localRef}))${value}`, 'gi'), '$1')
+    .replace(/@import[^;]*;?/gi, '')
+    .replace(new RegExp(`url\\(\\s*(["']?)(?!${localRef})[^)]*\\)`, 'gi'), 'none');
+}
+
+/** Decode a data: URI. @returns {{ contentType: string, body: Buffer }} */
+function decodeDataUri(uri) {
+  const match = /^data:([^,;]*)((?:;[^,;]*)*?)(;base64)?,(.*)$/is.exec(uri);
+  if (!match) throw avatarError('AVATAR_INVALID_URI', 'Malformed data: URI');
+  const body = match[3] ? Buffer.from(match[4], 'base64') : Buffer.from(decodeURIComponent(match[4]), 'utf8');
+  return { contentType: (match[1] || 'text/plain').toLowerCase(), body };
+}
+
+/**
+ * Create the avatar service.
+ *
+ * @param {Object} [options]
+ * @param {(chainId: number) => object|null} [options.getProvider] - Provider for NFT checks on a chain
+ * @param {string} [options.ipfsGateway]
+ * @param {string} [options.arweaveGateway]
+ * @param {number} [options.maxBytes=2097152] - Largest image the proxy accepts
+ * @param {number} [options.timeoutMs=10000] - Per HTTP request
+ * @param {boolean} [options.allowPrivateHosts=false] - Allow local / private addresses (tests, local dev)
+ * @returns {{ resolve(record: string, options: { owner: string|null }): Promise<object>, fetchImage(url: string): Promise<{ contentType: string, body: Buffer }> }}
+ */
+function createAvatarService({
+  getProvider = () => null,
+  ipfsGateway = DEFAULT_IPFS_GATEWAY,
+  arweaveGateway = DEFAULT_ARWEAVE_GATEWAY,
+  maxBytes = DEFAULT_MAX_BYTES,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  allowPrivateHosts = false,
+} = {}) {
+  const gateways = { ipfsGateway, arweaveGateway };
+  const lookup = allowPrivateHosts ? dns.lookup : publicLookup;
+  const images = new TTLCache(IMAGE_CACHE_TTL_MS, IMAGE_CACHE_ENTRIES);
+
+  /** Refuse localhost and private IP literals; hostnames are checked by publicLookup when connecting. */
+  function assertPublicHost(url) {
+    if (!allowPrivateHosts && isPrivateHost(url)) {
+      throw avatarError('AVATAR_BLOCKED_HOST', `Refusing to fetch from ${url.origin}`);
+    }
+  }
+
+  /**
+   * GET an http(s) or data: URL with a size limit, following redirects
+   * only to public hosts.
+   *
+   * @returns {Promise<{ contentType: string, body: Buffer }>}
+   */
+  async function fetchLimited(href, limit) {
+    if (/^data:/i.test(href)) {
+      const decoded = decodeDataUri(href);
+      if (decoded.body.length > limit) throw avatarError('AVATAR_TOO_LARGE', `Avatar exceeds ${limit} bytes`);
+      return decoded;
+    }
+    let url = new URL(href);
+    for (let redirects = 0; ; redirects++) {
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw avatarError('AVATAR_INVALID_URI', `Unsupported URL scheme ${url.protocol}`);
+      }
+      assertPublicHost(url);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const res = await httpRequest(url, { lookup, signal: controller.signal });
+        // Bodies that won't be read are destroyed so the socket is released
+        if (res.status >= 300 && res.status < 400 && res.headers.get('location')) {
+          res.body.destroy();
+          if (redirects >= MAX_REDIRECTS) throw avatarError('AVATAR_FETCH_FAILED', `Too many redirects from ${url.origin}`);
+          url = new URL(res.headers.get('location'), url);
+          continue;
+        }
+        if (!res.ok) {
+          res.body.destroy();
+          throw avatarError('AVATAR_FETCH_FAILED', `${url.origin} returned HTTP ${res.status}`);
+        }
+        if (Number(res.headers.get('content-length')) > limit) {
+          res.body.destroy();
+          throw avatarError('AVATAR_TOO_LARGE', `Avatar exceeds ${limit} bytes`);
+        }
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of res.body) {
+          size += chunk.length;
+          if (size > limit) {
+            controller.abort();
+            throw avatarError('AVATAR_TOO_LARGE', `Avatar exceeds ${limit} bytes`);
+          }
+          chunks.push(chunk);
+        }
+        return { contentType: (res.headers.get('content-type') || '').toLowerCase(), body: Buffer.concat(chunks) };
+      } catch (e) {
+        if (isAvatarError(e)) throw e;
+        if (e.code === 'PRIVATE_ADDRESS') {
+          throw avatarError('AVATAR_BLOCKED_HOST', `Refusing to fetch from ${url.origin} (private address)`);
+        }
+        throw avatarError('AVATAR_FETCH_FAILED', controller.signal.aborted
+          ? `${url.origin} timed out after ${timeoutMs}ms`
+          : `Could not fetch from ${url.origin}: ${e.message}`);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  async function readContract(provider, contract, fragment, args) {
+    const raw = await provider.call({ to: contract, data: nftInterface.encodeFunctionData(fragment, args) });
+    return nftInterface.decodeFunctionResult(fragment, raw)[0];
+  }
+
+  /** Ownership check and metadata image of an NFT avatar. */
+  async function resolveNft(parsed, owner) {
+    const nft = {
+      chainId: parsed.chainId,
+      standard: parsed.type,
+      contract: parsed.contract,
+      tokenId: parsed.tokenId.toString(),
+      owner,
+      verified: false,
+    };
+    const provider = getProvider(parsed.chainId);
+    if (!provider) return { nft, error: `No RPC configured for chain ${parsed.chainId}` };
+    if (!owner) return { nft, error: 'Name has no address to verify NFT ownership against' };
+
+    let tokenUri;
+    try {
+      if (parsed.type === 'erc721') {
+        const [holder, uri] = await Promise.all([
+          readContract(provider, parsed.contract, 'ownerOf', [parsed.tokenId]),
+          readContract(provider, parsed.contract, 'tokenURI', [parsed.tokenId]),
+        ]);
+        if (holder.toLowerCase() !== owner.toLowerCase()) return { nft, error: `NFT is owned by ${holder}, not the name's address` };
+        tokenUri = uri;
+      } else {
+        const [balance, uri] = await Promise.all([
+          readContract(provider, parsed.contract, 'balanceOf', [owner, parsed.tokenId]),
+          readContract(provider, parsed.contract, 'uri', [parsed.tokenId]),
+        ]);
+        if (balance === 0n) return { nft, error: "The name's address holds none of this token" };
+        // ERC-1155: {id} is the token id as 64 lowercase hex digits
+        tokenUri = uri.replace(/\{id\}/g, parsed.tokenId.toString(16).padStart(64, '0'));
+      }
+    } catch (e) {
+      return { nft, error: `Could not read NFT contract: ${e.shortMessage || e.message}` };
+    }
+    nft.verified = true;
+
+    const metadataUrl = toGatewayUrl(tokenUri, gateways);
+    nft.metadataUrl = /^data:/i.test(metadataUrl) ? null : metadataUrl;
+    const { body } = await fetchLimited(metadataUrl, MAX_METADATA_BYTES);
+    let metadata;
+    try {
+      metadata = JSON.parse(body.toString('utf8'));
+    } catch {
+      return { nft, error: 'NFT metadata is not valid JSON' };
+    }
+    const image = metadata.image || metadata.image_url
+      || (metadata.image_data ? `data:image/svg+xml;base64,${Buffer.from(String(metadata.image_data)).toString('base64')}` : null);
+    if (typeof image !== 'string' || !image) return { nft, error: 'NFT metadata has no image' };
+    return { nft, url: toGatewayUrl(image, gateways) };
+  }
+
+  /**
+   * Resolve an avatar record to an image URL.
+   * `url` is null (with `error`) when the record is unsupported or an NFT
+   * avatar fails verification; network failures reject.
+   *
+   * @param {string} record - The `avatar` text record
+   * @param {{ owner: string|null }} options - The name's (mainnet) address
+   * @returns {Promise<{ record: string, type: string|null, url: string|null, nft?: object, error?: string }>}
+   */
+  async function resolve(record, { owner }) {
+    const parsed = parseAvatarUri(record);
+    if (!parsed) return { record, type: null, url: null, error: 'Unsupported avatar URI' };
+    if (parsed.type === 'erc721' || parsed.type === 'erc1155') {
+      const { nft, url = null, error } = await resolveNft(parsed, owner);
+      return error ? { record, type: parsed.type, url: null, nft, error } : { record, type: parsed.type, url, nft };
+    }
+    return { record, type: parsed.type, url: toGatewayUrl(parsed.uri, gateways) };
+  }
+
+  /**
+   * Download an avatar image for the proxy (cached per URL).
+   *
+   * @param {string} url - Resolved avatar URL (http(s) or data:)
+   * @returns {Promise<{ contentType: string, body: Buffer }>}
+   */
+  function fetchImage(url) {
+    return images.getOrLoad(url, async () => {
+      const { body } = await fetchLimited(url, maxBytes);
+      const contentType = sniffImageType(body);
+      if (!contentType) throw avatarError('AVATAR_UNSUPPORTED_TYPE', 'Avatar is not a supported image type');
+      if (contentType !== 'image/svg+xml') return { contentType, body };
+      return { contentType, body: Buffer.from(sanitizeSvg(body.toString('utf8')), 'utf8') };
+    });
+  }
+
+  return { resolve, fetchImage };
+}
+
+module.exports = {
+  createAvatarService,
+  parseAvatarUri,
+  toGatewayUrl,
+  sniffImageType,
+  sanitizeSvg,
+  isAvatarError,
+  isPrivateAddress,
+  nftInterface,
+};
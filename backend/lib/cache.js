@@ -1,40 +1,122 @@
 /**
- * Simple in-memory TTL cache for ENS lookups.
+ * ENS lookup caches.
  *
  * ENS records change infrequently, so caching significantly reduces RPC calls.
- * Default TTL is 5 minutes. Cache is bounded to prevent unbounded memory growth.
+ *
+ *  - TTLCache     — bounded in-memory LRU cache; default TTL is 5 minutes
+ *  - LayeredCache — TTLCache in front of a shared Redis tier, so entries
+ *                   survive serverless cold starts; caches misses (null) with
+ *                   a shorter TTL and applies per-record-type TTLs
+ *
+ * Both offer `getOrLoad(key, loader, { ttl, staleTtl })`: concurrent loads of
+ * the same key share one loader call, and entries past their TTL but within
+ * `staleTtl` are returned immediately while a refresh runs in the background
+ * (stale-while-revalidate).
  */
 
 const DEFAULT_TTL_MS = 5 * 60 * 1000; // 5 minutes
 const MAX_ENTRIES = 10000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Per-record-type TTLs (ms); the type is the key prefix before the first ':'
+const DEFAULT_TYPE_TTLS_MS = {
+  resolver: 10 * 60 * 1000,
+  resolve: 5 * 60 * 1000,
+  reverse: 5 * 60 * 1000,
+  text: 10 * 60 * 1000,
+  avatar: 60 * 60 * 1000,
+  contenthash: 60 * 60 * 1000,
+  // Registry / registrar / NameWrapper state; short so transfers and renewals show up soon
+  ownership: 5 * 60 * 1000,
+  // Text keys discovered from resolver logs (a scan costs many eth_getLogs calls)
+  textkeys: 60 * 60 * 1000,
+  // How a name's records were answered (onchain / offchain gateway); outlives the records it describes
+  resolution: 60 * 60 * 1000,
+};
+// Misses (unregistered names, unset records) are re-checked sooner
+const DEFAULT_NEGATIVE_TTL_MS = 60 * 1000;
+// How long an expired ENS entry may still be served while it is refreshed
+const DEFAULT_STALE_TTL_MS = 60 * 1000;
+const REDIS_PREFIX = 'ens:cache:';
+
+/**
+ * Run `fn` once per key at a time: callers arriving while a load is in
+ * flight get the same promise.
+ *
+ * @param {Map<string, Promise<any>>} inflight
+ * @param {string} key
+ * @param {() => Promise<any>} fn
+ * @returns {Promise<any>}
+ */
+function coalesce(inflight, key, fn) {
+  if (inflight.has(key)) return inflight.get(key);
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+}
 
 class TTLCache {
   /**
    * @param {number} [ttlMs] - Time-to-live in milliseconds (default: 5 min)
    * @param {number} [maxEntries] - Maximum cache entries (default: 10000)
+   * @param {Object} [options]
+   * @param {number} [options.staleTtlMs] - Default stale window for getOrLoad (default: 0)
+   * @param {number} [options.sweepIntervalMs] - Minimum time between sweeps of expired entries
+   * @param {() => number} [options.now] - Clock (tests inject a fake one)
    */
-  constructor(ttlMs = DEFAULT_TTL_MS, maxEntries = MAX_ENTRIES) {
+  constructor(ttlMs = DEFAULT_TTL_MS, maxEntries = MAX_ENTRIES, {
+    staleTtlMs = 0,
+    sweepIntervalMs = SWEEP_INTERVAL_MS,
+    now = Date.now,
+  } = {}) {
     this._ttlMs = ttlMs;
     this._maxEntries = maxEntries;
-    /** @type {Map<string, { value: any, expiresAt: number }>} */
+    this._staleTtlMs = staleTtlMs;
+    this._sweepIntervalMs = sweepIntervalMs;
+    this._now = now;
+    this._lastSweep = now();
+    /**
+     * Insertion order is recency order: reads move an entry to the end, so
+     * the first key is always the least recently used.
+     * @type {Map<string, { value: any, expiresAt: number, staleUntil: number }>}
+     */
     this._store = new Map();
+    /** @type {Map<string, Promise<any>>} */
+    this._inflight = new Map();
   }
 
   /**
-   * Get a value from the cache.
-   * Returns undefined if not found or expired.
+   * Look up an entry, including stale ones, and mark it as recently used.
+   * Returns undefined if not found or past its stale window.
    *
    * @param {string} key
-   * @returns {any|undefined}
+   * @returns {{ value: any, stale: boolean }|undefined}
    */
-  get(key) {
+  getEntry(key) {
     const entry = this._store.get(key);
     if (!entry) return undefined;
-    if (Date.now() > entry.expiresAt) {
+    const now = this._now();
+    if (now >= entry.staleUntil) {
       this._store.delete(key);
       return undefined;
     }
-    return entry.value;
+    this._store.delete(key);
+    this._store.set(key, entry);
+    return { value: entry.value, stale: now >= entry.expiresAt };
+  }
+
+  /**
+   * Get a value from the cache.
+   * Returns undefined if not found or expired.
+   *
+   * @param {string} key
+   * @returns {any|undefined}
+   */
+  get(key) {
+    const entry = this.getEntry(key);
+    return entry && !entry.stale ? entry.value : undefined;
   }
 
   /**
@@ -43,17 +125,46 @@ class TTLCache {
    * @param {string} key
    * @param {any} value
    * @param {number} [ttlMs] - Override TTL for this entry
+   * @param {number} [staleTtlMs] - How long after expiry getOrLoad may still serve it
    */
-  set(key, value, ttlMs) {
-    // Evict oldest entries if at capacity
-    if (this._store.size >= this._maxEntries) {
-      const oldest = this._store.keys().next().value;
-      this._store.delete(oldest);
+  set(key, value, ttlMs, staleTtlMs) {
+    this._maybeSweep();
+    this._store.delete(key);
+    // Evict least recently used entries if at capacity
+    while (this._store.size >= this._maxEntries) {
+      this._store.delete(this._store.keys().next().value);
     }
+    const expiresAt = this._now() + (ttlMs ?? this._ttlMs);
     this._store.set(key, {
       value,
-      expiresAt: Date.now() + (ttlMs ?? this._ttlMs),
+      expiresAt,
+      staleUntil: expiresAt + (staleTtlMs ?? this._staleTtlMs),
+    });
+  }
+
+  /**
+   * Return the cached value, or load, cache and return it.
+   *
+   * Concurrent calls for a key share one `loader` call. A stale entry (past
+   * `ttl`, within `staleTtl`) is returned at once and refreshed in the
+   * background; a failed refresh keeps the stale value. `undefined` results
+   * are not cached.
+   *
+   * @param {string} key
+   * @param {() => Promise<any>} loader
+   * @param {{ ttl?: number, staleTtl?: number }} [options] - Milliseconds
+   * @returns {Promise<any>}
+   */
+  getOrLoad(key, loader, { ttl, staleTtl } = {}) {
+    const load = () => coalesce(this._inflight, key, async () => {
+      const value = await loader();
+      if (value !== undefined) this.set(key, value, ttl, staleTtl);
+      return value;
     });
+    const entry = this.getEntry(key);
+    if (!entry) return load();
+    if (entry.stale) load().catch(() => {});
+    return Promise.resolve(entry.value);
   }
 
   /**
@@ -80,13 +191,265 @@ class TTLCache {
     this._store.clear();
   }
 
-  /** Number of entries currently in the cache (including expired). */
+  /**
+   * Drop every entry past its stale window. Runs automatically on writes at
+   * most once per sweep interval.
+   *
+   * @returns {number} Entries removed
+   */
+  sweep() {
+    const now = this._now();
+    this._lastSweep = now;
+    let removed = 0;
+    for (const [key, entry] of this._store) {
+      if (now >= entry.staleUntil) {
+        this._store.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  _maybeSweep() {
+    if (this._now() - this._lastSweep >= this._sweepIntervalMs) this.sweep();
+  }
+
+  /** Number of live (unexpired or still servable stale) entries. */
   get size() {
+    this.sweep();
     return this._store.size;
   }
 }
 
-// Singleton cache instance used across the backend
-const ensCache = new TTLCache();
+function emptyStats() {
+  return { hits: 0, misses: 0, negativeHits: 0, staleHits: 0, sets: 0 };
+}
+
+/**
+ * Two-tier cache: process-local TTLCache (L1) backed by Redis (L2).
+ *
+ * `get` resolves to the cached value, `null` for a cached miss, or
+ * `undefined` when nothing fresh is cached. Redis entries carry their
+ * absolute expiry, so values copied into L1 never outlive the shared copy.
+ * Redis errors are counted and treated as misses — ENS lookups keep working
+ * without the shared tier.
+ */
+class LayeredCache {
+  /**
+   * @param {Object} [options]
+   * @param {TTLCache} [options.local] - L1 cache
+   * @param {object|null} [options.redis] - Storage client for L2 (null: L1 only)
+   * @param {Object<string, number>} [options.ttls] - TTL overrides in ms, keyed by record type
+   * @param {number} [options.defaultTtlMs] - TTL for types without an entry in `ttls`
+   * @param {number} [options.negativeTtlMs] - TTL for cached misses
+   * @param {number} [options.staleTtlMs] - Default stale window for getOrLoad
+   * @param {() => number} [options.now]
+   */
+  constructor({
+    local = new TTLCache(),
+    redis = null,
+    ttls = {},
+    defaultTtlMs = DEFAULT_TTL_MS,
+    negativeTtlMs = DEFAULT_NEGATIVE_TTL_MS,
+    staleTtlMs = DEFAULT_STALE_TTL_MS,
+    now = Date.now,
+  } = {}) {
+    this._local = local;
+    this._redis = redis;
+    this._ttls = { ...DEFAULT_TYPE_TTLS_MS, ...ttls };
+    this._defaultTtlMs = defaultTtlMs;
+    this._negativeTtlMs = negativeTtlMs;
+    this._staleTtlMs = staleTtlMs;
+    this._now = now;
+    /** @type {Map<string, Promise<any>>} */
+    this._inflight = new Map();
+    this.resetStats();
+  }
+
+  /** Record type of a key (`resolve:vitalik.eth` → `resolve`). */
+  typeOf(key) {
+    const i = key.indexOf(':');
+    return i === -1 ? key : key.slice(0, i);
+  }
+
+  /** TTL in ms for a value under `key`. */
+  ttlFor(key, value) {
+    if (value === null) return this._negativeTtlMs;
+    return this._ttls[this.typeOf(key)] ?? this._defaultTtlMs;
+  }
+
+  /** Default stale-while-revalidate window in ms. */
+  get staleTtlMs() {
+    return this._staleTtlMs;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<any|null|undefined>}
+   */
+  async get(key) {
+    const entry = await this._lookup(key);
+    if (!entry || entry.stale) {
+      this._typeStats(key).misses++;
+      return undefined;
+    }
+    this._countHit(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Return the cached value (null for a cached miss), or load and cache it.
+   * Loads are coalesced per key; stale entries are served while refreshing.
+   * Falsy loader results are cached as misses.
+   *
+   * @param {string} key - `<record type>:...`, e.g. `text:vitalik.eth:url`
+   * @param {() => Promise<any>} loader
+   * @param {{ ttl?: number, staleTtl?: number }} [options] - Milliseconds; default per record type
+   * @returns {Promise<any|null>}
+   */
+  async getOrLoad(key, loader, { ttl, staleTtl } = {}) {
+    const load = () => coalesce(this._inflight, key, async () => {
+      const value = (await loader()) || null;
+      await this.set(key, value, { ttl, staleTtl });
+      return value;
+    });
+
+    const entry = await this._lookup(key);
+    if (!entry) {
+      this._typeStats(key).misses++;
+      return load();
+    }
+    this._countHit(key, entry);
+    if (entry.stale) {
+      load().catch(() => { this._stats.refreshErrors++; });
+    }
+    return entry.value;
+  }
+
+  /**
+   * Cache a value; `null` (or `undefined`) caches a miss with the negative TTL.
+   *
+   * @param {string} key
+   * @param {any} value
+   * @param {{ ttl?: number, staleTtl?: number }} [options] - Milliseconds
+   */
+  async set(key, value, { ttl, staleTtl = this._staleTtlMs } = {}) {
+    const stored = value === undefined ? null : value;
+    const ttlMs = ttl ?? this.ttlFor(key, stored);
+    this._typeStats(key).sets++;
+    this._local.set(key, stored, ttlMs, staleTtl);
+    if (!this._redis) return;
+    try {
+      const expiresAt = this._now() + ttlMs;
+      const payload = JSON.stringify({ v: stored, e: expiresAt, s: expiresAt + staleTtl });
+      await this._redis.set(REDIS_PREFIX + key, payload, { px: ttlMs + staleTtl });
+    } catch (e) {
+      this._stats.l2Errors++;
+    }
+  }
+
+  /** Remove a key from both tiers. */
+  async delete(key) {
+    this._local.delete(key);
+    if (!this._redis) return;
+    try {
+      await this._redis.del(REDIS_PREFIX + key);
+    } catch (e) {
+      this._stats.l2Errors++;
+    }
+  }
+
+  /** Clear the local tier (the shared tier expires on its own). */
+  clear() {
+    this._local.clear();
+  }
+
+  /**
+   * Hit/miss counters since start (or the last resetStats), overall and per record type.
+   */
+  stats() {
+    const byType = {};
+    const total = emptyStats();
+    for (const [type, s] of Object.entries(this._stats.byType)) {
+      const lookups = s.hits + s.misses;
+      byType[type] = { ...s, hitRate: lookups ? s.hits / lookups : null, ttlMs: this._ttls[type] ?? this._defaultTtlMs };
+      for (const k of Object.keys(total)) total[k] += s[k];
+    }
+    const lookups = total.hits + total.misses;
+    return {
+      ...total,
+      hitRate: lookups ? total.hits / lookups : null,
+      refreshErrors: this._stats.refreshErrors,
+      l1: { hits: this._stats.l1Hits, size: this._local.size },
+      l2: { enabled: !!this._redis, hits: this._stats.l2Hits, errors: this._stats.l2Errors },
+      negativeTtlMs: this._negativeTtlMs,
+      staleTtlMs: this._staleTtlMs,
+      byType,
+      since: this._stats.since,
+    };
+  }
+
+  resetStats() {
+    this._stats = { l1Hits: 0, l2Hits: 0, l2Errors: 0, refreshErrors: 0, byType: {}, since: this._now() };
+  }
+
+  _typeStats(key) {
+    const type = this.typeOf(key);
+    if (!this._stats.byType[type]) this._stats.byType[type] = emptyStats();
+    return this._stats.byType[type];
+  }
+
+  _countHit(key, entry) {
+    const typeStats = this._typeStats(key);
+    typeStats.hits++;
+    if (entry.value === null) typeStats.negativeHits++;
+    if (entry.stale) typeStats.staleHits++;
+    this._stats[entry.tier === 'l1' ? 'l1Hits' : 'l2Hits']++;
+  }
+
+  /** Entry from L1, else L2 (copied into L1). @returns {Promise<{ value, stale, tier }|undefined>} */
+  async _lookup(key) {
+    const local = this._local.getEntry(key);
+    if (local) return { ...local, tier: 'l1' };
+    if (!this._redis) return undefined;
+
+    let raw;
+    try {
+      raw = await this._redis.get(REDIS_PREFIX + key);
+    } catch (e) {
+      this._stats.l2Errors++;
+      return undefined;
+    }
+    if (raw === null || raw === undefined) return undefined;
+    // Upstash deserializes JSON itself; ioredis and memory return the string
+    const entry = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    const now = this._now();
+    const staleUntil = entry.s ?? entry.e;
+    if (staleUntil <= now) return undefined;
+    if (entry.e > now) this._local.set(key, entry.v, entry.e - now, staleUntil - entry.e);
+    return { value: entry.v, stale: entry.e <= now, tier: 'l2' };
+  }
+}
+
+/**
+ * Parse ENS_CACHE_TTLS: JSON object of record type → TTL in seconds.
+ * Invalid input is ignored.
+ *
+ * @param {string|undefined} raw
+ * @returns {Object<string, number>} TTLs in ms
+ */
+function parseCacheTtls(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    const out = {};
+    for (const [type, seconds] of Object.entries(parsed || {})) {
+      if (typeof seconds === 'number' && Number.isFinite(seconds) && seconds >= 0) out[type] = seconds * 1000;
+    }
+    return out;
+  } catch {
+    return {};
+  }
+}
 
-module.exports = { TTLCache, ensCache };
+module.exports = { TTLCache, LayeredCache, parseCacheTtls, coalesce, DEFAULT_TYPE_TTLS_MS };
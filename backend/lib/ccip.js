@@ -0,0 +1,269 @@
+/**
+ * CCIP-Read (EIP-3668) client with a gateway allowlist.
+ *
+ * Offchain and L2 resolvers answer `eth_call` by reverting with
+ * `OffchainLookup(sender, urls, callData, callbackFunction, extraData)`. The
+ * client then asks one of `urls` (an HTTP gateway) for the answer and passes
+ * it back to `sender.callbackFunction(response, extraData)`, which verifies
+ * it onchain. Gateway URLs come from contracts, so only allowlisted gateways
+ * are contacted:
+ *
+ *   *                 any https gateway except localhost and IP literals (default)
+ *   gateway.example   exactly that host (http and private addresses allowed — for local gateways)
+ *   *.example.com     any https subdomain of example.com
+ *
+ * Hosts matched by `*` or `*.example.com` must also resolve to public
+ * addresses, checked when the socket connects (lib/publichttp.js), so a
+ * contract can't point the backend at internal services by DNS name. Hosts
+ * listed exactly are trusted by the operator and may be private. Responses
+ * are capped at MAX_RESPONSE_BYTES and redirects are not followed.
+ *
+ * Failures throw with a `CCIP_*` code so callers can tell a failed offchain
+ * lookup from a missing record:
+ *   CCIP_GATEWAY_NOT_ALLOWED  no URL passed the allowlist
+ *   CCIP_GATEWAY_ERROR        every allowed gateway failed (HTTP error, bad response)
+ *   CCIP_TIMEOUT              the gateway did not answer within timeoutMs
+ *   CCIP_SENDER_MISMATCH      OffchainLookup raised by a different contract
+ *   CCIP_TOO_MANY_LOOKUPS     more chained lookups than maxLookups
+ */
+const dns = require('node:dns');
+const { ethers } = require('ethers');
+const { httpRequest, readLimited, publicLookup, isPrivateHost } = require('./publichttp');
+
+const OFFCHAIN_LOOKUP_SELECTOR = '0x556f1830';
+const DEFAULT_TIMEOUT_MS = 10_000;
+// EIP-3668 recommends following at most 4 chained lookups
+const DEFAULT_MAX_LOOKUPS = 4;
+// Gateway answers are ABI-encoded records and proofs; anything bigger is refused
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+const offchainLookupInterface = new ethers.Interface([
+  'error OffchainLookup(address sender, string[] urls, bytes callData, bytes4 callbackFunction, bytes extraData)',
+]);
+
+function ccipError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+function isCcipError(err) {
+  return typeof err?.code === 'string' && err.code.startsWith('CCIP_');
+}
+
+/** Revert data of a failed eth_call, or null (ethers and raw JSON-RPC error shapes). */
+function revertData(err) {
+  for (const data of [err?.data, err?.info?.error?.data, err?.error?.data]) {
+    if (typeof data === 'string' && ethers.isHexString(data)) return data;
+  }
+  return null;
+}
+
+/**
+ * Parse CCIP_GATEWAY_ALLOWLIST (comma-separated hosts / patterns).
+ * Unset or empty means `*`.
+ *
+ * @param {string|undefined} raw
+ * @returns {string[]}
+ */
+function parseAllowlist(raw) {
+  const list = (raw || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+  return list.length > 0 ? list : ['*'];
+}
+
+/**
+ * Whether `url` may be contacted under `allowlist`.
+ *
+ * @param {string} url - Gateway URL template (may contain {sender} / {data})
+ * @param {string[]} allowlist
+ * @returns {boolean}
+ */
+function isAllowedGateway(url, allowlist) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = u.hostname.toLowerCase();
+  const https = u.protocol === 'https:';
+  if (!https && u.protocol !== 'http:') return false;
+  return allowlist.some((entry) => {
+    if (entry === host) return true;
+    if (!https) return false;
+    if (entry === '*') return !isPrivateHost(u) && !/^[\d.]+$/.test(host) && !host.startsWith('[');
+    return entry.startsWith('*.') && host.endsWith(entry.slice(1));
+  });
+}
+
+/** Origin of a gateway URL template, for metadata and errors (paths may carry keys). */
+function gatewayOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * Ask one gateway for the answer to `callData`. Errors carry `retryable`
+ * when another gateway may be tried. Only the gateway's origin and HTTP
+ * status are reported: the response body is gateway-controlled and error
+ * messages reach API clients.
+ */
+async function gatewayRequest(url, sender, callData, { allowlist, timeoutMs }) {
+  const href = url.replace('{sender}', sender.toLowerCase()).replace('{data}', callData);
+  // Templates with {data} are fetched with GET; others get the request as JSON
+  const init = url.includes('{data}')
+    ? { method: 'GET' }
+    : { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ data: callData, sender: sender.toLowerCase() }) };
+  const gateway = gatewayOrigin(url);
+  const target = new URL(href);
+  // Exactly listed hosts are operator-trusted; wildcard matches must resolve publicly
+  const lookup = allowlist.includes(target.hostname.toLowerCase()) ? dns.lookup : publicLookup;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let res;
+  let raw;
+  try {
+    res = await httpRequest(target, { ...init, lookup, signal: controller.signal });
+    raw = await readLimited(res.body, MAX_RESPONSE_BYTES);
+  } catch (e) {
+    if (e.code === 'PRIVATE_ADDRESS') {
+      throw ccipError('CCIP_GATEWAY_NOT_ALLOWED', `CCIP-Read gateway ${gateway} resolves to a private address`, { gateway, retryable: true });
+    }
+    if (controller.signal.aborted) {
+      throw ccipError('CCIP_TIMEOUT', `CCIP-Read gateway ${gateway} timed out after ${timeoutMs}ms`, { gateway });
+    }
+    throw ccipError('CCIP_GATEWAY_ERROR', `CCIP-Read gateway ${gateway} failed: ${e.code || 'network error'}`, { gateway, retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!res.ok) {
+    // 4xx means the request itself is bad; EIP-3668 says not to try other gateways
+    throw ccipError('CCIP_GATEWAY_ERROR', `CCIP-Read gateway ${gateway} returned HTTP ${res.status}`, {
+      gateway, status: res.status, retryable: res.status >= 500,
+    });
+  }
+  if (raw === null) {
+    throw ccipError('CCIP_GATEWAY_ERROR', `CCIP-Read gateway ${gateway} response exceeds ${MAX_RESPONSE_BYTES} bytes`, { gateway, retryable: true });
+  }
+  let body = null;
+  try {
+    body = JSON.parse(raw.toString('utf8'));
+  } catch {
+    // reported as invalid below
+  }
+  if (!body || !ethers.isHexString(body.data)) {
+    throw ccipError('CCIP_GATEWAY_ERROR', `CCIP-Read gateway ${gateway} returned an invalid response`, { gateway, retryable: true });
+  }
+  return { data: body.data, gateway };
+}
+
+/** Try allowed gateways in order until one answers. */
+async function fetchGateway(urls, sender, callData, options) {
+  const allowed = urls.filter((url) => isAllowedGateway(url, options.allowlist));
+  if (allowed.length === 0) {
+    throw ccipError('CCIP_GATEWAY_NOT_ALLOWED',
+      `No allowed CCIP-Read gateway (offered: ${urls.map(gatewayOrigin).join(', ') || 'none'})`,
+      { gateway: urls.length > 0 ? gatewayOrigin(urls[0]) : null });
+  }
+  let lastError;
+  for (const url of allowed) {
+    try {
+      return await gatewayRequest(url, sender, callData, options);
+    } catch (e) {
+      lastError = e;
+      if (!e.retryable) break;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Create a CCIP-Read client.
+ *
+ * @param {Object} options
+ * @param {object} options.provider - Anything with `call({ to, data })`
+ * @param {string[]} [options.allowlist=['*']]
+ * @param {number} [options.timeoutMs=10000] - Per gateway request
+ * @param {number} [options.maxLookups=4]
+ * @returns {{ call(tx: { to: string, data: string }): Promise<{ data: string, gateway: string|null }>, isAllowed(url: string): boolean }}
+ */
+function createCcipReader({
+  provider,
+  allowlist = ['*'],
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxLookups = DEFAULT_MAX_LOOKUPS,
+}) {
+  const isAllowed = (url) => isAllowedGateway(url, allowlist);
+
+  /**
+   * `eth_call` that follows OffchainLookup reverts.
+   * `gateway` is the origin of the last gateway used, or null if the call
+   * was answered onchain.
+   */
+  async function call(tx) {
+    let current = { to: tx.to, data: tx.data };
+    let gateway = null;
+    for (let lookups = 0; ; lookups++) {
+      try {
+        const data = await provider.call(current);
+        return { data, gateway };
+      } catch (e) {
+        const data = revertData(e);
+        if (!data || ethers.dataSlice(data, 0, 4) !== OFFCHAIN_LOOKUP_SELECTOR) throw e;
+        if (lookups >= maxLookups) {
+          throw ccipError('CCIP_TOO_MANY_LOOKUPS', `CCIP-Read gave up after ${maxLookups} chained lookups`, { gateway });
+        }
+        const { sender, urls, callData, callbackFunction, extraData } = offchainLookupInterface.parseError(data).args;
+        if (sender.toLowerCase() !== current.to.toLowerCase()) {
+          throw ccipError('CCIP_SENDER_MISMATCH', `OffchainLookup sender ${sender} is not the called contract ${current.to}`, { gateway });
+        }
+        const response = await fetchGateway(Array.from(urls), sender, callData, { allowlist, timeoutMs });
+        gateway = response.gateway;
+        current = {
+          to: sender,
+          data: ethers.concat([callbackFunction, ethers.AbiCoder.defaultAbiCoder().encode(['bytes', 'bytes'], [response.data, extraData])]),
+        };
+      }
+    }
+  }
+
+  return { call, isAllowed };
+}
+
+/**
+ * Route ethers' own CCIP-Read (used by EnsResolver lookups that don't go
+ * through this client, e.g. avatars) through the same allowlisted, pinned
+ * gateway requests. A null result is ethers' "fetch failed" (OFFCHAIN_FAULT).
+ *
+ * @param {object} provider - ethers AbstractProvider
+ * @param {string[]} allowlist
+ * @param {number} [timeoutMs=10000]
+ * @returns {object} The same provider
+ */
+function restrictCcipRead(provider, allowlist, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  if (typeof provider.ccipReadFetch !== 'function') return provider;
+  provider.ccipReadFetch = async (tx, calldata, urls) => {
+    if (provider.disableCcipRead || urls.length === 0 || tx.to == null) return null;
+    try {
+      return (await fetchGateway(urls, tx.to, calldata.toLowerCase(), { allowlist, timeoutMs })).data;
+    } catch {
+      return null;
+    }
+  };
+  return provider;
+}
+
+module.exports = {
+  createCcipReader,
+  restrictCcipRead,
+  parseAllowlist,
+  isAllowedGateway,
+  isCcipError,
+  revertData,
+  offchainLookupInterface,
+  OFFCHAIN_LOOKUP_SELECTOR,
+};
@@ -0,0 +1,182 @@
+/**
+ * Chain metadata and the chainId → provider registry.
+ *
+ * ENS lives on Ethereum mainnet; addresses for other EVM chains are stored
+ * on the same resolver under ENSIP-11 coin types (0x80000000 | chainId).
+ * Chain-specific reads (contract checks, simulations) use a provider for
+ * that chain, configured with RPC_URL_<chainId> (e.g. RPC_URL_8453 for Base).
+ * Mainnet also accepts the legacy RPC_URL.
+ *
+ * Each chain gets a provider pool (lib/pool.js). RPC_URLS_<chainId> (or
+ * RPC_URLS for mainnet) lists several comma-separated endpoints to fail over
+ * between; it takes precedence over the single-URL variables.
+ */
+const { ethers } = require('ethers');
+const { createProviderPool } = require('./pool');
+const { parseAllowlist, restrictCcipRead } = require('./ccip');
+
+const MAINNET = 1;
+const DEFAULT_MAINNET_RPC = 'https://eth.llamarpc.com';
+
+// Known chains, for display only — any chainId with an RPC_URL_<id> works
+const CHAINS = {
+  1: { name: 'Ethereum' },
+  10: { name: 'OP Mainnet' },
+  137: { name: 'Polygon' },
+  8453: { name: 'Base' },
+  42161: { name: 'Arbitrum One' },
+  59144: { name: 'Linea' },
+  534352: { name: 'Scroll' },
+};
+
+// ENSIP-11: EVM chains other than mainnet use 0x80000000 | chainId
+const EVM_COIN_TYPE_FLAG = 0x80000000;
+const ETH_COIN_TYPE = 60;
+
+/**
+ * Parse a chainId from a query string, body field or wallet payload
+ * (decimal number/string or 0x-prefixed hex).
+ *
+ * @param {unknown} raw
+ * @returns {number|null} null if missing or not a valid EVM chainId
+ */
+function parseChainId(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  let n;
+  if (typeof raw === 'number') n = raw;
+  else if (typeof raw === 'string' && /^0x[0-9a-f]+$/i.test(raw.trim())) n = parseInt(raw.trim(), 16);
+  else if (typeof raw === 'string' && /^\d+$/.test(raw.trim())) n = Number(raw.trim());
+  else return null;
+  return Number.isSafeInteger(n) && n > 0 && n < EVM_COIN_TYPE_FLAG ? n : null;
+}
+
+/**
+ * ENSIP-11 coin type for an EVM chain.
+ *
+ * @param {number} chainId
+ * @returns {number}
+ */
+function coinTypeForChain(chainId) {
+  return chainId === MAINNET ? ETH_COIN_TYPE : (EVM_COIN_TYPE_FLAG | chainId) >>> 0;
+}
+
+function chainName(chainId) {
+  return CHAINS[chainId]?.name || `Chain ${chainId}`;
+}
+
+function splitUrls(value) {
+  return (value || '').split(',').map((u) => u.trim()).filter(Boolean);
+}
+
+/**
+ * RPC endpoints keyed by chainId. Per chain, RPC_URLS_<chainId> wins over
+ * RPC_URL_<chainId>; mainnet also reads RPC_URLS and RPC_URL, in that order
+ * (RPC_URLS_1, RPC_URLS, RPC_URL_1, RPC_URL).
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Map<number, string[]>}
+ */
+function rpcUrlsFromEnv(env = process.env) {
+  const single = new Map();
+  const multi = new Map();
+  for (const [key, value] of Object.entries(env)) {
+    const match = /^RPC_URLS?_(\d+)$/.exec(key);
+    const chainId = match && parseChainId(match[1]);
+    const list = splitUrls(value);
+    if (!chainId || list.length === 0) continue;
+    (key.startsWith('RPC_URLS_') ? multi : single).set(chainId, list);
+  }
+
+  const mainnet = [multi.get(MAINNET), splitUrls(env.RPC_URLS), single.get(MAINNET), splitUrls(env.RPC_URL)]
+    .find((list) => list && list.length > 0);
+  const urls = new Map([[MAINNET, mainnet || [DEFAULT_MAINNET_RPC]]]);
+  for (const chainId of [...single.keys(), ...multi.keys()].sort((a, b) => a - b)) {
+    if (chainId !== MAINNET) urls.set(chainId, multi.get(chainId) || single.get(chainId));
+  }
+  return urls;
+}
+
+/**
+ * Default provider factory: a pool of JsonRpcProviders for one chain.
+ * RPC_QUORUM sets how many endpoints must agree on quorum reads and
+ * RPC_TIMEOUT_MS the per-request timeout. ethers' built-in CCIP-Read only
+ * contacts gateways on CCIP_GATEWAY_ALLOWLIST, within CCIP_TIMEOUT_MS.
+ */
+function createPool(urls, chainId, env = process.env) {
+  const allowlist = parseAllowlist(env.CCIP_GATEWAY_ALLOWLIST);
+  return createProviderPool(urls, {
+    create: (url) => restrictCcipRead(
+      new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true }),
+      allowlist,
+      parseInt(env.CCIP_TIMEOUT_MS, 10) || undefined
+    ),
+    quorum: Math.max(1, parseInt(env.RPC_QUORUM, 10) || 1),
+    timeoutMs: parseInt(env.RPC_TIMEOUT_MS, 10) || undefined,
+  });
+}
+
+/**
+ * Create a registry of lazily-constructed providers keyed by chainId.
+ *
+ * @param {Object} [options]
+ * @param {NodeJS.ProcessEnv} [options.env]
+ * @param {(urls: string[], chainId: number) => object} [options.create] - Provider factory
+ * @param {Object<number, object>} [options.providers] - Pre-built providers (tests)
+ * @returns {{ get(chainId: number): object|null, has(chainId: number): boolean, chainIds(): number[], describe(): object[], health(): object, checkHealth(): Promise<object> }}
+ */
+function createProviderRegistry({
+  env = process.env,
+  create = (urls, chainId) => createPool(urls, chainId, env),
+  providers = {},
+} = {}) {
+  const urls = rpcUrlsFromEnv(env);
+  const instances = new Map(Object.entries(providers).map(([id, p]) => [Number(id), p]));
+
+  function has(chainId) {
+    return instances.has(chainId) || urls.has(chainId);
+  }
+
+  return {
+    get(chainId) {
+      if (!instances.has(chainId)) {
+        if (!urls.has(chainId)) return null;
+        instances.set(chainId, create(urls.get(chainId), chainId));
+      }
+      return instances.get(chainId);
+    },
+    has,
+    chainIds() {
+      return Array.from(new Set([...urls.keys(), ...instances.keys()])).sort((a, b) => a - b);
+    },
+    describe() {
+      return this.chainIds().map((chainId) => ({ chainId, name: chainName(chainId), coinType: coinTypeForChain(chainId) }));
+    },
+    /** Pool health for providers created so far, keyed by chainId. */
+    health() {
+      const out = {};
+      for (const [chainId, p] of instances) {
+        if (typeof p.health === 'function') out[chainId] = p.health();
+      }
+      return out;
+    },
+    /** Actively probe every created pool, then report health(). */
+    async checkHealth() {
+      await Promise.all(
+        Array.from(instances.values())
+          .filter((p) => typeof p.checkHealth === 'function')
+          .map((p) => p.checkHealth())
+      );
+      return this.health();
+    },
+  };
+}
+
+module.exports = {
+  createProviderRegistry,
+  parseChainId,
+  coinTypeForChain,
+  chainName,
+  rpcUrlsFromEnv,
+  CHAINS,
+  MAINNET,
+};
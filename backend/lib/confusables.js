@@ -0,0 +1,104 @@
+/**
+ * Confusable-character helpers shared by the domain and ENS name checks.
+ *
+ * `skeleton()` maps a string to a canonical form in which visually similar
+ * characters collapse to the same ASCII letter (Cyrillic "а" → "a", "0" → "o",
+ * "rn" → "m", ...), in the spirit of UTS #39 skeletons. Two strings with the
+ * same skeleton look alike to a human even if their bytes differ.
+ */
+
+// Single-character confusables → ASCII. Covers the Cyrillic / Greek / Latin
+// extended letters and digits that show up in real phishing domains and ENS
+// impersonation names. Not exhaustive (the full UTS #39 table has ~6k entries).
+const CONFUSABLE_MAP = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'ё': 'e', 'һ': 'h', 'і': 'l', 'ї': 'l', 'ј': 'j',
+  'к': 'k', 'ӏ': 'l', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'т': 't',
+  'у': 'y', 'х': 'x', 'ԝ': 'w', 'ь': 'b', 'ɡ': 'g',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'l', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+  'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+  // Latin look-alikes
+  'ı': 'l', 'ł': 'l', 'ƚ': 'l', 'ɩ': 'l', 'ǀ': 'l', 'ø': 'o', 'ð': 'd', 'đ': 'd', 'ħ': 'h',
+  'ß': 'b', 'ŀ': 'l', 'ɑ': 'a', 'ʋ': 'v', 'ѵ': 'v', 'ᴠ': 'v', 'ᴡ': 'w',
+  // Digits and ASCII letters that are commonly swapped
+  '0': 'o', '1': 'l', 'i': 'l', '|': 'l', '3': 'e', '5': 's', '$': 's', '@': 'a',
+};
+
+// Multi-character sequences that render like a single letter
+const SEQUENCE_MAP = [
+  ['rn', 'm'],
+  ['vv', 'w'],
+  ['cl', 'd'],
+];
+
+// Zero-width and other invisible code points
+const INVISIBLE_RE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u206A-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/gu;
+
+/**
+ * Compute the confusable skeleton of a string.
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+function skeleton(input) {
+  if (!input) return '';
+  let out = String(input)
+    .replace(INVISIBLE_RE, '')
+    .normalize('NFKD')
+    // Strip combining marks (accents) after decomposition
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+  out = Array.from(out, (ch) => CONFUSABLE_MAP[ch] ?? ch).join('');
+  for (const [seq, rep] of SEQUENCE_MAP) {
+    out = out.split(seq).join(rep);
+  }
+  return out;
+}
+
+/**
+ * Levenshtein edit distance between two strings (code-point aware).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  const s = Array.from(a || '');
+  const t = Array.from(b || '');
+  if (s.length === 0) return t.length;
+  if (t.length === 0) return s.length;
+  let prev = Array.from({ length: t.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= s.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[t.length];
+}
+
+/**
+ * Maximum edit distance at which two labels are considered look-alikes.
+ * Short labels only match exactly (on skeleton) to avoid false positives
+ * like "blue" vs "blur".
+ *
+ * @param {string} label
+ * @returns {number}
+ */
+function lookalikeThreshold(label) {
+  const len = Array.from(label || '').length;
+  if (len <= 4) return 0;
+  if (len <= 7) return 1;
+  return 2;
+}
+
+module.exports = {
+  skeleton,
+  levenshtein,
+  lookalikeThreshold,
+  CONFUSABLE_MAP,
+  INVISIBLE_RE,
+};
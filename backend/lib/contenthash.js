@@ -0,0 +1,352 @@
+/**
+ * ENSIP-7 contenthash decoding.
+ *
+ * A contenthash is a multicodec protocol code (unsigned varint) followed by
+ * the protocol's value:
+ *   ipfs    0xe3      CIDv1 (usually dag-pb + sha2-256)
+ *   ipns    0xe5      CIDv1 (libp2p-key, or dag-pb + identity for DNSLink names)
+ *   swarm   0xe4      CIDv1 (swarm-manifest + keccak-256)
+ *   onion   0x01bc    16-character onion (v2) address
+ *   onion3  0x01bd    56-character onion v3 address
+ *   arweave 0xb29910  32-byte transaction id
+ *
+ * decodeContenthash() turns the raw bytes into `{ protocol, uri, value, cid,
+ * gateways }`. Gateway URLs come from URL templates whose placeholders say
+ * what they serve; a template is used when all of its placeholders have a
+ * value:
+ *   {name}     the ENS name (.eth names only; e.g. https://{name}.limo)
+ *   {ipfs}     CIDv1 of an ipfs contenthash
+ *   {ipns}     IPNS key (CIDv1) or DNSLink domain
+ *   {swarm}    Swarm reference (hex)
+ *   {arweave}  Arweave transaction id
+ *
+ * Malformed bytes throw CONTENTHASH_INVALID; unknown protocol codes throw
+ * CONTENTHASH_UNSUPPORTED.
+ */
+const { ethers } = require('ethers');
+
+const PROTOCOLS = {
+  0xe3: 'ipfs',
+  0xe4: 'swarm',
+  0xe5: 'ipns',
+  0x01bc: 'onion',
+  0x01bd: 'onion3',
+  0xb29910: 'arweave',
+};
+const URI_SCHEMES = { ipfs: 'ipfs', ipns: 'ipns', swarm: 'bzz', onion: 'onion', onion3: 'onion3', arweave: 'ar' };
+
+const CODECS = { 0x55: 'raw', 0x70: 'dag-pb', 0x71: 'dag-cbor', 0x72: 'libp2p-key', 0xfa: 'swarm-manifest' };
+const HASHES = { 0x00: 'identity', 0x12: 'sha2-256', 0x1b: 'keccak-256' };
+const DAG_PB = 0x70;
+const LIBP2P_KEY = 0x72;
+const SHA2_256 = 0x12;
+const IDENTITY = 0x00;
+
+const DEFAULT_GATEWAYS = [
+  'https://{name}.limo',
+  'https://{ipfs}.ipfs.dweb.link',
+  'https://ipfs.io/ipfs/{ipfs}',
+  'https://ipfs.io/ipns/{ipns}',
+  'https://api.gateway.ethswarm.org/bzz/{swarm}/',
+  'https://arweave.net/{arweave}',
+];
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE36_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+function contenthashError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function invalid(message) {
+  return contenthashError('CONTENTHASH_INVALID', `Invalid contenthash: ${message}`);
+}
+
+function isContenthashError(err) {
+  return typeof err?.code === 'string' && err.code.startsWith('CONTENTHASH_');
+}
+
+/** RFC 4648 base32, lowercase, no padding (multibase `b`). */
+function base32Encode(bytes) {
+  let out = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  const out = [];
+  let bits = 0;
+  let value = 0;
+  for (const ch of text.toLowerCase()) {
+    const i = BASE32_ALPHABET.indexOf(ch);
+    if (i < 0) throw invalid(`bad base32 character "${ch}"`);
+    value = (value << 5) | i;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(out);
+}
+
+/** Base36 (multibase `k`), the usual encoding for IPNS keys in subdomain gateways. */
+function base36Encode(bytes) {
+  let n = BigInt(ethers.hexlify(bytes));
+  let out = '';
+  while (n > 0n) {
+    out = BASE36_ALPHABET[Number(n % 36n)] + out;
+    n /= 36n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    out = `0${out}`;
+  }
+  return out;
+}
+
+/** Base58btc that keeps leading zero bytes (ethers' helpers work on numbers). */
+function base58Encode(bytes) {
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+  return '1'.repeat(zeros) + (zeros < bytes.length ? ethers.encodeBase58(bytes.slice(zeros)) : '');
+}
+
+function base58Decode(text) {
+  let zeros = 0;
+  while (zeros < text.length && text[zeros] === '1') zeros++;
+  const rest = text.slice(zeros);
+  let hex = '';
+  if (rest) {
+    try {
+      hex = ethers.decodeBase58(rest).toString(16);
+    } catch {
+      throw invalid('bad base58 string');
+    }
+    if (hex.length % 2) hex = `0${hex}`;
+  }
+  return ethers.getBytes(`0x${'00'.repeat(zeros)}${hex}`);
+}
+
+function encodeVarint(n) {
+  const out = [];
+  while (n >= 0x80) {
+    out.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  out.push(n);
+  return out;
+}
+
+/** Read an unsigned varint at `offset`: `[value, nextOffset]`. */
+function readVarint(bytes, offset) {
+  let value = 0;
+  for (let shift = 0, i = offset; shift < 35; shift += 7, i++) {
+    if (i >= bytes.length) throw invalid('truncated varint');
+    value += (bytes[i] & 0x7f) * 2 ** shift;
+    if ((bytes[i] & 0x80) === 0) return [value, i + 1];
+  }
+  throw invalid('varint too long');
+}
+
+/**
+ * Parse a CID. CIDv0 (a bare sha2-256 multihash) is accepted for old
+ * records; ENSIP-7 stores CIDv1.
+ */
+function parseCid(bytes) {
+  if (bytes.length === 34 && bytes[0] === SHA2_256 && bytes[1] === 32) {
+    return parseCid(Uint8Array.from([1, DAG_PB, ...bytes]));
+  }
+  let [version, offset] = readVarint(bytes, 0);
+  if (version !== 1) throw invalid(`unsupported CID version ${version}`);
+  let codec;
+  let hashCode;
+  let length;
+  [codec, offset] = readVarint(bytes, offset);
+  const multihashStart = offset;
+  [hashCode, offset] = readVarint(bytes, offset);
+  [length, offset] = readVarint(bytes, offset);
+  if (bytes.length - offset !== length) {
+    throw invalid(`multihash digest is ${bytes.length - offset} bytes, expected ${length}`);
+  }
+  if (hashCode === SHA2_256 && length !== 32) throw invalid('sha2-256 digest must be 32 bytes');
+  return {
+    codec,
+    hashCode,
+    multihash: bytes.slice(multihashStart),
+    digest: bytes.slice(offset),
+    bytes,
+  };
+}
+
+function describeCid(cid, protocol) {
+  // IPNS keys are conventionally shown in base36 (fits a DNS label); everything else in base32
+  const v1 = protocol === 'ipns' && cid.codec === LIBP2P_KEY
+    ? `k${base36Encode(cid.bytes)}`
+    : `b${base32Encode(cid.bytes)}`;
+  const v0 = cid.codec === DAG_PB && cid.hashCode === SHA2_256 ? base58Encode(cid.multihash) : null;
+  return {
+    v0,
+    v1,
+    codec: CODECS[cid.codec] || `0x${cid.codec.toString(16)}`,
+    multihash: HASHES[cid.hashCode] || `0x${cid.hashCode.toString(16)}`,
+  };
+}
+
+/**
+ * Raw contenthash bytes of an ethers-style URI (`ipfs://Qm…`, `ipns://…`,
+ * `bzz://<hex>`) or a raw hex value (returned as is).
+ *
+ * @param {string} value
+ * @returns {string} 0x-prefixed hex
+ */
+function encodeContenthash(value) {
+  if (ethers.isHexString(value)) return value.toLowerCase();
+  const match = /^(ipfs|ipns|bzz|onion3?|ar):\/\/(.+)$/i.exec(String(value).trim());
+  if (!match) throw invalid(`unrecognised contenthash URI "${value}"`);
+  const scheme = match[1].toLowerCase();
+  const body = match[2];
+  const protocol = Object.keys(URI_SCHEMES).find((p) => URI_SCHEMES[p] === scheme);
+  const code = Number(Object.keys(PROTOCOLS).find((c) => PROTOCOLS[c] === protocol));
+  let payload;
+  switch (protocol) {
+    case 'ipfs':
+    case 'ipns': {
+      if (/^[bB]/.test(body)) {
+        payload = base32Decode(body.slice(1));
+      } else {
+        // base58 multihash (CIDv0 form, as ethers returns it)
+        const multihash = base58Decode(body);
+        payload = Uint8Array.from([1, protocol === 'ipfs' ? DAG_PB : LIBP2P_KEY, ...multihash]);
+      }
+      break;
+    }
+    case 'swarm':
+      if (!/^[0-9a-f]{64}$/i.test(body)) throw invalid('swarm reference must be 32 bytes of hex');
+      payload = Uint8Array.from([1, ...encodeVarint(0xfa), 0x1b, 32, ...ethers.getBytes(`0x${body}`)]);
+      break;
+    case 'arweave':
+      payload = Buffer.from(body, 'base64url');
+      break;
+    default:
+      payload = Buffer.from(body, 'ascii');
+  }
+  return ethers.hexlify(Uint8Array.from([...encodeVarint(code), ...payload]));
+}
+
+/**
+ * Parse CONTENTHASH_GATEWAYS (comma-separated URL templates).
+ * Unset or empty means the defaults.
+ *
+ * @param {string|undefined} raw
+ * @returns {string[]}
+ */
+function parseGateways(raw) {
+  const list = (raw || '').split(',').map((s) => s.trim()).filter(Boolean);
+  return list.length > 0 ? list : DEFAULT_GATEWAYS;
+}
+
+function gatewayUrls(templates, values) {
+  const urls = [];
+  for (const template of templates) {
+    const placeholders = [...template.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+    if (placeholders.length === 0 || placeholders.some((p) => !values[p])) continue;
+    const url = template.replace(/\{(\w+)\}/g, (_, p) => values[p]);
+    if (!urls.includes(url)) urls.push(url);
+  }
+  return urls;
+}
+
+/**
+ * Decode a contenthash.
+ *
+ * @param {string} value - Raw contenthash hex (or an ethers-style URI)
+ * @param {{ name?: string, gateways?: string[] }} [options]
+ *   `name` enables name gateways ({name}) for .eth names
+ * @returns {{ protocol: string, raw: string, uri: string, value: string, cid: { v0: string|null, v1: string, codec: string, multihash: string }|null, gateways: string[] }}
+ * @throws CONTENTHASH_INVALID / CONTENTHASH_UNSUPPORTED
+ */
+function decodeContenthash(value, { name = null, gateways = DEFAULT_GATEWAYS } = {}) {
+  const raw = encodeContenthash(value);
+  const bytes = ethers.getBytes(raw);
+  if (bytes.length === 0) throw invalid('empty value');
+  const [code, offset] = readVarint(bytes, 0);
+  const protocol = PROTOCOLS[code];
+  if (!protocol) {
+    throw contenthashError('CONTENTHASH_UNSUPPORTED', `Unsupported contenthash protocol 0x${code.toString(16)}`);
+  }
+  const payload = bytes.slice(offset);
+
+  let decoded;
+  let cid = null;
+  switch (protocol) {
+    case 'ipfs':
+    case 'ipns': {
+      const parsed = parseCid(payload);
+      if (protocol === 'ipns' && parsed.codec === DAG_PB && parsed.hashCode === IDENTITY) {
+        // Legacy DNSLink record: the "hash" is a domain name
+        decoded = ethers.toUtf8String(parsed.digest);
+        if (!/^[a-z0-9.-]+$/i.test(decoded)) throw invalid('IPNS DNSLink name is not a domain');
+      } else {
+        cid = describeCid(parsed, protocol);
+        decoded = cid.v1;
+      }
+      break;
+    }
+    case 'swarm': {
+      const parsed = parseCid(payload);
+      if (parsed.codec !== 0xfa || parsed.hashCode !== 0x1b || parsed.digest.length !== 32) {
+        throw invalid('swarm contenthash must be a swarm-manifest keccak-256 reference');
+      }
+      decoded = ethers.hexlify(parsed.digest).slice(2);
+      break;
+    }
+    case 'onion':
+    case 'onion3': {
+      const length = protocol === 'onion' ? 16 : 56;
+      decoded = Buffer.from(payload).toString('ascii');
+      if (decoded.length !== length || !/^[a-z2-7]+$/.test(decoded)) {
+        throw invalid(`${protocol} address must be ${length} base32 characters`);
+      }
+      break;
+    }
+    case 'arweave':
+      if (payload.length !== 32) throw invalid('arweave transaction id must be 32 bytes');
+      decoded = Buffer.from(payload).toString('base64url');
+      break;
+    default:
+      break;
+  }
+
+  // The URI keeps the CIDv0 form where there is one, as ethers did
+  const uri = `${URI_SCHEMES[protocol]}://${cid?.v0 || decoded}`;
+  const onion = protocol === 'onion' || protocol === 'onion3';
+  const values = {
+    name: !onion && name && name.endsWith('.eth') ? name : null,
+    [protocol]: onion ? null : decoded,
+  };
+  const urls = gatewayUrls(gateways, values);
+  if (onion) urls.push(`http://${decoded}.onion`);
+
+  return { protocol, raw, uri, value: decoded, cid, gateways: urls };
+}
+
+module.exports = {
+  decodeContenthash,
+  encodeContenthash,
+  parseGateways,
+  isContenthashError,
+  DEFAULT_GATEWAYS,
+};
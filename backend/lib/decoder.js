@@ -0,0 +1,257 @@
+/**
+ * Transaction calldata decoder.
+ *
+ * Splits calldata into its 4-byte selector and arguments, decodes arguments
+ * for functions in the bundled selector registry (lib/selectors.js), and
+ * produces a short human-readable summary for the ENSight extension.
+ */
+const { ethers } = require('ethers');
+const { lookupSelector } = require('./selectors');
+
+// Allowances at or above 2^255 are treated as "unlimited" (covers MaxUint256
+// and the common "type(uint256).max - x" variants).
+const UNLIMITED_THRESHOLD = 1n << 255n;
+
+// Nested calls (multicall) are decoded at most this deep.
+const MAX_NESTED_DEPTH = 2;
+
+/**
+ * Convert a decoded ABI value into a JSON-safe structure, using the ParamType
+ * to name tuple fields. BigInts become decimal strings.
+ *
+ * @param {import('ethers').ParamType} param
+ * @param {any} value
+ * @returns {any}
+ */
+function serializeArg(param, value) {
+  if (param.baseType === 'tuple') {
+    const out = {};
+    param.components.forEach((component, i) => {
+      out[component.name || String(i)] = serializeArg(component, value[i]);
+    });
+    return out;
+  }
+  if (param.baseType === 'array') {
+    return Array.from(value, (item) => serializeArg(param.arrayChildren, item));
+  }
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+/**
+ * Parse a transaction value (decimal string, hex string, number or bigint).
+ * Returns null if the value is not a valid non-negative integer.
+ *
+ * @param {any} value
+ * @returns {bigint|null}
+ */
+function parseValue(value) {
+  if (value == null || value === '') return 0n;
+  try {
+    const parsed = BigInt(value);
+    return parsed >= 0n ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function isUnlimited(amount) {
+  return BigInt(amount) >= UNLIMITED_THRESHOLD;
+}
+
+function shortAddress(address) {
+  if (!address || typeof address !== 'string' || address.length < 10) return address || 'unknown';
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+/**
+ * Summary builders keyed by function name. Each receives the serialized args
+ * and the call context ({ to, value }) and returns { summary, warnings }.
+ */
+const SUMMARIZERS = {
+  transfer: (args, ctx) => ({
+    summary: `Transfer ${args.amount} units of token ${shortAddress(ctx.to)} to ${shortAddress(args.to)}`,
+  }),
+  approve: (args, ctx) => (isUnlimited(args.amount)
+    ? {
+      summary: `Approve ${shortAddress(args.spender)} to spend an unlimited amount of token ${shortAddress(ctx.to)}`,
+      warnings: ['unlimited_approval'],
+    }
+    : {
+      summary: `Approve ${shortAddress(args.spender)} to spend ${args.amount} units of token ${shortAddress(ctx.to)}`,
+    }),
+  increaseAllowance: (args, ctx) => ({
+    summary: `Increase allowance of ${shortAddress(args.spender)} on token ${shortAddress(ctx.to)} by ${args.addedValue}`,
+    warnings: isUnlimited(args.addedValue) ? ['unlimited_approval'] : [],
+  }),
+  decreaseAllowance: (args, ctx) => ({
+    summary: `Decrease allowance of ${shortAddress(args.spender)} on token ${shortAddress(ctx.to)} by ${args.subtractedValue}`,
+  }),
+  transferFrom: (args, ctx) => ({
+    summary: `Transfer ${args.amountOrTokenId} (amount or token ID) of ${shortAddress(ctx.to)} from ${shortAddress(args.from)} to ${shortAddress(args.to)}`,
+  }),
+  permit: (args, ctx) => ({
+    summary: `Submit permit letting ${shortAddress(args.spender)} spend ${isUnlimited(args.value) ? 'an unlimited amount' : `${args.value} units`} of token ${shortAddress(ctx.to)} owned by ${shortAddress(args.owner)}`,
+    warnings: isUnlimited(args.value) ? ['unlimited_approval'] : [],
+  }),
+  safeTransferFrom: (args, ctx) => (args.amount !== undefined
+    ? { summary: `Transfer ${args.amount} of token ID ${args.id} from collection ${shortAddress(ctx.to)} to ${shortAddress(args.to)}` }
+    : { summary: `Transfer NFT #${args.tokenId} from collection ${shortAddress(ctx.to)} to ${shortAddress(args.to)}` }),
+  safeBatchTransferFrom: (args, ctx) => ({
+    summary: `Transfer ${args.ids.length} token type(s) from collection ${shortAddress(ctx.to)} to ${shortAddress(args.to)}`,
+  }),
+  setApprovalForAll: (args, ctx) => (args.approved
+    ? {
+      summary: `Give ${shortAddress(args.operator)} control of ALL your NFTs in collection ${shortAddress(ctx.to)}`,
+      warnings: ['approval_for_all'],
+    }
+    : { summary: `Revoke ${shortAddress(args.operator)} as operator for collection ${shortAddress(ctx.to)}` }),
+  swapExactTokensForTokens: (args) => ({
+    summary: `Swap ${args.amountIn} of ${shortAddress(args.path[0])} for at least ${args.amountOutMin} of ${shortAddress(args.path[args.path.length - 1])}`,
+  }),
+  swapTokensForExactTokens: (args) => ({
+    summary: `Swap up to ${args.amountInMax} of ${shortAddress(args.path[0])} for ${args.amountOut} of ${shortAddress(args.path[args.path.length - 1])}`,
+  }),
+  swapExactETHForTokens: (args, ctx) => ({
+    summary: `Swap ${ethers.formatEther(ctx.value)} ETH for at least ${args.amountOutMin} of ${shortAddress(args.path[args.path.length - 1])}`,
+  }),
+  swapExactTokensForETH: (args) => ({
+    summary: `Swap ${args.amountIn} of ${shortAddress(args.path[0])} for at least ${args.amountOutMin} wei of ETH`,
+  }),
+  swapETHForExactTokens: (args, ctx) => ({
+    summary: `Swap up to ${ethers.formatEther(ctx.value)} ETH for ${args.amountOut} of ${shortAddress(args.path[args.path.length - 1])}`,
+  }),
+  addLiquidity: (args) => ({
+    summary: `Add liquidity to the ${shortAddress(args.tokenA)}/${shortAddress(args.tokenB)} pool`,
+  }),
+  removeLiquidity: (args) => ({
+    summary: `Remove ${args.liquidity} LP tokens from the ${shortAddress(args.tokenA)}/${shortAddress(args.tokenB)} pool`,
+  }),
+  exactInputSingle: (args) => ({
+    summary: `Swap ${args.params.amountIn} of ${shortAddress(args.params.tokenIn)} for at least ${args.params.amountOutMinimum} of ${shortAddress(args.params.tokenOut)}`,
+  }),
+  exactInput: (args) => ({
+    summary: `Swap ${args.params.amountIn} along a multi-hop path for at least ${args.params.amountOutMinimum}`,
+  }),
+  exactOutputSingle: (args) => ({
+    summary: `Swap up to ${args.params.amountInMaximum} of ${shortAddress(args.params.tokenIn)} for ${args.params.amountOut} of ${shortAddress(args.params.tokenOut)}`,
+  }),
+  multicall: (args) => ({
+    summary: `Execute ${args.data.length} batched call(s)`,
+  }),
+  execute: (args) => ({
+    summary: `Execute ${args.inputs.length} Universal Router command(s)`,
+  }),
+  fulfillBasicOrder: (args, ctx) => ({
+    summary: `Buy token #${args.parameters.offerIdentifier} of ${shortAddress(args.parameters.offerToken)} from ${shortAddress(args.parameters.offerer)} for ${ethers.formatEther(ctx.value)} ETH`,
+  }),
+  fulfillOrder: (args) => ({
+    summary: `Fulfill a Seaport order from ${shortAddress(args.order.parameters.offerer)} (${args.order.parameters.offer.length} offer item(s))`,
+  }),
+  cancel: (args) => ({
+    summary: `Cancel ${args.orders.length} Seaport order(s)`,
+  }),
+  incrementCounter: () => ({
+    summary: 'Cancel all open Seaport orders by incrementing the counter',
+  }),
+};
+
+/**
+ * Decode calldata against the bundled selector registry.
+ *
+ * @param {string} data - 0x-prefixed calldata
+ * @param {{ to?: string|null, value?: bigint }} [ctx] - Call context used in summaries
+ * @param {number} [depth] - Current nesting depth (internal)
+ * @returns {{
+ *   selector: string|null,
+ *   function: { name: string, signature: string, standard: string }|null,
+ *   args: object|null,
+ *   summary: string,
+ *   warnings: string[],
+ *   calls?: object[],
+ * }}
+ */
+function decodeCalldata(data, ctx = {}, depth = 0) {
+  const to = ctx.to || null;
+  const value = ctx.value ?? 0n;
+
+  if (!data || data === '0x') {
+    return {
+      selector: null,
+      function: null,
+      args: null,
+      summary: value > 0n
+        ? `Send ${ethers.formatEther(value)} ETH to ${shortAddress(to)}`
+        : `Empty call to ${shortAddress(to)}`,
+      warnings: [],
+    };
+  }
+
+  if (ethers.dataLength(data) < 4) {
+    return {
+      selector: null,
+      function: null,
+      args: null,
+      summary: `Call to ${shortAddress(to)} with calldata shorter than a function selector`,
+      warnings: ['malformed_calldata'],
+    };
+  }
+
+  const selector = ethers.dataSlice(data, 0, 4).toLowerCase();
+  const known = lookupSelector(selector);
+  if (!known) {
+    return {
+      selector,
+      function: null,
+      args: null,
+      summary: `Call unknown function ${selector} on ${shortAddress(to)}`,
+      warnings: ['unknown_function'],
+    };
+  }
+
+  const { fragment, standard } = known;
+  const fn = { name: fragment.name, signature: fragment.format('sighash'), standard };
+
+  let decoded;
+  try {
+    decoded = ethers.AbiCoder.defaultAbiCoder().decode(fragment.inputs, ethers.dataSlice(data, 4));
+  } catch (e) {
+    return {
+      selector,
+      function: fn,
+      args: null,
+      summary: `Call ${fn.signature} on ${shortAddress(to)} with malformed arguments`,
+      warnings: ['malformed_calldata'],
+    };
+  }
+
+  const args = {};
+  fragment.inputs.forEach((param, i) => {
+    args[param.name || String(i)] = serializeArg(param, decoded[i]);
+  });
+
+  const summarize = SUMMARIZERS[fragment.name];
+  const { summary, warnings = [] } = summarize
+    ? summarize(args, { to, value })
+    : { summary: `Call ${fn.signature} on ${shortAddress(to)}` };
+
+  const result = { selector, function: fn, args, summary, warnings: [...warnings] };
+
+  // Decode the inner calls of a multicall against the same target
+  if (fragment.name === 'multicall' && depth < MAX_NESTED_DEPTH) {
+    result.calls = args.data.map((inner) => decodeCalldata(inner, { to, value: 0n }, depth + 1));
+    for (const call of result.calls) {
+      for (const w of call.warnings) {
+        if (!result.warnings.includes(w)) result.warnings.push(w);
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  decodeCalldata,
+  parseValue,
+  UNLIMITED_THRESHOLD,
+};
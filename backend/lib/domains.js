@@ -0,0 +1,278 @@
+/**
+ * Phishing checks for dApp hostnames.
+ *
+ * Combines three signals for the hostname a wallet request came from:
+ *  1. Blocklist hits (exact host or any parent domain) from domain threat feeds
+ *  2. Look-alikes of well-known dApps: homoglyphs (confusable skeleton match),
+ *     small edit distance, brand in the subdomain of another site, brand on a
+ *     different TLD, brand in another label
+ *  3. Punycode / non-ASCII hostnames that render differently than they read
+ */
+const { domainToASCII, domainToUnicode } = require('url');
+const { skeleton, levenshtein, lookalikeThreshold } = require('./confusables');
+
+/**
+ * Known dApp domains (registrable domains; subdomains are trusted too).
+ * Extend at runtime with DAPP_ALLOWLIST (comma-separated).
+ */
+const KNOWN_DAPPS = [
+  'uniswap.org',
+  'opensea.io',
+  'blur.io',
+  'metamask.io',
+  'ens.domains',
+  'etherscan.io',
+  'aave.com',
+  'compound.finance',
+  'curve.fi',
+  'lido.fi',
+  '1inch.io',
+  'sushi.com',
+  'balancer.fi',
+  'makerdao.com',
+  'spark.fi',
+  'looksrare.org',
+  'rarible.com',
+  'magiceden.io',
+  'zora.co',
+  'safe.global',
+  'zapper.xyz',
+  'zerion.io',
+  'rainbow.me',
+  'coinbase.com',
+  'arbitrum.io',
+  'optimism.io',
+  'base.org',
+  'ethereum.org',
+  'eigenlayer.xyz',
+  'pendle.finance',
+  // The brands' other official domains; their name on any other TLD rates high
+  'arbitrum.foundation',
+  'curve.finance',
+  'ethereum.foundation',
+];
+
+// Public suffixes with more than one label, plus hosting platforms where each
+// subdomain belongs to a different owner. Not the full Public Suffix List.
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'com.au', 'co.jp', 'com.br', 'co.in', 'co.kr', 'com.cn',
+  'github.io', 'gitlab.io', 'vercel.app', 'netlify.app', 'pages.dev', 'web.app',
+  'firebaseapp.com', 'herokuapp.com', 'onrender.com', 'fleek.co', 'ipns.dweb.link',
+  'eth.limo', 'eth.link',
+]);
+
+// Brands shorter than this are not searched for inside other labels
+const MIN_BRAND_SUBSTRING_LENGTH = 5;
+
+const LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Normalize user input (hostname, origin or full URL) to an ASCII hostname.
+ * Returns null for input that is not a valid hostname.
+ *
+ * @param {string} input
+ * @returns {string|null}
+ */
+function normalizeHostname(input) {
+  if (!input || typeof input !== 'string') return null;
+  let host = input.trim();
+  // Accept full URLs / origins as well as bare hostnames
+  host = host.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  host = host.split(/[/?#]/)[0];
+  host = host.replace(/^[^@]*@/, '').replace(/:\d+$/, '').replace(/\.$/, '');
+  const ascii = domainToASCII(host);
+  if (!ascii || !ascii.includes('.') || !/^[a-z0-9.-]+$/.test(ascii)) return null;
+  if (ascii.split('.').some((label) => !label || label.length > 63)) return null;
+  return ascii;
+}
+
+/**
+ * Registrable domain (eTLD+1), using a small built-in suffix list.
+ *
+ * @param {string} hostname - ASCII hostname
+ * @returns {string}
+ */
+function registrableDomain(hostname) {
+  const labels = hostname.split('.');
+  for (let i = 1; i < labels.length - 1; i++) {
+    if (MULTI_LABEL_SUFFIXES.has(labels.slice(i).join('.'))) {
+      return labels.slice(i - 1).join('.');
+    }
+  }
+  return labels.slice(-2).join('.');
+}
+
+/**
+ * The host itself followed by each parent domain, down to the registrable domain.
+ * e.g. a.b.evil.com → [a.b.evil.com, b.evil.com, evil.com]
+ */
+function parentDomains(hostname) {
+  const base = registrableDomain(hostname);
+  const out = [hostname];
+  let current = hostname;
+  while (current !== base && current.includes('.')) {
+    current = current.slice(current.indexOf('.') + 1);
+    out.push(current);
+  }
+  return out;
+}
+
+/**
+ * Edit distance up to which a label counts as a look-alike of `brand`. Grows
+ * with the brand's length (lookalikeThreshold), except that one edit from a
+ * brand of five letters or fewer is often an ordinary word (spark/shark,
+ * 1inch/pinch), so short brands only get that edit on their own TLD, where
+ * curvve.fi and aavve.com are typos.
+ *
+ * @param {string} brand - First label of the allowlisted domain
+ * @param {boolean} sameTld - Whether the checked domain's suffix is the brand's
+ * @returns {number}
+ */
+function lookalikeDistance(brand, sameTld) {
+  if (brand.length <= 5) return sameTld ? 1 : 0;
+  return lookalikeThreshold(brand);
+}
+
+function isUnder(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Build the allowlist from KNOWN_DAPPS plus DAPP_ALLOWLIST.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {string[]}
+ */
+function loadAllowlist(env = process.env) {
+  const extra = (env.DAPP_ALLOWLIST || '')
+    .split(',')
+    .map((d) => normalizeHostname(d))
+    .filter(Boolean);
+  return Array.from(new Set([...KNOWN_DAPPS, ...extra]));
+}
+
+/**
+ * Compare a hostname against the allowlist.
+ *
+ * @returns {{ allowlisted: string|null, matches: Array<{ target: string, reason: string, distance: number }> }}
+ */
+function findLookalikes(hostname, unicodeHost, allowlist) {
+  const allowed = allowlist.find((d) => isUnder(hostname, d));
+  if (allowed) return { allowlisted: allowed, matches: [] };
+
+  const base = registrableDomain(unicodeHost);
+  const label = base.split('.')[0];
+  const suffix = base.slice(label.length + 1);
+  const labelSkeleton = skeleton(label);
+  // Labels left of the registrable domain: "uniswap.org.evil.com" → uniswap, org
+  const subdomain = unicodeHost.slice(0, -base.length - 1);
+  const subdomainSkeletons = subdomain ? subdomain.split('.').map(skeleton) : [];
+  const matches = [];
+
+  for (const target of allowlist) {
+    const brand = target.split('.')[0];
+    const brandSkeleton = skeleton(brand);
+    if (label === brand) {
+      matches.push({ target, reason: 'brand_tld_mismatch', distance: 0 });
+    } else if (labelSkeleton === brandSkeleton) {
+      matches.push({ target, reason: 'homoglyph', distance: 0 });
+    } else if (
+      skeleton(subdomain).includes(skeleton(target))
+      || (brand.length >= MIN_BRAND_SUBSTRING_LENGTH && subdomainSkeletons.includes(brandSkeleton))
+    ) {
+      matches.push({ target, reason: 'brand_in_subdomain', distance: 0 });
+    } else {
+      const distance = levenshtein(labelSkeleton, brandSkeleton);
+      if (distance > 0 && distance <= lookalikeDistance(brand, suffix === target.slice(brand.length + 1))) {
+        matches.push({ target, reason: 'lookalike', distance });
+      } else if (brand.length >= MIN_BRAND_SUBSTRING_LENGTH && skeleton(unicodeHost).includes(brandSkeleton)) {
+        matches.push({ target, reason: 'brand_impersonation', distance });
+      }
+    }
+  }
+  return { allowlisted: null, matches };
+}
+
+const MATCH_WARNINGS = {
+  brand_tld_mismatch: { level: 'high', message: (m) => `Uses the "${m.target.split('.')[0]}" name on a different domain than ${m.target}` },
+  homoglyph: { level: 'high', message: (m) => `Uses look-alike characters to imitate ${m.target}` },
+  lookalike: { level: 'high', message: (m) => `Looks like ${m.target} (${m.distance} character${m.distance === 1 ? '' : 's'} different)` },
+  brand_in_subdomain: { level: 'high', message: (m) => `Puts "${m.target.split('.')[0]}" in the subdomain of an unrelated site` },
+  brand_impersonation: { level: 'medium', message: (m) => `Contains "${m.target.split('.')[0]}" but is not ${m.target}` },
+};
+
+/**
+ * Check a dApp hostname.
+ *
+ * @param {string} input - Hostname, origin or URL
+ * @param {Object} [options]
+ * @param {string[]} [options.allowlist] - Trusted registrable domains (default: loadAllowlist())
+ * @param {(domain: string) => Promise<string[]>} [options.blocklistSources] - Feed ids listing `domain`
+ * @returns {Promise<object|null>} null if the hostname is invalid
+ */
+async function checkDomain(input, { allowlist = loadAllowlist(), blocklistSources = null } = {}) {
+  const hostname = normalizeHostname(input);
+  if (!hostname) return null;
+  const unicode = domainToUnicode(hostname);
+  const warnings = [];
+
+  // 1. Blocklist: exact host or any parent domain
+  const blocklistMatches = [];
+  if (blocklistSources) {
+    for (const domain of parentDomains(hostname)) {
+      const sources = await blocklistSources(domain);
+      if (sources.length > 0) blocklistMatches.push({ domain, sources });
+    }
+  }
+  for (const match of blocklistMatches) {
+    warnings.push({
+      code: match.domain === hostname ? 'blocklisted' : 'parent_blocklisted',
+      level: 'high',
+      message: `${match.domain} is on a phishing blocklist (${match.sources.join(', ')})`,
+    });
+  }
+
+  // 2. Look-alikes of known dApps
+  const { allowlisted, matches } = findLookalikes(hostname, unicode, allowlist);
+  for (const m of matches) {
+    const w = MATCH_WARNINGS[m.reason];
+    warnings.push({ code: m.reason, level: w.level, message: w.message(m), target: m.target });
+  }
+
+  // 3. Punycode / non-ASCII rendering
+  const punycode = hostname.split('.').some((label) => label.startsWith('xn--'));
+  if (punycode && !allowlisted) {
+    warnings.push({
+      code: 'punycode',
+      level: 'medium',
+      message: `Internationalized hostname displays as "${unicode}"`,
+    });
+  }
+
+  const level = warnings.reduce(
+    (max, w) => (LEVELS.indexOf(w.level) > LEVELS.indexOf(max) ? w.level : max),
+    'low'
+  );
+
+  return {
+    hostname,
+    unicode,
+    registrableDomain: registrableDomain(hostname),
+    allowlisted: !!allowlisted,
+    blocklisted: blocklistMatches.length > 0,
+    blocklistMatches,
+    punycode,
+    lookalikes: matches,
+    level,
+    warnings,
+  };
+}
+
+module.exports = {
+  checkDomain,
+  normalizeHostname,
+  registrableDomain,
+  parentDomains,
+  loadAllowlist,
+  KNOWN_DAPPS,
+};
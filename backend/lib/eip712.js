@@ -0,0 +1,394 @@
+/**
+ * EIP-712 typed-data analyzer for eth_signTypedData_v4 requests.
+ *
+ * Off-chain signatures are the main drainer vector: a single Permit, Permit2
+ * or marketplace listing signature can hand over tokens without any on-chain
+ * approval the user would notice. This module validates the domain,
+ * recognises the common signature schemes and extracts who gets access to
+ * what, until when, with a warning level for the extension.
+ */
+const { ethers } = require('ethers');
+const { UNLIMITED_THRESHOLD } = require('./decoder');
+
+// Uniswap Permit2 is deployed at the same address on every chain
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+// Permit2 amounts are uint160; treat anything in the top half as unlimited
+const PERMIT2_UNLIMITED_THRESHOLD = 1n << 159n;
+
+// Deadlines further out than this are flagged as long-lived
+const LONG_DEADLINE_SECONDS = 30 * 24 * 60 * 60;
+
+// Seaport ItemType enum: 0 NATIVE, 1 ERC20 (others are NFTs)
+const SEAPORT_PAYMENT_ITEM_TYPES = new Set([0, 1]);
+
+// Blur Side enum: 0 Buy, 1 Sell
+const BLUR_SIDE_SELL = 1;
+
+const LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Keep only the struct types reachable from primaryType, so unused types in
+ * the payload (which wallets tolerate) don't make ethers reject it.
+ */
+function pruneTypes(types, primaryType) {
+  const reachable = {};
+  const visit = (name) => {
+    if (reachable[name] || !types[name]) return;
+    reachable[name] = types[name];
+    for (const field of types[name]) {
+      visit(field.type.replace(/(\[\d*\])+$/, ''));
+    }
+  };
+  visit(primaryType);
+  return reachable;
+}
+
+/**
+ * Parse and validate an eth_signTypedData_v4 payload.
+ * Accepts the typed-data object or its JSON string form.
+ *
+ * @param {object|string} input
+ * @returns {{ typedData: object|null, hash: string|null, error: string|null }}
+ */
+function parseTypedData(input) {
+  let typedData = input;
+  if (typeof input === 'string') {
+    try {
+      typedData = JSON.parse(input);
+    } catch {
+      return { typedData: null, hash: null, error: 'typed data is not valid JSON' };
+    }
+  }
+  if (!typedData || typeof typedData !== 'object') {
+    return { typedData: null, hash: null, error: 'typed data must be an object' };
+  }
+  const { domain, types, primaryType, message } = typedData;
+  if (!domain || typeof domain !== 'object' || !types || typeof types !== 'object'
+    || typeof primaryType !== 'string' || !message || typeof message !== 'object') {
+    return { typedData: null, hash: null, error: 'typed data requires domain, types, primaryType and message' };
+  }
+  if (!types[primaryType]) {
+    return { typedData: null, hash: null, error: `primaryType "${primaryType}" is not defined in types` };
+  }
+
+  try {
+    const encoder = ethers.TypedDataEncoder.from(pruneTypes(types, primaryType));
+    const hash = ethers.keccak256(ethers.concat([
+      '0x1901',
+      ethers.TypedDataEncoder.hashDomain(domain),
+      encoder.hashStruct(primaryType, message),
+    ]));
+    return { typedData, hash, error: null };
+  } catch (e) {
+    return { typedData: null, hash: null, error: `invalid typed data: ${e.shortMessage || e.message}` };
+  }
+}
+
+function toBigInt(value) {
+  try {
+    return value == null ? null : BigInt(value);
+  } catch {
+    return null;
+  }
+}
+
+function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+function checksum(address) {
+  return typeof address === 'string' && ethers.isAddress(address) ? ethers.getAddress(address) : null;
+}
+
+/**
+ * Scheme recognisers. Each returns null when the payload does not match, or
+ * { kind, owner?, spender, token, amount, deadline, details?, warnings } where
+ * amount/deadline are bigints (or null).
+ */
+
+function recognizePermit(typedData) {
+  const { primaryType, message, domain } = typedData;
+  if (primaryType !== 'Permit' || sameAddress(domain.verifyingContract, PERMIT2_ADDRESS)) return null;
+
+  // DAI-style permit: boolean `allowed` grants an unlimited allowance
+  if ('allowed' in message && 'holder' in message) {
+    return {
+      kind: 'dai_permit',
+      owner: message.holder,
+      spender: message.spender,
+      token: domain.verifyingContract,
+      amount: message.allowed ? ethers.MaxUint256 : 0n,
+      deadline: toBigInt(message.expiry),
+      warnings: [],
+    };
+  }
+  if (!('spender' in message) || !('value' in message)) return null;
+  return {
+    kind: 'erc2612_permit',
+    owner: message.owner,
+    spender: message.spender,
+    token: domain.verifyingContract,
+    amount: toBigInt(message.value),
+    deadline: toBigInt(message.deadline),
+    warnings: [],
+  };
+}
+
+function recognizePermit2(typedData) {
+  const { primaryType, message, domain } = typedData;
+  if (domain.name !== 'Permit2' && !sameAddress(domain.verifyingContract, PERMIT2_ADDRESS)) return null;
+  // Permit2's name on another contract: the wallet shows a Permit2 prompt for something else
+  const domainWarnings = sameAddress(domain.verifyingContract, PERMIT2_ADDRESS) ? [] : [{
+    code: 'permit2_wrong_contract',
+    level: 'high',
+    message: `Domain is named Permit2 but ${checksum(domain.verifyingContract) || 'its verifyingContract'} is not the Permit2 contract`,
+  }];
+
+  switch (primaryType) {
+    case 'PermitSingle': {
+      const details = message.details || {};
+      return {
+        kind: 'permit2_single',
+        spender: message.spender,
+        token: details.token,
+        amount: toBigInt(details.amount),
+        // The allowance lives until `expiration`; the signature itself until sigDeadline
+        deadline: toBigInt(details.expiration),
+        details: { sigDeadline: String(message.sigDeadline ?? ''), nonce: String(details.nonce ?? '') },
+        warnings: domainWarnings,
+      };
+    }
+    case 'PermitBatch': {
+      const items = Array.isArray(message.details) ? message.details : [];
+      return {
+        kind: 'permit2_batch',
+        spender: message.spender,
+        token: items[0]?.token ?? null,
+        amount: toBigInt(items[0]?.amount),
+        deadline: items.reduce((max, d) => {
+          const exp = toBigInt(d.expiration);
+          return exp !== null && (max === null || exp > max) ? exp : max;
+        }, null),
+        details: {
+          sigDeadline: String(message.sigDeadline ?? ''),
+          tokens: items.map((d) => ({ token: d.token, amount: String(d.amount), expiration: String(d.expiration) })),
+        },
+        warnings: items.length > 1
+          ? [...domainWarnings, { code: 'batch_permit', level: 'medium', message: `Grants access to ${items.length} tokens at once` }]
+          : domainWarnings,
+      };
+    }
+    case 'PermitTransferFrom':
+    case 'PermitWitnessTransferFrom':
+    case 'PermitBatchTransferFrom':
+    case 'PermitBatchWitnessTransferFrom': {
+      const permitted = Array.isArray(message.permitted) ? message.permitted : [message.permitted || {}];
+      return {
+        kind: 'permit2_transfer',
+        spender: message.spender,
+        token: permitted[0]?.token ?? null,
+        amount: toBigInt(permitted[0]?.amount),
+        deadline: toBigInt(message.deadline),
+        details: {
+          tokens: permitted.map((p) => ({ token: p.token, amount: String(p.amount) })),
+        },
+        warnings: domainWarnings,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+function recognizeSeaport(typedData) {
+  const { primaryType, message, domain } = typedData;
+  if (domain.name !== 'Seaport' || primaryType !== 'OrderComponents') return null;
+
+  const offer = Array.isArray(message.offer) ? message.offer : [];
+  const consideration = Array.isArray(message.consideration) ? message.consideration : [];
+  const payouts = consideration.filter((c) => sameAddress(c.recipient, message.offerer));
+  const payoutTotal = payouts
+    .filter((c) => SEAPORT_PAYMENT_ITEM_TYPES.has(Number(c.itemType)))
+    .reduce((sum, c) => sum + (toBigInt(c.endAmount) || 0n), 0n);
+
+  const warnings = [];
+  if (offer.length > 0 && payoutTotal === 0n) {
+    warnings.push({
+      code: 'zero_value_listing',
+      level: 'high',
+      message: 'Listing pays the signer nothing: assets would be given away for free',
+    });
+  }
+  if (consideration.some((c) => !sameAddress(c.recipient, message.offerer)) && payouts.length === 0) {
+    warnings.push({
+      code: 'third_party_recipient',
+      level: 'high',
+      message: 'All consideration goes to addresses other than the signer',
+    });
+  }
+
+  return {
+    kind: 'seaport_order',
+    owner: message.offerer,
+    spender: domain.verifyingContract,
+    token: offer[0]?.token ?? null,
+    amount: toBigInt(offer[0]?.startAmount),
+    deadline: toBigInt(message.endTime),
+    details: {
+      offerer: message.offerer,
+      offer: offer.map((o) => ({
+        itemType: Number(o.itemType), token: o.token,
+        identifier: String(o.identifierOrCriteria), amount: String(o.startAmount),
+      })),
+      consideration: consideration.map((c) => ({
+        itemType: Number(c.itemType), token: c.token,
+        identifier: String(c.identifierOrCriteria), amount: String(c.endAmount), recipient: c.recipient,
+      })),
+      payoutToOfferer: payoutTotal.toString(),
+    },
+    warnings,
+  };
+}
+
+function recognizeBlur(typedData) {
+  const { primaryType, message, domain } = typedData;
+  if (domain.name !== 'Blur Exchange') return null;
+
+  if (primaryType === 'Root') {
+    return {
+      kind: 'blur_bulk_order',
+      spender: domain.verifyingContract,
+      token: null,
+      amount: null,
+      deadline: null,
+      details: { root: message.root },
+      warnings: [{
+        code: 'opaque_bulk_listing',
+        level: 'high',
+        message: 'Bulk listing signs a Merkle root; the individual orders cannot be inspected',
+      }],
+    };
+  }
+  if (primaryType !== 'Order') return null;
+
+  const price = toBigInt(message.price);
+  const warnings = [];
+  if (Number(message.side) === BLUR_SIDE_SELL && price === 0n) {
+    warnings.push({ code: 'zero_value_listing', level: 'high', message: 'Listing price is zero' });
+  }
+  return {
+    kind: 'blur_order',
+    owner: message.trader,
+    spender: domain.verifyingContract,
+    token: message.collection,
+    amount: toBigInt(message.amount),
+    deadline: toBigInt(message.expirationTime),
+    details: {
+      trader: message.trader,
+      side: Number(message.side) === BLUR_SIDE_SELL ? 'sell' : 'buy',
+      tokenId: String(message.tokenId),
+      paymentToken: message.paymentToken,
+      price: price === null ? null : price.toString(),
+    },
+    warnings,
+  };
+}
+
+const RECOGNIZERS = [recognizePermit2, recognizePermit, recognizeSeaport, recognizeBlur];
+
+function maxLevel(levels) {
+  return levels.reduce((max, l) => (LEVELS.indexOf(l) > LEVELS.indexOf(max) ? l : max), 'low');
+}
+
+/**
+ * Analyze a validated typed-data payload.
+ *
+ * @param {object} typedData - Output of parseTypedData
+ * @param {Object} [options]
+ * @param {number|string|null} [options.activeChainId] - Chain the wallet is on
+ * @param {(address: string) => Promise<boolean>} [options.isFlagged] - Blacklist check
+ * @param {number} [options.now] - Current time in ms (for deadline checks)
+ * @returns {Promise<object>}
+ */
+async function analyzeTypedData(typedData, { activeChainId = null, isFlagged = null, now = Date.now() } = {}) {
+  const { domain, primaryType } = typedData;
+
+  let match = null;
+  for (const recognize of RECOGNIZERS) {
+    match = recognize(typedData);
+    if (match) break;
+  }
+  match = match || { kind: 'unknown', spender: null, token: null, amount: null, deadline: null, warnings: [] };
+
+  const warnings = [...match.warnings];
+  const domainChainId = toBigInt(domain.chainId);
+
+  if (domainChainId === null) {
+    warnings.push({ code: 'missing_chain_id', level: 'medium', message: 'Domain has no chainId; the signature may be replayable on other chains' });
+  } else if (activeChainId != null && toBigInt(activeChainId) !== domainChainId) {
+    warnings.push({
+      code: 'chain_mismatch',
+      level: 'high',
+      message: `Domain chainId ${domainChainId} does not match the active chain ${activeChainId}`,
+    });
+  }
+
+  if (match.kind === 'unknown') {
+    warnings.push({ code: 'unrecognized_type', level: 'low', message: `Unrecognized typed data "${primaryType}"` });
+  } else if (match.kind !== 'seaport_order' && match.kind !== 'blur_order' && match.kind !== 'blur_bulk_order') {
+    // Every permit is a gasless token approval, even when the amount is small
+    warnings.push({ code: 'token_approval', level: 'medium', message: 'Signature grants a token allowance without an on-chain transaction' });
+    const threshold = match.kind.startsWith('permit2') ? PERMIT2_UNLIMITED_THRESHOLD : UNLIMITED_THRESHOLD;
+    if (match.amount !== null && match.amount >= threshold) {
+      warnings.push({ code: 'unlimited_amount', level: 'high', message: 'Allowance amount is unlimited' });
+    }
+  }
+
+  const nowSeconds = BigInt(Math.floor(now / 1000));
+  // DAI's expiry 0 means the permit never expires (Permit2's expiration 0 means "this block")
+  if (match.kind === 'dai_permit' && match.deadline === 0n) {
+    warnings.push({ code: 'long_deadline', level: 'medium', message: 'Signature never expires' });
+  } else if (match.deadline !== null && match.deadline !== 0n && match.deadline - nowSeconds > BigInt(LONG_DEADLINE_SECONDS)) {
+    warnings.push({ code: 'long_deadline', level: 'medium', message: 'Signature stays valid for more than 30 days' });
+  }
+
+  if (isFlagged) {
+    const checks = [
+      ['verifyingContract', domain.verifyingContract],
+      ['spender', match.spender],
+    ];
+    for (const [role, address] of checks) {
+      if (!checksum(address)) continue;
+      if (role === 'spender' && sameAddress(address, domain.verifyingContract)) continue;
+      if (await isFlagged(address.toLowerCase())) {
+        warnings.push({ code: 'blacklisted_address', level: 'high', message: `${role} ${checksum(address)} is on the blacklist` });
+      }
+    }
+  }
+
+  return {
+    primaryType,
+    kind: match.kind,
+    domain: {
+      name: domain.name ?? null,
+      version: domain.version ?? null,
+      chainId: domainChainId === null ? null : domainChainId.toString(),
+      verifyingContract: checksum(domain.verifyingContract),
+    },
+    owner: checksum(match.owner),
+    spender: checksum(match.spender),
+    token: checksum(match.token),
+    amount: match.amount === null ? null : match.amount.toString(),
+    deadline: match.deadline === null ? null : match.deadline.toString(),
+    ...(match.details ? { details: match.details } : {}),
+    warningLevel: maxLevel(warnings.map((w) => w.level)),
+    warnings,
+  };
+}
+
+module.exports = {
+  parseTypedData,
+  analyzeTypedData,
+  PERMIT2_ADDRESS,
+};
@@ -69,6 +69,57 @@ function validateAddress(address) {
   return { valid: true, error: null };
 }
 
+// Longer keys are almost certainly junk (and would bloat cache keys)
+const MAX_TEXT_KEY_LENGTH = 256;
+const DEFAULT_TEXT_KEYS_LIMIT = 50;
+
+/**
+ * Validate a text record key. Any printable key is allowed (ENSIP-5 keys
+ * are free-form, e.g. `org.farcaster`), up to 256 characters, without
+ * whitespace or control characters.
+ *
+ * @param {string} key
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+function validateTextKey(key) {
+  if (!key || typeof key !== 'string') {
+    return { valid: false, error: 'Text record key is required' };
+  }
+  if (key.length > MAX_TEXT_KEY_LENGTH) {
+    return { valid: false, error: `Text record key is longer than ${MAX_TEXT_KEY_LENGTH} characters` };
+  }
+  if (/[\s\p{Cc}]/u.test(key)) {
+    return { valid: false, error: `Invalid text record key "${key}". Keys can't contain whitespace or control characters.` };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Parse a comma-separated `keys` query parameter: trimmed, de-duplicated,
+ * each key validated, at most `limit` keys.
+ *
+ * @param {unknown} raw
+ * @param {number} [limit=50]
+ * @returns {{ valid: boolean, keys: string[], error: string|null }}
+ */
+function parseTextKeys(raw, limit = DEFAULT_TEXT_KEYS_LIMIT) {
+  if (typeof raw !== 'string') {
+    return { valid: false, keys: [], error: 'keys must be a comma-separated list of text record keys' };
+  }
+  const keys = [...new Set(raw.split(',').map((k) => k.trim()).filter(Boolean))];
+  if (keys.length === 0) {
+    return { valid: false, keys: [], error: 'keys must list at least one text record key' };
+  }
+  if (keys.length > limit) {
+    return { valid: false, keys: [], error: `Too many keys (${keys.length}); at most ${limit} per request` };
+  }
+  for (const key of keys) {
+    const { valid, error } = validateTextKey(key);
+    if (!valid) return { valid: false, keys: [], error };
+  }
+  return { valid: true, keys, error: null };
+}
+
 /**
  * Standard text record keys used in ENS profiles.
  * Includes both legacy short keys and the newer namespaced convention.
@@ -114,6 +165,9 @@ module.exports = {
   normalizeName,
   validateName,
   validateAddress,
+  validateTextKey,
+  parseTextKeys,
   STANDARD_TEXT_KEYS,
   EXTENDED_TEXT_KEYS,
+  DEFAULT_TEXT_KEYS_LIMIT,
 };
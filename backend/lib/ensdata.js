@@ -0,0 +1,449 @@
+/**
+ * ENS data access shared by the profile routes.
+ *
+ * Every read goes through the ENS cache (lib/cache.js) under a
+ * `<record type>:<name>[:...]` key, so a warm profile is served without RPC
+ * calls. Resolvers are cached too: the resolver address in the shared cache,
+ * the resolver object in-process (rebuilt from the address after a cold
+ * start).
+ *
+ * Uncached records of a profile are fetched from its resolver in one
+ * Multicall3 eth_call, and batch address lookups in two (lib/multicall.js).
+ * Records the multicall can't answer (wildcard / CCIP-Read resolvers,
+ * reverted calls) fall back to per-record reads, at most `textConcurrency`
+ * at a time. With a Universal Resolver client (lib/universal.js) those reads
+ * support wildcards and allowlisted CCIP-Read, and the service remembers how
+ * each name was answered (`resolution:<name>`: onchain or offchain, and the
+ * gateway); without one, or where it isn't deployed, ethers is used.
+ *
+ * Lookups fail per record: a resolver that reverts on one key does not fail
+ * the whole profile.
+ */
+const { ethers } = require('ethers');
+const { TTLCache } = require('./cache');
+const { coinTypeForChain, MAINNET } = require('./chains');
+const { fetchResolverRecords, resolveAddresses } = require('./multicall');
+const { isCcipError } = require('./ccip');
+const { createAvatarService, parseAvatarUri } = require('./avatar');
+const { encodeContenthash } = require('./contenthash');
+const { discoverTextKeys } = require('./textkeys');
+const { readOwnership } = require('./ownership');
+const {
+  readReverseName, readDefaultReverseName, readL2ReverseName, verifyPrimaryName, reverseRegistrarsFromEnv,
+} = require('./primary');
+
+const DEFAULT_TEXT_CONCURRENCY = 8;
+
+/**
+ * Map `items` through `fn`, running at most `limit` calls at once.
+ * Results keep the input order.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Create the ENS data service.
+ *
+ * @param {Object} options
+ * @param {object} options.provider - Mainnet provider or pool (ENS lives on mainnet)
+ * @param {import('./cache').LayeredCache} options.cache
+ * @param {object} [options.universal] - Universal Resolver client (lib/universal.js)
+ * @param {object} [options.avatars] - Avatar service (lib/avatar.js); default: mainnet-only NFT checks
+ * @param {number} [options.textConcurrency=8] - Parallel per-record reads when the multicall falls short
+ * @param {{ blocks?: number, chunkSize?: number }} [options.textDiscovery] - TextChanged log scan range (lib/textkeys.js)
+ * @param {(chainId: number) => object|null} [options.getProvider] - Chain providers for ENSIP-19 primary names
+ * @param {Map<number, string>} [options.reverseRegistrars] - L2 reverse registrars by chainId (lib/primary.js)
+ * @returns {object}
+ */
+function createEnsDataService({
+  provider,
+  cache,
+  universal = null,
+  avatars = createAvatarService({ getProvider: (chainId) => (chainId === MAINNET ? provider : null) }),
+  textConcurrency = DEFAULT_TEXT_CONCURRENCY,
+  textDiscovery = {},
+  getProvider = (chainId) => (chainId === MAINNET ? provider : null),
+  reverseRegistrars = reverseRegistrarsFromEnv({}),
+}) {
+  // Resolver objects can't be serialized; keep them for as long as their cached address can be served
+  const resolverTtlMs = cache.ttlFor('resolver:') + cache.staleTtlMs;
+  const resolvers = new TTLCache(resolverTtlMs);
+
+  /**
+   * Run a read through the pool's quorum (RPC_QUORUM endpoints must agree),
+   * for lookups where one lying or lagging node could mislabel an address.
+   * Plain providers (and RPC_QUORUM=1) just run `fn` once.
+   */
+  function quorumRead(fn) {
+    return typeof provider.quorum === 'function' ? provider.quorum(fn) : fn(provider);
+  }
+
+  /**
+   * Address of `name` on `chainId`: the mainnet address for chain 1, otherwise
+   * the ENSIP-11 coin-type address from the name's (mainnet) resolver.
+   * `p` overrides the provider (quorum reads pass a single endpoint).
+   */
+  async function resolveOnChain(name, chainId, resolver, p = provider) {
+    if (chainId === MAINNET) return p.resolveName(name);
+    const r = resolver === undefined ? await p.getResolver(name) : resolver;
+    if (!r) return null;
+    return r.getAddress(coinTypeForChain(chainId));
+  }
+
+  /**
+   * Resolver for `name`, or null if it has none.
+   */
+  async function getResolver(name) {
+    const local = resolvers.get(name);
+    if (local) return local;
+    const address = await cache.getOrLoad(`resolver:${name}`, async () => {
+      const resolver = await provider.getResolver(name);
+      if (resolver) resolvers.set(name, resolver);
+      return resolver ? resolver.address : null;
+    });
+    if (!address) return null;
+    let resolver = resolvers.get(name);
+    if (!resolver) {
+      // Cached address from the shared tier (another instance looked it up)
+      resolver = new ethers.EnsResolver(provider, address, name);
+      resolvers.set(name, resolver);
+    }
+    return resolver;
+  }
+
+  /**
+   * How the records of `name` were last answered:
+   * `{ resolver, wildcard, source: 'onchain'|'offchain', gateway, error? }`,
+   * or null if unknown.
+   */
+  async function getResolution(name) {
+    return (await cache.get(`resolution:${name}`)) ?? null;
+  }
+
+  async function setResolution(name, resolution, options) {
+    if (resolution) await cache.set(`resolution:${name}`, resolution, options);
+  }
+
+  /**
+   * Read one record through the Universal Resolver, recording where the
+   * answer came from. Failed offchain lookups are recorded (for the miss
+   * TTL) and rethrown; `fallback` (ethers) runs when there is no Universal
+   * Resolver.
+   */
+  async function readRecord(name, record, fallback) {
+    if (!universal) return fallback();
+    let result;
+    try {
+      result = await universal.resolve(name, record);
+    } catch (e) {
+      if (e.code === 'UNIVERSAL_RESOLVER_UNAVAILABLE') return fallback();
+      if (isCcipError(e)) {
+        await setResolution(name, { ...e.resolution, error: { code: e.code, message: e.message } }, { ttl: cache.ttlFor('resolution:', null) });
+      }
+      throw e;
+    }
+    await setResolution(name, result.resolution);
+    return result.value;
+  }
+
+  function addressKey(name, chainId) {
+    return chainId === MAINNET ? `resolve:${name}` : `resolve:${name}:${chainId}`;
+  }
+
+  async function loadAddress(name, chainId) {
+    return readRecord(name, { type: 'addr', coinType: coinTypeForChain(chainId) }, async () => {
+      if (chainId === MAINNET) return provider.resolveName(name);
+      const resolver = await getResolver(name);
+      return resolver ? resolver.getAddress(coinTypeForChain(chainId)) : null;
+    });
+  }
+
+  /**
+   * Address of `name` on `chainId` (mainnet keeps the `resolve:<name>` key).
+   */
+  async function resolveAddress(name, chainId = MAINNET) {
+    return cache.getOrLoad(addressKey(name, chainId), () => loadAddress(name, chainId));
+  }
+
+  /**
+   * Addresses of many names on `chainId`, cache first. The misses are
+   * resolved with two multicalls (registry resolvers, then `addr`); names the
+   * multicall can't answer fall back to resolveAddress().
+   *
+   * @param {string[]} names - Normalized names
+   * @param {number} [chainId]
+   * @returns {Promise<Map<string, { address: string|null }|{ address: null, error: string }>>}
+   */
+  async function resolveMany(names, chainId = MAINNET) {
+    const out = new Map();
+    const misses = [];
+    for (const name of new Set(names)) {
+      const cached = await cache.get(addressKey(name, chainId));
+      if (cached === undefined) misses.push(name);
+      else out.set(name, { address: cached });
+    }
+    if (misses.length === 0) return out;
+
+    const batched = await resolveAddresses(provider, misses, { coinType: coinTypeForChain(chainId) });
+    const fallback = [];
+    for (const name of misses) {
+      const r = batched.get(name);
+      if (r.error) {
+        fallback.push(name);
+        continue;
+      }
+      out.set(name, { address: r.value });
+      await Promise.all([
+        cache.set(addressKey(name, chainId), r.value),
+        cache.set(`resolver:${name}`, r.resolver),
+      ]);
+    }
+    await mapLimit(fallback, textConcurrency, async (name) => {
+      try {
+        out.set(name, { address: await resolveAddress(name, chainId) });
+      } catch (e) {
+        out.set(name, { address: null, error: e.shortMessage || e.message });
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Primary name for a (lowercased) address on `chainId`, verified by
+   * forward-resolving it on that chain. Off mainnet the chain's ENSIP-19
+   * reverse registrar is read first (when the chain has one and a provider),
+   * then the default primary name (`default.reverse`). Reverse and forward
+   * reads on mainnet are quorum reads.
+   *
+   * @returns {Promise<{ name: string, verified: boolean, reason: 'VERIFIED'|'MISMATCH'|'NORMALIZATION_FAILED', source: 'l2'|'default'|'mainnet' }|null>}
+   *   null when there is no reverse record (NO_REVERSE_RECORD)
+   */
+  async function lookupName(address, chainId = MAINNET) {
+    const key = chainId === MAINNET ? `reverse:${address}` : `reverse:${address}:${chainId}`;
+    return cache.getOrLoad(key, async () => {
+      let name = null;
+      let source = 'mainnet';
+      if (chainId === MAINNET) {
+        name = await quorumRead((p) => readReverseName(p, address));
+      } else {
+        const l2Provider = getProvider(chainId);
+        const registrar = reverseRegistrars.get(chainId);
+        if (l2Provider && registrar) {
+          name = await readL2ReverseName(l2Provider, registrar, address);
+          source = 'l2';
+        }
+        if (!name) {
+          name = await quorumRead((p) => readDefaultReverseName(p, address));
+          source = 'default';
+        }
+      }
+      if (!name) return null;
+      const outcome = await verifyPrimaryName(name, address, (claimed) =>
+        quorumRead((p) => resolveOnChain(claimed, chainId, undefined, p)));
+      return { ...outcome, source };
+    });
+  }
+
+  async function getText(name, key) {
+    return cache.getOrLoad(`text:${name}:${key}`, async () => {
+      const resolver = await getResolver(name);
+      return resolver ? readRecord(name, { type: 'text', key }, () => resolver.getText(key)) : null;
+    });
+  }
+
+  /**
+   * Lazy multicall of `keys` (and the address for `coinType`) on one
+   * resolver, shared by the cache loaders of a profile: the first miss
+   * fetches every record in one eth_call. Resolves to null for wildcard
+   * resolvers and when the multicall itself fails.
+   */
+  function recordBatch(name, resolver, keys, coinType = null) {
+    let pending = null;
+    return () => {
+      pending ??= fetchResolverRecords(provider, { resolver: resolver.address, name, keys, coinType })
+        .then(async (records) => {
+          if (records.wildcard) return null;
+          await setResolution(name, { resolver: resolver.address, wildcard: false, source: 'onchain', gateway: null });
+          return records;
+        })
+        .catch(() => null);
+      return pending;
+    };
+  }
+
+  /** Text records of `name` through the cache, misses served from `batch`. */
+  async function loadTexts(name, resolver, keys, batch) {
+    const values = await mapLimit(keys, textConcurrency, (key) => cache.getOrLoad(`text:${name}:${key}`, async () => {
+      const r = (await batch())?.texts[key];
+      return r && !r.error ? r.value : readRecord(name, { type: 'text', key }, () => resolver.getText(key));
+    }).catch(() => null));
+    const out = {};
+    keys.forEach((key, i) => {
+      if (values[i]) out[key] = values[i];
+    });
+    return out;
+  }
+
+  /**
+   * Text records that are set, keyed by text key. Keys that fail to load
+   * are skipped.
+   *
+   * @param {string} name
+   * @param {string[]} keys
+   * @returns {Promise<Object<string, string>>}
+   */
+  async function getTexts(name, keys) {
+    const resolver = await getResolver(name);
+    if (!resolver) return {};
+    return loadTexts(name, resolver, keys, recordBatch(name, resolver, keys));
+  }
+
+  /**
+   * Text keys set on the name's current resolver, discovered from its
+   * TextChanged logs, or null if the name has no resolver.
+   *
+   * @param {string} name
+   * @returns {Promise<{ resolver: string, keys: string[], fromBlock: number, toBlock: number }|null>}
+   */
+  async function getTextKeys(name) {
+    return cache.getOrLoad(`textkeys:${name}`, async () => {
+      const resolver = await getResolver(name);
+      if (!resolver) return null;
+      const found = await discoverTextKeys(provider, { resolver: resolver.address, name, ...textDiscovery });
+      return { resolver: resolver.address, ...found };
+    });
+  }
+
+  /**
+   * Registry owner, .eth registrar state and NameWrapper data of `name`
+   * (lib/ownership.js), read in one multicall.
+   *
+   * @param {string} name
+   * @returns {Promise<{ registryOwner: string|null, registrar: object|null, wrapper: object|null }>}
+   */
+  async function getOwnership(name) {
+    return cache.getOrLoad(`ownership:${name}`, () => readOwnership(provider, name));
+  }
+
+  /**
+   * ENSIP-12 avatar of `name` (lib/avatar.js), or null without an avatar
+   * record. `url` is null when an NFT avatar fails the ownership check.
+   * The record and the owner's address can be passed in when a profile
+   * already loads them.
+   *
+   * @returns {Promise<{ record: string, type: string|null, url: string|null, nft?: object, error?: string }|null>}
+   */
+  async function getAvatar(name, { record = () => getText(name, 'avatar'), owner = () => resolveAddress(name) } = {}) {
+    return cache.getOrLoad(`avatar:${name}`, async () => {
+      const value = await record();
+      if (!value) return null;
+      // Only NFT avatars need the owner; skip the address lookup for plain URLs
+      const type = parseAvatarUri(value)?.type;
+      const isNft = type === 'erc721' || type === 'erc1155';
+      return avatars.resolve(value, { owner: isNft ? await owner() : null });
+    });
+  }
+
+  /**
+   * Raw contenthash bytes (hex) of `name`, or null. Decoding is left to
+   * lib/contenthash.js so malformed values can be reported rather than dropped.
+   */
+  async function getContenthash(name) {
+    return cache.getOrLoad(`contenthash:${name}`, async () => {
+      const resolver = await getResolver(name);
+      if (!resolver) return null;
+      return readRecord(name, { type: 'contenthash' }, async () => {
+        try {
+          const uri = await resolver.getContentHash();
+          return uri ? encodeContenthash(uri) : null;
+        } catch (e) {
+          // ethers only decodes IPFS / IPNS / Swarm; it reports anything else with the raw bytes
+          if (e.code === 'UNSUPPORTED_OPERATION' && ethers.isHexString(e.info?.data)) return e.info.data;
+          throw e;
+        }
+      });
+    });
+  }
+
+  /**
+   * Resolver, address, avatar, contenthash and text records of a name,
+   * fetched in parallel; the address and text records share one multicall.
+   * `avatar` is the resolved ENSIP-12 image URL (null if an NFT avatar isn't
+   * owned by the name's address) and `contenthash` the raw hex. Avatar,
+   * contenthash and text failures leave that field empty; resolver and
+   * address failures reject.
+   *
+   * @param {string} name - Normalized name
+   * @param {{ chainId?: number, keys?: string[], contenthash?: boolean }} [options]
+   * @returns {Promise<{ resolver: string|null, address: string|null, avatar: string|null, contenthash: string|null, textRecords: Object<string, string>, resolution: object|null }>}
+   */
+  async function getProfile(name, { chainId = MAINNET, keys = [], contenthash = true } = {}) {
+    const resolver = await getResolver(name);
+    if (!resolver) {
+      const address = await resolveAddress(name, chainId);
+      return { resolver: null, address, avatar: null, contenthash: null, textRecords: {}, resolution: await getResolution(name) };
+    }
+    const batch = recordBatch(name, resolver, keys, coinTypeForChain(chainId));
+    const address = cache.getOrLoad(addressKey(name, chainId), async () => {
+      const r = (await batch())?.address;
+      return r && !r.error ? r.value : loadAddress(name, chainId);
+    });
+    const texts = loadTexts(name, resolver, keys, batch);
+    // The avatar record and (for NFT avatars) its owner come from the same batch
+    const avatar = getAvatar(name, {
+      record: keys.includes('avatar') ? () => texts.then((t) => t.avatar || null) : undefined,
+      owner: chainId === MAINNET ? () => address : undefined,
+    }).then((a) => a?.url ?? null, () => null);
+    const [addressValue, avatarUrl, hash, textRecords] = await Promise.all([
+      address,
+      avatar,
+      contenthash ? getContenthash(name).catch(() => null) : null,
+      texts,
+    ]);
+    return {
+      resolver: resolver.address,
+      address: addressValue,
+      avatar: avatarUrl,
+      contenthash: hash,
+      textRecords,
+      resolution: await getResolution(name),
+    };
+  }
+
+  return {
+    getResolver,
+    getResolution,
+    resolveAddress,
+    resolveMany,
+    lookupName,
+    getText,
+    getTexts,
+    getTextKeys,
+    getAvatar,
+    getContenthash,
+    getOwnership,
+    getProfile,
+  };
+}
+
+module.exports = {
+  createEnsDataService,
+  mapLimit,
+  DEFAULT_TEXT_CONCURRENCY,
+};
@@ -0,0 +1,179 @@
+/**
+ * Knowledge graph export — GraphML, GEXF, Cytoscape JSON and Graphviz DOT.
+ *
+ * Serializers are async generators of string chunks that consume nodes and
+ * edges as they are read from storage, so a large subgraph is written out
+ * piece by piece (the route pipes them into the response) instead of being
+ * built as one document in memory. Nodes are consumed before edges, which
+ * every format requires.
+ *
+ * Nodes: { id, ensName, label, flagged, interactionCount }
+ * Edges: { id, source, target, type, method, count, firstSeen, lastSeen, chainId }
+ * Null attributes are left out.
+ */
+
+const NODE_ATTRIBUTES = [
+  { name: 'ensName', type: 'string' },
+  { name: 'label', type: 'string' },
+  { name: 'flagged', type: 'boolean' },
+  { name: 'interactionCount', type: 'int' },
+];
+const EDGE_ATTRIBUTES = [
+  { name: 'type', type: 'string' },
+  { name: 'method', type: 'string' },
+  { name: 'count', type: 'int' },
+  { name: 'firstSeen', type: 'long' },
+  { name: 'lastSeen', type: 'long' },
+  { name: 'chainId', type: 'int' },
+];
+
+const EXPORT_FORMATS = {
+  graphml: { contentType: 'application/graphml+xml', extension: 'graphml', serialize: graphml },
+  gexf: { contentType: 'application/gexf+xml', extension: 'gexf', serialize: gexf },
+  cytoscape: { contentType: 'application/json', extension: 'cyjs', serialize: cytoscape },
+  dot: { contentType: 'text/vnd.graphviz', extension: 'dot', serialize: dot },
+};
+
+// Characters XML 1.0 can't contain at all (ENS names and methods are user input)
+const XML_INVALID = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function xml(value) {
+  return String(value)
+    .replace(XML_INVALID, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function present(attributes, item) {
+  return attributes.filter((a) => item[a.name] !== null && item[a.name] !== undefined && item[a.name] !== '');
+}
+
+async function* graphml({ nodes, edges, meta }) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" '
+    + 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" '
+    + 'xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">\n';
+  for (const [domain, attributes] of [['node', NODE_ATTRIBUTES], ['edge', EDGE_ATTRIBUTES]]) {
+    for (const a of attributes) {
+      yield `  <key id="${a.name}" for="${domain}" attr.name="${a.name}" attr.type="${a.type}"/>\n`;
+    }
+  }
+  yield `  <graph id="${xml(meta.id)}" edgedefault="directed">\n`;
+  yield `    <desc>${xml(meta.description)}</desc>\n`;
+  for await (const node of nodes) {
+    yield `    <node id="${xml(node.id)}">`
+      + present(NODE_ATTRIBUTES, node).map((a) => `<data key="${a.name}">${xml(node[a.name])}</data>`).join('')
+      + '</node>\n';
+  }
+  for await (const edge of edges) {
+    yield `    <edge id="${xml(edge.id)}" source="${xml(edge.source)}" target="${xml(edge.target)}">`
+      + present(EDGE_ATTRIBUTES, edge).map((a) => `<data key="${a.name}">${xml(edge[a.name])}</data>`).join('')
+      + '</edge>\n';
+  }
+  yield '  </graph>\n</graphml>\n';
+}
+
+// GEXF types; the node label is a built-in attribute there
+const GEXF_TYPES = { string: 'string', boolean: 'boolean', int: 'integer', long: 'long' };
+const GEXF_NODE_ATTRIBUTES = NODE_ATTRIBUTES.filter((a) => a.name !== 'label');
+
+function attvalues(attributes, item) {
+  const values = present(attributes, item);
+  if (values.length === 0) return '';
+  return `<attvalues>${values.map((a) => `<attvalue for="${a.name}" value="${xml(item[a.name])}"/>`).join('')}</attvalues>`;
+}
+
+async function* gexf({ nodes, edges, meta }) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<gexf xmlns="http://www.gexf.net/1.2draft" version="1.2">\n';
+  yield `  <meta><creator>ENSight</creator><description>${xml(meta.description)}</description></meta>\n`;
+  yield '  <graph defaultedgetype="directed" mode="static">\n';
+  for (const [domain, attributes] of [['node', GEXF_NODE_ATTRIBUTES], ['edge', EDGE_ATTRIBUTES]]) {
+    yield `    <attributes class="${domain}">`
+      + attributes.map((a) => `<attribute id="${a.name}" title="${a.name}" type="${GEXF_TYPES[a.type]}"/>`).join('')
+      + '</attributes>\n';
+  }
+  yield '    <nodes>\n';
+  for await (const node of nodes) {
+    yield `      <node id="${xml(node.id)}" label="${xml(node.label || node.ensName || node.id)}">`
+      + `${attvalues(GEXF_NODE_ATTRIBUTES, node)}</node>\n`;
+  }
+  yield '    </nodes>\n    <edges>\n';
+  for await (const edge of edges) {
+    // Gephi sizes edges by weight: use the interaction count
+    yield `      <edge id="${xml(edge.id)}" source="${xml(edge.source)}" target="${xml(edge.target)}" weight="${edge.count || 1}">`
+      + `${attvalues(EDGE_ATTRIBUTES, edge)}</edge>\n`;
+  }
+  yield '    </edges>\n  </graph>\n</gexf>\n';
+}
+
+function cytoscapeData(attributes, item, base) {
+  const data = { ...base };
+  for (const a of present(attributes, item)) data[a.name] = item[a.name];
+  return JSON.stringify({ data });
+}
+
+// Cytoscape.js elements JSON (also imported by Cytoscape desktop as .cyjs)
+async function* cytoscape({ nodes, edges, meta }) {
+  yield `{"format_version":"1.0","generated_by":"ENSight","target_cytoscapejs_version":"~3",`
+    + `"data":${JSON.stringify({ name: meta.id, description: meta.description })},"elements":{"nodes":[`;
+  let first = true;
+  for await (const node of nodes) {
+    yield `${first ? '' : ','}\n${cytoscapeData(NODE_ATTRIBUTES, node, { id: node.id, name: node.label || node.ensName || node.id })}`;
+    first = false;
+  }
+  yield '\n],"edges":[';
+  first = true;
+  for await (const edge of edges) {
+    yield `${first ? '' : ','}\n${cytoscapeData(EDGE_ATTRIBUTES, edge, { id: edge.id, source: edge.source, target: edge.target })}`;
+    first = false;
+  }
+  yield '\n]}}\n';
+}
+
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function dotAttributes(attributes, item, extra = []) {
+  const pairs = [...extra, ...present(attributes, item).map((a) => [a.name, item[a.name]])];
+  return pairs.map(([k, v]) => `${k}=${typeof v === 'string' ? dotString(v) : v}`).join(', ');
+}
+
+async function* dot({ nodes, edges, meta }) {
+  yield `// ${meta.description.replace(/\r?\n/g, ' ')}\n`;
+  yield `digraph ${dotString(meta.id)} {\n`;
+  for await (const node of nodes) {
+    yield `  ${dotString(node.id)} [${dotAttributes(NODE_ATTRIBUTES.filter((a) => a.name !== 'label'), node, [
+      ['label', node.label || node.ensName || node.id],
+      ...(node.flagged ? [['color', 'red']] : []),
+    ])}];\n`;
+  }
+  for await (const edge of edges) {
+    yield `  ${dotString(edge.source)} -> ${dotString(edge.target)} [${dotAttributes(EDGE_ATTRIBUTES, edge)}];\n`;
+  }
+  yield '}\n';
+}
+
+/**
+ * Serialize a graph as a stream of string chunks.
+ *
+ * @param {'graphml'|'gexf'|'cytoscape'|'dot'} format
+ * @param {{ nodes: AsyncIterable<object>|Iterable<object>, edges: AsyncIterable<object>|Iterable<object>, meta: { id: string, description: string } }} graph
+ * @returns {AsyncGenerator<string>}
+ */
+function serializeGraph(format, graph) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unsupported export format "${format}"`);
+  return spec.serialize(graph);
+}
+
+module.exports = {
+  serializeGraph,
+  EXPORT_FORMATS,
+  NODE_ATTRIBUTES,
+  EDGE_ATTRIBUTES,
+};
@@ -0,0 +1,326 @@
+/**
+ * Threat intelligence feed providers.
+ *
+ * A feed is a remote (or local file) blocklist of addresses or domains. Each
+ * feed has its own parser, source tag, ETag handling and sync interval, and
+ * is stored in Redis under keys prefixed with its id:
+ *
+ *   {id}:addresses | {id}:domains → SET of lowercased entries
+ *   {id}:etag                     → last ETag seen (HTTP) or mtime tag (file)
+ *   {id}:lastUpdated              → ms timestamp of the last successful import
+ *   {id}:lastChecked              → ms timestamp of the last successful fetch (200 or 304)
+ *   {id}:count                    → number of entries in the last import
+ *   {id}:syncHistory              → LIST of JSON sync run records, newest first
+ *
+ * Imports are atomic: entries are written to `{set}:staging` in chunked,
+ * pipelined SADDs and then RENAMEd over the live set, so lookups never see
+ * a partially imported (or empty) list. A body that parses to no entries is
+ * a failed sync: the previous list and its metadata are kept.
+ *
+ * The ScamSniffer feed keeps the original `scamsniffer:*` key names.
+ *
+ * Feeds are enabled with THREAT_FEEDS (comma-separated ids, default
+ * "scamsniffer"); extra feeds can be declared in THREAT_FEEDS_JSON.
+ */
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+const { ethers } = require('ethers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// A feed counts as due slightly early so a cron firing on the same schedule
+// as the feed interval isn't skipped because of a few ms of jitter.
+const SCHEDULE_GRACE_MS = 5 * 60 * 1000;
+
+// Members per SADD, and SADDs per pipeline round trip
+const SADD_CHUNK_SIZE = 1000;
+const CHUNKS_PER_PIPELINE = 10;
+
+// Sync runs kept in {id}:syncHistory
+const SYNC_HISTORY_LENGTH = 50;
+
+// Remote fetches (including the body) are aborted after this, unless the feed sets timeoutMs
+const DEFAULT_FETCH_TIMEOUT_MS = 30_000;
+
+const DEFAULT_SCAMSNIFFER_URL = 'https://raw.githubusercontent.com/scamsniffer/scam-database/main/blacklist/address.json';
+const DEFAULT_METAMASK_URL = 'https://raw.githubusercontent.com/MetaMask/eth-phishing-detect/main/src/config.json';
+
+/**
+ * Parsers keyed by feed format. `json` says whether the raw body should be
+ * JSON-decoded before parsing; `parse` returns lowercased entries.
+ */
+const PARSERS = {
+  // ["0x..."] or { addresses: [...] } / { data: [...] } (ScamSniffer layout)
+  'json-addresses': {
+    json: true,
+    parse(data) {
+      const raw = Array.isArray(data) ? data : (data?.addresses || data?.data || []);
+      return raw
+        .filter((a) => typeof a === 'string' && ethers.isAddress(a))
+        .map((a) => a.toLowerCase());
+    },
+  },
+  // One address per line; the first address-looking cell of each row wins.
+  // Header rows and # comments are skipped.
+  'csv-addresses': {
+    json: false,
+    parse(text) {
+      const out = [];
+      for (const line of String(text).split(/\r?\n/)) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+        const cell = line.split(',').map((c) => c.trim().replace(/^"|"$/g, '')).find((c) => ethers.isAddress(c));
+        if (cell) out.push(cell.toLowerCase());
+      }
+      return out;
+    },
+  },
+  // MetaMask eth-phishing-detect config.json ({ blacklist: [...] })
+  'metamask-domains': {
+    json: true,
+    parse(data) {
+      const raw = Array.isArray(data?.blacklist) ? data.blacklist : [];
+      return raw.filter((d) => typeof d === 'string' && d.includes('.')).map((d) => d.trim().toLowerCase());
+    },
+  },
+  // One hostname per line
+  'text-domains': {
+    json: false,
+    parse(text) {
+      return String(text)
+        .split(/\r?\n/)
+        .map((l) => l.trim().toLowerCase())
+        .filter((l) => l && !l.startsWith('#') && l.includes('.'));
+    },
+  },
+};
+
+/**
+ * Built-in feed definitions. URLs are resolved from env at call time so
+ * overrides (and tests) take effect without a restart.
+ */
+function builtinFeeds(env) {
+  return [
+    {
+      id: 'scamsniffer',
+      name: 'ScamSniffer',
+      type: 'address',
+      format: 'json-addresses',
+      url: env.SCAMSNIFFER_JSON_URL || DEFAULT_SCAMSNIFFER_URL,
+      intervalMs: DAY_MS,
+    },
+    {
+      id: 'metamask',
+      name: 'MetaMask eth-phishing-detect',
+      type: 'domain',
+      format: 'metamask-domains',
+      url: env.METAMASK_PHISHING_URL || DEFAULT_METAMASK_URL,
+      intervalMs: 6 * HOUR_MS,
+    },
+  ];
+}
+
+/**
+ * Validate a feed definition. Returns an error message or null.
+ */
+function validateFeed(feed) {
+  if (!feed || typeof feed !== 'object') return 'feed must be an object';
+  if (typeof feed.id !== 'string' || !/^[a-z0-9_-]+$/.test(feed.id)) return 'feed id must be [a-z0-9_-]+';
+  if (feed.type !== 'address' && feed.type !== 'domain') return `feed "${feed.id}": type must be "address" or "domain"`;
+  if (!PARSERS[feed.format]) return `feed "${feed.id}": unknown format "${feed.format}"`;
+  if (typeof feed.url !== 'string' || !feed.url) return `feed "${feed.id}": url required`;
+  return null;
+}
+
+/**
+ * Load the enabled feeds from environment configuration.
+ * Invalid custom feed definitions are skipped.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Array<{ id: string, name: string, type: 'address'|'domain', format: string, url: string, intervalMs: number, timeoutMs?: number }>}
+ */
+function loadFeeds(env = process.env) {
+  const all = builtinFeeds(env);
+  if (env.THREAT_FEEDS_JSON) {
+    try {
+      const custom = JSON.parse(env.THREAT_FEEDS_JSON);
+      for (const feed of Array.isArray(custom) ? custom : []) {
+        if (validateFeed(feed)) continue;
+        const entry = { name: feed.id, intervalMs: DAY_MS, ...feed };
+        const idx = all.findIndex((f) => f.id === entry.id);
+        if (idx >= 0) all[idx] = entry;
+        else all.push(entry);
+      }
+    } catch { /* ignore malformed config */ }
+  }
+  const enabled = (env.THREAT_FEEDS || 'scamsniffer').split(',').map((s) => s.trim()).filter(Boolean);
+  return all.filter((f) => enabled.includes(f.id));
+}
+
+/** Redis set key holding a feed's entries. */
+function feedSetKey(feed) {
+  return `${feed.id}:${feed.type === 'address' ? 'addresses' : 'domains'}`;
+}
+
+function isLocalSource(url) {
+  return url.startsWith('file:') || url.startsWith('/') || url.startsWith('.');
+}
+
+/**
+ * Fetch a feed body, honoring ETags. Local files use an mtime/size tag.
+ * Remote fetches are aborted after the feed's timeoutMs.
+ *
+ * @returns {Promise<{ notModified: true }|{ notModified: false, etag: string|null, body: any }>}
+ */
+async function fetchFeed(feed, etag) {
+  const parser = PARSERS[feed.format];
+
+  if (isLocalSource(feed.url)) {
+    const path = feed.url.startsWith('file:') ? fileURLToPath(feed.url) : feed.url;
+    const stat = await fs.promises.stat(path);
+    const fileTag = `"${stat.size}-${Math.floor(stat.mtimeMs)}"`;
+    if (etag && etag === fileTag) return { notModified: true };
+    const text = await fs.promises.readFile(path, 'utf8');
+    return { notModified: false, etag: fileTag, body: parser.json ? JSON.parse(text) : text };
+  }
+
+  const timeoutMs = feed.timeoutMs || DEFAULT_FETCH_TIMEOUT_MS;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(feed.url, {
+      headers: etag ? { 'If-None-Match': etag } : {},
+      signal: controller.signal,
+    });
+    if (resp.status === 304) return { notModified: true };
+    if (resp.status >= 400) throw new Error(`${feed.id}: HTTP ${resp.status}`);
+    const body = parser.json ? await resp.json() : await resp.text();
+    return { notModified: false, etag: resp.headers.get('etag'), body };
+  } catch (e) {
+    if (controller.signal.aborted) throw new Error(`${feed.id}: timed out after ${timeoutMs}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Write entries to a staging set in chunked, pipelined SADDs, then swap it
+ * over the live set with RENAME. Returns the diff against the previous set,
+ * counted in Redis (SINTERSTORE + SCARD) so the live set is never read back.
+ *
+ * @param {object} redis - Redis client (needs pipeline, rename, sinterstore, scard)
+ * @param {string} setKey
+ * @param {string[]} entries - Deduplicated entries
+ * @returns {Promise<{ added: number, removed: number, unchanged: number }>}
+ */
+async function replaceSet(redis, setKey, entries) {
+  const stagingKey = `${setKey}:staging`;
+  await redis.del(stagingKey);
+
+  for (let i = 0; i < entries.length; i += SADD_CHUNK_SIZE * CHUNKS_PER_PIPELINE) {
+    const pipeline = redis.pipeline();
+    const end = Math.min(i + SADD_CHUNK_SIZE * CHUNKS_PER_PIPELINE, entries.length);
+    for (let j = i; j < end; j += SADD_CHUNK_SIZE) {
+      pipeline.sadd(stagingKey, ...entries.slice(j, Math.min(j + SADD_CHUNK_SIZE, end)));
+    }
+    await pipeline.exec();
+  }
+
+  const commonKey = `${setKey}:common`;
+  const [unchanged, previous] = await redis.pipeline()
+    .sinterstore(commonKey, stagingKey, setKey)
+    .scard(setKey)
+    .del(commonKey)
+    .exec();
+
+  await redis.rename(stagingKey, setKey);
+  return {
+    added: entries.length - unchanged,
+    removed: previous - unchanged,
+    unchanged,
+  };
+}
+
+/**
+ * Append a sync run to the feed's history list (newest first, capped).
+ */
+async function recordSyncRun(redis, feed, run) {
+  const key = `${feed.id}:syncHistory`;
+  await redis.lpush(key, JSON.stringify(run));
+  await redis.ltrim(key, 0, SYNC_HISTORY_LENGTH - 1);
+}
+
+/**
+ * Recent sync runs for a feed, newest first.
+ *
+ * @param {object} redis - Redis client
+ * @param {object} feed - Feed definition from loadFeeds()
+ * @param {number} [limit]
+ * @returns {Promise<object[]>}
+ */
+async function getSyncHistory(redis, feed, limit = SYNC_HISTORY_LENGTH) {
+  const raw = await redis.lrange(`${feed.id}:syncHistory`, 0, limit - 1);
+  // Upstash deserializes JSON values itself
+  return (raw || []).map((r) => (typeof r === 'string' ? JSON.parse(r) : r));
+}
+
+/**
+ * Sync one feed into Redis.
+ *
+ * Every attempt that gets past the schedule check is recorded in
+ * `{id}:syncHistory` — including "not modified" skips and failures. Only a
+ * successful fetch (or "not modified") restarts the feed's interval, so a
+ * failed one is retried on the next cron run. A body that parses to no
+ * entries counts as failed.
+ *
+ * @param {object} redis - Redis client
+ * @param {object} feed - Feed definition from loadFeeds()
+ * @param {{ force?: boolean, now?: number }} [options] - force ignores intervalMs
+ * @returns {Promise<{ count: number, added: number, removed: number, unchanged: number }|{ skipped: true, reason: string }>}
+ */
+async function syncFeed(redis, feed, { force = false, now = Date.now() } = {}) {
+  if (!force) {
+    const lastChecked = Number(await redis.get(`${feed.id}:lastChecked`)) || 0;
+    if (now - lastChecked < feed.intervalMs - SCHEDULE_GRACE_MS) {
+      return { skipped: true, reason: 'not due' };
+    }
+  }
+  const startedAt = Date.now();
+  try {
+    const etag = await redis.get(`${feed.id}:etag`);
+    const result = await fetchFeed(feed, etag);
+    if (result.notModified) {
+      await redis.set(`${feed.id}:lastChecked`, String(now));
+      await recordSyncRun(redis, feed, { at: now, status: 'not_modified', forced: force, durationMs: Date.now() - startedAt });
+      return { skipped: true, reason: 'not modified' };
+    }
+
+    const entries = Array.from(new Set(PARSERS[feed.format].parse(result.body)));
+    // An empty parse almost always means a broken upstream: keep the old list,
+    // count, lastUpdated and ETag, and retry on the next run.
+    if (entries.length === 0) throw new Error(`${feed.id}: feed has no valid entries`);
+    const diff = await replaceSet(redis, feedSetKey(feed), entries);
+    await redis.set(`${feed.id}:lastChecked`, String(now));
+    await redis.set(`${feed.id}:lastUpdated`, String(now));
+    await redis.set(`${feed.id}:count`, String(entries.length));
+    if (result.etag) await redis.set(`${feed.id}:etag`, result.etag);
+
+    const summary = { count: entries.length, ...diff };
+    await recordSyncRun(redis, feed, { at: now, status: 'synced', forced: force, durationMs: Date.now() - startedAt, ...summary });
+    return summary;
+  } catch (e) {
+    await recordSyncRun(redis, feed, { at: now, status: 'error', forced: force, durationMs: Date.now() - startedAt, error: e.message });
+    throw e;
+  }
+}
+
+module.exports = {
+  loadFeeds,
+  validateFeed,
+  syncFeed,
+  getSyncHistory,
+  fetchFeed,
+  feedSetKey,
+  PARSERS,
+};
@@ -0,0 +1,169 @@
+/**
+ * Knowledge graph traversal — multi-hop paths, risk exposure and export subgraphs.
+ *
+ * The graph is stored as undirected neighbor sets (`graph:neighbors:*`,
+ * see app.js); this module only walks it through callbacks, so it works
+ * with any storage backend and can be unit-tested with plain objects.
+ *
+ * Walks are breadth-first, one frontier at a time: the callbacks take every
+ * address of a hop at once, so a walk costs one storage round trip per hop
+ * rather than one per node. They are capped twice: by hops (`maxHops`) and by
+ * the number of nodes visited (`maxNodes`), since a popular contract can
+ * have thousands of neighbors. Hitting the node cap sets `truncated`.
+ */
+const { riskLevel } = require('./risk');
+
+const DEFAULT_MAX_NODES = 1000;
+// Each hop away from a flagged node halves its contribution
+const DEFAULT_DECAY = 0.5;
+
+/**
+ * Breadth-first walk from `start`, expanded a frontier at a time.
+ * `onLayer(nodes, hops)` is called once per hop with the newly reached nodes
+ * (the start alone at hop 0) and stops the walk by returning one of them.
+ * A layer cut short by the node cap is still passed to `onLayer`.
+ *
+ * @returns {Promise<{ parents: Map<string, string|null>, truncated: boolean, stoppedAt: string|null }>}
+ */
+async function bfs(start, { maxHops, maxNodes, neighborsMany, onLayer }) {
+  const parents = new Map([[start, null]]);
+  const first = await onLayer([start], 0);
+  if (first) return { parents, truncated: false, stoppedAt: first };
+  let frontier = [start];
+  for (let hops = 1; hops <= maxHops && frontier.length > 0; hops++) {
+    const lists = await neighborsMany(frontier);
+    const next = [];
+    let truncated = false;
+    expand: for (let i = 0; i < frontier.length; i++) {
+      for (const neighbor of lists[i]) {
+        if (parents.has(neighbor)) continue;
+        if (parents.size >= maxNodes) {
+          truncated = true;
+          break expand;
+        }
+        parents.set(neighbor, frontier[i]);
+        next.push(neighbor);
+      }
+    }
+    const stoppedAt = next.length > 0 ? await onLayer(next, hops) : null;
+    if (stoppedAt) return { parents, truncated: false, stoppedAt };
+    if (truncated) return { parents, truncated: true, stoppedAt: null };
+    frontier = next;
+  }
+  return { parents, truncated: false, stoppedAt: null };
+}
+
+/** Nodes from the walk's start to `node`. */
+function pathTo(parents, node) {
+  const path = [];
+  for (let n = node; n !== null; n = parents.get(n)) path.unshift(n);
+  return path;
+}
+
+/**
+ * Shortest path between two addresses.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {Object} options
+ * @param {(addresses: string[]) => Promise<string[][]>} options.neighborsMany - Neighbor addresses of each address
+ * @param {number} options.maxHops
+ * @param {number} [options.maxNodes=1000]
+ * @returns {Promise<{ path: string[]|null, hops: number|null, visited: number, truncated: boolean }>}
+ *   `path` is null when `to` isn't within `maxHops` (or the node cap was hit first)
+ */
+async function findPath(from, to, { neighborsMany, maxHops, maxNodes = DEFAULT_MAX_NODES }) {
+  const { parents, truncated, stoppedAt } = await bfs(from, {
+    maxHops,
+    maxNodes,
+    neighborsMany,
+    onLayer: async (nodes) => (nodes.includes(to) ? to : null),
+  });
+  const path = stoppedAt ? pathTo(parents, stoppedAt) : null;
+  return { path, hops: path ? path.length - 1 : null, visited: parents.size, truncated };
+}
+
+/**
+ * Addresses within `depth` hops of `root`, nearest first (the export subgraph).
+ *
+ * @param {string} root
+ * @param {Object} options
+ * @param {(addresses: string[]) => Promise<string[][]>} options.neighborsMany - Neighbor addresses of each address
+ * @param {number} options.depth
+ * @param {number} [options.maxNodes=1000]
+ * @returns {Promise<{ nodes: string[], truncated: boolean }>}
+ */
+async function collectSubgraph(root, { neighborsMany, depth, maxNodes = DEFAULT_MAX_NODES }) {
+  const { parents, truncated } = await bfs(root, {
+    maxHops: depth,
+    maxNodes,
+    neighborsMany,
+    onLayer: async () => null,
+  });
+  return { nodes: [...parents.keys()], truncated };
+}
+
+/**
+ * Risk exposure of `address`: the flagged nodes within `depth` hops, each
+ * contributing `decay ** hops` (1 for the address itself), combined as
+ * `1 - Π(1 - contribution)` and scaled to 0–100. Several distant flagged
+ * nodes add up, but never past a direct hit.
+ *
+ * @param {string} address
+ * @param {Object} options
+ * @param {(addresses: string[]) => Promise<string[][]>} options.neighborsMany - Neighbor addresses of each address
+ * @param {(addresses: string[]) => Promise<string[][]>} options.flaggedSourcesMany - Feed ids flagging each address
+ * @param {number} options.depth
+ * @param {number} [options.maxNodes=1000]
+ * @param {number} [options.decay=0.5]
+ * @returns {Promise<object>}
+ */
+async function computeExposure(address, {
+  neighborsMany, flaggedSourcesMany, depth, maxNodes = DEFAULT_MAX_NODES, decay = DEFAULT_DECAY,
+}) {
+  const hits = [];
+  const { parents, truncated } = await bfs(address, {
+    maxHops: depth,
+    maxNodes,
+    neighborsMany,
+    onLayer: async (nodes, hops) => {
+      const sources = await flaggedSourcesMany(nodes);
+      nodes.forEach((node, i) => {
+        if (sources[i].length > 0) hits.push({ address: node, hops, sources: sources[i], contribution: decay ** hops });
+      });
+      return null;
+    },
+  });
+
+  const flagged = hits.map((hit) => ({ ...hit, path: pathTo(parents, hit.address) }));
+  const clean = flagged.reduce((p, hit) => p * (1 - hit.contribution), 1);
+  const score = Math.round(100 * (1 - clean));
+  // BFS order: the first hit is the nearest
+  const nearest = flagged[0] || null;
+  let message = null;
+  if (nearest) {
+    message = nearest.hops === 0
+      ? `Address is flagged (${nearest.sources.join(', ')})`
+      : `Address is ${nearest.hops} hop${nearest.hops === 1 ? '' : 's'} from a flagged address (${nearest.sources.join(', ')})`;
+  }
+
+  return {
+    address,
+    depth,
+    score,
+    level: riskLevel(score),
+    message,
+    nearest,
+    flagged,
+    visited: parents.size,
+    truncated,
+  };
+}
+
+module.exports = {
+  findPath,
+  computeExposure,
+  collectSubgraph,
+  DEFAULT_MAX_NODES,
+  DEFAULT_DECAY,
+};
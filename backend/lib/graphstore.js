@@ -0,0 +1,366 @@
+/**
+ * Knowledge graph storage — nodes, edges and per-edge event logs.
+ *
+ * Key schema:
+ *   graph:node:{address}          → HASH address, ensName, label, firstSeen, lastSeen,
+ *                                   interactionCount, chain:{chainId} (one field per chain)
+ *   graph:neighbors:{address}     → SET of neighbor addresses
+ *   graph:edge:{from}:{to}        → HASH from, to, kind, hostname, method, hostnameRisk, count,
+ *                                   type:{type} (count per edge type), lastType, firstSeen,
+ *                                   lastSeen, chainId, data (JSON: value, hasData)
+ *   graph:edges-of:{address}      → SET of "from:to" edge keys involving this address
+ *   graph:events:{from}:{to}      → ZSET of interaction events (JSON) scored by timestamp
+ *
+ * Recording an interaction is two round trips whatever its size: a pipeline
+ * checking which records exist, then one MULTI. Counters only ever move by
+ * HINCRBY and set-once fields are written with HSETNX, so concurrent
+ * interactions on the same edge don't lose increments. Reads batch with MGET
+ * and pipelined HGETALL.
+ *
+ * Nodes and edges used to be JSON strings. Those are still read (MGET only
+ * returns strings) and are converted to hashes the next time they're written.
+ */
+
+const DEFAULT_EVENT_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const DEFAULT_EVENT_MAX = 1000;
+
+const nodeKey = (address) => `graph:node:${address}`;
+const edgeKey = (key) => `graph:edge:${key}`;
+const eventsKey = (key) => `graph:events:${key}`;
+
+/** Hash fields that aren't nullish or empty. */
+function compact(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== null && v !== undefined && v !== ''));
+}
+
+/** JSON values come back parsed from Upstash and as strings from Redis / memory. */
+function parseJson(raw) {
+  return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+/** Most frequent edge type; ties go to the latest interaction's type. */
+function dominantType(types, latest) {
+  let best = latest;
+  for (const [type, count] of Object.entries(types)) {
+    if (count > (types[best] || 0)) best = type;
+  }
+  return best;
+}
+
+/** Hash fields of a node object (a pre-hash JSON record). */
+function encodeNode(node) {
+  return compact({
+    address: node.address,
+    ensName: node.ensName,
+    label: node.label,
+    firstSeen: node.firstSeen,
+    lastSeen: node.lastSeen,
+    interactionCount: node.interactionCount,
+    ...Object.fromEntries((node.chains || []).map((chainId) => [`chain:${chainId}`, 1])),
+  });
+}
+
+function decodeNode(address, fields) {
+  const chains = Object.keys(fields)
+    .filter((f) => f.startsWith('chain:'))
+    .map((f) => Number(f.slice('chain:'.length)))
+    .sort((a, b) => a - b);
+  return {
+    address,
+    ensName: fields.ensName != null ? String(fields.ensName) : null,
+    label: fields.label != null ? String(fields.label) : null,
+    firstSeen: Number(fields.firstSeen) || 0,
+    lastSeen: Number(fields.lastSeen) || 0,
+    interactionCount: Number(fields.interactionCount) || 0,
+    chains,
+  };
+}
+
+/** Hash fields of an edge object (a pre-hash JSON record, which may predate per-type counts). */
+function encodeEdge(edge) {
+  const types = edge.types || { [edge.type]: edge.count || 0 };
+  const data = compact({ value: edge.value, hasData: edge.hasData });
+  return compact({
+    from: edge.from,
+    to: edge.to,
+    kind: edge.kind,
+    hostname: edge.hostname,
+    method: edge.method,
+    hostnameRisk: edge.hostnameRisk,
+    count: edge.count,
+    ...Object.fromEntries(Object.entries(types).map(([type, count]) => [`type:${type}`, count])),
+    lastType: edge.lastType || edge.type,
+    firstSeen: edge.firstSeen,
+    lastSeen: edge.lastSeen,
+    chainId: edge.chainId,
+    data: Object.keys(data).length > 0 ? JSON.stringify(data) : null,
+  });
+}
+
+function decodeEdge(fields) {
+  const types = {};
+  for (const [field, count] of Object.entries(fields)) {
+    if (field.startsWith('type:')) types[field.slice('type:'.length)] = Number(count);
+  }
+  const lastType = fields.lastType != null ? String(fields.lastType) : 'interaction';
+  const data = fields.data != null ? parseJson(fields.data) : {};
+  return {
+    from: String(fields.from),
+    to: String(fields.to),
+    type: dominantType(types, lastType),
+    types,
+    lastType,
+    method: fields.method != null ? String(fields.method) : '',
+    kind: fields.kind != null ? String(fields.kind) : '',
+    hostname: fields.hostname != null ? String(fields.hostname) : '',
+    ...(fields.hostnameRisk != null ? { hostnameRisk: String(fields.hostnameRisk) } : {}),
+    count: Number(fields.count) || 0,
+    firstSeen: Number(fields.firstSeen) || 0,
+    lastSeen: Number(fields.lastSeen) || 0,
+    ...(fields.chainId != null ? { chainId: Number(fields.chainId) } : {}),
+    ...data,
+  };
+}
+
+/** Sorted-set score bounds for a time range. */
+function scoreRange({ since, until }) {
+  return [since ?? '-inf', until ?? '+inf'];
+}
+
+/** zrange() arguments for the events of an edge within `range`. */
+function eventRangeArgs(key, range, { limit, rev = false } = {}) {
+  const [min, max] = scoreRange(range);
+  return [eventsKey(key), rev ? max : min, rev ? min : max, {
+    byScore: true,
+    rev,
+    ...(limit ? { offset: 0, count: limit } : {}),
+  }];
+}
+
+/**
+ * Create the graph store.
+ *
+ * @param {Object} options
+ * @param {object} options.redis - Storage adapter (lib/storage.js)
+ * @param {(address: string) => Promise<string|null>} [options.lookupName] - Reverse ENS name, used to label new nodes
+ * @param {number} [options.eventRetentionMs] - Events older than this are dropped (default 90 days)
+ * @param {number} [options.eventMax=1000] - Events kept per edge
+ */
+function createGraphStore({
+  redis,
+  lookupName = async () => null,
+  eventRetentionMs = DEFAULT_EVENT_RETENTION_MS,
+  eventMax = DEFAULT_EVENT_MAX,
+}) {
+  /**
+   * Hash fields of each key (null when missing), reading pre-hash JSON
+   * records through `encode`.
+   */
+  async function readRecords(keys, encode) {
+    if (keys.length === 0) return [];
+    const legacy = await redis.mget(...keys);
+    const pending = keys.map((_, i) => i).filter((i) => legacy[i] == null);
+    const hashes = pending.length > 0
+      ? await pending.reduce((pipe, i) => pipe.hgetall(keys[i]), redis.pipeline()).exec()
+      : [];
+    const records = legacy.map((raw) => (raw == null ? null : encode(parseJson(raw))));
+    pending.forEach((i, j) => {
+      // Missing hashes: null from Upstash, {} from Redis
+      if (hashes[j] && Object.keys(hashes[j]).length > 0) records[i] = hashes[j];
+    });
+    return records;
+  }
+
+  /** Queue the conversion of a pre-hash JSON record at `key` on `tx`. */
+  function convertLegacy(tx, key, raw, encode) {
+    tx.del(key);
+    tx.hset(key, encode(parseJson(raw)));
+  }
+
+  /**
+   * Nodes of `addresses`, in order (null when not in the graph).
+   *
+   * @param {string[]} addresses - Lowercased
+   * @returns {Promise<Array<object|null>>}
+   */
+  async function getNodes(addresses) {
+    const records = await readRecords(addresses.map(nodeKey), encodeNode);
+    return records.map((fields, i) => (fields ? decodeNode(addresses[i], fields) : null));
+  }
+
+  /**
+   * Edges by "from:to" key, in order (null when missing).
+   *
+   * @param {string[]} keys
+   * @returns {Promise<Array<object|null>>}
+   */
+  async function getEdges(keys) {
+    const records = await readRecords(keys.map(edgeKey), encodeEdge);
+    return records.map((fields) => (fields ? decodeEdge(fields) : null));
+  }
+
+  return {
+    getNodes,
+    getEdges,
+
+    async getNode(address) {
+      return (await getNodes([address]))[0];
+    },
+
+    async getEdge(key) {
+      return (await getEdges([key]))[0];
+    },
+
+    async hasNode(address) {
+      return (await redis.exists(nodeKey(address))) > 0;
+    },
+
+    neighbors(address) {
+      return redis.smembers(`graph:neighbors:${address}`);
+    },
+
+    edgeKeysOf(address) {
+      return redis.smembers(`graph:edges-of:${address}`);
+    },
+
+    /**
+     * Neighbor addresses and edge keys of each address, in one pipeline.
+     *
+     * @param {string[]} addresses
+     * @returns {Promise<Array<{ neighbors: string[], edgeKeys: string[] }>>}
+     */
+    async adjacency(addresses) {
+      if (addresses.length === 0) return [];
+      const pipe = redis.pipeline();
+      for (const address of addresses) {
+        pipe.smembers(`graph:neighbors:${address}`).smembers(`graph:edges-of:${address}`);
+      }
+      const results = await pipe.exec();
+      return addresses.map((_, i) => ({ neighbors: results[2 * i], edgeKeys: results[2 * i + 1] }));
+    },
+
+    /**
+     * Record one interaction: upsert both nodes and the edge, link them and
+     * append the event to the edge's log (trimmed to the retention and
+     * `eventMax`; the log expires with its newest event).
+     *
+     * @param {Object} interaction
+     * @param {string|null} interaction.from - Lowercased sender, null when unknown
+     * @param {string} interaction.to - Lowercased
+     * @param {string} interaction.type - Semantic edge type
+     * @param {object} interaction.event - Event log entry (`ts` is the interaction time)
+     * @param {string} [interaction.method]
+     * @param {string} [interaction.kind]
+     * @param {string} [interaction.hostname]
+     * @param {string} [interaction.hostnameRisk] - Risk level of `hostname`
+     * @param {number|null} [interaction.chainId]
+     * @param {*} [interaction.value]
+     * @param {*} [interaction.hasData]
+     * @returns {Promise<string>} Edge key ("from:to")
+     */
+    async recordInteraction({
+      from, to, type, event, method, kind, hostname, hostnameRisk, chainId, value, hasData,
+    }) {
+      const now = event.ts;
+      const key = `${from || 'unknown'}:${to}`;
+      const addresses = from ? [to, from] : [to];
+      const keys = [...addresses.map(nodeKey), edgeKey(key)];
+
+      // Which nodes are new (they get an ENS label), which records are still JSON strings
+      const check = redis.pipeline().mget(...keys);
+      for (const address of addresses) check.exists(nodeKey(address));
+      const [legacy, ...exists] = await check.exec();
+      const labels = await Promise.all(addresses.map(async (address, i) => {
+        if (exists[i]) return null;
+        try {
+          return await lookupName(address);
+        } catch {
+          return null;
+        }
+      }));
+
+      const tx = redis.multi();
+      addresses.forEach((address, i) => {
+        const k = nodeKey(address);
+        if (legacy[i] != null) convertLegacy(tx, k, legacy[i], encodeNode);
+        tx.hsetnx(k, 'address', address);
+        tx.hsetnx(k, 'firstSeen', now);
+        if (labels[i]) tx.hsetnx(k, 'ensName', labels[i]).hsetnx(k, 'label', labels[i]);
+        // Chains this address has been seen on (from the interaction's chainId)
+        tx.hset(k, { lastSeen: now, ...(chainId ? { [`chain:${chainId}`]: 1 } : {}) });
+        tx.hincrby(k, 'interactionCount', 1);
+      });
+
+      const ek = edgeKey(key);
+      if (legacy[addresses.length] != null) convertLegacy(tx, ek, legacy[addresses.length], encodeEdge);
+      const setOnce = compact({
+        from: from || 'unknown',
+        to,
+        kind,
+        hostname,
+        firstSeen: now,
+        data: value != null || hasData != null ? JSON.stringify(compact({ value, hasData })) : null,
+      });
+      for (const [field, v] of Object.entries(setOnce)) tx.hsetnx(ek, field, v);
+      tx.hset(ek, compact({ lastSeen: now, lastType: type, method, hostnameRisk, chainId }));
+      tx.hincrby(ek, 'count', 1).hincrby(ek, `type:${type}`, 1);
+
+      // Track edge membership for both nodes
+      tx.sadd(`graph:edges-of:${to}`, key);
+      if (from) {
+        tx.sadd(`graph:edges-of:${from}`, key);
+        tx.sadd(`graph:neighbors:${from}`, to);
+        tx.sadd(`graph:neighbors:${to}`, from);
+      }
+
+      const ev = eventsKey(key);
+      tx.zadd(ev, { score: now, member: JSON.stringify(event) });
+      tx.zremrangebyscore(ev, '-inf', `(${now - eventRetentionMs}`);
+      tx.zremrangebyrank(ev, 0, -(eventMax + 1));
+      tx.pexpire(ev, eventRetentionMs);
+
+      await tx.exec();
+      return key;
+    },
+
+    /**
+     * Events of an edge within `range`, oldest first (newest first with `rev`),
+     * at most `limit`.
+     *
+     * @param {string} key - "from:to"
+     * @param {{ since: number|null, until: number|null }} range
+     * @param {{ limit?: number, rev?: boolean }} [options]
+     * @returns {Promise<object[]>}
+     */
+    async edgeEvents(key, range, options) {
+      const members = await redis.zrange(...eventRangeArgs(key, range, options));
+      return members.map(parseJson);
+    },
+
+    /**
+     * edgeEvents() of several edges, read in one pipeline.
+     *
+     * @param {string[]} keys - "from:to"
+     * @param {{ since: number|null, until: number|null }} range
+     * @param {{ limit?: number, rev?: boolean }} [options]
+     * @returns {Promise<object[][]>} Events per key, in order
+     */
+    async edgeEventsMany(keys, range, options) {
+      if (keys.length === 0) return [];
+      const pipe = redis.pipeline();
+      for (const key of keys) pipe.zrange(...eventRangeArgs(key, range, options));
+      const results = await pipe.exec();
+      return results.map((members) => members.map(parseJson));
+    },
+
+    /** Number of events of an edge within `range`. */
+    countEdgeEvents(key, range) {
+      return redis.zcount(eventsKey(key), ...scoreRange(range));
+    },
+  };
+}
+
+module.exports = {
+  createGraphStore,
+  dominantType,
+};
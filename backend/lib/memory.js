@@ -0,0 +1,322 @@
+/**
+ * In-memory storage adapter.
+ *
+ * Implements the Redis command subset used by ENSight (strings, hashes, sets,
+ * lists, sorted sets, TTLs, pipelines / MULTI) with Redis semantics, so the
+ * app runs locally and in tests without a Redis server. Values are stored as
+ * strings the way Upstash serializes them; nothing is persisted across restarts.
+ */
+
+function serialize(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function wrongType() {
+  return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+}
+
+/** Resolve Redis-style (inclusive, negative-from-end) list indices. */
+function listRange(length, start, stop) {
+  const from = start < 0 ? Math.max(length + start, 0) : start;
+  const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+  return [from, to];
+}
+
+/** Parse a sorted-set score bound: a number, `-inf` / `+inf`, or `(n` (exclusive). */
+function scoreBound(bound) {
+  const raw = String(bound);
+  const exclusive = raw.startsWith('(');
+  const text = exclusive ? raw.slice(1) : raw;
+  let value;
+  if (text === '-inf') value = -Infinity;
+  else if (text === '+inf' || text === 'inf') value = Infinity;
+  else value = Number(text);
+  if (Number.isNaN(value)) throw new Error('ERR min or max is not a float');
+  return { value, exclusive };
+}
+
+function inScoreRange(score, min, max) {
+  const lo = scoreBound(min);
+  const hi = scoreBound(max);
+  return (lo.exclusive ? score > lo.value : score >= lo.value)
+    && (hi.exclusive ? score < hi.value : score <= hi.value);
+}
+
+/**
+ * Create an in-memory store.
+ *
+ * @param {{ now?: () => number }} [options] - Clock used for TTLs (tests inject a fake one)
+ * @returns {object} Store with async Redis-style commands plus pipeline() / multi()
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+  // key → { type: 'string'|'hash'|'set'|'list'|'zset', value, expiresAt: number|null }
+  // (zset values: [{ score, member }] ordered by score, then member)
+  const data = new Map();
+
+  function entry(key) {
+    const e = data.get(key);
+    if (!e) return null;
+    if (e.expiresAt !== null && e.expiresAt <= now()) {
+      data.delete(key);
+      return null;
+    }
+    return e;
+  }
+
+  function typed(key, type) {
+    const e = entry(key);
+    if (e && e.type !== type) throw wrongType();
+    return e;
+  }
+
+  function create(key, type, value) {
+    const e = { type, value, expiresAt: null };
+    data.set(key, e);
+    return e;
+  }
+
+  // Synchronous implementations; the public API wraps them in promises and
+  // pipelines run them back to back, which makes MULTI trivially atomic.
+  const commands = {
+    get(key) {
+      const e = typed(key, 'string');
+      return e ? e.value : null;
+    },
+    set(key, value, { ex, px, nx, xx } = {}) {
+      const exists = !!entry(key);
+      if ((nx && exists) || (xx && !exists)) return null;
+      const e = create(key, 'string', serialize(value));
+      if (ex) e.expiresAt = now() + ex * 1000;
+      else if (px) e.expiresAt = now() + px;
+      return 'OK';
+    },
+    mget(...keys) {
+      return keys.flat().map((k) => {
+        const e = entry(k);
+        return e && e.type === 'string' ? e.value : null;
+      });
+    },
+    del(...keys) {
+      return keys.flat().filter((k) => entry(k) && data.delete(k)).length;
+    },
+    exists(...keys) {
+      return keys.flat().filter((k) => entry(k)).length;
+    },
+    expire(key, seconds) {
+      return commands.pexpire(key, seconds * 1000);
+    },
+    pexpire(key, ms) {
+      const e = entry(key);
+      if (!e) return 0;
+      e.expiresAt = now() + ms;
+      return 1;
+    },
+    ttl(key) {
+      const e = entry(key);
+      if (!e) return -2;
+      if (e.expiresAt === null) return -1;
+      return Math.ceil((e.expiresAt - now()) / 1000);
+    },
+    incr(key) {
+      return commands.incrby(key, 1);
+    },
+    incrby(key, increment) {
+      const e = typed(key, 'string') || create(key, 'string', '0');
+      const n = Number(e.value);
+      if (!Number.isInteger(n)) throw new Error('ERR value is not an integer or out of range');
+      e.value = String(n + Number(increment));
+      return n + Number(increment);
+    },
+    // Hashes, Upstash style: hset(key, { field: value, ... }); hgetall → null when missing
+    hset(key, fields) {
+      const e = typed(key, 'hash') || create(key, 'hash', new Map());
+      let added = 0;
+      for (const [field, value] of Object.entries(fields)) {
+        if (!e.value.has(field)) added++;
+        e.value.set(field, serialize(value));
+      }
+      return added;
+    },
+    hsetnx(key, field, value) {
+      const e = typed(key, 'hash') || create(key, 'hash', new Map());
+      if (e.value.has(field)) return 0;
+      e.value.set(field, serialize(value));
+      return 1;
+    },
+    hincrby(key, field, increment) {
+      const e = typed(key, 'hash') || create(key, 'hash', new Map());
+      const n = Number(e.value.get(field) ?? '0');
+      if (!Number.isInteger(n)) throw new Error('ERR hash value is not an integer');
+      e.value.set(field, String(n + Number(increment)));
+      return n + Number(increment);
+    },
+    hgetall(key) {
+      const e = typed(key, 'hash');
+      return e ? Object.fromEntries(e.value) : null;
+    },
+    sadd(key, ...members) {
+      const e = typed(key, 'set') || create(key, 'set', new Set());
+      let added = 0;
+      for (const m of members.flat()) {
+        const s = serialize(m);
+        if (!e.value.has(s)) {
+          e.value.add(s);
+          added++;
+        }
+      }
+      return added;
+    },
+    srem(key, ...members) {
+      const e = typed(key, 'set');
+      if (!e) return 0;
+      let removed = 0;
+      for (const m of members.flat()) {
+        if (e.value.delete(serialize(m))) removed++;
+      }
+      if (e.value.size === 0) data.delete(key);
+      return removed;
+    },
+    sismember(key, member) {
+      const e = typed(key, 'set');
+      return e && e.value.has(serialize(member)) ? 1 : 0;
+    },
+    smismember(key, members) {
+      const e = typed(key, 'set');
+      return members.map((m) => (e && e.value.has(serialize(m)) ? 1 : 0));
+    },
+    smembers(key) {
+      const e = typed(key, 'set');
+      return e ? Array.from(e.value) : [];
+    },
+    scard(key) {
+      const e = typed(key, 'set');
+      return e ? e.value.size : 0;
+    },
+    sinterstore(destination, ...keys) {
+      const sets = keys.flat().map((k) => typed(k, 'set'));
+      const [first, ...rest] = sets;
+      const members = first && rest.every(Boolean)
+        ? [...first.value].filter((m) => rest.every((e) => e.value.has(m)))
+        : [];
+      data.delete(destination);
+      if (members.length > 0) create(destination, 'set', new Set(members));
+      return members.length;
+    },
+    rename(source, destination) {
+      const e = entry(source);
+      if (!e) throw new Error('ERR no such key');
+      data.delete(source);
+      data.set(destination, e);
+      return 'OK';
+    },
+    lpush(key, ...values) {
+      const e = typed(key, 'list') || create(key, 'list', []);
+      for (const v of values.flat()) e.value.unshift(serialize(v));
+      return e.value.length;
+    },
+    rpush(key, ...values) {
+      const e = typed(key, 'list') || create(key, 'list', []);
+      for (const v of values.flat()) e.value.push(serialize(v));
+      return e.value.length;
+    },
+    lrange(key, start, stop) {
+      const e = typed(key, 'list');
+      if (!e) return [];
+      const [from, to] = listRange(e.value.length, start, stop);
+      return from > to ? [] : e.value.slice(from, to + 1);
+    },
+    ltrim(key, start, stop) {
+      const e = typed(key, 'list');
+      if (!e) return 'OK';
+      const [from, to] = listRange(e.value.length, start, stop);
+      e.value = from > to ? [] : e.value.slice(from, to + 1);
+      if (e.value.length === 0) data.delete(key);
+      return 'OK';
+    },
+    llen(key) {
+      const e = typed(key, 'list');
+      return e ? e.value.length : 0;
+    },
+    // Sorted sets, Upstash style: zadd(key, { score, member }, ...)
+    zadd(key, ...entries) {
+      const e = typed(key, 'zset') || create(key, 'zset', []);
+      let added = 0;
+      for (const { score, member } of entries.flat()) {
+        const m = serialize(member);
+        const i = e.value.findIndex((item) => item.member === m);
+        if (i === -1) added++;
+        else e.value.splice(i, 1);
+        e.value.push({ score: Number(score), member: m });
+      }
+      e.value.sort((a, b) => a.score - b.score || (a.member < b.member ? -1 : a.member > b.member ? 1 : 0));
+      return added;
+    },
+    // zrange(key, start, stop) by rank, or zrange(key, min, max, { byScore: true }) by score;
+    // with `rev` the range runs from the highest score (start = max). offset / count limit byScore ranges.
+    zrange(key, start, stop, { byScore = false, rev = false, offset = 0, count } = {}) {
+      const e = typed(key, 'zset');
+      if (!e) return [];
+      let items = rev ? [...e.value].reverse() : e.value;
+      if (byScore) {
+        items = items.filter((item) => (rev ? inScoreRange(item.score, stop, start) : inScoreRange(item.score, start, stop)));
+        if (count !== undefined) items = items.slice(offset, count < 0 ? undefined : offset + count);
+      } else {
+        const [from, to] = listRange(items.length, start, stop);
+        items = from > to ? [] : items.slice(from, to + 1);
+      }
+      return items.map((item) => item.member);
+    },
+    zcard(key) {
+      const e = typed(key, 'zset');
+      return e ? e.value.length : 0;
+    },
+    zcount(key, min, max) {
+      const e = typed(key, 'zset');
+      return e ? e.value.filter((item) => inScoreRange(item.score, min, max)).length : 0;
+    },
+    zremrangebyscore(key, min, max) {
+      const e = typed(key, 'zset');
+      if (!e) return 0;
+      const before = e.value.length;
+      e.value = e.value.filter((item) => !inScoreRange(item.score, min, max));
+      if (e.value.length === 0) data.delete(key);
+      return before - e.value.length;
+    },
+    zremrangebyrank(key, start, stop) {
+      const e = typed(key, 'zset');
+      if (!e) return 0;
+      const [from, to] = listRange(e.value.length, start, stop);
+      if (from > to) return 0;
+      e.value.splice(from, to - from + 1);
+      if (e.value.length === 0) data.delete(key);
+      return to - from + 1;
+    },
+    flushall() {
+      data.clear();
+      return 'OK';
+    },
+  };
+
+  function batch() {
+    const queued = [];
+    const pipe = {};
+    for (const name of Object.keys(commands)) {
+      pipe[name] = (...args) => {
+        queued.push(() => commands[name](...args));
+        return pipe;
+      };
+    }
+    pipe.exec = async () => queued.map((cmd) => cmd());
+    return pipe;
+  }
+
+  const store = {};
+  for (const [name, fn] of Object.entries(commands)) {
+    store[name] = async (...args) => fn(...args);
+  }
+  store.pipeline = batch;
+  store.multi = batch;
+  return store;
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,220 @@
+/**
+ * Multicall3 batching for ENS reads.
+ *
+ * `aggregate3` packs many view calls into one `eth_call` to the Multicall3
+ * contract (same address on every major EVM chain). Each call is made with
+ * `allowFailure: true`, so one reverting resolver does not fail the batch —
+ * results are reported per item as `{ value }` or `{ error }`.
+ *
+ * On top of that, ENS helpers batch the calls behind the profile and batch
+ * routes:
+ *  - fetchResolverRecords — text records and an address from one resolver
+ *  - resolveAddresses     — registry `resolver(node)` for many names, then
+ *                           `addr` on each resolver: two eth_calls in total
+ *
+ * Each batch also asks the resolvers whether they support ENSIP-10 wildcard
+ * resolution. Wildcard resolvers must be queried through `resolve()` (and
+ * often CCIP-Read, which reverts with OffchainLookup inside a multicall), so
+ * callers fall back to per-item ethers lookups for them and for failed items.
+ */
+const { ethers } = require('ethers');
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const ENS_REGISTRY_ADDRESS = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+// Calls per eth_call; keeps request bodies and gas well under node limits
+const DEFAULT_BATCH_SIZE = 100;
+const ETH_COIN_TYPE = 60;
+// ENSIP-10 IExtendedResolver
+const WILDCARD_INTERFACE_ID = '0x9061b923';
+
+const multicallInterface = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+const registryInterface = new ethers.Interface([
+  'function resolver(bytes32 node) view returns (address)',
+  'function owner(bytes32 node) view returns (address)',
+]);
+const resolverInterface = new ethers.Interface([
+  'function addr(bytes32 node) view returns (address)',
+  'function addr(bytes32 node, uint256 coinType) view returns (bytes)',
+  'function text(bytes32 node, string key) view returns (string)',
+  'function contenthash(bytes32 node) view returns (bytes)',
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+]);
+
+/**
+ * Run view calls through Multicall3 `aggregate3`.
+ *
+ * @param {object} provider - Anything with `call({ to, data })`
+ * @param {Array<{ target: string, callData: string }>} calls
+ * @param {{ batchSize?: number }} [options]
+ * @returns {Promise<Array<{ success: boolean, returnData: string, error?: string }>>}
+ *   One result per call; a failed eth_call marks its whole chunk as failed
+ */
+async function aggregate3(provider, calls, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const results = [];
+  for (let i = 0; i < calls.length; i += batchSize) {
+    const chunk = calls.slice(i, i + batchSize);
+    try {
+      const data = multicallInterface.encodeFunctionData('aggregate3', [
+        chunk.map((c) => ({ target: c.target, allowFailure: true, callData: c.callData })),
+      ]);
+      const raw = await provider.call({ to: MULTICALL3_ADDRESS, data });
+      const [decoded] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+      if (decoded.length !== chunk.length) throw new Error('multicall returned the wrong number of results');
+      for (const r of decoded) {
+        results.push(r.success
+          ? { success: true, returnData: r.returnData }
+          : { success: false, returnData: r.returnData, error: 'call reverted' });
+      }
+    } catch (e) {
+      for (let j = 0; j < chunk.length; j++) {
+        results.push({ success: false, returnData: '0x', error: e.shortMessage || e.message });
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Decode one aggregate3 result.
+ *
+ * @returns {{ value: any }|{ error: string }}
+ */
+function decodeResult(iface, fragment, result) {
+  if (!result.success) return { error: result.error || 'call reverted' };
+  try {
+    return { value: iface.decodeFunctionResult(fragment, result.returnData)[0] };
+  } catch (e) {
+    return { error: `could not decode ${fragment} result` };
+  }
+}
+
+/** Normalize an addr() result: checksummed address or null for unset. */
+function decodeAddress(coinType, value) {
+  if (coinType === ETH_COIN_TYPE) {
+    return value === ethers.ZeroAddress ? null : ethers.getAddress(value);
+  }
+  // ENSIP-9 / ENSIP-11: EVM chains store the 20-byte address as bytes
+  if (!value || value === '0x') return null;
+  if (ethers.dataLength(value) !== 20) throw new Error('not an EVM address');
+  return ethers.getAddress(value);
+}
+
+function addrCall(resolver, node, coinType) {
+  return coinType === ETH_COIN_TYPE
+    ? { target: resolver, callData: resolverInterface.encodeFunctionData('addr(bytes32)', [node]), fragment: 'addr(bytes32)' }
+    : { target: resolver, callData: resolverInterface.encodeFunctionData('addr(bytes32,uint256)', [node, coinType]), fragment: 'addr(bytes32,uint256)' };
+}
+
+function wildcardCall(resolver) {
+  return { target: resolver, callData: resolverInterface.encodeFunctionData('supportsInterface', [WILDCARD_INTERFACE_ID]) };
+}
+
+/** True if the resolver answered that it is a wildcard resolver (a failed check counts as no). */
+function isWildcard(result) {
+  const r = decodeResult(resolverInterface, 'supportsInterface', result);
+  return r.value === true;
+}
+
+function decodeAddrResult(call, coinType, result) {
+  const decoded = decodeResult(resolverInterface, call.fragment, result);
+  if (decoded.error) return decoded;
+  try {
+    return { value: decodeAddress(coinType, decoded.value) };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/**
+ * Text records (and optionally an address) of one name from its resolver,
+ * in one eth_call.
+ *
+ * @param {object} provider
+ * @param {{ resolver: string, name: string, keys: string[], coinType?: number|null }} request
+ *   `coinType` null skips the address
+ * @returns {Promise<{ wildcard: boolean, texts: Object<string, { value: string|null }|{ error: string }>, address?: { value: string|null }|{ error: string } }>}
+ *   When `wildcard` is true the direct results are meaningless and the
+ *   records must be fetched through ethers instead
+ */
+async function fetchResolverRecords(provider, { resolver, name, keys, coinType = null }) {
+  const node = ethers.namehash(name);
+  const calls = [wildcardCall(resolver)];
+  for (const key of keys) {
+    calls.push({ target: resolver, callData: resolverInterface.encodeFunctionData('text', [node, key]) });
+  }
+  const address = coinType === null ? null : addrCall(resolver, node, coinType);
+  if (address) calls.push(address);
+
+  const [wildcard, ...results] = await aggregate3(provider, calls);
+  const texts = {};
+  keys.forEach((key, i) => {
+    const r = decodeResult(resolverInterface, 'text', results[i]);
+    texts[key] = r.error ? r : { value: r.value || null };
+  });
+  const out = { wildcard: isWildcard(wildcard), texts };
+  if (address) out.address = decodeAddrResult(address, coinType, results[keys.length]);
+  return out;
+}
+
+/**
+ * Addresses of many names: registry lookups in one eth_call, then `addr`
+ * (plus a wildcard check per resolver) in a second.
+ *
+ * @param {object} provider
+ * @param {string[]} names - Normalized names
+ * @param {{ coinType?: number }} [options]
+ * @returns {Promise<Map<string, { value: string|null, resolver: string }|{ error: string, resolver: string|null }>>}
+ *   Names without a resolver of their own (a wildcard parent may still
+ *   resolve them) and names with a wildcard resolver get an error
+ */
+async function resolveAddresses(provider, names, { coinType = ETH_COIN_TYPE } = {}) {
+  const nodes = names.map((n) => ethers.namehash(n));
+  const registryResults = await aggregate3(provider, nodes.map((node) => ({
+    target: ENS_REGISTRY_ADDRESS,
+    callData: registryInterface.encodeFunctionData('resolver', [node]),
+  })));
+
+  const out = new Map();
+  const pending = [];
+  names.forEach((name, i) => {
+    const r = decodeResult(registryInterface, 'resolver', registryResults[i]);
+    if (r.error) {
+      out.set(name, { error: r.error, resolver: null });
+    } else if (r.value === ethers.ZeroAddress) {
+      out.set(name, { error: 'no resolver', resolver: null });
+    } else {
+      pending.push({ name, resolver: ethers.getAddress(r.value), call: addrCall(r.value, nodes[i], coinType) });
+    }
+  });
+  if (pending.length === 0) return out;
+
+  const resolvers = [...new Set(pending.map((p) => p.resolver))];
+  const results = await aggregate3(provider, [
+    ...resolvers.map(wildcardCall),
+    ...pending.map((p) => p.call),
+  ]);
+  const wildcard = new Set(resolvers.filter((_, i) => isWildcard(results[i])));
+  pending.forEach((p, i) => {
+    const result = wildcard.has(p.resolver)
+      ? { error: 'wildcard resolver' }
+      : decodeAddrResult(p.call, coinType, results[resolvers.length + i]);
+    out.set(p.name, { ...result, resolver: p.resolver });
+  });
+  return out;
+}
+
+module.exports = {
+  aggregate3,
+  fetchResolverRecords,
+  resolveAddresses,
+  decodeAddress,
+  multicallInterface,
+  registryInterface,
+  resolverInterface,
+  MULTICALL3_ADDRESS,
+  ENS_REGISTRY_ADDRESS,
+  WILDCARD_INTERFACE_ID,
+  ETH_COIN_TYPE,
+};
@@ -0,0 +1,236 @@
+/**
+ * ENS name ownership, registration and expiry.
+ *
+ * Three contracts hold a name's ownership:
+ *  - ENS Registry   `owner(node)` — the manager (controller) of any name
+ *  - BaseRegistrar  `nameExpires(labelhash)` / `ownerOf(labelhash)` — the
+ *                   registrant and expiry of .eth second-level names
+ *  - NameWrapper    `getData(namehash)` — owner, fuses and expiry of wrapped
+ *                   names (the registry / registrar then show the wrapper)
+ *
+ * readOwnership() reads all of them in one Multicall3 eth_call and returns
+ * plain JSON (cacheable); describeOwnership() turns that into the effective
+ * owner, the expiry / grace-period status and warning flags as of `now`.
+ *
+ * .eth names stay the registrant's for 90 days after expiry (grace period,
+ * renewable only by them) and can then be registered by anyone. The
+ * registrar's `ownerOf` reverts from the moment of expiry, so the last
+ * registrant of an unwrapped name can't be read during the grace period
+ * (only from past Transfer logs, which this module doesn't scan). Wrapped
+ * names keep their NameWrapper owner until the grace period ends, since the
+ * wrapper's expiry includes it.
+ */
+const { ethers } = require('ethers');
+const { aggregate3, registryInterface, ENS_REGISTRY_ADDRESS } = require('./multicall');
+
+const BASE_REGISTRAR_ADDRESS = '0x57f1887a8BF19b14fC0dF6Fd9B2acc9Af147eA85';
+const NAME_WRAPPER_ADDRESS = '0xD4416b13d2b3a9aBae7AcD5D6C2BbDBE25686401';
+const GRACE_PERIOD_SECONDS = 90 * 24 * 60 * 60;
+const DEFAULT_WARNING_DAYS = 30;
+const DAY_SECONDS = 24 * 60 * 60;
+
+const registrarInterface = new ethers.Interface([
+  'function nameExpires(uint256 id) view returns (uint256)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+]);
+const nameWrapperInterface = new ethers.Interface([
+  'function getData(uint256 id) view returns (address owner, uint32 fuses, uint64 expiry)',
+]);
+
+// NameWrapper fuses: owner-controlled (low 16 bits) and parent-controlled
+const FUSES = {
+  CANNOT_UNWRAP: 1,
+  CANNOT_BURN_FUSES: 2,
+  CANNOT_TRANSFER: 4,
+  CANNOT_SET_RESOLVER: 8,
+  CANNOT_SET_TTL: 16,
+  CANNOT_CREATE_SUBDOMAIN: 32,
+  CANNOT_APPROVE: 64,
+  PARENT_CANNOT_CONTROL: 1 << 16,
+  IS_DOT_ETH: 1 << 17,
+  CAN_EXTEND_EXPIRY: 1 << 18,
+};
+
+/**
+ * Names of the fuses set in `fuses`.
+ *
+ * @param {number} fuses
+ * @returns {string[]}
+ */
+function decodeFuses(fuses) {
+  return Object.entries(FUSES).filter(([, bit]) => (fuses & bit) === bit).map(([name]) => name);
+}
+
+/** .eth second-level names (e.g. vitalik.eth) are BaseRegistrar tokens. */
+function isEth2ld(name) {
+  const labels = name.split('.');
+  return labels.length === 2 && labels[1] === 'eth';
+}
+
+function nonZero(address) {
+  return address === ethers.ZeroAddress ? null : ethers.getAddress(address);
+}
+
+function decode(iface, fragment, result) {
+  if (!result.success) return null;
+  try {
+    return iface.decodeFunctionResult(fragment, result.returnData);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the registry, registrar and NameWrapper state of `name` in one eth_call.
+ *
+ * @param {object} provider - Mainnet provider (anything with `call`)
+ * @param {string} name - Normalized name
+ * @returns {Promise<{ registryOwner: string|null, registrar: { expiry: number, registrant: string|null }|null, wrapper: { owner: string|null, fuses: number, expiry: number }|null }>}
+ *   `registrar` is null for names other than .eth 2LDs, `wrapper` for unwrapped names
+ */
+async function readOwnership(provider, name) {
+  const node = ethers.namehash(name);
+  const eth2ld = isEth2ld(name);
+  const tokenId = eth2ld ? BigInt(ethers.id(name.split('.')[0])) : null;
+
+  const calls = [
+    { target: ENS_REGISTRY_ADDRESS, callData: registryInterface.encodeFunctionData('owner', [node]) },
+    { target: NAME_WRAPPER_ADDRESS, callData: nameWrapperInterface.encodeFunctionData('getData', [node]) },
+  ];
+  if (eth2ld) {
+    calls.push(
+      { target: BASE_REGISTRAR_ADDRESS, callData: registrarInterface.encodeFunctionData('nameExpires', [tokenId]) },
+      // Reverts as soon as the name expires, before the grace period starts
+      { target: BASE_REGISTRAR_ADDRESS, callData: registrarInterface.encodeFunctionData('ownerOf', [tokenId]) },
+    );
+  }
+  const results = await aggregate3(provider, calls);
+  const registryOwner = decode(registryInterface, 'owner', results[0]);
+  if (!registryOwner) {
+    throw new Error(`Could not read the ENS registry: ${results[0].error || 'unexpected result'}`);
+  }
+
+  const out = { registryOwner: nonZero(registryOwner[0]), registrar: null, wrapper: null };
+  if (eth2ld) {
+    const expires = decode(registrarInterface, 'nameExpires', results[2]);
+    if (!expires) throw new Error(`Could not read the .eth registrar: ${results[2].error || 'unexpected result'}`);
+    const registrant = decode(registrarInterface, 'ownerOf', results[3]);
+    out.registrar = { expiry: Number(expires[0]), registrant: registrant ? nonZero(registrant[0]) : null };
+  }
+  // The wrapper owns wrapped names in the registry (and the registrar token of wrapped .eth 2LDs)
+  if (out.registryOwner === NAME_WRAPPER_ADDRESS) {
+    const data = decode(nameWrapperInterface, 'getData', results[1]);
+    if (data) out.wrapper = { owner: nonZero(data.owner), fuses: Number(data.fuses), expiry: Number(data.expiry) };
+  }
+  return out;
+}
+
+function isoTime(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Effective owner, expiry status and warning flags.
+ *
+ * Expiry status:
+ *   active     registered and not expired
+ *   grace      expired, in the 90-day grace period (.eth 2LDs)
+ *   expired    past expiry (and grace); anyone can register / the parent controls it again
+ *   available  .eth name that was never registered
+ *   none       doesn't expire (unwrapped subnames, DNS names)
+ *
+ * During the grace period `owner` and `registrant` of unwrapped .eth names are
+ * null (see above), so `ownerMismatch` can't fire for them; wrapped names
+ * still report their NameWrapper owner.
+ *
+ * @param {string} name
+ * @param {Object} raw - readOwnership() result
+ * @param {{ now?: number, resolvedAddress?: string|null, warningDays?: number }} [options]
+ *   `now` in ms; `warningDays` is the "expiring soon" window
+ */
+function describeOwnership(name, raw, { now = Date.now(), resolvedAddress = null, warningDays = DEFAULT_WARNING_DAYS } = {}) {
+  const nowSeconds = Math.floor(now / 1000);
+  const { registryOwner, registrar, wrapper } = raw;
+
+  let wrapped = null;
+  if (wrapper) {
+    const fuseNames = decodeFuses(wrapper.fuses);
+    let state = 'wrapped';
+    if (fuseNames.includes('CANNOT_UNWRAP')) state = 'locked';
+    else if (fuseNames.includes('PARENT_CANNOT_CONTROL')) state = 'emancipated';
+    wrapped = { owner: wrapper.owner, fuses: wrapper.fuses, fuseNames, state, expiresAt: isoTime(wrapper.expiry) };
+  }
+
+  // .eth 2LDs expire with the registrar (the wrapper's expiry adds the grace period);
+  // wrapped subnames expire with the wrapper once emancipated
+  let expiry = null;
+  let graceEnds = null;
+  if (registrar) {
+    expiry = registrar.expiry || null;
+    graceEnds = expiry ? expiry + GRACE_PERIOD_SECONDS : null;
+  } else if (wrapped && wrapped.fuseNames.includes('PARENT_CANNOT_CONTROL') && wrapper.expiry) {
+    expiry = wrapper.expiry;
+  }
+
+  let status = 'none';
+  if (registrar && !expiry) status = 'available';
+  else if (expiry && nowSeconds < expiry) status = 'active';
+  else if (graceEnds && nowSeconds < graceEnds) status = 'grace';
+  else if (expiry) status = 'expired';
+
+  let owner;
+  if (wrapped) owner = wrapped.owner;
+  else if (registrar) owner = status === 'active' ? registrar.registrant : null;
+  else owner = registryOwner;
+
+  const secondsLeft = expiry ? expiry - nowSeconds : null;
+  const expiringSoon = status === 'active' && secondsLeft <= warningDays * DAY_SECONDS;
+  const ownerMismatch = Boolean(owner && resolvedAddress && owner.toLowerCase() !== resolvedAddress.toLowerCase());
+
+  const warnings = [];
+  if (expiringSoon) {
+    const days = Math.ceil(secondsLeft / DAY_SECONDS);
+    warnings.push(`${name} expires in ${days} day${days === 1 ? '' : 's'}`);
+  }
+  if (status === 'grace') {
+    const days = Math.ceil((graceEnds - nowSeconds) / DAY_SECONDS);
+    warnings.push(`${name} has expired; the grace period ends in ${days} day${days === 1 ? '' : 's'}`);
+  }
+  if (status === 'expired' || status === 'available') warnings.push(`${name} is not registered`);
+  if (ownerMismatch) warnings.push(`The owner of ${name} is not the address it resolves to`);
+
+  return {
+    name,
+    owner,
+    manager: registryOwner,
+    registrant: registrar ? registrar.registrant : null,
+    resolvedAddress,
+    wrapped: Boolean(wrapped),
+    wrapper: wrapped,
+    expiry: {
+      status,
+      expiresAt: isoTime(expiry),
+      gracePeriodEndsAt: isoTime(graceEnds),
+      daysRemaining: secondsLeft === null ? null : Math.floor(secondsLeft / DAY_SECONDS),
+    },
+    flags: {
+      expiringSoon,
+      inGracePeriod: status === 'grace',
+      expired: status === 'expired',
+      ownerMismatch,
+    },
+    warnings,
+  };
+}
+
+module.exports = {
+  readOwnership,
+  describeOwnership,
+  decodeFuses,
+  registrarInterface,
+  nameWrapperInterface,
+  FUSES,
+  BASE_REGISTRAR_ADDRESS,
+  NAME_WRAPPER_ADDRESS,
+  GRACE_PERIOD_SECONDS,
+};
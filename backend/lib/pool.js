@@ -0,0 +1,281 @@
+/**
+ * RPC provider pool: failover across several endpoints for one chain.
+ *
+ * Each endpoint tracks an EWMA latency and a circuit breaker:
+ *   closed    → normal; consecutive retryable failures ≥ failureThreshold opens it
+ *   open      → skipped for cooldownMs
+ *   half-open → after the cooldown one trial request is let through; success
+ *               closes the circuit, failure opens it again
+ *
+ * Calls go to the fastest available endpoint and are retried on the next one
+ * with exponential backoff when the error looks transient (timeouts, network
+ * and server errors). Deterministic errors (reverts, bad arguments) are
+ * returned immediately — another node would answer the same.
+ *
+ * `getResolver(name)` finds the resolver on one endpoint but returns an
+ * EnsResolver bound to the pool, so its record reads fail over too.
+ *
+ * `quorum(fn)` runs a read on several endpoints and only returns a result
+ * that enough of them agree on (ethers FallbackProvider-style), for lookups
+ * where a single lying or stale node would be dangerous.
+ */
+
+const { ethers } = require('ethers');
+
+// ethers error codes that every healthy node would return for the same request
+const NON_RETRYABLE_CODES = new Set([
+  'CALL_EXCEPTION',
+  'INVALID_ARGUMENT',
+  'MISSING_ARGUMENT',
+  'UNEXPECTED_ARGUMENT',
+  'NUMERIC_FAULT',
+  'ACTION_REJECTED',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+]);
+
+// Provider methods proxied through run()
+const PROXIED_METHODS = [
+  'getBlockNumber', 'getNetwork', 'getBalance', 'getCode', 'getTransactionCount', 'getLogs',
+  'call', 'estimateGas', 'send', 'resolveName', 'lookupAddress',
+];
+
+const LATENCY_ALPHA = 0.3;
+
+function isRetryable(err) {
+  return !NON_RETRYABLE_CODES.has(err?.code);
+}
+
+/** Strip credentials and API-key paths from an RPC URL for display. */
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.pathname && u.pathname !== '/' ? `${u.origin}/…` : u.origin;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+function resultKey(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v)) ?? 'undefined';
+}
+
+/**
+ * Create a provider pool.
+ *
+ * @param {string[]} urls - RPC endpoints, in order of preference
+ * @param {Object} options
+ * @param {(url: string) => object} options.create - Provider factory
+ * @param {number} [options.maxAttempts=3] - Tries per call (across endpoints)
+ * @param {number} [options.backoffMs=100] - Base delay; doubles on each retry
+ * @param {number} [options.timeoutMs=10000] - Per-request timeout
+ * @param {number} [options.failureThreshold=3] - Consecutive failures that open a circuit
+ * @param {number} [options.cooldownMs=30000] - How long an open circuit is skipped
+ * @param {number} [options.healthIntervalMs=60000] - Background probe interval (0 disables)
+ * @param {number} [options.quorum=1] - Default agreement count for quorum()
+ * @param {() => number} [options.now]
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @returns {object} Provider-like pool
+ */
+function createProviderPool(urls, {
+  create,
+  maxAttempts = 3,
+  backoffMs = 100,
+  timeoutMs = 10_000,
+  failureThreshold = 3,
+  cooldownMs = 30_000,
+  healthIntervalMs = 60_000,
+  quorum: defaultQuorum = 1,
+  now = Date.now,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+} = {}) {
+  if (!Array.isArray(urls) || urls.length === 0) throw new Error('provider pool needs at least one RPC URL');
+
+  const endpoints = urls.map((url, index) => ({
+    index,
+    label: redactUrl(url),
+    provider: create(url),
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: 0,
+    trialInFlight: false,
+    latencyMs: null,
+    lastError: null,
+    lastSuccessAt: null,
+    requests: 0,
+    failures: 0,
+  }));
+  let lastHealthCheck = 0;
+  let healthCheck = null;
+
+  function isAvailable(e) {
+    if (e.state === 'open' && now() - e.openedAt >= cooldownMs) e.state = 'half-open';
+    if (e.state === 'half-open') return !e.trialInFlight;
+    return e.state === 'closed';
+  }
+
+  /** Available endpoints, fastest first; every endpoint if all circuits are open. */
+  function ranked(exclude = new Set()) {
+    const byLatency = (a, b) => (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity) || a.index - b.index;
+    const candidates = endpoints.filter((e) => !exclude.has(e) && isAvailable(e)).sort(byLatency);
+    if (candidates.length > 0) return candidates;
+    // Nothing available: try the circuit that has been open longest rather than failing outright
+    return endpoints.filter((e) => !exclude.has(e)).sort((a, b) => a.openedAt - b.openedAt);
+  }
+
+  function recordSuccess(e, elapsed) {
+    e.latencyMs = e.latencyMs === null ? elapsed : e.latencyMs + LATENCY_ALPHA * (elapsed - e.latencyMs);
+    e.consecutiveFailures = 0;
+    e.state = 'closed';
+    e.lastSuccessAt = now();
+  }
+
+  function recordFailure(e, err) {
+    e.failures++;
+    e.consecutiveFailures++;
+    e.lastError = err?.shortMessage || err?.message || String(err);
+    if (e.state === 'half-open' || e.consecutiveFailures >= failureThreshold) {
+      e.state = 'open';
+      e.openedAt = now();
+    }
+  }
+
+  function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error(`RPC request timed out after ${timeoutMs}ms`);
+        err.code = 'TIMEOUT';
+        reject(err);
+      }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async function callEndpoint(e, fn) {
+    const started = now();
+    if (e.state === 'half-open') e.trialInFlight = true;
+    e.requests++;
+    try {
+      const result = await withTimeout(Promise.resolve().then(() => fn(e.provider)));
+      recordSuccess(e, now() - started);
+      return result;
+    } catch (err) {
+      // A deterministic error still means the endpoint answered
+      if (isRetryable(err)) recordFailure(e, err);
+      else recordSuccess(e, now() - started);
+      throw err;
+    } finally {
+      e.trialInFlight = false;
+    }
+  }
+
+  /** Probe every endpoint (including open circuits) with eth_blockNumber. */
+  async function checkHealth() {
+    lastHealthCheck = now();
+    await Promise.all(endpoints.map((e) => callEndpoint(e, (p) => p.getBlockNumber()).catch(() => {})));
+    return health();
+  }
+
+  function maybeCheckHealth() {
+    if (!healthIntervalMs || healthCheck || now() - lastHealthCheck < healthIntervalMs) return;
+    healthCheck = checkHealth().finally(() => { healthCheck = null; });
+  }
+
+  /**
+   * Run `fn(provider)` on the best endpoint, failing over on transient errors.
+   */
+  async function run(fn) {
+    maybeCheckHealth();
+    const tried = new Set();
+    let lastError;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (tried.size === endpoints.length) tried.clear();
+      const [e] = ranked(tried);
+      tried.add(e);
+      try {
+        return await callEndpoint(e, fn);
+      } catch (err) {
+        if (!isRetryable(err)) throw err;
+        lastError = err;
+        if (attempt < maxAttempts - 1) await sleep(backoffMs * 2 ** attempt);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Run `fn(provider)` on several endpoints and return the result at least
+   * `quorum` of them agree on. Falls back to run() when quorum ≤ 1.
+   */
+  async function runQuorum(fn, { quorum = defaultQuorum } = {}) {
+    const needed = Math.min(quorum, endpoints.length);
+    if (needed <= 1) return run(fn);
+    maybeCheckHealth();
+
+    const queue = ranked();
+    for (const e of endpoints) if (!queue.includes(e)) queue.push(e);
+    const tally = new Map();
+    let lastError = null;
+    let best = null;
+
+    while (queue.length > 0) {
+      const missing = needed - (best ? best.count : 0);
+      const batch = queue.splice(0, Math.max(missing, 1));
+      const settled = await Promise.allSettled(batch.map((e) => callEndpoint(e, fn)));
+      for (const s of settled) {
+        if (s.status === 'rejected') {
+          lastError = s.reason;
+          continue;
+        }
+        const key = resultKey(s.value);
+        const entry = tally.get(key) || { value: s.value, count: 0 };
+        entry.count++;
+        tally.set(key, entry);
+        if (!best || entry.count > best.count) best = entry;
+      }
+      if (best && best.count >= needed) return best.value;
+    }
+
+    const err = new Error(
+      `RPC quorum not reached (${best ? best.count : 0}/${needed} endpoints agreed${lastError ? `; last error: ${lastError.message}` : ''})`
+    );
+    err.code = 'QUORUM_NOT_REACHED';
+    throw err;
+  }
+
+  function health() {
+    return {
+      quorum: Math.min(defaultQuorum, endpoints.length),
+      healthy: endpoints.filter((e) => e.state === 'closed').length,
+      lastCheckedAt: lastHealthCheck || null,
+      endpoints: endpoints.map((e) => ({
+        url: e.label,
+        state: e.state,
+        latencyMs: e.latencyMs === null ? null : Math.round(e.latencyMs),
+        consecutiveFailures: e.consecutiveFailures,
+        requests: e.requests,
+        failures: e.failures,
+        lastError: e.lastError,
+        lastSuccessAt: e.lastSuccessAt,
+      })),
+    };
+  }
+
+  const pool = { run, quorum: runQuorum, checkHealth, health };
+  for (const method of PROXIED_METHODS) {
+    pool[method] = (...args) => run((p) => p[method](...args));
+  }
+  // A resolver bound to the endpoint that found it would send every record read there
+  pool.getResolver = async (name) => {
+    const resolver = await run((p) => p.getResolver(name));
+    return resolver ? new ethers.EnsResolver(pool, resolver.address, resolver.name) : null;
+  };
+  return pool;
+}
+
+module.exports = {
+  createProviderPool,
+  isRetryable,
+  redactUrl,
+};
@@ -0,0 +1,180 @@
+/**
+ * Primary names (reverse records) with forward verification.
+ *
+ * A reverse record is a claim anyone can make: an address can set any name
+ * as its primary name. The claim only counts if the name also resolves back
+ * to the address, so every lookup ends with one of:
+ *   VERIFIED              the name resolves to the address
+ *   NO_REVERSE_RECORD     no primary name is set
+ *   MISMATCH              the name resolves elsewhere (or nowhere)
+ *   NORMALIZATION_FAILED  the name isn't ENSIP-15 normalized (a spoofing vector)
+ *
+ * Mainnet primary names live under `<addr>.addr.reverse`. ENSIP-19 adds
+ * per-chain primary names, set on the L2 reverse registrar of each chain
+ * (`nameForAddr(addr)`) and verified against the name's ENSIP-11 address
+ * for that chain. Chains without an L2 record fall back to the address's
+ * default primary name (`<addr>.default.reverse` on mainnet, served by a
+ * wildcard resolver on `default.reverse`), not to the mainnet-only
+ * `addr.reverse` one.
+ */
+const { ethers } = require('ethers');
+const { registryInterface, ENS_REGISTRY_ADDRESS } = require('./multicall');
+const { extendedResolverInterface } = require('./universal');
+
+const DEFAULT_REVERSE_NODE = ethers.namehash('default.reverse');
+
+// Same CREATE2 address on every chain it is deployed to
+const L2_REVERSE_REGISTRAR_ADDRESS = '0x0000000000D8e504002cC26E3Ec46D81971C1664';
+// OP Mainnet, Base, Arbitrum One, Linea, Scroll
+const ENSIP19_CHAINS = [10, 8453, 42161, 59144, 534352];
+
+const REASONS = {
+  VERIFIED: 'VERIFIED',
+  NO_REVERSE_RECORD: 'NO_REVERSE_RECORD',
+  MISMATCH: 'MISMATCH',
+  NORMALIZATION_FAILED: 'NORMALIZATION_FAILED',
+};
+
+const nameResolverInterface = new ethers.Interface([
+  'function name(bytes32 node) view returns (string)',
+]);
+const l2ReverseRegistrarInterface = new ethers.Interface([
+  'function nameForAddr(address addr) view returns (string)',
+]);
+
+/**
+ * L2 reverse registrars by chainId: the ENSIP-19 deployment on its chains,
+ * overridden (or added for other chains) with L2_REVERSE_REGISTRAR_<chainId>.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Map<number, string>}
+ */
+function reverseRegistrarsFromEnv(env = process.env) {
+  const registrars = new Map(ENSIP19_CHAINS.map((chainId) => [chainId, L2_REVERSE_REGISTRAR_ADDRESS]));
+  for (const [key, value] of Object.entries(env)) {
+    const match = /^L2_REVERSE_REGISTRAR_(\d+)$/.exec(key);
+    if (match && ethers.isAddress(value)) registrars.set(Number(match[1]), ethers.getAddress(value));
+  }
+  return registrars;
+}
+
+/** Empty results and reverts read as "no record"; other failures (network) throw. */
+function isMissing(err) {
+  return err.code === 'CALL_EXCEPTION' || err.code === 'BAD_DATA';
+}
+
+/**
+ * Raw mainnet reverse record of `address` (not verified, not normalized).
+ * Throws BAD_DATA when the registry answers garbage (undeployed / mock).
+ *
+ * @param {object} provider - Anything with `call`
+ * @param {string} address
+ * @returns {Promise<string|null>}
+ */
+async function readReverseName(provider, address) {
+  const node = ethers.namehash(`${address.slice(2).toLowerCase()}.addr.reverse`);
+  const [resolver] = registryInterface.decodeFunctionResult('resolver', await provider.call({
+    to: ENS_REGISTRY_ADDRESS,
+    data: registryInterface.encodeFunctionData('resolver', [node]),
+  }));
+  if (resolver === ethers.ZeroAddress) return null;
+  try {
+    const [name] = nameResolverInterface.decodeFunctionResult('name', await provider.call({
+      to: resolver,
+      data: nameResolverInterface.encodeFunctionData('name', [node]),
+    }));
+    return name || null;
+  } catch (e) {
+    if (isMissing(e)) return null;
+    throw e;
+  }
+}
+
+/**
+ * ENSIP-19 default primary name of `address` (`<addr>.default.reverse`), the
+ * fallback for EVM chains without their own record. Read from mainnet through
+ * the ENSIP-10 resolver of `default.reverse`.
+ *
+ * @param {object} provider - Mainnet provider (anything with `call`)
+ * @param {string} address
+ * @returns {Promise<string|null>}
+ */
+async function readDefaultReverseName(provider, address) {
+  const reverseName = `${address.slice(2).toLowerCase()}.default.reverse`;
+  const [resolver] = registryInterface.decodeFunctionResult('resolver', await provider.call({
+    to: ENS_REGISTRY_ADDRESS,
+    data: registryInterface.encodeFunctionData('resolver', [DEFAULT_REVERSE_NODE]),
+  }));
+  if (resolver === ethers.ZeroAddress) return null;
+  try {
+    const [result] = extendedResolverInterface.decodeFunctionResult('resolve', await provider.call({
+      to: resolver,
+      data: extendedResolverInterface.encodeFunctionData('resolve', [
+        ethers.dnsEncode(reverseName),
+        nameResolverInterface.encodeFunctionData('name', [ethers.namehash(reverseName)]),
+      ]),
+    }));
+    const [name] = nameResolverInterface.decodeFunctionResult('name', result);
+    return name || null;
+  } catch (e) {
+    if (isMissing(e)) return null;
+    throw e;
+  }
+}
+
+/**
+ * ENSIP-19 primary name of `address` on an L2, or null.
+ *
+ * @param {object} provider - Provider for that chain
+ * @param {string} registrar - L2 reverse registrar
+ * @param {string} address
+ * @returns {Promise<string|null>}
+ */
+async function readL2ReverseName(provider, registrar, address) {
+  try {
+    const [name] = l2ReverseRegistrarInterface.decodeFunctionResult('nameForAddr', await provider.call({
+      to: registrar,
+      data: l2ReverseRegistrarInterface.encodeFunctionData('nameForAddr', [address]),
+    }));
+    return name || null;
+  } catch (e) {
+    if (isMissing(e)) return null;
+    throw e;
+  }
+}
+
+/**
+ * Outcome of a primary name claim.
+ *
+ * @param {string} claimed - Name from the reverse record
+ * @param {string} address
+ * @param {(name: string) => Promise<string|null>} forwardResolve - Address of `name` on the chain
+ * @returns {Promise<{ name: string, verified: boolean, reason: string }>}
+ */
+async function verifyPrimaryName(claimed, address, forwardResolve) {
+  let normalized = null;
+  try {
+    normalized = ethers.ensNormalize(claimed);
+  } catch {
+    // Invalid names fail normalization below
+  }
+  if (normalized !== claimed) {
+    return { name: claimed, verified: false, reason: REASONS.NORMALIZATION_FAILED };
+  }
+  const forward = await forwardResolve(claimed);
+  const verified = Boolean(forward) && forward.toLowerCase() === address.toLowerCase();
+  return { name: claimed, verified, reason: verified ? REASONS.VERIFIED : REASONS.MISMATCH };
+}
+
+module.exports = {
+  readReverseName,
+  readDefaultReverseName,
+  readL2ReverseName,
+  verifyPrimaryName,
+  reverseRegistrarsFromEnv,
+  nameResolverInterface,
+  l2ReverseRegistrarInterface,
+  L2_REVERSE_REGISTRAR_ADDRESS,
+  ENSIP19_CHAINS,
+  REASONS,
+};
@@ -0,0 +1,124 @@
+/**
+ * HTTP requests to hosts named by untrusted data (avatar records, CCIP-Read
+ * gateway URLs from resolver contracts).
+ *
+ * Such hosts must not reach loopback, private or metadata addresses (SSRF).
+ * The check runs in the socket's DNS lookup (publicLookup) rather than in a
+ * separate resolution before the request, so the address that was checked is
+ * the one connected to: a rebinding DNS server can't answer the check with a
+ * public address and the connection with an internal one. IP literals skip
+ * DNS, so callers check those with isPrivateAddress() first.
+ */
+const dns = require('node:dns');
+const http = require('node:http');
+const https = require('node:https');
+const net = require('node:net');
+
+// Loopback, private, link-local, CGNAT, unspecified, benchmarking, multicast,
+// reserved and NAT64 (which embeds any IPv4 address)
+const privateRanges = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  privateRanges.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['64:ff9b::', 96]]) {
+  privateRanges.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Whether `ip` is an IP address in a non-public range (false for hostnames).
+ *
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 0) return false;
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) return privateRanges.check(mapped[1], 'ipv4');
+  return privateRanges.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether the host of `url` is localhost or a private IP literal.
+ *
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isPrivateHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+/**
+ * dns.lookup that fails with code PRIVATE_ADDRESS when the host resolves to a
+ * private address.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some((a) => isPrivateAddress(a.address))) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = 'PRIVATE_ADDRESS';
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Send one request over node:http(s), resolving the host with `lookup`.
+ * Redirects are not followed. Resolves with a fetch-like
+ * { status, ok, headers.get(), body } where `body` is the response stream;
+ * callers must consume or destroy it.
+ *
+ * @param {URL} url
+ * @param {{ method?: string, headers?: object, body?: string, lookup?: Function, signal?: AbortSignal }} [options]
+ */
+function httpRequest(url, { method = 'GET', headers, body, lookup = publicLookup, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'https:' ? https : http;
+    const req = transport.request(url, { method, headers, lookup, signal }, (res) => {
+      resolve({
+        status: res.statusCode,
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        headers: { get: (name) => res.headers[name.toLowerCase()] ?? null },
+        body: res,
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Read a response stream, giving up (and destroying it) past `limit` bytes.
+ *
+ * @param {import('node:stream').Readable} stream
+ * @param {number} limit
+ * @returns {Promise<Buffer|null>} null when the body is larger than `limit`
+ */
+async function readLimited(stream, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > limit) {
+      stream.destroy();
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  httpRequest,
+  readLimited,
+  publicLookup,
+  isPrivateAddress,
+  isPrivateHost,
+};
@@ -0,0 +1,208 @@
+/**
+ * Risk scoring engine — combines independent heuristics into a 0–100 score.
+ *
+ * Each rule looks at a shared `signals` object (gathered by the caller from
+ * Redis, the knowledge graph and the RPC provider) and returns either null
+ * (not triggered) or { intensity, message }. A rule contributes
+ * `weight * intensity` points; the total is clamped to 0–100.
+ *
+ * Rules are plain objects so they can be unit-tested on their own, and
+ * weights can be overridden per rule without touching the rule logic.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Addresses first seen in the graph within this window are considered "new".
+// Addresses the graph has never seen aren't: absence from our own data says
+// nothing about an address's age.
+const NEW_ADDRESS_AGE_MS = 7 * DAY_MS;
+
+// Number of flagged neighbors at which the neighbor rule reaches full weight.
+const FLAGGED_NEIGHBOR_SATURATION = 3;
+
+/**
+ * @typedef {Object} RiskSignals
+ * @property {string} address - Lowercased address being scored
+ * @property {boolean} flagged - Address is on at least one threat feed blocklist
+ * @property {string[]} [flaggedSources] - Ids of the feeds that flagged the address
+ * @property {number} flaggedNeighborCount - Graph neighbors that are blacklisted
+ * @property {number} totalNeighborCount - All graph neighbors
+ * @property {number} firstSeen - Graph firstSeen timestamp (0 if never seen)
+ * @property {boolean|null} isContract - Address has code (null if unknown)
+ * @property {string|null} ensName - Primary ENS name, if any
+ * @property {boolean|null} ensVerified - Primary name forward-resolves back (false if no name, null if unknown)
+ * @property {number} now - Current timestamp in ms
+ */
+
+/**
+ * @typedef {Object} RiskRule
+ * @property {string} id - Stable rule identifier (used for weight overrides)
+ * @property {number} weight - Maximum points this rule can contribute
+ * @property {(signals: RiskSignals) => ({ intensity: number, message: string }|null)} evaluate
+ */
+
+/** @type {RiskRule} */
+const blacklistedRule = {
+  id: 'blacklisted',
+  weight: 100,
+  evaluate(signals) {
+    if (!signals.flagged) return null;
+    const sources = signals.flaggedSources || [];
+    return {
+      intensity: 1,
+      message: sources.length > 0
+        ? `Address is on a threat blocklist (${sources.join(', ')})`
+        : 'Address is on a threat blocklist',
+    };
+  },
+};
+
+/** @type {RiskRule} */
+const flaggedNeighborsRule = {
+  id: 'flagged_neighbors',
+  weight: 40,
+  evaluate(signals) {
+    const count = signals.flaggedNeighborCount || 0;
+    if (count === 0) return null;
+    return {
+      intensity: Math.min(1, count / FLAGGED_NEIGHBOR_SATURATION),
+      message: `Interacted with ${count} flagged address${count === 1 ? '' : 'es'}`,
+    };
+  },
+};
+
+/** @type {RiskRule} */
+const newAddressRule = {
+  id: 'new_address',
+  weight: 15,
+  evaluate(signals) {
+    if (!signals.firstSeen) return null;
+    const age = signals.now - signals.firstSeen;
+    if (age >= NEW_ADDRESS_AGE_MS) return null;
+    const days = Math.floor(age / DAY_MS);
+    return {
+      intensity: 0.5,
+      message: days === 0 ? 'First seen less than a day ago' : `First seen ${days} day${days === 1 ? '' : 's'} ago`,
+    };
+  },
+};
+
+/** @type {RiskRule} */
+const contractRule = {
+  id: 'contract',
+  weight: 10,
+  evaluate(signals) {
+    if (signals.isContract !== true) return null;
+    return { intensity: 1, message: 'Address is a contract' };
+  },
+};
+
+/** @type {RiskRule} */
+const unverifiedEnsRule = {
+  id: 'no_verified_ens',
+  weight: 10,
+  evaluate(signals) {
+    // null = lookup failed / unknown; don't penalise for RPC hiccups
+    if (signals.ensVerified !== false) return null;
+    // Contracts (tokens, routers) rarely set a primary name
+    if (signals.isContract === true && !signals.ensName) return null;
+    if (signals.ensName) {
+      return { intensity: 1, message: `Primary name "${signals.ensName}" does not resolve back to this address` };
+    }
+    return { intensity: 1, message: 'No verified ENS name' };
+  },
+};
+
+/** Default rule set, in evaluation order. */
+const DEFAULT_RULES = [
+  blacklistedRule,
+  flaggedNeighborsRule,
+  newAddressRule,
+  contractRule,
+  unverifiedEnsRule,
+];
+
+/**
+ * Map a 0–100 score to a coarse level for display.
+ *
+ * @param {number} score
+ * @returns {'low'|'medium'|'high'}
+ */
+function riskLevel(score) {
+  if (score >= 70) return 'high';
+  if (score >= 30) return 'medium';
+  return 'low';
+}
+
+/**
+ * Create a risk engine.
+ *
+ * @param {Object} [options]
+ * @param {RiskRule[]} [options.rules] - Rules to evaluate (default: DEFAULT_RULES)
+ * @param {Object<string, number>} [options.weights] - Per-rule weight overrides keyed by rule id
+ * @returns {{ rules: RiskRule[], score: (signals: RiskSignals) => { score: number, level: string, reasons: object[] } }}
+ */
+function createRiskEngine({ rules = DEFAULT_RULES, weights = {} } = {}) {
+  const effectiveRules = rules.map((rule) => (
+    weights[rule.id] !== undefined ? { ...rule, weight: weights[rule.id] } : rule
+  ));
+
+  return {
+    rules: effectiveRules,
+    score(signals) {
+      const reasons = [];
+      let total = 0;
+      for (const rule of effectiveRules) {
+        let result;
+        try {
+          result = rule.evaluate(signals);
+        } catch {
+          // A broken rule must never take down the whole score
+          continue;
+        }
+        if (!result) continue;
+        const points = Math.round(rule.weight * result.intensity);
+        if (points === 0) continue;
+        total += points;
+        reasons.push({ rule: rule.id, points, message: result.message });
+      }
+      const score = Math.max(0, Math.min(100, total));
+      return { score, level: riskLevel(score), reasons };
+    },
+  };
+}
+
+/**
+ * Parse per-rule weight overrides from a JSON string (e.g. the RISK_WEIGHTS
+ * env var). Invalid JSON or non-numeric values are ignored.
+ *
+ * @param {string|undefined} raw - e.g. '{"flagged_neighbors": 50}'
+ * @returns {Object<string, number>}
+ */
+function parseWeights(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    const weights = {};
+    for (const [id, weight] of Object.entries(parsed || {})) {
+      if (typeof weight === 'number' && Number.isFinite(weight)) weights[id] = weight;
+    }
+    return weights;
+  } catch {
+    return {};
+  }
+}
+
+module.exports = {
+  createRiskEngine,
+  parseWeights,
+  riskLevel,
+  DEFAULT_RULES,
+  rules: {
+    blacklistedRule,
+    flaggedNeighborsRule,
+    newAddressRule,
+    contractRule,
+    unverifiedEnsRule,
+  },
+};
@@ -0,0 +1,95 @@
+/**
+ * Bundled function selector registry for calldata decoding.
+ *
+ * Each entry is a human-readable ABI fragment plus the standard/protocol it
+ * belongs to. Selectors are derived locally with ethers, so decoding works
+ * offline without 4byte.directory or Etherscan lookups.
+ *
+ * Note: some selectors are shared across standards (e.g. ERC-20 and ERC-721
+ * `transferFrom(address,address,uint256)`); those are listed once with a
+ * combined standard label.
+ */
+const { ethers } = require('ethers');
+
+// Seaport struct definitions (v1.5 / v1.6 share the same layout)
+const SEAPORT_OFFER_ITEM = 'tuple(uint8 itemType, address token, uint256 identifierOrCriteria, uint256 startAmount, uint256 endAmount)';
+const SEAPORT_CONSIDERATION_ITEM = 'tuple(uint8 itemType, address token, uint256 identifierOrCriteria, uint256 startAmount, uint256 endAmount, address recipient)';
+const SEAPORT_ORDER_PARAMETERS = `tuple(address offerer, address zone, ${SEAPORT_OFFER_ITEM}[] offer, ${SEAPORT_CONSIDERATION_ITEM}[] consideration, uint8 orderType, uint256 startTime, uint256 endTime, bytes32 zoneHash, uint256 salt, bytes32 conduitKey, uint256 totalOriginalConsiderationItems)`;
+const SEAPORT_ORDER_COMPONENTS = `tuple(address offerer, address zone, ${SEAPORT_OFFER_ITEM}[] offer, ${SEAPORT_CONSIDERATION_ITEM}[] consideration, uint8 orderType, uint256 startTime, uint256 endTime, bytes32 zoneHash, uint256 salt, bytes32 conduitKey, uint256 counter)`;
+const SEAPORT_BASIC_ORDER_PARAMETERS = 'tuple(address considerationToken, uint256 considerationIdentifier, uint256 considerationAmount, address offerer, address zone, address offerToken, uint256 offerIdentifier, uint256 offerAmount, uint8 basicOrderType, uint256 startTime, uint256 endTime, bytes32 zoneHash, uint256 salt, bytes32 offererConduitKey, bytes32 fulfillerConduitKey, uint256 totalOriginalAdditionalRecipients, tuple(uint256 amount, address recipient)[] additionalRecipients, bytes signature)';
+
+const SELECTOR_REGISTRY = [
+  // ERC-20
+  { standard: 'ERC-20', signature: 'function transfer(address to, uint256 amount)' },
+  { standard: 'ERC-20', signature: 'function approve(address spender, uint256 amount)' },
+  { standard: 'ERC-20', signature: 'function increaseAllowance(address spender, uint256 addedValue)' },
+  { standard: 'ERC-20', signature: 'function decreaseAllowance(address spender, uint256 subtractedValue)' },
+  // ERC-20 / ERC-721 share transferFrom(address,address,uint256)
+  { standard: 'ERC-20/ERC-721', signature: 'function transferFrom(address from, address to, uint256 amountOrTokenId)' },
+  // EIP-2612 permit
+  { standard: 'EIP-2612', signature: 'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)' },
+  // ERC-721
+  { standard: 'ERC-721', signature: 'function safeTransferFrom(address from, address to, uint256 tokenId)' },
+  { standard: 'ERC-721', signature: 'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)' },
+  // ERC-721 / ERC-1155 share setApprovalForAll(address,bool)
+  { standard: 'ERC-721/ERC-1155', signature: 'function setApprovalForAll(address operator, bool approved)' },
+  // ERC-1155
+  { standard: 'ERC-1155', signature: 'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)' },
+  { standard: 'ERC-1155', signature: 'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)' },
+  // Uniswap V2 router
+  { standard: 'Uniswap V2', signature: 'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)' },
+  { standard: 'Uniswap V2', signature: 'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)' },
+  { standard: 'Uniswap V2', signature: 'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)' },
+  { standard: 'Uniswap V2', signature: 'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)' },
+  { standard: 'Uniswap V2', signature: 'function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline)' },
+  { standard: 'Uniswap V2', signature: 'function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)' },
+  { standard: 'Uniswap V2', signature: 'function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)' },
+  // Uniswap V3 SwapRouter / SwapRouter02
+  { standard: 'Uniswap V3', signature: 'function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)' },
+  { standard: 'Uniswap V3', signature: 'function exactInput(tuple(bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)' },
+  { standard: 'Uniswap V3', signature: 'function exactOutputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)' },
+  { standard: 'Uniswap V3', signature: 'function multicall(bytes[] data)' },
+  { standard: 'Uniswap V3', signature: 'function multicall(uint256 deadline, bytes[] data)' },
+  // Uniswap Universal Router
+  { standard: 'Uniswap Universal Router', signature: 'function execute(bytes commands, bytes[] inputs)' },
+  { standard: 'Uniswap Universal Router', signature: 'function execute(bytes commands, bytes[] inputs, uint256 deadline)' },
+  // Seaport
+  { standard: 'Seaport', signature: `function fulfillBasicOrder(${SEAPORT_BASIC_ORDER_PARAMETERS} parameters)` },
+  { standard: 'Seaport', signature: `function fulfillOrder(tuple(${SEAPORT_ORDER_PARAMETERS} parameters, bytes signature) order, bytes32 fulfillerConduitKey)` },
+  { standard: 'Seaport', signature: `function cancel(${SEAPORT_ORDER_COMPONENTS}[] orders)` },
+  { standard: 'Seaport', signature: 'function incrementCounter()' },
+];
+
+/**
+ * Build a selector → { fragment, standard } lookup from the registry.
+ *
+ * @returns {Map<string, { fragment: import('ethers').FunctionFragment, standard: string }>}
+ */
+function buildSelectorIndex() {
+  const index = new Map();
+  for (const entry of SELECTOR_REGISTRY) {
+    const fragment = ethers.FunctionFragment.from(entry.signature);
+    if (!index.has(fragment.selector)) {
+      index.set(fragment.selector, { fragment, standard: entry.standard });
+    }
+  }
+  return index;
+}
+
+const SELECTOR_INDEX = buildSelectorIndex();
+
+/**
+ * Look up a 4-byte selector in the bundled registry.
+ *
+ * @param {string} selector - 0x-prefixed 4-byte selector
+ * @returns {{ fragment: import('ethers').FunctionFragment, standard: string }|null}
+ */
+function lookupSelector(selector) {
+  if (!selector || typeof selector !== 'string') return null;
+  return SELECTOR_INDEX.get(selector.toLowerCase()) || null;
+}
+
+module.exports = {
+  SELECTOR_REGISTRY,
+  lookupSelector,
+};
@@ -0,0 +1,237 @@
+/**
+ * ENS name impersonation checks.
+ *
+ * ENSIP-15 normalization (lib/ens.js) tells us whether a name is valid, not
+ * whether it is safe to show a user. This module flags names that look like
+ * something they are not:
+ *  - invisible characters (stripped by normalization, so "vi\u200Btalik.eth"
+ *    silently resolves as "vitalik.eth")
+ *  - mixed scripts within a label, and labels written entirely in look-alike
+ *    characters from another script
+ *  - near-matches of high-value names ("vita1ik.eth", "wallet.enss.eth")
+ */
+const { skeleton, levenshtein, lookalikeThreshold, CONFUSABLE_MAP, INVISIBLE_RE } = require('./confusables');
+const { normalizeName } = require('./ens');
+
+/**
+ * Names commonly impersonated. Extend at runtime with ENS_HIGH_VALUE_NAMES
+ * (comma-separated).
+ */
+const HIGH_VALUE_NAMES = [
+  'vitalik.eth',
+  'nick.eth',
+  'brantly.eth',
+  'ens.eth',
+  'wallet.ens.eth',
+  'uniswap.eth',
+  'opensea.eth',
+  'coinbase.eth',
+  'metamask.eth',
+  'ethereum.eth',
+  'lido.eth',
+  'aave.eth',
+  'safe.eth',
+  'gitcoin.eth',
+  'blur.eth',
+  'rainbow.eth',
+  'jessepollak.eth',
+  'base.eth',
+];
+
+// Scripts we tell apart; anything else counts as "Other". Common and
+// Inherited characters (digits, hyphen, emoji, combining marks) are ignored.
+const SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Hebrew', 'Arabic',
+  'Devanagari', 'Thai', 'Cherokee', 'Hangul', 'Hiragana', 'Katakana', 'Han',
+].map((name) => ({ name, re: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+// Script combinations that are normal within one label
+const SCRIPT_GROUPS = {
+  Han: 'Japanese/Chinese/Korean',
+  Hiragana: 'Japanese/Chinese/Korean',
+  Katakana: 'Japanese/Chinese/Korean',
+  Hangul: 'Japanese/Chinese/Korean',
+};
+
+// Emoji sequences legitimately contain ZWJ (U+200D) and VS16 (U+FE0F)
+const EMOJI_SEQUENCE_RE = /\p{Extended_Pictographic}\uFE0F?(?:\u200D\p{Extended_Pictographic}\uFE0F?)*/gu;
+
+const LEVELS = ['low', 'medium', 'high'];
+
+function scriptOf(ch) {
+  if (!/\p{L}/u.test(ch)) return null;
+  const match = SCRIPTS.find((s) => s.re.test(ch));
+  return match ? match.name : 'Other';
+}
+
+function codePoint(ch) {
+  return `U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Build the high-value name list from HIGH_VALUE_NAMES plus ENS_HIGH_VALUE_NAMES.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {string[]}
+ */
+function loadHighValueNames(env = process.env) {
+  const extra = (env.ENS_HIGH_VALUE_NAMES || '')
+    .split(',')
+    .map((n) => normalizeName(n.trim()))
+    .filter(Boolean);
+  return Array.from(new Set([...HIGH_VALUE_NAMES, ...extra]));
+}
+
+/**
+ * Invisible code points in a string, ignoring joiners inside emoji sequences.
+ *
+ * @returns {Array<{ codePoint: string, index: number }>}
+ */
+function findInvisible(input) {
+  const scrubbed = input.replace(EMOJI_SEQUENCE_RE, (seq) => 'x'.repeat(seq.length));
+  const out = [];
+  for (const m of scrubbed.matchAll(INVISIBLE_RE)) {
+    out.push({ codePoint: codePoint(m[0]), index: m.index });
+  }
+  return out;
+}
+
+/**
+ * Script and confusable analysis of a single label.
+ */
+function analyzeLabel(label) {
+  const chars = Array.from(label.replace(INVISIBLE_RE, ''));
+  const scripts = Array.from(new Set(chars.map(scriptOf).filter(Boolean)));
+  const groups = new Set(scripts.map((s) => SCRIPT_GROUPS[s] || s));
+  const confusables = chars
+    .filter((ch) => ch.codePointAt(0) > 0x7f && CONFUSABLE_MAP[ch])
+    .map((ch) => ({ char: ch, codePoint: codePoint(ch), script: scriptOf(ch), looksLike: CONFUSABLE_MAP[ch] }));
+  // Every character is ASCII or an ASCII look-alike: the label reads as a
+  // Latin word although it is (partly) written in another script.
+  const wholeScriptConfusable = confusables.length > 0 && !scripts.includes('Latin')
+    && chars.every((ch) => ch.codePointAt(0) <= 0x7f || CONFUSABLE_MAP[ch]);
+  return { label, scripts, mixedScript: groups.size > 1, confusables, wholeScriptConfusable };
+}
+
+/** `parent` reads as, or is a small edit away from, `targetParent`. */
+function isLookalikeParent(parent, targetParent) {
+  const distance = levenshtein(skeleton(parent), skeleton(targetParent));
+  return distance <= lookalikeThreshold(targetParent);
+}
+
+/**
+ * Compare a name with the high-value list.
+ *
+ * @returns {Array<{ target: string, reason: string, distance: number }>}
+ */
+function findNearMatches(display, normalized, highValueNames) {
+  if (normalized && highValueNames.includes(normalized)) return [];
+  const labels = display.split('.');
+  const label = labels[0];
+  const parent = labels.slice(1).join('.');
+  const nameSkeleton = skeleton(display);
+  const labelSkeleton = skeleton(label);
+  const matches = [];
+
+  for (const target of highValueNames) {
+    const [targetLabel, ...rest] = target.split('.');
+    const targetParent = rest.join('.');
+    const targetSkeleton = skeleton(targetLabel);
+    if (nameSkeleton === skeleton(target)) {
+      matches.push({ target, reason: 'homoglyph', distance: 0 });
+    } else if (parent === targetParent) {
+      const distance = levenshtein(labelSkeleton, targetSkeleton);
+      if (distance > 0 && distance <= lookalikeThreshold(targetLabel)) {
+        matches.push({ target, reason: 'lookalike', distance });
+      }
+    } else if (labelSkeleton === targetSkeleton && isLookalikeParent(parent, targetParent)) {
+      // The same label under another parent is normal (wallet.eth, nick.base.eth);
+      // only a parent imitating the target's (wallet.enss.eth) is suspicious
+      matches.push({ target, reason: 'parent_mismatch', distance: 0 });
+    }
+  }
+  return matches;
+}
+
+const MATCH_WARNINGS = {
+  homoglyph: { level: 'high', message: (m) => `Looks identical to ${m.target}` },
+  lookalike: { level: 'high', message: (m) => `Looks like ${m.target} (${m.distance} character${m.distance === 1 ? '' : 's'} different)` },
+  parent_mismatch: { level: 'medium', message: (m) => `Same label as ${m.target} under a look-alike parent name` },
+};
+
+/**
+ * Analyze an ENS name for impersonation risk.
+ *
+ * @param {string} input - Name as received (before normalization)
+ * @param {{ highValueNames?: string[] }} [options]
+ * @returns {object} { name, normalized, display, labels, invisibleCharacters, nearMatches, level, safeToDisplay, warnings }
+ */
+function analyzeName(input, { highValueNames = loadHighValueNames() } = {}) {
+  const normalized = normalizeName(input);
+  const invisibleCharacters = findInvisible(input);
+  // What the user sees: the input without invisible characters, lowercased
+  const display = input.replace(INVISIBLE_RE, '').toLowerCase();
+  const labels = display.split('.').map(analyzeLabel);
+  const warnings = [];
+
+  if (!normalized) {
+    warnings.push({ code: 'invalid_name', level: 'high', message: 'Name fails ENSIP-15 normalization' });
+  }
+  if (invisibleCharacters.length > 0) {
+    warnings.push({
+      code: 'invisible_characters',
+      level: 'high',
+      message: `Contains ${invisibleCharacters.length} invisible character${invisibleCharacters.length === 1 ? '' : 's'} (${invisibleCharacters.map((c) => c.codePoint).join(', ')})`,
+    });
+  }
+  for (const l of labels) {
+    if (l.mixedScript) {
+      warnings.push({ code: 'mixed_script', level: 'high', message: `Label "${l.label}" mixes ${l.scripts.join(' + ')}`, label: l.label });
+    } else if (l.wholeScriptConfusable) {
+      warnings.push({
+        code: 'whole_script_confusable',
+        level: 'high',
+        message: `Label "${l.label}" is written in ${l.scripts.join(' + ')} but reads as "${skeleton(l.label)}"`,
+        label: l.label,
+      });
+    } else if (l.confusables.length > 0 && l.scripts.includes('Latin')) {
+      // Latin look-alikes such as "ı" or "ł"; look-alikes inside a genuine
+      // non-Latin word (e.g. Cyrillic "привет") are listed but not warned on
+      warnings.push({
+        code: 'confusable_characters',
+        level: 'medium',
+        message: `Label "${l.label}" contains look-alike characters (${l.confusables.map((c) => `${c.char} ${c.codePoint}`).join(', ')})`,
+        label: l.label,
+      });
+    }
+  }
+
+  const nearMatches = findNearMatches(display, normalized, highValueNames);
+  for (const m of nearMatches) {
+    const w = MATCH_WARNINGS[m.reason];
+    warnings.push({ code: m.reason, level: w.level, message: w.message(m), target: m.target });
+  }
+
+  const level = warnings.reduce(
+    (max, w) => (LEVELS.indexOf(w.level) > LEVELS.indexOf(max) ? w.level : max),
+    'low'
+  );
+
+  return {
+    name: input,
+    normalized,
+    display,
+    labels,
+    invisibleCharacters,
+    nearMatches,
+    level,
+    safeToDisplay: level === 'low',
+    warnings,
+  };
+}
+
+module.exports = {
+  analyzeName,
+  loadHighValueNames,
+  HIGH_VALUE_NAMES,
+};
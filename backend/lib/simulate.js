@@ -0,0 +1,317 @@
+/**
+ * Pre-signature transaction simulation.
+ *
+ * Runs a transaction against the configured RPC with `debug_traceCall`
+ * (callTracer + withLog) and turns the trace into asset changes: native ETH
+ * deltas from value-carrying call frames, plus ERC-20 / ERC-721 / ERC-1155
+ * Transfer and Approval events decoded from logs.
+ *
+ * Nodes without the debug namespace fall back to plain `eth_call`, which can
+ * only report success/revert and the top-level ETH value.
+ *
+ * Works against any node exposing debug_traceCall: anvil, hardhat, geth, or
+ * most paid RPC providers.
+ */
+const { ethers } = require('ethers');
+
+const TOPICS = {
+  TRANSFER: ethers.id('Transfer(address,address,uint256)'),
+  APPROVAL: ethers.id('Approval(address,address,uint256)'),
+  APPROVAL_FOR_ALL: ethers.id('ApprovalForAll(address,address,bool)'),
+  TRANSFER_SINGLE: ethers.id('TransferSingle(address,address,address,uint256,uint256)'),
+  TRANSFER_BATCH: ethers.id('TransferBatch(address,address,address,uint256[],uint256[])'),
+};
+
+// Call frame types that move ETH along with the call
+const VALUE_FRAME_TYPES = new Set(['CALL', 'CREATE', 'CREATE2', 'SELFDESTRUCT']);
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function topicToAddress(topic) {
+  return ethers.getAddress(ethers.dataSlice(topic, 12));
+}
+
+/**
+ * Decode a single log into a transfer or approval event.
+ * Returns null for logs that are not recognised token events.
+ *
+ * @param {{ address: string, topics: string[], data: string }} log
+ * @returns {object|null}
+ */
+function decodeLog(log) {
+  const topics = log.topics || [];
+  const token = ethers.getAddress(log.address);
+  try {
+    switch (topics[0]) {
+      case TOPICS.TRANSFER:
+        // ERC-721 indexes tokenId (4 topics); ERC-20 puts the amount in data (3 topics)
+        if (topics.length === 4) {
+          return {
+            kind: 'transfer', standard: 'ERC-721', token,
+            from: topicToAddress(topics[1]), to: topicToAddress(topics[2]),
+            tokenId: BigInt(topics[3]).toString(),
+          };
+        }
+        if (topics.length === 3) {
+          return {
+            kind: 'transfer', standard: 'ERC-20', token,
+            from: topicToAddress(topics[1]), to: topicToAddress(topics[2]),
+            amount: coder.decode(['uint256'], log.data)[0].toString(),
+          };
+        }
+        return null;
+      case TOPICS.APPROVAL:
+        if (topics.length === 4) {
+          return {
+            kind: 'approval', standard: 'ERC-721', token,
+            owner: topicToAddress(topics[1]), spender: topicToAddress(topics[2]),
+            tokenId: BigInt(topics[3]).toString(),
+          };
+        }
+        if (topics.length === 3) {
+          return {
+            kind: 'approval', standard: 'ERC-20', token,
+            owner: topicToAddress(topics[1]), spender: topicToAddress(topics[2]),
+            amount: coder.decode(['uint256'], log.data)[0].toString(),
+          };
+        }
+        return null;
+      case TOPICS.APPROVAL_FOR_ALL:
+        return {
+          kind: 'approval', standard: 'ERC-721/ERC-1155', token,
+          owner: topicToAddress(topics[1]), spender: topicToAddress(topics[2]),
+          approved: coder.decode(['bool'], log.data)[0],
+        };
+      case TOPICS.TRANSFER_SINGLE: {
+        const [id, amount] = coder.decode(['uint256', 'uint256'], log.data);
+        return {
+          kind: 'transfer', standard: 'ERC-1155', token,
+          from: topicToAddress(topics[2]), to: topicToAddress(topics[3]),
+          tokenId: id.toString(), amount: amount.toString(),
+        };
+      }
+      case TOPICS.TRANSFER_BATCH: {
+        const [ids, amounts] = coder.decode(['uint256[]', 'uint256[]'], log.data);
+        return {
+          kind: 'transfer', standard: 'ERC-1155', token,
+          from: topicToAddress(topics[2]), to: topicToAddress(topics[3]),
+          tokenIds: ids.map(String), amounts: amounts.map(String),
+        };
+      }
+      default:
+        return null;
+    }
+  } catch {
+    // Non-standard contract emitting a colliding topic with a different layout
+    return null;
+  }
+}
+
+/**
+ * Walk a callTracer frame tree, collecting ETH value transfers and logs.
+ * Frames that reverted (and their children) are skipped: their effects
+ * never happen on chain.
+ *
+ * @param {object} frame - callTracer frame
+ * @param {{ valueTransfers: object[], logs: object[] }} [acc]
+ */
+function collectFrame(frame, acc = { valueTransfers: [], logs: [] }) {
+  if (!frame || frame.error) return acc;
+  const value = frame.value ? BigInt(frame.value) : 0n;
+  if (value > 0n && VALUE_FRAME_TYPES.has(frame.type) && frame.from && frame.to) {
+    acc.valueTransfers.push({ from: ethers.getAddress(frame.from), to: ethers.getAddress(frame.to), value });
+  }
+  for (const log of frame.logs || []) acc.logs.push(log);
+  for (const child of frame.calls || []) collectFrame(child, acc);
+  return acc;
+}
+
+/**
+ * Decode a revert payload into a readable reason when it is Error(string).
+ *
+ * @param {string|undefined} output
+ * @returns {string|null}
+ */
+function decodeRevertReason(output) {
+  if (!output || typeof output !== 'string' || !output.startsWith(ERROR_STRING_SELECTOR)) return null;
+  try {
+    return coder.decode(['string'], ethers.dataSlice(output, 4))[0];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Aggregate ETH transfers and decoded token events into per-address deltas.
+ *
+ * @param {object[]} valueTransfers
+ * @param {object[]} events - Output of decodeLog (nulls removed)
+ * @returns {object[]} [{ address, asset: { type, token?, tokenId? }, delta }]
+ */
+function computeBalanceChanges(valueTransfers, events) {
+  const deltas = new Map();
+  const add = (address, asset, amount) => {
+    const key = `${address}|${asset.type}|${asset.token || ''}|${asset.tokenId || ''}`;
+    const entry = deltas.get(key) || { address, asset, delta: 0n };
+    entry.delta += amount;
+    deltas.set(key, entry);
+  };
+  const move = (from, to, asset, amount) => {
+    if (from !== ethers.ZeroAddress) add(from, asset, -amount);
+    if (to !== ethers.ZeroAddress) add(to, asset, amount);
+  };
+
+  for (const t of valueTransfers) move(t.from, t.to, { type: 'native' }, t.value);
+
+  for (const ev of events) {
+    if (ev.kind !== 'transfer') continue;
+    if (ev.standard === 'ERC-20') {
+      move(ev.from, ev.to, { type: 'erc20', token: ev.token }, BigInt(ev.amount));
+    } else if (ev.standard === 'ERC-721') {
+      move(ev.from, ev.to, { type: 'erc721', token: ev.token, tokenId: ev.tokenId }, 1n);
+    } else if (ev.tokenIds) {
+      ev.tokenIds.forEach((id, i) => {
+        move(ev.from, ev.to, { type: 'erc1155', token: ev.token, tokenId: id }, BigInt(ev.amounts[i]));
+      });
+    } else {
+      move(ev.from, ev.to, { type: 'erc1155', token: ev.token, tokenId: ev.tokenId }, BigInt(ev.amount));
+    }
+  }
+
+  return Array.from(deltas.values())
+    .filter((d) => d.delta !== 0n)
+    .map((d) => ({ ...d, delta: d.delta.toString() }));
+}
+
+function describeAsset(asset) {
+  switch (asset.type) {
+    case 'native': return 'ETH';
+    case 'erc20': return `token ${asset.token}`;
+    case 'erc721': return `NFT #${asset.tokenId} of ${asset.token}`;
+    default: return `token ID ${asset.tokenId} of ${asset.token}`;
+  }
+}
+
+/**
+ * Human-readable lines describing what happens to the sender's assets.
+ */
+function summarize(sender, balanceChanges, approvals) {
+  const lines = [];
+  for (const change of balanceChanges) {
+    if (change.address !== sender) continue;
+    const delta = BigInt(change.delta);
+    const amount = delta < 0n ? -delta : delta;
+    const shown = change.asset.type === 'native' ? ethers.formatEther(amount)
+      : change.asset.type === 'erc721' ? null : amount.toString();
+    const verb = delta < 0n ? 'Send' : 'Receive';
+    lines.push(shown ? `${verb} ${shown} ${describeAsset(change.asset)}` : `${verb} ${describeAsset(change.asset)}`);
+  }
+  for (const ap of approvals) {
+    if (ap.owner !== sender) continue;
+    if (ap.approved !== undefined) {
+      lines.push(ap.approved
+        ? `Grant ${ap.spender} control of all tokens in ${ap.token}`
+        : `Revoke ${ap.spender} as operator of ${ap.token}`);
+    } else if (ap.tokenId !== undefined) {
+      lines.push(`Approve ${ap.spender} to transfer NFT #${ap.tokenId} of ${ap.token}`);
+    } else {
+      lines.push(`Approve ${ap.spender} to spend ${ap.amount === ethers.MaxUint256.toString() ? 'unlimited' : ap.amount} of token ${ap.token}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Simulate a transaction and summarize its asset changes.
+ *
+ * @param {object} provider - ethers provider (needs `send`; `call` for the fallback)
+ * @param {{ from: string, to?: string|null, value?: bigint, data?: string, gas?: bigint|null }} tx
+ * @param {{ block?: string }} [options]
+ * @returns {Promise<object>}
+ */
+async function simulateTransaction(provider, tx, { block = 'latest' } = {}) {
+  const from = ethers.getAddress(tx.from);
+  const rpcTx = {
+    from,
+    ...(tx.to ? { to: ethers.getAddress(tx.to) } : {}),
+    value: ethers.toQuantity(tx.value || 0n),
+    data: tx.data || '0x',
+    ...(tx.gas ? { gas: ethers.toQuantity(tx.gas) } : {}),
+  };
+
+  let trace = null;
+  try {
+    trace = await provider.send('debug_traceCall', [
+      rpcTx,
+      block,
+      { tracer: 'callTracer', tracerConfig: { withLog: true } },
+    ]);
+  } catch {
+    trace = null;
+  }
+
+  if (trace) {
+    const reverted = !!trace.error;
+    const { valueTransfers, logs } = collectFrame(trace);
+    const events = logs.map(decodeLog).filter(Boolean);
+    const transfers = events.filter((e) => e.kind === 'transfer');
+    const approvals = events.filter((e) => e.kind === 'approval');
+    const balanceChanges = computeBalanceChanges(valueTransfers, events);
+    return {
+      simulationMethod: 'debug_traceCall',
+      reverted,
+      revertReason: reverted ? (trace.revertReason || decodeRevertReason(trace.output) || trace.error) : null,
+      gasUsed: trace.gasUsed ? BigInt(trace.gasUsed).toString() : null,
+      logsAvailable: true,
+      balanceChanges,
+      transfers,
+      approvals,
+      summary: reverted ? [] : summarize(from, balanceChanges, approvals),
+    };
+  }
+
+  // Fallback: eth_call gives us success/revert only. ethers takes the gas
+  // limit as `gasLimit` and ignores a JSON-RPC style `gas` field.
+  const { gas, ...callTx } = rpcTx;
+  try {
+    await provider.call(gas ? { ...callTx, gasLimit: gas } : callTx);
+  } catch (e) {
+    if (e.code !== 'CALL_EXCEPTION') throw e;
+    return {
+      simulationMethod: 'eth_call',
+      reverted: true,
+      revertReason: e.reason || decodeRevertReason(e.data) || e.shortMessage || 'execution reverted',
+      gasUsed: null,
+      logsAvailable: false,
+      balanceChanges: [],
+      transfers: [],
+      approvals: [],
+      summary: [],
+    };
+  }
+
+  const valueTransfers = BigInt(rpcTx.value) > 0n && rpcTx.to
+    ? [{ from, to: rpcTx.to, value: BigInt(rpcTx.value) }]
+    : [];
+  const balanceChanges = computeBalanceChanges(valueTransfers, []);
+  return {
+    simulationMethod: 'eth_call',
+    reverted: false,
+    revertReason: null,
+    gasUsed: null,
+    logsAvailable: false,
+    balanceChanges,
+    transfers: [],
+    approvals: [],
+    summary: summarize(from, balanceChanges, []),
+  };
+}
+
+module.exports = {
+  simulateTransaction,
+  decodeLog,
+  computeBalanceChanges,
+  TOPICS,
+};
@@ -0,0 +1,161 @@
+/**
+ * Storage backend selection.
+ *
+ * Every adapter exposes the same Redis-style command set with Upstash calling
+ * conventions (`set(key, value, { ex, nx })`, `hset(key, { field: value })`,
+ * `smismember(key, members[])`,
+ * `zadd(key, { score, member })`, `zrange(key, min, max, { byScore, rev, offset, count })`,
+ * `pipeline()` / `multi()` whose `exec()` resolves to an array of results):
+ *
+ *  - upstash — Upstash REST (UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN)
+ *  - redis   — any Redis server via ioredis (REDIS_URL)
+ *  - memory  — in-process store (lib/memory.js); not persisted
+ *
+ * STORAGE_BACKEND picks one explicitly. Otherwise REDIS_URL wins, then
+ * Upstash credentials, then memory (with a warning, since data is lost on
+ * restart and not shared between serverless instances).
+ */
+const { createMemoryStore } = require('./memory');
+
+// Commands shared by all adapters
+const STORAGE_COMMANDS = [
+  'get', 'set', 'mget', 'del', 'exists', 'expire', 'pexpire', 'ttl', 'incr', 'incrby',
+  'hset', 'hsetnx', 'hincrby', 'hgetall',
+  'sadd', 'srem', 'sismember', 'smismember', 'smembers', 'scard', 'sinterstore', 'rename',
+  'lpush', 'rpush', 'lrange', 'ltrim', 'llen',
+  'zadd', 'zrange', 'zcard', 'zcount', 'zremrangebyscore', 'zremrangebyrank',
+];
+
+function serialize(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Map an Upstash-style call onto ioredis arguments.
+ */
+function ioredisArgs(command, args) {
+  switch (command) {
+    case 'set': {
+      const [key, value, { ex, px, nx, xx } = {}] = args;
+      const out = [key, serialize(value)];
+      if (ex) out.push('EX', ex);
+      else if (px) out.push('PX', px);
+      if (nx) out.push('NX');
+      else if (xx) out.push('XX');
+      return out;
+    }
+    case 'mget':
+    case 'del':
+    case 'exists':
+      return args.flat();
+    case 'hset':
+      return [args[0], ...Object.entries(args[1]).flatMap(([field, value]) => [field, serialize(value)])];
+    case 'hsetnx':
+      return [args[0], args[1], serialize(args[2])];
+    case 'smismember':
+      return [args[0], ...args[1]];
+    case 'zadd':
+      return [args[0], ...args.slice(1).flat().flatMap(({ score, member }) => [score, serialize(member)])];
+    case 'zrange': {
+      // Redis >= 6.2 ZRANGE with BYSCORE / REV / LIMIT
+      const [key, start, stop, { byScore, rev, offset = 0, count } = {}] = args;
+      const out = [key, start, stop];
+      if (byScore) out.push('BYSCORE');
+      if (rev) out.push('REV');
+      if (count !== undefined) out.push('LIMIT', offset, count);
+      return out;
+    }
+    case 'sadd':
+    case 'srem':
+    case 'lpush':
+    case 'rpush':
+      return [args[0], ...args.slice(1).flat().map(serialize)];
+    default:
+      return args;
+  }
+}
+
+/**
+ * Adapt an ioredis client to the storage interface.
+ *
+ * @param {object} client - ioredis instance (or anything with the same API)
+ * @returns {object}
+ */
+function wrapIoredis(client) {
+  const wrap = (target, chain) => {
+    const out = {};
+    for (const command of STORAGE_COMMANDS) {
+      out[command] = (...args) => {
+        const result = target[command](...ioredisArgs(command, args));
+        return chain ? out : result;
+      };
+    }
+    return out;
+  };
+  const batch = (target) => {
+    const pipe = wrap(target, true);
+    // ioredis resolves to [[err, result], ...]; surface the first error
+    pipe.exec = async () => (await target.exec()).map(([err, result]) => {
+      if (err) throw err;
+      return result;
+    });
+    return pipe;
+  };
+
+  const store = wrap(client, false);
+  store.pipeline = () => batch(client.pipeline());
+  store.multi = () => batch(client.multi());
+  return store;
+}
+
+/**
+ * Create the storage backend for an environment.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {{ redis: object, backend: 'upstash'|'redis'|'memory', persistent: boolean }}
+ */
+function createStorage(env = process.env) {
+  const hasUpstash = !!(env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN);
+  const explicit = env.STORAGE_BACKEND ? env.STORAGE_BACKEND.trim().toLowerCase() : null;
+  const backend = explicit || (env.REDIS_URL ? 'redis' : hasUpstash ? 'upstash' : 'memory');
+
+  switch (backend) {
+    case 'redis': {
+      if (!env.REDIS_URL) throw new Error('STORAGE_BACKEND=redis requires REDIS_URL');
+      const Redis = require('ioredis');
+      const client = new Redis(env.REDIS_URL, { lazyConnect: true, maxRetriesPerRequest: 2 });
+      client.on('error', (e) => console.error(`[storage] redis: ${e.message}`));
+      return { redis: wrapIoredis(client), backend, persistent: true };
+    }
+    case 'upstash': {
+      if (!hasUpstash) {
+        throw new Error('STORAGE_BACKEND=upstash requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN');
+      }
+      const { Redis } = require('@upstash/redis');
+      return {
+        redis: new Redis({ url: env.UPSTASH_REDIS_REST_URL, token: env.UPSTASH_REDIS_REST_TOKEN }),
+        backend,
+        persistent: true,
+      };
+    }
+    case 'memory':
+      if (!explicit) {
+        console.warn('[storage] No REDIS_URL or Upstash credentials set; using in-memory storage (not persisted)');
+      }
+      return { redis: createMemoryStore(), backend, persistent: false };
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected upstash, redis or memory)`);
+  }
+}
+
+const { redis, backend, persistent } = createStorage();
+
+module.exports = {
+  redis,
+  backend,
+  persistent,
+  createStorage,
+  createMemoryStore,
+  wrapIoredis,
+  STORAGE_COMMANDS,
+};
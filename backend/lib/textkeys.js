@@ -0,0 +1,70 @@
+/**
+ * Text key discovery from resolver logs.
+ *
+ * Resolvers can't list the text keys a name has, but PublicResolver-style
+ * resolvers emit `TextChanged(node, indexedKey, key[, value])` on every
+ * `setText`. Scanning the name's current resolver for those logs finds
+ * custom keys (`org.farcaster`, `xyz.lens`, …) that no hardcoded key list
+ * covers.
+ *
+ * Only the last `blocks` blocks are scanned, in chunks of `chunkSize`
+ * (RPC providers cap the range of one eth_getLogs). The defaults keep an
+ * unprompted request cheap: about a week of blocks in five 10k-block
+ * calls, a range every major provider accepts. Keys set before the
+ * range, or on resolvers that don't emit TextChanged (offchain / wildcard
+ * resolvers), are not found. A key may have been cleared since; callers
+ * read the values anyway.
+ */
+const { ethers } = require('ethers');
+
+// ~1 week of mainnet blocks
+const DEFAULT_BLOCKS = 50_000;
+const DEFAULT_CHUNK_SIZE = 10_000;
+
+// Both PublicResolver generations: the newer event also logs the value
+const textChangedInterface = new ethers.Interface([
+  'event TextChanged(bytes32 indexed node, string indexed indexedKey, string key)',
+  'event TextChanged(bytes32 indexed node, string indexed indexedKey, string key, string value)',
+]);
+const TEXT_CHANGED_TOPICS = textChangedInterface.fragments
+  .filter((f) => f.type === 'event')
+  .map((f) => f.topicHash);
+
+/**
+ * Text keys set on `resolver` for `name` within the last `blocks` blocks,
+ * in the order they were first set.
+ *
+ * @param {object} provider - Anything with `getBlockNumber()` and `getLogs(filter)`
+ * @param {{ resolver: string, name: string, blocks?: number, chunkSize?: number }} options
+ * @returns {Promise<{ keys: string[], fromBlock: number, toBlock: number }>}
+ */
+async function discoverTextKeys(provider, { resolver, name, blocks = DEFAULT_BLOCKS, chunkSize = DEFAULT_CHUNK_SIZE }) {
+  const toBlock = await provider.getBlockNumber();
+  const fromBlock = Math.max(0, toBlock - blocks + 1);
+  const node = ethers.namehash(name);
+  const keys = new Set();
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const logs = await provider.getLogs({
+      address: resolver,
+      topics: [TEXT_CHANGED_TOPICS, node],
+      fromBlock: start,
+      toBlock: Math.min(start + chunkSize - 1, toBlock),
+    });
+    for (const log of logs) {
+      try {
+        keys.add(textChangedInterface.parseLog(log).args.key);
+      } catch {
+        // Same topic, different layout (non-standard resolver): skip
+      }
+    }
+  }
+  return { keys: [...keys], fromBlock, toBlock };
+}
+
+module.exports = {
+  DEFAULT_BLOCKS,
+  DEFAULT_CHUNK_SIZE,
+  discoverTextKeys,
+  textChangedInterface,
+  TEXT_CHANGED_TOPICS,
+};
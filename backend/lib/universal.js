@@ -0,0 +1,173 @@
+/**
+ * ENS Universal Resolver lookups with ENSIP-10 wildcards and CCIP-Read.
+ *
+ * `findResolver(dnsName)` on the Universal Resolver walks up the name in one
+ * eth_call and returns the closest resolver. Records are then read from that
+ * resolver directly:
+ *  - wildcard (ENSIP-10) resolvers through `resolve(dnsName, calldata)`
+ *  - exact resolvers with the plain record call
+ *  - a non-wildcard resolver found on a parent name has no records for it
+ * Reads go through the CCIP-Read client (lib/ccip.js), so offchain answers
+ * are fetched from allowlisted gateways only, and every result says where
+ * it came from:
+ *
+ *   { value, resolution: { resolver, wildcard, source: 'onchain'|'offchain', gateway } }
+ *
+ * The Universal Resolver address is configurable (ENS_UNIVERSAL_RESOLVER).
+ * If it isn't deployed or answers garbage (forks, test chains), lookups
+ * throw UNIVERSAL_RESOLVER_UNAVAILABLE and callers fall back to ethers.
+ */
+const { ethers } = require('ethers');
+const { TTLCache } = require('./cache');
+const { isCcipError } = require('./ccip');
+const { decodeAddress, resolverInterface, WILDCARD_INTERFACE_ID, ETH_COIN_TYPE } = require('./multicall');
+
+const UNIVERSAL_RESOLVER_ADDRESS = '0xeEeEEEeE14D718C2B47D9923Deab1335E144EeEe';
+// findResolver results and wildcard support are re-checked after a minute
+const LOOKUP_TTL_MS = 60 * 1000;
+
+const universalInterface = new ethers.Interface([
+  'function findResolver(bytes name) view returns (address resolver, bytes32 node, uint256 offset)',
+]);
+const extendedResolverInterface = new ethers.Interface([
+  'function resolve(bytes name, bytes data) view returns (bytes)',
+]);
+
+function unavailable(message) {
+  const err = new Error(`Universal Resolver unavailable: ${message}`);
+  err.code = 'UNIVERSAL_RESOLVER_UNAVAILABLE';
+  return err;
+}
+
+/**
+ * Calldata and result decoder for one record.
+ *
+ * @param {{ type: 'addr', coinType?: number }|{ type: 'text', key: string }|{ type: 'contenthash' }} record
+ * @param {string} node
+ */
+function recordCall(record, node) {
+  switch (record.type) {
+    case 'addr': {
+      const coinType = record.coinType ?? ETH_COIN_TYPE;
+      const fragment = coinType === ETH_COIN_TYPE ? 'addr(bytes32)' : 'addr(bytes32,uint256)';
+      const args = coinType === ETH_COIN_TYPE ? [node] : [node, coinType];
+      return {
+        data: resolverInterface.encodeFunctionData(fragment, args),
+        decode: (result) => decodeAddress(coinType, resolverInterface.decodeFunctionResult(fragment, result)[0]),
+      };
+    }
+    case 'text':
+      return {
+        data: resolverInterface.encodeFunctionData('text', [node, record.key]),
+        decode: (result) => resolverInterface.decodeFunctionResult('text', result)[0] || null,
+      };
+    case 'contenthash':
+      return {
+        data: resolverInterface.encodeFunctionData('contenthash', [node]),
+        decode: (result) => {
+          const hash = resolverInterface.decodeFunctionResult('contenthash', result)[0];
+          return hash === '0x' ? null : hash;
+        },
+      };
+    default:
+      throw new Error(`unsupported record type "${record.type}"`);
+  }
+}
+
+/**
+ * Create a Universal Resolver client.
+ *
+ * @param {Object} options
+ * @param {object} options.provider - Mainnet provider or pool
+ * @param {{ call: Function }} options.ccip - CCIP-Read client (lib/ccip.js)
+ * @param {string} [options.address] - Universal Resolver contract
+ * @returns {{ findResolver(name: string): Promise<{ resolver: string|null, exact: boolean }>, resolve(name: string, record: object): Promise<{ value: any, resolution: object|null }> }}
+ */
+function createUniversalResolver({ provider, ccip, address = UNIVERSAL_RESOLVER_ADDRESS }) {
+  const lookups = new TTLCache(LOOKUP_TTL_MS);
+
+  /**
+   * Closest resolver of `name`; `exact` is false when it was found on a
+   * parent name.
+   */
+  function findResolver(name) {
+    return lookups.getOrLoad(`find:${name}`, async () => {
+      let raw;
+      try {
+        raw = await provider.call({ to: address, data: universalInterface.encodeFunctionData('findResolver', [ethers.dnsEncode(name)]) });
+      } catch (e) {
+        if (e.code === 'CALL_EXCEPTION') throw unavailable('findResolver reverted');
+        throw e;
+      }
+      let decoded;
+      try {
+        decoded = universalInterface.decodeFunctionResult('findResolver', raw);
+      } catch {
+        throw unavailable('unexpected findResolver result');
+      }
+      const resolver = decoded.resolver === ethers.ZeroAddress ? null : ethers.getAddress(decoded.resolver);
+      return { resolver, exact: decoded.offset === 0n };
+    });
+  }
+
+  function supportsWildcard(resolver) {
+    return lookups.getOrLoad(`wildcard:${resolver}`, async () => {
+      try {
+        const raw = await provider.call({ to: resolver, data: resolverInterface.encodeFunctionData('supportsInterface', [WILDCARD_INTERFACE_ID]) });
+        return resolverInterface.decodeFunctionResult('supportsInterface', raw)[0] === true;
+      } catch (e) {
+        if (e.code === 'CALL_EXCEPTION' || e.code === 'BAD_DATA') return false;
+        throw e;
+      }
+    });
+  }
+
+  /**
+   * Read one record of `name`. Reverts (other than OffchainLookup) read as
+   * an unset record, like ethers; CCIP-Read failures throw with a `CCIP_*`
+   * code and carry `resolution` (what was known before the failure).
+   */
+  async function resolve(name, record) {
+    const { resolver, exact } = await findResolver(name);
+    if (!resolver) return { value: null, resolution: null };
+    const wildcard = await supportsWildcard(resolver);
+    const onchain = { resolver, wildcard, source: 'onchain', gateway: null };
+    // ENSIP-10: a parent's resolver only answers for subnames if it is a wildcard resolver
+    if (!exact && !wildcard) return { value: null, resolution: onchain };
+
+    const dnsName = ethers.dnsEncode(name);
+    const { data, decode } = recordCall(record, ethers.namehash(name));
+    const tx = wildcard
+      ? { to: resolver, data: extendedResolverInterface.encodeFunctionData('resolve', [dnsName, data]) }
+      : { to: resolver, data };
+
+    let result;
+    try {
+      result = await ccip.call(tx);
+    } catch (e) {
+      if (isCcipError(e)) {
+        e.resolution = { resolver, wildcard, source: 'offchain', gateway: e.gateway ?? null };
+        throw e;
+      }
+      if (e.code === 'CALL_EXCEPTION') return { value: null, resolution: onchain };
+      throw e;
+    }
+    const resolution = result.gateway ? { resolver, wildcard, source: 'offchain', gateway: result.gateway } : onchain;
+    try {
+      const raw = wildcard ? extendedResolverInterface.decodeFunctionResult('resolve', result.data)[0] : result.data;
+      return { value: decode(raw), resolution };
+    } catch {
+      // Empty or malformed answer: the resolver doesn't have this record
+      return { value: null, resolution };
+    }
+  }
+
+  return { findResolver, resolve };
+}
+
+module.exports = {
+  createUniversalResolver,
+  universalInterface,
+  extendedResolverInterface,
+  UNIVERSAL_RESOLVER_ADDRESS,
+};
@@ -1,6 +1,6 @@
 'use strict';
 
-const { describe, it, beforeEach } = require('node:test');
+const { describe, it, before, after, beforeEach } = require('node:test');
 const assert = require('node:assert');
 const request = require('supertest');
 
@@ -15,6 +15,16 @@ const testProvider = {
     if (addr && addr.toLowerCase() === '0xd8da6bf26964af9d7eed9e03e53415d37aa96045') return 'vitalik.eth';
     return null;
   },
+  // Simulation: no debug namespace by default (tests override per case)
+  send: async (method) => {
+    throw new Error(`${method} not supported`);
+  },
+  // Reverse records (MAINNET_REVERSE_RECORDS); '0x' for every other contract
+  call: async (tx) => reverseRecordCall(MAINNET_REVERSE_RECORDS, tx),
+  getCode: async (addr) => {
+    if (addr && addr.toLowerCase() === '0x000000000000000000000000000000000000c0de') return '0x6080604052';
+    return '0x';
+  },
   getResolver: async (name) => {
     if (name === 'notfound.eth') return null;
     return {
@@ -25,50 +35,38 @@ const testProvider = {
           'com.twitter': 'VitalikButerin',
           'com.github': 'vbuterin',
           description: 'Ethereum co-founder',
+          avatar: 'https://example.com/avatar.png',
         };
         return records[key] || null;
       },
-      getAvatar: async () => ({ url: 'https://example.com/avatar.png' }),
       getContentHash: async () => 'ipfs://QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4',
+      // ENSIP-11: only a Base (8453) address is set besides mainnet
+      getAddress: async (coinType = 60) => {
+        if (coinType === 60) return '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+        if (coinType === (0x80000000 | 8453) >>> 0) return BASE_ADDR;
+        return null;
+      },
     };
   },
 };
 global.__ENSIGHT_TEST_PROVIDER__ = testProvider;
 
-// Mock Redis for risk and cron
-const mockRedis = {
-  _store: {},
-  async get(key) {
-    return this._store[key] ?? null;
-  },
-  async set(key, val) {
-    this._store[key] = val;
-    return 'OK';
-  },
-  async del(key) {
-    delete this._store[key];
-    return 0;
-  },
-  async sadd(key, ...members) {
-    if (!this._store[key]) this._store[key] = new Set();
-    const set = this._store[key];
-    members.forEach((m) => set.add(m));
-    return 0;
-  },
-  async sismember(key, member) {
-    const set = this._store[key];
-    return set && set.has(member) ? 1 : 0;
-  },
-  async smembers(key) {
-    const set = this._store[key];
-    if (set instanceof Set) return Array.from(set);
-    return [];
-  },
-};
-global.__ENSIGHT_TEST_REDIS__ = {
-  redis: mockRedis,
-  isConfigured: true,
+// Base (chainId 8453) provider: getCode for chain-specific checks; no ENSIP-19
+// reverse registrar by default (empty call results)
+const BASE_ADDR = '0xBa5e000000000000000000000000000000008453';
+const baseProvider = {
+  getCode: async (addr) => (addr.toLowerCase() === BASE_ADDR.toLowerCase() ? '0x6080' : '0x'),
+  call: async () => '0x',
 };
+global.__ENSIGHT_TEST_PROVIDERS__ = { 8453: baseProvider };
+
+// Real in-memory storage adapter for risk, cron and graph routes
+process.env.STORAGE_BACKEND = 'memory';
+// CCIP-Read tests run a stub gateway on localhost
+process.env.CCIP_GATEWAY_ALLOWLIST = '127.0.0.1';
+// Small per-edge event log so trimming is testable
+process.env.GRAPH_EVENT_MAX = '5';
+const { redis: store } = require('../lib/storage');
 
 const app = require('../app');
 
@@ -146,13 +144,13 @@ describe('Risk route', () => {
   });
 
   it('GET /api/risk/address/:address returns 200 with flagged true when in set', async () => {
-    await mockRedis.sadd('scamsniffer:addresses', '0xbad0000000000000000000000000000000000001');
+    await store.sadd('scamsniffer:addresses', '0xbad0000000000000000000000000000000000001');
     const res = await request(app).get(
       '/api/risk/address/0xbad0000000000000000000000000000000000001'
     );
     assert.strictEqual(res.status, 200);
     assert.strictEqual(res.body.flagged, true);
-    await mockRedis.del('scamsniffer:addresses');
+    await store.del('scamsniffer:addresses');
   });
 
   it('GET /api/risk/address/invalid returns 400', async () => {
@@ -566,7 +564,7 @@ describe('TTLCache', () => {
     assert.strictEqual(cache.size, 0);
   });
 
-  it('evicts oldest entry when at capacity', () => {
+  it('evicts the least recently used entry when at capacity', () => {
     const cache = new TTLCache(60000, 2); // max 2 entries
     cache.set('first', 1);
     cache.set('second', 2);
@@ -585,3 +583,3956 @@ describe('TTLCache', () => {
     assert.strictEqual(cache.get('long'), 'stays');
   });
 });
+
+// ====================================================================
+// Intent decoding (lib/decoder.js + POST /api/intent/decode)
+// ====================================================================
+
+const { ethers } = require('ethers');
+const { decodeCalldata } = require('../lib/decoder');
+const { lookupSelector } = require('../lib/selectors');
+
+const TOKEN = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const erc20 = new ethers.Interface([
+  'function transfer(address to, uint256 amount)',
+  'function approve(address spender, uint256 amount)',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function multicall(bytes[] data)',
+]);
+
+describe('lib/selectors: lookupSelector', () => {
+  it('finds known selectors case-insensitively', () => {
+    assert.strictEqual(lookupSelector('0xA9059CBB').fragment.name, 'transfer');
+    assert.strictEqual(lookupSelector('0xfb0f3ee1').standard, 'Seaport');
+  });
+
+  it('returns null for unknown selectors', () => {
+    assert.strictEqual(lookupSelector('0xdeadbeef'), null);
+  });
+});
+
+describe('lib/decoder: decodeCalldata', () => {
+  it('decodes an ERC-20 transfer', () => {
+    const data = erc20.encodeFunctionData('transfer', [ADDR_B, 1000n]);
+    const result = decodeCalldata(data, { to: TOKEN, value: 0n });
+    assert.strictEqual(result.selector, '0xa9059cbb');
+    assert.strictEqual(result.function.signature, 'transfer(address,uint256)');
+    assert.strictEqual(result.args.to, ethers.getAddress(ADDR_B));
+    assert.strictEqual(result.args.amount, '1000');
+    assert.deepStrictEqual(result.warnings, []);
+  });
+
+  it('flags unlimited approvals', () => {
+    const data = erc20.encodeFunctionData('approve', [ADDR_B, ethers.MaxUint256]);
+    const result = decodeCalldata(data, { to: TOKEN });
+    assert.ok(result.warnings.includes('unlimited_approval'));
+    assert.ok(result.summary.includes('unlimited'));
+  });
+
+  it('flags setApprovalForAll(true)', () => {
+    const data = erc20.encodeFunctionData('setApprovalForAll', [ADDR_B, true]);
+    const result = decodeCalldata(data, { to: TOKEN });
+    assert.strictEqual(result.function.standard, 'ERC-721/ERC-1155');
+    assert.ok(result.warnings.includes('approval_for_all'));
+  });
+
+  it('decodes nested multicall calls and bubbles up warnings', () => {
+    const inner = erc20.encodeFunctionData('approve', [ADDR_B, ethers.MaxUint256]);
+    const data = erc20.encodeFunctionData('multicall', [[inner]]);
+    const result = decodeCalldata(data, { to: TOKEN });
+    assert.strictEqual(result.calls.length, 1);
+    assert.strictEqual(result.calls[0].function.name, 'approve');
+    assert.ok(result.warnings.includes('unlimited_approval'));
+  });
+
+  it('describes plain ETH transfers', () => {
+    const result = decodeCalldata('0x', { to: ADDR_B, value: ethers.parseEther('1.5') });
+    assert.strictEqual(result.selector, null);
+    assert.ok(result.summary.includes('1.5 ETH'));
+  });
+
+  it('reports unknown and malformed calldata', () => {
+    assert.ok(decodeCalldata('0xdeadbeef').warnings.includes('unknown_function'));
+    assert.ok(decodeCalldata('0xa9059cbb00').warnings.includes('malformed_calldata'));
+    assert.ok(decodeCalldata('0xa905').warnings.includes('malformed_calldata'));
+  });
+});
+
+describe('Intent: POST /api/intent/decode', () => {
+  it('decodes calldata from an interaction-shaped payload', async () => {
+    const res = await request(app)
+      .post('/api/intent/decode')
+      .send({
+        from: ADDR_A,
+        to: TOKEN,
+        method: 'eth_sendTransaction',
+        chainId: 1,
+        value: '0x0',
+        data: erc20.encodeFunctionData('approve', [ADDR_B, ethers.MaxUint256]),
+      });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.success, true);
+    assert.strictEqual(res.body.selector, '0x095ea7b3');
+    assert.strictEqual(res.body.function.name, 'approve');
+    assert.strictEqual(res.body.args.amount, ethers.MaxUint256.toString());
+    assert.strictEqual(res.body.method, 'eth_sendTransaction');
+    assert.ok(res.body.summary);
+  });
+
+  it('returns 400 for non-hex data', async () => {
+    const res = await request(app)
+      .post('/api/intent/decode')
+      .send({ to: TOKEN, data: 'not-hex' });
+    assert.strictEqual(res.status, 400);
+    assert.ok(res.body.error);
+  });
+
+  it('returns 400 for an invalid value', async () => {
+    const res = await request(app)
+      .post('/api/intent/decode')
+      .send({ to: TOKEN, data: '0x', value: '-1' });
+    assert.strictEqual(res.status, 400);
+  });
+});
+
+// ====================================================================
+// Risk engine (lib/risk.js) tests
+// ====================================================================
+
+const { createRiskEngine, parseWeights, riskLevel, rules: riskRules } = require('../lib/risk');
+
+const NOW = Date.now();
+const baseSignals = {
+  address: ADDR_B.toLowerCase(),
+  flagged: false,
+  flaggedNeighborCount: 0,
+  totalNeighborCount: 0,
+  firstSeen: NOW - 30 * 24 * 60 * 60 * 1000,
+  isContract: false,
+  ensName: 'vitalik.eth',
+  ensVerified: true,
+  now: NOW,
+};
+
+describe('lib/risk: rules', () => {
+  it('blacklisted triggers only when flagged', () => {
+    assert.strictEqual(riskRules.blacklistedRule.evaluate(baseSignals), null);
+    assert.strictEqual(riskRules.blacklistedRule.evaluate({ ...baseSignals, flagged: true }).intensity, 1);
+  });
+
+  it('flagged_neighbors scales with count and saturates', () => {
+    assert.strictEqual(riskRules.flaggedNeighborsRule.evaluate(baseSignals), null);
+    const one = riskRules.flaggedNeighborsRule.evaluate({ ...baseSignals, flaggedNeighborCount: 1 });
+    const many = riskRules.flaggedNeighborsRule.evaluate({ ...baseSignals, flaggedNeighborCount: 10 });
+    assert.ok(one.intensity > 0 && one.intensity < 1);
+    assert.strictEqual(many.intensity, 1);
+  });
+
+  it('new_address triggers only for recently seen addresses', () => {
+    assert.strictEqual(riskRules.newAddressRule.evaluate(baseSignals), null);
+    // Never seen in our graph is not evidence of age
+    assert.strictEqual(riskRules.newAddressRule.evaluate({ ...baseSignals, firstSeen: 0 }), null);
+    assert.strictEqual(riskRules.newAddressRule.evaluate({ ...baseSignals, firstSeen: NOW - 1000 }).intensity, 0.5);
+  });
+
+  it('contract triggers only when code is known to exist', () => {
+    assert.strictEqual(riskRules.contractRule.evaluate(baseSignals), null);
+    assert.strictEqual(riskRules.contractRule.evaluate({ ...baseSignals, isContract: null }), null);
+    assert.ok(riskRules.contractRule.evaluate({ ...baseSignals, isContract: true }));
+  });
+
+  it('no_verified_ens ignores unknown lookups and reports mismatches', () => {
+    assert.strictEqual(riskRules.unverifiedEnsRule.evaluate(baseSignals), null);
+    assert.strictEqual(riskRules.unverifiedEnsRule.evaluate({ ...baseSignals, ensVerified: null }), null);
+    const mismatch = riskRules.unverifiedEnsRule.evaluate({ ...baseSignals, ensVerified: false });
+    assert.ok(mismatch.message.includes('vitalik.eth'));
+    // Contracts without a primary name aren't penalised; a contract's mismatched name still is
+    assert.strictEqual(riskRules.unverifiedEnsRule.evaluate({ ...baseSignals, ensName: null, ensVerified: false, isContract: true }), null);
+    assert.ok(riskRules.unverifiedEnsRule.evaluate({ ...baseSignals, ensVerified: false, isContract: true }));
+  });
+});
+
+describe('lib/risk: createRiskEngine', () => {
+  it('scores a clean address as low with no reasons', () => {
+    const result = createRiskEngine().score(baseSignals);
+    assert.strictEqual(result.score, 0);
+    assert.strictEqual(result.level, 'low');
+    assert.deepStrictEqual(result.reasons, []);
+  });
+
+  it('clamps blacklisted addresses to 100', () => {
+    const result = createRiskEngine().score({ ...baseSignals, flagged: true, isContract: true });
+    assert.strictEqual(result.score, 100);
+    assert.strictEqual(result.level, 'high');
+    assert.strictEqual(result.reasons[0].rule, 'blacklisted');
+  });
+
+  it('applies per-rule weight overrides', () => {
+    const engine = createRiskEngine({ weights: { contract: 50 } });
+    const result = engine.score({ ...baseSignals, isContract: true });
+    assert.strictEqual(result.score, 50);
+    assert.strictEqual(result.level, 'medium');
+  });
+
+  it('skips rules that throw', () => {
+    const engine = createRiskEngine({
+      rules: [{ id: 'broken', weight: 10, evaluate() { throw new Error('boom'); } }, riskRules.contractRule],
+    });
+    assert.strictEqual(engine.score({ ...baseSignals, isContract: true }).score, 10);
+  });
+
+  it('riskLevel and parseWeights', () => {
+    assert.strictEqual(riskLevel(29), 'low');
+    assert.strictEqual(riskLevel(30), 'medium');
+    assert.strictEqual(riskLevel(70), 'high');
+    assert.deepStrictEqual(parseWeights('{"contract": 5, "bad": "x"}'), { contract: 5 });
+    assert.deepStrictEqual(parseWeights('not json'), {});
+    assert.deepStrictEqual(parseWeights(undefined), {});
+  });
+});
+
+describe('Risk route: score and reasons', () => {
+  it('rates a plain unseen contract without a primary name low', async () => {
+    const res = await request(app).get('/api/risk/address/0x000000000000000000000000000000000000c0de');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.flagged, false);
+    assert.deepStrictEqual(res.body.reasons.map((r) => r.rule), ['contract']);
+    assert.strictEqual(res.body.score, 10);
+    assert.strictEqual(res.body.level, 'low');
+  });
+
+  it('counts flagged graph neighbors', async () => {
+    await store.sadd('scamsniffer:addresses', ADDR_B.toLowerCase());
+    const res = await request(app).get(`/api/risk/address/${ADDR_A}`);
+    assert.strictEqual(res.status, 200);
+    const neighborReason = res.body.reasons.find((r) => r.rule === 'flagged_neighbors');
+    assert.ok(neighborReason);
+    assert.ok(!res.body.reasons.find((r) => r.rule === 'no_verified_ens'));
+    await store.del('scamsniffer:addresses');
+  });
+});
+
+// ====================================================================
+// Transaction simulation (lib/simulate.js + POST /api/intent/simulate)
+// ====================================================================
+
+const { decodeLog, computeBalanceChanges, TOPICS } = require('../lib/simulate');
+
+const ROUTER = '0x000000000000000000000000000000000000aaaa';
+const NFT = '0x000000000000000000000000000000000000bbbb';
+const pad = (addr) => ethers.zeroPadValue(addr, 32);
+const uint = (n) => ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [n]);
+
+describe('lib/simulate: decodeLog', () => {
+  it('distinguishes ERC-20 and ERC-721 Transfer by topic count', () => {
+    const erc20Log = decodeLog({ address: TOKEN, topics: [TOPICS.TRANSFER, pad(ADDR_A), pad(ADDR_B)], data: uint(42n) });
+    assert.strictEqual(erc20Log.standard, 'ERC-20');
+    assert.strictEqual(erc20Log.amount, '42');
+    const erc721Log = decodeLog({ address: NFT, topics: [TOPICS.TRANSFER, pad(ADDR_A), pad(ADDR_B), uint(7n)], data: '0x' });
+    assert.strictEqual(erc721Log.standard, 'ERC-721');
+    assert.strictEqual(erc721Log.tokenId, '7');
+  });
+
+  it('decodes ApprovalForAll and ignores unknown topics', () => {
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(['bool'], [true]);
+    const ev = decodeLog({ address: NFT, topics: [TOPICS.APPROVAL_FOR_ALL, pad(ADDR_A), pad(ADDR_B)], data });
+    assert.strictEqual(ev.kind, 'approval');
+    assert.strictEqual(ev.approved, true);
+    assert.strictEqual(decodeLog({ address: NFT, topics: [ethers.id('Other()')], data: '0x' }), null);
+  });
+});
+
+describe('lib/simulate: computeBalanceChanges', () => {
+  it('nets ETH and token movements per address and skips mint/burn counterparties', () => {
+    const a = ethers.getAddress(ADDR_A);
+    const b = ethers.getAddress(ADDR_B);
+    const changes = computeBalanceChanges(
+      [{ from: a, to: b, value: 10n }],
+      [
+        { kind: 'transfer', standard: 'ERC-20', token: TOKEN, from: b, to: a, amount: '5' },
+        { kind: 'transfer', standard: 'ERC-20', token: TOKEN, from: a, to: b, amount: '2' },
+        { kind: 'transfer', standard: 'ERC-721', token: NFT, from: ethers.ZeroAddress, to: a, tokenId: '1' },
+      ]
+    );
+    const find = (addr, type) => changes.find((c) => c.address === addr && c.asset.type === type);
+    assert.strictEqual(find(a, 'native').delta, '-10');
+    assert.strictEqual(find(b, 'native').delta, '10');
+    assert.strictEqual(find(a, 'erc20').delta, '3');
+    assert.strictEqual(find(a, 'erc721').delta, '1');
+    assert.ok(!changes.some((c) => c.address === ethers.ZeroAddress));
+  });
+});
+
+describe('Intent: POST /api/intent/simulate', () => {
+  const originalSend = testProvider.send;
+  const originalCall = testProvider.call;
+
+  it('returns balance changes and approvals from debug_traceCall', async () => {
+    let calledWith;
+    testProvider.send = async (method, params) => {
+      calledWith = { method, params };
+      return {
+        type: 'CALL',
+        from: ADDR_A.toLowerCase(),
+        to: ROUTER,
+        value: '0xde0b6b3a7640000',
+        gasUsed: '0x5208',
+        calls: [
+          {
+            type: 'CALL', from: ROUTER, to: TOKEN, value: '0x0',
+            logs: [
+              { address: TOKEN, topics: [TOPICS.TRANSFER, pad(ROUTER), pad(ADDR_A)], data: uint(500n) },
+              { address: TOKEN, topics: [TOPICS.APPROVAL, pad(ADDR_A), pad(ROUTER)], data: uint(ethers.MaxUint256) },
+            ],
+          },
+          {
+            // Reverted sub-call: its log must not be counted
+            type: 'CALL', from: ROUTER, to: TOKEN, value: '0x0', error: 'execution reverted',
+            logs: [{ address: TOKEN, topics: [TOPICS.TRANSFER, pad(ROUTER), pad(ADDR_A)], data: uint(999n) }],
+          },
+        ],
+      };
+    };
+    const res = await request(app)
+      .post('/api/intent/simulate')
+      .send({ from: ADDR_A, to: ROUTER, value: '1000000000000000000', data: '0x1234' });
+    testProvider.send = originalSend;
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(calledWith.method, 'debug_traceCall');
+    assert.strictEqual(calledWith.params[2].tracer, 'callTracer');
+    assert.strictEqual(res.body.simulationMethod, 'debug_traceCall');
+    assert.strictEqual(res.body.reverted, false);
+    assert.strictEqual(res.body.gasUsed, '21000');
+    assert.strictEqual(res.body.transfers.length, 1);
+    assert.strictEqual(res.body.approvals.length, 1);
+    const sender = ethers.getAddress(ADDR_A);
+    const eth = res.body.balanceChanges.find((c) => c.address === sender && c.asset.type === 'native');
+    const tok = res.body.balanceChanges.find((c) => c.address === sender && c.asset.type === 'erc20');
+    assert.strictEqual(eth.delta, '-1000000000000000000');
+    assert.strictEqual(tok.delta, '500');
+    assert.ok(res.body.summary.some((line) => line.includes('unlimited')));
+  });
+
+  it('reports a revert reason from the trace', async () => {
+    const reason = ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['nope'])]);
+    testProvider.send = async () => ({ type: 'CALL', from: ADDR_A, to: ROUTER, error: 'execution reverted', output: reason });
+    const res = await request(app).post('/api/intent/simulate').send({ from: ADDR_A, to: ROUTER });
+    testProvider.send = originalSend;
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.reverted, true);
+    assert.strictEqual(res.body.revertReason, 'nope');
+    assert.deepStrictEqual(res.body.balanceChanges, []);
+  });
+
+  it('falls back to eth_call when debug_traceCall is unavailable', async () => {
+    const res = await request(app)
+      .post('/api/intent/simulate')
+      .send({ from: ADDR_A, to: ADDR_B, value: '1000' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.simulationMethod, 'eth_call');
+    assert.strictEqual(res.body.logsAvailable, false);
+    assert.strictEqual(res.body.balanceChanges.length, 2);
+  });
+
+  it('reports eth_call reverts in the fallback', async () => {
+    testProvider.call = async () => {
+      const err = new Error('execution reverted');
+      err.code = 'CALL_EXCEPTION';
+      err.reason = 'insufficient balance';
+      throw err;
+    };
+    const res = await request(app).post('/api/intent/simulate').send({ from: ADDR_A, to: ROUTER });
+    testProvider.call = originalCall;
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.reverted, true);
+    assert.strictEqual(res.body.revertReason, 'insufficient balance');
+  });
+
+  it('passes the gas limit to the eth_call fallback as gasLimit', async () => {
+    let calledWith;
+    testProvider.call = async (tx) => { calledWith = tx; return '0x'; };
+    const res = await request(app).post('/api/intent/simulate').send({ from: ADDR_A, to: ROUTER, gas: '50000' });
+    testProvider.call = originalCall;
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.simulationMethod, 'eth_call');
+    assert.strictEqual(calledWith.gasLimit, ethers.toQuantity(50000n));
+    assert.ok(!('gas' in calledWith));
+  });
+
+  it('simulates on the provider for the transaction chainId', async () => {
+    let mainnetUsed = false;
+    let baseCalled;
+    testProvider.send = async () => { mainnetUsed = true; return {}; };
+    const originalBaseSend = baseProvider.send;
+    baseProvider.send = async (method) => {
+      baseCalled = method;
+      return { type: 'CALL', from: ADDR_A, to: ADDR_B, value: '0x3e8', gasUsed: '0x5208' };
+    };
+    const res = await request(app)
+      .post('/api/intent/simulate')
+      .send({ from: ADDR_A, to: ADDR_B, value: '1000', chainId: '0x2105' });
+    testProvider.send = originalSend;
+    baseProvider.send = originalBaseSend;
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(baseCalled, 'debug_traceCall');
+    assert.strictEqual(mainnetUsed, false);
+    assert.strictEqual(res.body.simulationMethod, 'debug_traceCall');
+  });
+
+  it('returns 400 for a chainId without a configured RPC', async () => {
+    const res = await request(app)
+      .post('/api/intent/simulate')
+      .send({ from: ADDR_A, to: ADDR_B, chainId: 10 });
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.error, /No RPC configured for chainId 10/);
+  });
+
+  it('returns 400 without a from address', async () => {
+    const res = await request(app).post('/api/intent/simulate').send({ to: ROUTER });
+    assert.strictEqual(res.status, 400);
+    assert.ok(res.body.error);
+  });
+});
+
+// ====================================================================
+// EIP-712 typed data (lib/eip712.js + POST /api/intent/typed-data)
+// ====================================================================
+
+const { parseTypedData, analyzeTypedData, PERMIT2_ADDRESS } = require('../lib/eip712');
+
+const FAR_FUTURE = String(Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60);
+const SOON = String(Math.floor(Date.now() / 1000) + 600);
+
+const permitTypedData = (overrides = {}) => ({
+  types: {
+    EIP712Domain: [
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' },
+    ],
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  },
+  primaryType: 'Permit',
+  domain: { name: 'USD Coin', version: '2', chainId: 1, verifyingContract: TOKEN },
+  message: { owner: ADDR_A, spender: ADDR_B, value: '1000', nonce: 0, deadline: SOON },
+  ...overrides,
+});
+
+const permit2TypedData = {
+  types: {
+    PermitSingle: [
+      { name: 'details', type: 'PermitDetails' },
+      { name: 'spender', type: 'address' },
+      { name: 'sigDeadline', type: 'uint256' },
+    ],
+    PermitDetails: [
+      { name: 'token', type: 'address' },
+      { name: 'amount', type: 'uint160' },
+      { name: 'expiration', type: 'uint48' },
+      { name: 'nonce', type: 'uint48' },
+    ],
+  },
+  primaryType: 'PermitSingle',
+  domain: { name: 'Permit2', chainId: 1, verifyingContract: PERMIT2_ADDRESS },
+  message: {
+    details: { token: TOKEN, amount: ((1n << 160n) - 1n).toString(), expiration: FAR_FUTURE, nonce: 0 },
+    spender: ADDR_B,
+    sigDeadline: SOON,
+  },
+};
+
+const seaportTypedData = (payout) => ({
+  types: {
+    OrderComponents: [
+      { name: 'offerer', type: 'address' },
+      { name: 'zone', type: 'address' },
+      { name: 'offer', type: 'OfferItem[]' },
+      { name: 'consideration', type: 'ConsiderationItem[]' },
+      { name: 'orderType', type: 'uint8' },
+      { name: 'startTime', type: 'uint256' },
+      { name: 'endTime', type: 'uint256' },
+      { name: 'zoneHash', type: 'bytes32' },
+      { name: 'salt', type: 'uint256' },
+      { name: 'conduitKey', type: 'bytes32' },
+      { name: 'counter', type: 'uint256' },
+    ],
+    OfferItem: [
+      { name: 'itemType', type: 'uint8' },
+      { name: 'token', type: 'address' },
+      { name: 'identifierOrCriteria', type: 'uint256' },
+      { name: 'startAmount', type: 'uint256' },
+      { name: 'endAmount', type: 'uint256' },
+    ],
+    ConsiderationItem: [
+      { name: 'itemType', type: 'uint8' },
+      { name: 'token', type: 'address' },
+      { name: 'identifierOrCriteria', type: 'uint256' },
+      { name: 'startAmount', type: 'uint256' },
+      { name: 'endAmount', type: 'uint256' },
+      { name: 'recipient', type: 'address' },
+    ],
+  },
+  primaryType: 'OrderComponents',
+  domain: { name: 'Seaport', version: '1.5', chainId: 1, verifyingContract: '0x00000000000000ADc04C56Bf30aC9d3c0aAF14dC' },
+  message: {
+    offerer: ADDR_A,
+    zone: ethers.ZeroAddress,
+    offer: [{ itemType: 2, token: NFT, identifierOrCriteria: '7', startAmount: '1', endAmount: '1' }],
+    consideration: [{ itemType: 0, token: ethers.ZeroAddress, identifierOrCriteria: '0', startAmount: payout, endAmount: payout, recipient: ADDR_A }],
+    orderType: 0,
+    startTime: '0',
+    endTime: SOON,
+    zoneHash: ethers.ZeroHash,
+    salt: '1',
+    conduitKey: ethers.ZeroHash,
+    counter: '0',
+  },
+});
+
+describe('lib/eip712: parseTypedData', () => {
+  it('accepts objects and JSON strings and computes the digest', () => {
+    const obj = parseTypedData(permitTypedData());
+    const str = parseTypedData(JSON.stringify(permitTypedData()));
+    assert.strictEqual(obj.error, null);
+    assert.ok(ethers.isHexString(obj.hash, 32));
+    assert.strictEqual(obj.hash, str.hash);
+  });
+
+  it('rejects malformed payloads', () => {
+    assert.ok(parseTypedData('{oops').error);
+    assert.ok(parseTypedData({ types: {}, primaryType: 'X', domain: {}, message: {} }).error);
+    const bad = permitTypedData();
+    bad.message.value = 'not-a-number';
+    assert.ok(parseTypedData(bad).error);
+  });
+});
+
+describe('lib/eip712: analyzeTypedData', () => {
+  it('recognises an EIP-2612 permit', async () => {
+    const result = await analyzeTypedData(permitTypedData(), { activeChainId: 1 });
+    assert.strictEqual(result.kind, 'erc2612_permit');
+    assert.strictEqual(result.spender, ethers.getAddress(ADDR_B));
+    assert.strictEqual(result.token, TOKEN);
+    assert.strictEqual(result.amount, '1000');
+    assert.strictEqual(result.deadline, SOON);
+    assert.strictEqual(result.warningLevel, 'medium');
+  });
+
+  it('flags chain mismatches and unlimited permits', async () => {
+    const td = permitTypedData();
+    td.message.value = ethers.MaxUint256.toString();
+    const result = await analyzeTypedData(td, { activeChainId: 10 });
+    const codes = result.warnings.map((w) => w.code);
+    assert.ok(codes.includes('chain_mismatch'));
+    assert.ok(codes.includes('unlimited_amount'));
+    assert.strictEqual(result.warningLevel, 'high');
+  });
+
+  it('recognises Permit2 with uint160 max as unlimited and long-lived', async () => {
+    const result = await analyzeTypedData(permit2TypedData, { activeChainId: 1 });
+    assert.strictEqual(result.kind, 'permit2_single');
+    assert.strictEqual(result.token, TOKEN);
+    const codes = result.warnings.map((w) => w.code);
+    assert.ok(codes.includes('unlimited_amount'));
+    assert.ok(codes.includes('long_deadline'));
+  });
+
+  it('treats a DAI permit with expiry 0 as never expiring', async () => {
+    const dai = permitTypedData({
+      types: {
+        Permit: [
+          { name: 'holder', type: 'address' },
+          { name: 'spender', type: 'address' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'expiry', type: 'uint256' },
+          { name: 'allowed', type: 'bool' },
+        ],
+      },
+      domain: { name: 'Dai Stablecoin', version: '1', chainId: 1, verifyingContract: TOKEN },
+      message: { holder: ADDR_A, spender: ADDR_B, nonce: 0, expiry: 0, allowed: true },
+    });
+    const result = await analyzeTypedData(dai, { activeChainId: 1 });
+    assert.strictEqual(result.kind, 'dai_permit');
+    assert.deepStrictEqual(result.warnings.find((w) => w.code === 'long_deadline'), {
+      code: 'long_deadline', level: 'medium', message: 'Signature never expires',
+    });
+  });
+
+  it('flags Permit2 domains on a contract other than Permit2', async () => {
+    const spoofed = { ...permit2TypedData, domain: { ...permit2TypedData.domain, verifyingContract: TOKEN } };
+    const result = await analyzeTypedData(spoofed, { activeChainId: 1 });
+    assert.strictEqual(result.kind, 'permit2_single');
+    const warning = result.warnings.find((w) => w.code === 'permit2_wrong_contract');
+    assert.strictEqual(warning.level, 'high');
+    assert.ok(warning.message.includes(TOKEN));
+
+    const genuine = await analyzeTypedData(permit2TypedData, { activeChainId: 1 });
+    assert.ok(!genuine.warnings.some((w) => w.code === 'permit2_wrong_contract'));
+  });
+
+  it('flags Seaport listings that pay the signer nothing', async () => {
+    const free = await analyzeTypedData(seaportTypedData('0'), { activeChainId: 1 });
+    assert.strictEqual(free.kind, 'seaport_order');
+    assert.ok(free.warnings.some((w) => w.code === 'zero_value_listing'));
+    assert.strictEqual(free.warningLevel, 'high');
+
+    const paid = await analyzeTypedData(seaportTypedData('1000000000000000000'), { activeChainId: 1 });
+    assert.strictEqual(paid.details.payoutToOfferer, '1000000000000000000');
+    assert.strictEqual(paid.warningLevel, 'low');
+  });
+
+  it('checks verifyingContract and spender against the blacklist', async () => {
+    const flagged = new Set([ADDR_B.toLowerCase()]);
+    const result = await analyzeTypedData(permitTypedData(), { isFlagged: async (a) => flagged.has(a) });
+    assert.ok(result.warnings.some((w) => w.code === 'blacklisted_address' && w.message.includes('spender')));
+  });
+
+  it('marks unknown types as low risk', async () => {
+    const td = {
+      types: { Mail: [{ name: 'contents', type: 'string' }] },
+      primaryType: 'Mail',
+      domain: { name: 'Ether Mail', chainId: 1 },
+      message: { contents: 'hi' },
+    };
+    const result = await analyzeTypedData(td, { activeChainId: 1 });
+    assert.strictEqual(result.kind, 'unknown');
+    assert.strictEqual(result.warningLevel, 'low');
+  });
+});
+
+describe('Intent: POST /api/intent/typed-data', () => {
+  it('analyzes eth_signTypedData_v4 params', async () => {
+    const res = await request(app)
+      .post('/api/intent/typed-data')
+      .send({ params: [ADDR_A, JSON.stringify(permitTypedData())], chainId: 1 });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.success, true);
+    assert.strictEqual(res.body.kind, 'erc2612_permit');
+    assert.strictEqual(res.body.from, ethers.getAddress(ADDR_A));
+    assert.ok(res.body.hash);
+  });
+
+  it('flags blacklisted verifying contracts from Redis', async () => {
+    await store.sadd('scamsniffer:addresses', TOKEN.toLowerCase());
+    const res = await request(app)
+      .post('/api/intent/typed-data')
+      .send({ typedData: permitTypedData(), chainId: 1 });
+    await store.del('scamsniffer:addresses');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.warningLevel, 'high');
+    assert.ok(res.body.warnings.some((w) => w.code === 'blacklisted_address'));
+  });
+
+  it('returns 400 for missing or invalid typed data', async () => {
+    const missing = await request(app).post('/api/intent/typed-data').send({ chainId: 1 });
+    assert.strictEqual(missing.status, 400);
+    const invalid = await request(app).post('/api/intent/typed-data').send({ typedData: 'nope' });
+    assert.strictEqual(invalid.status, 400);
+  });
+});
+
+// ====================================================================
+// Threat feeds (lib/feeds.js + /api/cron/feeds-sync) — local fixtures
+// ====================================================================
+
+const path = require('path');
+const { loadFeeds, syncFeed, getSyncHistory, PARSERS } = require('../lib/feeds');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const internalFeed = {
+  id: 'internal',
+  name: 'ENSight internal',
+  type: 'address',
+  format: 'csv-addresses',
+  url: path.join(FIXTURES, 'internal-blocklist.csv'),
+  intervalMs: 60 * 60 * 1000,
+};
+
+describe('lib/feeds: parsers', () => {
+  it('json-addresses accepts arrays and wrapped objects', () => {
+    assert.deepStrictEqual(PARSERS['json-addresses'].parse([ADDR_A, 'x']), [ADDR_A.toLowerCase()]);
+    assert.deepStrictEqual(PARSERS['json-addresses'].parse({ data: [ADDR_B] }), [ADDR_B.toLowerCase()]);
+  });
+
+  it('csv-addresses skips headers, comments and invalid rows', () => {
+    const rows = PARSERS['csv-addresses'].parse('# c\naddress,label\n0x2222000000000000000000000000000000000002,x\nbad,y');
+    assert.deepStrictEqual(rows, ['0x2222000000000000000000000000000000000002']);
+  });
+
+  it('metamask-domains reads the blacklist', () => {
+    assert.deepStrictEqual(PARSERS['metamask-domains'].parse({ blacklist: ['Evil.xyz', 'nodot'] }), ['evil.xyz']);
+  });
+});
+
+describe('lib/feeds: loadFeeds', () => {
+  it('enables only scamsniffer by default', () => {
+    assert.deepStrictEqual(loadFeeds({}).map((f) => f.id), ['scamsniffer']);
+  });
+
+  it('adds valid custom feeds from THREAT_FEEDS_JSON and skips invalid ones', () => {
+    const feeds = loadFeeds({
+      THREAT_FEEDS: 'scamsniffer,metamask,internal,broken',
+      THREAT_FEEDS_JSON: JSON.stringify([internalFeed, { id: 'broken', type: 'address', format: 'nope', url: 'x' }]),
+    });
+    assert.deepStrictEqual(feeds.map((f) => f.id), ['scamsniffer', 'metamask', 'internal']);
+    assert.strictEqual(feeds[1].type, 'domain');
+  });
+});
+
+describe('lib/feeds: syncFeed with local fixtures', () => {
+  it('imports a CSV file, then skips unchanged files and feeds not yet due', async () => {
+    const first = await syncFeed(store, internalFeed, { force: true });
+    assert.strictEqual(first.count, 2);
+    assert.strictEqual(await store.sismember('internal:addresses', '0x2222000000000000000000000000000000000003'), 1);
+    assert.ok(await store.get('internal:lastUpdated'));
+
+    const unchanged = await syncFeed(store, internalFeed, { force: true });
+    assert.deepStrictEqual(unchanged, { skipped: true, reason: 'not modified' });
+
+    const notDue = await syncFeed(store, internalFeed);
+    assert.deepStrictEqual(notDue, { skipped: true, reason: 'not due' });
+  });
+
+  it('swaps in a staging set and reports added / removed / unchanged', async () => {
+    const feed = { id: 'swap', name: 'swap', type: 'address', format: 'json-addresses', url: 'https://feeds.example/swap.json', intervalMs: 1 };
+    const addr = (n) => `0x${n.toString(16).padStart(40, '0')}`;
+    const saved = global.fetch;
+    let body = [addr(1), addr(2), addr(3)];
+    global.fetch = async () => ({ status: 200, headers: new Map(), json: async () => body });
+    try {
+      const first = await syncFeed(store, feed, { force: true });
+      assert.deepStrictEqual(first, { count: 3, added: 3, removed: 0, unchanged: 0 });
+
+      body = [addr(2), addr(3), addr(4), addr(4)];
+      // The diff is counted in Redis: the live set is never read back
+      const smembers = store.smembers;
+      store.smembers = async () => { throw new Error('SMEMBERS on the live set'); };
+      const second = await syncFeed(store, feed, { force: true }).finally(() => { store.smembers = smembers; });
+      assert.deepStrictEqual(second, { count: 3, added: 1, removed: 1, unchanged: 2 });
+      assert.deepStrictEqual((await store.smembers('swap:addresses')).sort(), [addr(2), addr(3), addr(4)]);
+      assert.strictEqual(await store.get('swap:addresses:staging'), null);
+      assert.strictEqual(await store.exists('swap:addresses:common'), 0);
+
+      global.fetch = async () => ({ status: 500 });
+      await assert.rejects(() => syncFeed(store, feed, { force: true }), /HTTP 500/);
+      assert.strictEqual((await store.smembers('swap:addresses')).length, 3);
+
+      const history = await getSyncHistory(store, feed);
+      assert.deepStrictEqual(history.map((h) => h.status), ['error', 'synced', 'synced']);
+      assert.strictEqual(history[1].added, 1);
+      assert.strictEqual(history[0].error, 'swap: HTTP 500');
+    } finally {
+      global.fetch = saved;
+    }
+  });
+
+  it('retries a failed fetch on the next run instead of waiting a full interval', async () => {
+    const feed = { id: 'flaky', name: 'flaky', type: 'address', format: 'json-addresses', url: 'https://feeds.example/flaky.json', intervalMs: 24 * 60 * 60 * 1000 };
+    const T = Date.now();
+    const saved = global.fetch;
+    global.fetch = async () => ({ status: 503 });
+    try {
+      await assert.rejects(() => syncFeed(store, feed, { now: T }), /HTTP 503/);
+      assert.strictEqual(await store.get('flaky:lastChecked'), null);
+
+      global.fetch = async () => ({ status: 200, headers: new Map(), json: async () => [ADDR_B] });
+      const retry = await syncFeed(store, feed, { now: T + 1000 });
+      assert.strictEqual(retry.count, 1);
+      assert.strictEqual(await store.get('flaky:lastChecked'), String(T + 1000));
+      assert.deepStrictEqual(await syncFeed(store, feed, { now: T + 2000 }), { skipped: true, reason: 'not due' });
+    } finally {
+      global.fetch = saved;
+      await store.del('flaky:addresses', 'flaky:lastChecked', 'flaky:lastUpdated', 'flaky:count', 'flaky:syncHistory');
+    }
+  });
+
+  it('keeps the list and its metadata when a feed parses to no entries', async () => {
+    const feed = { id: 'hollow', name: 'hollow', type: 'address', format: 'json-addresses', url: 'https://feeds.example/hollow.json', intervalMs: 24 * 60 * 60 * 1000 };
+    const T = Date.now();
+    const saved = global.fetch;
+    global.fetch = async () => ({ status: 200, headers: new Map([['etag', '"v1"']]), json: async () => [ADDR_A, ADDR_B] });
+    try {
+      await syncFeed(store, feed, { now: T });
+      global.fetch = async () => ({ status: 200, headers: new Map([['etag', '"v2"']]), json: async () => ({ error: 'rate limited' }) });
+      await assert.rejects(() => syncFeed(store, feed, { force: true, now: T + 1000 }), /no valid entries/);
+
+      assert.strictEqual(await store.scard('hollow:addresses'), 2);
+      assert.strictEqual(await store.get('hollow:count'), '2');
+      assert.strictEqual(await store.get('hollow:lastUpdated'), String(T));
+      assert.strictEqual(await store.get('hollow:lastChecked'), String(T));
+      assert.strictEqual(await store.get('hollow:etag'), '"v1"');
+      const [run] = await getSyncHistory(store, feed);
+      assert.strictEqual(run.status, 'error');
+      assert.strictEqual(run.error, 'hollow: feed has no valid entries');
+    } finally {
+      global.fetch = saved;
+      await store.del('hollow:addresses', 'hollow:etag', 'hollow:lastChecked', 'hollow:lastUpdated', 'hollow:count', 'hollow:syncHistory');
+    }
+  });
+
+  it('aborts remote fetches after the feed timeout', async () => {
+    const feed = { id: 'stalled', name: 'stalled', type: 'address', format: 'json-addresses', url: 'https://feeds.example/stalled.json', intervalMs: 1, timeoutMs: 20 };
+    const saved = global.fetch;
+    global.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    });
+    try {
+      await assert.rejects(() => syncFeed(store, feed, { force: true }), /stalled: timed out after 20ms/);
+      assert.strictEqual((await getSyncHistory(store, feed))[0].status, 'error');
+    } finally {
+      global.fetch = saved;
+      await store.del('stalled:syncHistory');
+    }
+  });
+
+  it('writes large feeds in chunked pipelines', async () => {
+    const feed = { id: 'bulk', name: 'bulk', type: 'address', format: 'json-addresses', url: 'https://feeds.example/bulk.json', intervalMs: 1 };
+    const body = Array.from({ length: 12_500 }, (_, i) => `0x${(i + 1).toString(16).padStart(40, '0')}`);
+    const saved = global.fetch;
+    global.fetch = async () => ({ status: 200, headers: new Map(), json: async () => body });
+    const originalPipeline = store.pipeline;
+    let execs = 0;
+    store.pipeline = () => {
+      const pipe = originalPipeline();
+      const exec = pipe.exec;
+      pipe.exec = () => { execs++; return exec(); };
+      return pipe;
+    };
+    try {
+      const result = await syncFeed(store, feed, { force: true });
+      assert.strictEqual(result.added, 12_500);
+      // 13 SADDs of ≤1000 members, 10 per pipeline, then one for the diff counts
+      assert.strictEqual(execs, 3);
+      assert.strictEqual(await store.scard('bulk:addresses'), 12_500);
+    } finally {
+      global.fetch = saved;
+      store.pipeline = originalPipeline;
+      await store.del('bulk:addresses');
+    }
+  });
+
+  it('imports MetaMask domain lists into a domain set', async () => {
+    const feed = { ...loadFeeds({ THREAT_FEEDS: 'metamask' })[0], url: path.join(FIXTURES, 'metamask-config.json') };
+    const result = await syncFeed(store, feed, { force: true });
+    assert.strictEqual(result.count, 2);
+    assert.strictEqual(await store.sismember('metamask:domains', 'uniswap-claim.xyz'), 1);
+  });
+});
+
+describe('Feeds: cron route and risk sources', () => {
+  const env = { THREAT_FEEDS: process.env.THREAT_FEEDS, THREAT_FEEDS_JSON: process.env.THREAT_FEEDS_JSON };
+  const restoreEnv = () => {
+    for (const [k, v] of Object.entries(env)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  };
+
+  it('GET /api/cron/feeds-sync requires auth', async () => {
+    const res = await request(app).get('/api/cron/feeds-sync');
+    assert.strictEqual(res.status, 401);
+  });
+
+  it('syncs the requested feed and reports per-feed results', async () => {
+    process.env.THREAT_FEEDS = 'scamsniffer,internal';
+    process.env.THREAT_FEEDS_JSON = JSON.stringify([internalFeed]);
+    await store.del('internal:etag');
+    const res = await request(app)
+      .get('/api/cron/feeds-sync?feed=internal&force=1')
+      .set('Authorization', `Bearer ${process.env.CRON_SECRET}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.ok, true);
+    assert.strictEqual(res.body.results.internal.count, 2);
+    assert.ok(!('scamsniffer' in res.body.results));
+
+    const unknown = await request(app)
+      .get('/api/cron/feeds-sync?feed=nope')
+      .set('Authorization', `Bearer ${process.env.CRON_SECRET}`);
+    assert.strictEqual(unknown.status, 404);
+    restoreEnv();
+  });
+
+  it('GET /api/cron/feeds-history returns recent runs per feed', async () => {
+    process.env.THREAT_FEEDS = 'scamsniffer,internal';
+    process.env.THREAT_FEEDS_JSON = JSON.stringify([internalFeed]);
+    const unauthorized = await request(app).get('/api/cron/feeds-history');
+    assert.strictEqual(unauthorized.status, 401);
+
+    const res = await request(app)
+      .get('/api/cron/feeds-history?feed=internal&limit=1')
+      .set('Authorization', `Bearer ${process.env.CRON_SECRET}`);
+    restoreEnv();
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.history.internal.length, 1);
+    assert.ok(['synced', 'not_modified'].includes(res.body.history.internal[0].status));
+    assert.ok(!('scamsniffer' in res.body.history));
+  });
+
+  it('risk lookup lists every source that flagged the address', async () => {
+    process.env.THREAT_FEEDS = 'scamsniffer,internal';
+    process.env.THREAT_FEEDS_JSON = JSON.stringify([internalFeed]);
+    const flaggedAddr = '0x2222000000000000000000000000000000000002';
+    await store.sadd('scamsniffer:addresses', flaggedAddr);
+    const res = await request(app).get(`/api/risk/address/${flaggedAddr}`);
+    await store.del('scamsniffer:addresses');
+    restoreEnv();
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.flagged, true);
+    assert.deepStrictEqual(res.body.sources.map((s) => s.id).sort(), ['internal', 'scamsniffer']);
+    assert.ok(res.body.sources.find((s) => s.id === 'internal').lastUpdated);
+  });
+});
+
+// ====================================================================
+// Phishing domain check (lib/confusables.js, lib/domains.js + /api/risk/domain)
+// ====================================================================
+
+const { skeleton, levenshtein } = require('../lib/confusables');
+const { checkDomain, normalizeHostname, registrableDomain, parentDomains } = require('../lib/domains');
+
+describe('lib/confusables', () => {
+  it('skeleton collapses homoglyphs, digits, accents and invisible characters', () => {
+    assert.strictEqual(skeleton('uniswаp'), skeleton('uniswap')); // Cyrillic а
+    assert.strictEqual(skeleton('0pensea'), skeleton('opensea'));
+    assert.strictEqual(skeleton('ùniswap'), skeleton('uniswap'));
+    assert.strictEqual(skeleton('uni\u200Bswap'), skeleton('uniswap'));
+    assert.strictEqual(skeleton('rnetamask'), skeleton('metamask'));
+  });
+
+  it('levenshtein counts edits', () => {
+    assert.strictEqual(levenshtein('uniswap', 'uniswop'), 1);
+    assert.strictEqual(levenshtein('', 'abc'), 3);
+    assert.strictEqual(levenshtein('same', 'same'), 0);
+  });
+});
+
+describe('lib/domains', () => {
+  it('normalizes URLs, origins and unicode hostnames', () => {
+    assert.strictEqual(normalizeHostname('https://App.Uniswap.org/swap?x=1'), 'app.uniswap.org');
+    assert.strictEqual(normalizeHostname('opensea.io:443'), 'opensea.io');
+    assert.strictEqual(normalizeHostname('uniswаp.org'), 'xn--uniswp-7nf.org');
+    assert.strictEqual(normalizeHostname('localhost'), null);
+    assert.strictEqual(normalizeHostname('not a domain'), null);
+  });
+
+  it('computes registrable and parent domains', () => {
+    assert.strictEqual(registrableDomain('a.b.evil.com'), 'evil.com');
+    assert.strictEqual(registrableDomain('claim.evil.co.uk'), 'evil.co.uk');
+    assert.strictEqual(registrableDomain('uniswap.github.io'), 'uniswap.github.io');
+    assert.deepStrictEqual(parentDomains('a.b.evil.com'), ['a.b.evil.com', 'b.evil.com', 'evil.com']);
+  });
+
+  it('trusts allowlisted dApps and their subdomains', async () => {
+    const r = await checkDomain('app.uniswap.org');
+    assert.strictEqual(r.allowlisted, true);
+    assert.strictEqual(r.level, 'low');
+    assert.deepStrictEqual(r.warnings, []);
+  });
+
+  it('flags homoglyph and punycode hostnames', async () => {
+    const r = await checkDomain('uniswаp.org');
+    assert.strictEqual(r.punycode, true);
+    assert.strictEqual(r.unicode, 'uniswаp.org');
+    assert.strictEqual(r.level, 'high');
+    const codes = r.warnings.map((w) => w.code);
+    assert.ok(codes.includes('homoglyph'));
+    assert.ok(codes.includes('punycode'));
+  });
+
+  it('flags small edit-distance look-alikes and brand on another TLD', async () => {
+    const typo = await checkDomain('uniswop.org');
+    assert.strictEqual(typo.lookalikes[0].reason, 'lookalike');
+    assert.strictEqual(typo.lookalikes[0].target, 'uniswap.org');
+    assert.strictEqual(typo.level, 'high');
+
+    for (const host of ['opensea.app', 'opensea.xyz', 'uniswap.com', 'pendle.app']) {
+      const tld = await checkDomain(host);
+      assert.strictEqual(tld.lookalikes[0].reason, 'brand_tld_mismatch', host);
+      assert.strictEqual(tld.level, 'high', host);
+    }
+    // The brands' other official domains are allowlisted
+    assert.strictEqual((await checkDomain('arbitrum.foundation')).allowlisted, true);
+    assert.strictEqual((await checkDomain('curve.finance')).level, 'low');
+  });
+
+  it('matches short brands one edit away only on their own TLD', async () => {
+    for (const [host, target] of [['curvve.fi', 'curve.fi'], ['aavve.com', 'aave.com'], ['blurr.io', 'blur.io']]) {
+      const r = await checkDomain(host);
+      assert.strictEqual(r.level, 'high', host);
+      assert.deepStrictEqual(r.lookalikes[0], { target, reason: 'lookalike', distance: 1 }, host);
+    }
+    for (const host of ['pinch.com', 'finch.com', 'shark.com', 'spare.com', 'curse.com', 'aavve.io']) {
+      const r = await checkDomain(host);
+      assert.strictEqual(r.level, 'low', host);
+      assert.deepStrictEqual(r.lookalikes, [], host);
+    }
+  });
+
+  it('flags a brand in the subdomain of an unrelated site as high', async () => {
+    for (const host of ['uniswap.org.evil.com', 'app.opensea.claim-drop.xyz']) {
+      const r = await checkDomain(host);
+      assert.strictEqual(r.level, 'high', host);
+      assert.strictEqual(r.warnings[0].code, 'brand_in_subdomain', host);
+    }
+    // The brand's own subdomains stay trusted
+    assert.strictEqual((await checkDomain('app.uniswap.org')).level, 'low');
+  });
+
+  it('flags brand names embedded in other domains as medium', async () => {
+    const r = await checkDomain('claim-opensea-rewards.com');
+    assert.strictEqual(r.level, 'medium');
+    assert.strictEqual(r.warnings[0].code, 'brand_impersonation');
+  });
+
+  it('does not flag unrelated short names', async () => {
+    const r = await checkDomain('blue.com');
+    assert.strictEqual(r.level, 'low');
+  });
+
+  it('matches the blocklist on parent domains', async () => {
+    const listed = new Set(['evil.com']);
+    const r = await checkDomain('claim.airdrop.evil.com', {
+      blocklistSources: async (d) => (listed.has(d) ? ['metamask'] : []),
+    });
+    assert.strictEqual(r.blocklisted, true);
+    assert.deepStrictEqual(r.blocklistMatches, [{ domain: 'evil.com', sources: ['metamask'] }]);
+    assert.strictEqual(r.warnings[0].code, 'parent_blocklisted');
+    assert.strictEqual(r.level, 'high');
+  });
+});
+
+describe('Risk: GET /api/risk/domain/:hostname', () => {
+  const saved = process.env.THREAT_FEEDS;
+  const restoreEnv = () => {
+    if (saved === undefined) delete process.env.THREAT_FEEDS;
+    else process.env.THREAT_FEEDS = saved;
+  };
+
+  it('returns 400 for invalid hostnames', async () => {
+    const res = await request(app).get('/api/risk/domain/localhost');
+    assert.strictEqual(res.status, 400);
+  });
+
+  it('checks enabled domain feeds for the host and its parents', async () => {
+    process.env.THREAT_FEEDS = 'scamsniffer,metamask';
+    await store.sadd('metamask:domains', 'drainer.xyz');
+    const res = await request(app).get('/api/risk/domain/claim.drainer.xyz');
+    await store.del('metamask:domains');
+    restoreEnv();
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.blocklisted, true);
+    assert.strictEqual(res.body.blocklistMatches[0].domain, 'drainer.xyz');
+    assert.deepStrictEqual(res.body.blocklistMatches[0].sources, ['metamask']);
+    assert.strictEqual(res.body.level, 'high');
+  });
+
+  it('ignores domain feeds that are not enabled', async () => {
+    await store.sadd('metamask:domains', 'drainer.xyz');
+    const res = await request(app).get('/api/risk/domain/drainer.xyz');
+    await store.del('metamask:domains');
+    assert.strictEqual(res.body.blocklisted, false);
+  });
+
+  it('POST /api/graph/interaction returns and stores the hostname risk', async () => {
+    const res = await request(app)
+      .post('/api/graph/interaction')
+      .send({ from: ADDR_A, to: ADDR_B, method: 'eth_sendTransaction', hostname: 'uniswop.org' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.domainRisk.hostname, 'uniswop.org');
+    assert.strictEqual(res.body.domainRisk.level, 'high');
+    const edge = await store.hgetall(`graph:edge:${ADDR_A.toLowerCase()}:${ADDR_B.toLowerCase()}`);
+    assert.strictEqual(edge.hostnameRisk, 'high');
+  });
+});
+
+// ====================================================================
+// ENS name similarity (lib/similarity.js + /api/ens/similarity)
+// ====================================================================
+
+const { analyzeName, loadHighValueNames } = require('../lib/similarity');
+
+describe('lib/similarity: analyzeName', () => {
+  const codes = (r) => r.warnings.map((w) => w.code);
+
+  it('marks ordinary and high-value names safe to display', () => {
+    for (const name of ['vitalik.eth', 'alice.eth', 'café.eth', '日本ひらがな.eth']) {
+      const r = analyzeName(name);
+      assert.strictEqual(r.safeToDisplay, true, name);
+      assert.deepStrictEqual(r.warnings, []);
+    }
+  });
+
+  it('does not treat emoji ZWJ sequences as invisible characters', () => {
+    const r = analyzeName('👨\u200D👩\u200D👧.eth');
+    assert.deepStrictEqual(r.invisibleCharacters, []);
+    assert.strictEqual(r.safeToDisplay, true);
+  });
+
+  it('flags invisible characters that normalization strips', () => {
+    const r = analyzeName('vi\u200Btalik.eth');
+    assert.strictEqual(r.normalized, 'vitalik.eth');
+    assert.deepStrictEqual(r.invisibleCharacters, [{ codePoint: 'U+200B', index: 2 }]);
+    assert.ok(codes(r).includes('invisible_characters'));
+    assert.strictEqual(r.safeToDisplay, false);
+  });
+
+  it('flags digit swaps as homoglyphs of high-value names', () => {
+    const r = analyzeName('vita1ik.eth');
+    assert.deepStrictEqual(r.nearMatches, [{ target: 'vitalik.eth', reason: 'homoglyph', distance: 0 }]);
+    assert.strictEqual(r.level, 'high');
+  });
+
+  it('flags mixed-script labels', () => {
+    const r = analyzeName('vitаlik.eth'); // Cyrillic а
+    assert.strictEqual(r.normalized, null);
+    assert.deepStrictEqual(r.labels[0].scripts, ['Latin', 'Cyrillic']);
+    assert.ok(codes(r).includes('mixed_script'));
+    assert.ok(codes(r).includes('homoglyph'));
+  });
+
+  it('flags labels written entirely in look-alike characters', () => {
+    const r = analyzeName('ѕсоре.eth'); // Cyrillic "ѕсоре"
+    assert.ok(codes(r).includes('whole_script_confusable'));
+    assert.ok(r.warnings.find((w) => w.code === 'whole_script_confusable').message.includes('"scope"'));
+  });
+
+  it('lists but does not warn on look-alikes inside genuine non-Latin words', () => {
+    const r = analyzeName('привет.eth');
+    assert.ok(r.labels[0].confusables.length > 0);
+    assert.strictEqual(r.safeToDisplay, true);
+  });
+
+  it('reports edit-distance look-alikes and look-alike parents', () => {
+    assert.strictEqual(analyzeName('vitalikk.eth').nearMatches[0].reason, 'lookalike');
+    const other = analyzeName('wallet.enss.eth');
+    assert.strictEqual(other.nearMatches[0].reason, 'parent_mismatch');
+    assert.strictEqual(other.nearMatches[0].target, 'wallet.ens.eth');
+    assert.strictEqual(other.level, 'medium');
+  });
+
+  it('does not flag a high-value label under an ordinary other parent', () => {
+    for (const name of ['wallet.eth', 'vitalik.base.eth', 'nick.base.eth', 'safe.cb.id', 'vitalik.xyz']) {
+      const r = analyzeName(name);
+      assert.deepStrictEqual(r.nearMatches, [], name);
+      assert.strictEqual(r.safeToDisplay, true, name);
+    }
+  });
+
+  it('accepts a custom high-value list', () => {
+    const r = analyzeName('a1ice.eth', { highValueNames: ['alice.eth'] });
+    assert.strictEqual(r.nearMatches[0].target, 'alice.eth');
+    assert.ok(loadHighValueNames({ ENS_HIGH_VALUE_NAMES: 'Alice.eth, bad name' }).includes('alice.eth'));
+  });
+});
+
+describe('ENS similarity: GET /api/ens/similarity/:name', () => {
+  it('returns the analysis with a verdict', async () => {
+    const res = await request(app).get('/api/ens/similarity/vita1ik.eth');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.success, true);
+    assert.strictEqual(res.body.safeToDisplay, false);
+    assert.strictEqual(res.body.nearMatches[0].target, 'vitalik.eth');
+  });
+
+  it('analyzes names that fail normalization', async () => {
+    const res = await request(app).get(`/api/ens/similarity/${encodeURIComponent('vitаlik.eth')}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.normalized, null);
+    assert.ok(res.body.warnings.some((w) => w.code === 'invalid_name'));
+  });
+
+  it('returns 400 for names without a TLD', async () => {
+    const res = await request(app).get('/api/ens/similarity/vitalik');
+    assert.strictEqual(res.status, 400);
+  });
+});
+
+// ====================================================================
+// Storage adapters (lib/storage.js, lib/memory.js)
+// ====================================================================
+
+const { createStorage, createMemoryStore, wrapIoredis, STORAGE_COMMANDS } = require('../lib/storage');
+
+describe('lib/memory: in-memory store', () => {
+  it('implements string commands with Upstash-style options', async () => {
+    const m = createMemoryStore();
+    assert.strictEqual(await m.get('k'), null);
+    assert.strictEqual(await m.set('k', { a: 1 }), 'OK');
+    assert.strictEqual(await m.get('k'), '{"a":1}');
+    assert.strictEqual(await m.set('k', 'other', { nx: true }), null);
+    assert.strictEqual(await m.set('n', '5'), 'OK');
+    assert.strictEqual(await m.incrby('n', 3), 8);
+    assert.strictEqual(await m.incr('fresh'), 1);
+    assert.deepStrictEqual(await m.mget('n', 'missing', 'fresh'), ['8', null, '1']);
+    assert.strictEqual(await m.del('n', 'missing', 'fresh'), 2);
+    assert.strictEqual(await m.exists('k', 'n'), 1);
+  });
+
+  it('implements sets and rejects commands against the wrong type', async () => {
+    const m = createMemoryStore();
+    assert.strictEqual(await m.sadd('s', 'a', 'b', 'a'), 2);
+    assert.strictEqual(await m.scard('s'), 2);
+    assert.deepStrictEqual(await m.smismember('s', ['a', 'x', 'b']), [1, 0, 1]);
+    assert.strictEqual(await m.srem('s', 'a'), 1);
+    assert.deepStrictEqual(await m.smembers('s'), ['b']);
+    await m.set('str', 'v');
+    await assert.rejects(() => m.sadd('str', 'x'), /WRONGTYPE/);
+    await m.rename('s', 's2');
+    assert.strictEqual(await m.exists('s'), 0);
+    assert.strictEqual(await m.sismember('s2', 'b'), 1);
+    await assert.rejects(() => m.rename('nope', 'x'), /no such key/);
+  });
+
+  it('stores set intersections', async () => {
+    const m = createMemoryStore();
+    await m.sadd('a', 'x', 'y', 'z');
+    await m.sadd('b', 'y', 'z', 'w');
+    assert.strictEqual(await m.sinterstore('ab', 'a', 'b'), 2);
+    assert.deepStrictEqual((await m.smembers('ab')).sort(), ['y', 'z']);
+    // A missing set makes the intersection (and the destination) empty
+    assert.strictEqual(await m.sinterstore('ab', 'a', 'missing'), 0);
+    assert.strictEqual(await m.exists('ab'), 0);
+  });
+
+  it('implements lists with negative indices', async () => {
+    const m = createMemoryStore();
+    await m.rpush('l', 'a', 'b', 'c');
+    await m.lpush('l', 'z');
+    assert.deepStrictEqual(await m.lrange('l', 0, -1), ['z', 'a', 'b', 'c']);
+    assert.deepStrictEqual(await m.lrange('l', -2, -1), ['b', 'c']);
+    await m.ltrim('l', 0, 1);
+    assert.strictEqual(await m.llen('l'), 2);
+  });
+
+  it('expires keys by TTL', async () => {
+    let clock = 1_000_000;
+    const m = createMemoryStore({ now: () => clock });
+    await m.set('a', '1', { ex: 10 });
+    await m.sadd('s', 'x');
+    await m.expire('s', 5);
+    assert.strictEqual(await m.ttl('a'), 10);
+    assert.strictEqual(await m.ttl('missing'), -2);
+    clock += 6_000;
+    assert.strictEqual(await m.sismember('s', 'x'), 0);
+    assert.strictEqual(await m.get('a'), '1');
+    clock += 5_000;
+    assert.strictEqual(await m.get('a'), null);
+    await m.set('b', '1');
+    assert.strictEqual(await m.ttl('b'), -1);
+  });
+
+  it('runs pipelines and multi blocks in order', async () => {
+    const m = createMemoryStore();
+    const results = await m.pipeline().sadd('s', 'a').scard('s').set('k', 'v').get('k').exec();
+    assert.deepStrictEqual(results, [1, 1, 'OK', 'v']);
+    assert.deepStrictEqual(await m.multi().incr('c').incr('c').exec(), [1, 2]);
+  });
+});
+
+describe('lib/storage: adapters', () => {
+  it('selects the in-memory adapter without configuration', () => {
+    const s = createStorage({ STORAGE_BACKEND: 'memory' });
+    assert.strictEqual(s.backend, 'memory');
+    assert.strictEqual(s.persistent, false);
+    for (const command of STORAGE_COMMANDS) {
+      assert.strictEqual(typeof s.redis[command], 'function', command);
+    }
+  });
+
+  it('rejects unknown or unconfigured backends', () => {
+    assert.throws(() => createStorage({ STORAGE_BACKEND: 'dynamo' }), /Unknown STORAGE_BACKEND/);
+    assert.throws(() => createStorage({ STORAGE_BACKEND: 'redis' }), /REDIS_URL/);
+    assert.throws(() => createStorage({ STORAGE_BACKEND: 'upstash' }), /UPSTASH_REDIS_REST_URL/);
+  });
+
+  it('translates Upstash-style calls for ioredis', async () => {
+    const calls = [];
+    const fake = {};
+    for (const command of STORAGE_COMMANDS) {
+      fake[command] = async (...args) => { calls.push([command, ...args]); return 'r'; };
+    }
+    const queued = [];
+    fake.pipeline = () => {
+      const pipe = {};
+      for (const command of STORAGE_COMMANDS) {
+        pipe[command] = (...args) => { queued.push([command, ...args]); return pipe; };
+      }
+      pipe.exec = async () => queued.map(() => [null, 1]);
+      return pipe;
+    };
+
+    const s = wrapIoredis(fake);
+    await s.set('k', { a: 1 }, { ex: 60, nx: true });
+    await s.smismember('set', ['a', 'b']);
+    await s.mget(['a', 'b']);
+    assert.deepStrictEqual(calls, [
+      ['set', 'k', '{"a":1}', 'EX', 60, 'NX'],
+      ['smismember', 'set', 'a', 'b'],
+      ['mget', 'a', 'b'],
+    ]);
+    assert.deepStrictEqual(await s.pipeline().sadd('s', 'a', 'b').get('k').exec(), [1, 1]);
+    assert.deepStrictEqual(queued, [['sadd', 's', 'a', 'b'], ['get', 'k']]);
+  });
+
+  it('surfaces the first error of an ioredis pipeline', async () => {
+    const pipe = { get() { return pipe; }, exec: async () => [[null, 'ok'], [new Error('boom'), null]] };
+    const s = wrapIoredis({ pipeline: () => pipe });
+    await assert.rejects(() => s.pipeline().get('a').get('b').exec(), /boom/);
+  });
+
+  it('GET /health reports the storage backend', async () => {
+    const res = await request(app).get('/health');
+    assert.deepStrictEqual(res.body.storage, { backend: 'memory', persistent: false });
+  });
+});
+
+// ====================================================================
+// Multi-chain providers (lib/chains.js + ?chainId=)
+// ====================================================================
+
+const { createProviderRegistry, parseChainId, coinTypeForChain, rpcUrlsFromEnv } = require('../lib/chains');
+
+describe('lib/chains', () => {
+  it('parses decimal and hex chainIds', () => {
+    assert.strictEqual(parseChainId('8453'), 8453);
+    assert.strictEqual(parseChainId('0x2105'), 8453);
+    assert.strictEqual(parseChainId(10), 10);
+    assert.strictEqual(parseChainId('base'), null);
+    assert.strictEqual(parseChainId('0'), null);
+    assert.strictEqual(parseChainId(undefined), null);
+  });
+
+  it('maps chains to ENSIP-11 coin types', () => {
+    assert.strictEqual(coinTypeForChain(1), 60);
+    assert.strictEqual(coinTypeForChain(10), 2147483658);
+    assert.strictEqual(coinTypeForChain(8453), 2147492101);
+  });
+
+  it('reads RPC_URL_<chainId> and builds providers lazily', () => {
+    const env = { RPC_URL: 'https://mainnet.example', RPC_URL_8453: 'https://base.example', RPC_URL_X: 'nope' };
+    assert.deepStrictEqual([...rpcUrlsFromEnv(env).entries()], [[1, ['https://mainnet.example']], [8453, ['https://base.example']]]);
+
+    const created = [];
+    const registry = createProviderRegistry({ env, create: (urls, chainId) => { created.push(chainId); return { urls }; } });
+    assert.deepStrictEqual(registry.chainIds(), [1, 8453]);
+    assert.strictEqual(created.length, 0);
+    assert.deepStrictEqual(registry.get(8453).urls, ['https://base.example']);
+    assert.strictEqual(registry.get(8453), registry.get(8453));
+    assert.deepStrictEqual(created, [8453]);
+    assert.strictEqual(registry.get(10), null);
+    assert.strictEqual(registry.has(10), false);
+  });
+
+  it('prefers RPC_URL_1 over RPC_URL for mainnet', () => {
+    const urls = rpcUrlsFromEnv({ RPC_URL: 'https://a.example', RPC_URL_1: 'https://b.example' });
+    assert.deepStrictEqual(urls.get(1), ['https://b.example']);
+  });
+});
+
+describe('Multi-chain: ?chainId= on ENS, risk and graph routes', () => {
+  it('GET /api/ens/resolve returns the ENSIP-11 address for an L2', async () => {
+    const res = await request(app).get('/api/ens/resolve/vitalik.eth?chainId=8453');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.address, BASE_ADDR);
+    assert.strictEqual(res.body.chainId, 8453);
+    assert.strictEqual(res.body.coinType, 2147492101);
+
+    const mainnet = await request(app).get('/api/ens/resolve/vitalik.eth');
+    assert.strictEqual(mainnet.body.address, ADDR_A);
+    assert.strictEqual(mainnet.body.coinType, 60);
+  });
+
+  it('returns 404 for chains without an address and 400 for invalid chainIds', async () => {
+    const missing = await request(app).get('/api/ens/resolve/vitalik.eth?chainId=10');
+    assert.strictEqual(missing.status, 404);
+    assert.ok(missing.body.error.includes('OP Mainnet'));
+    const invalid = await request(app).get('/api/ens/resolve/vitalik.eth?chainId=base');
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it('GET /api/ens/reverse verifies against the chain address', async () => {
+    const res = await request(app).get(`/api/ens/reverse/${ADDR_A}?chainId=8453`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.name, 'vitalik.eth');
+    assert.strictEqual(res.body.verified, false);
+    assert.strictEqual(res.body.chainId, 8453);
+  });
+
+  it('POST /api/ens/batch and GET /api/ens/records accept a chainId', async () => {
+    const batch = await request(app).post('/api/ens/batch').send({ names: ['vitalik.eth'], chainId: '0x2105' });
+    assert.strictEqual(batch.body.chainId, 8453);
+    assert.strictEqual(batch.body.results.names['vitalik.eth'].address, BASE_ADDR);
+    const records = await request(app).get('/api/ens/records/vitalik.eth?chainId=8453');
+    assert.strictEqual(records.body.address, BASE_ADDR);
+  });
+
+  it('GET /api/risk/address uses the chain provider and requires an RPC for it', async () => {
+    const res = await request(app).get(`/api/risk/address/${BASE_ADDR}?chainId=8453`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.chainId, 8453);
+    assert.ok(res.body.reasons.some((r) => r.rule === 'contract'));
+
+    const unconfigured = await request(app).get(`/api/risk/address/${BASE_ADDR}?chainId=10`);
+    assert.strictEqual(unconfigured.status, 400);
+    assert.ok(unconfigured.body.error.includes('RPC_URL_10'));
+  });
+
+  it('graph nodes record the chains they were seen on', async () => {
+    const from = '0x3333000000000000000000000000000000000003';
+    const to = '0x3333000000000000000000000000000000000004';
+    await request(app).post('/api/graph/interaction').send({ from, to, method: 'eth_sendTransaction', chainId: '0x2105' });
+    await request(app).post('/api/graph/interaction').send({ from, to, method: 'eth_sendTransaction', chainId: 1 });
+    await request(app).post('/api/graph/interaction').send({ from, to, method: 'eth_sendTransaction', chainId: 8453 });
+    const res = await request(app).get(`/api/graph/address/${from}`);
+    assert.deepStrictEqual(res.body.node.chains, [1, 8453]);
+    assert.strictEqual(res.body.edges[0].chainId, 8453);
+
+    const risk = await request(app).get(`/api/risk/address/${to}`);
+    assert.deepStrictEqual(risk.body.chains, [1, 8453]);
+  });
+});
+
+// ====================================================================
+// RPC provider pool (lib/pool.js)
+// ====================================================================
+
+const { createProviderPool, isRetryable, redactUrl } = require('../lib/pool');
+
+describe('lib/pool', () => {
+  // Fake endpoints: behaviour[url] is a function (call number) => value | Error
+  function makePool(behaviour, options = {}) {
+    const calls = {};
+    let clock = 0;
+    const pool = createProviderPool(Object.keys(behaviour), {
+      create: (url) => ({
+        lookupAddress: async () => {
+          calls[url] = (calls[url] || 0) + 1;
+          const out = behaviour[url](calls[url]);
+          if (out instanceof Error) throw out;
+          return out;
+        },
+        getBlockNumber: async () => {
+          const out = behaviour[url](0);
+          if (out instanceof Error) throw out;
+          return 1;
+        },
+      }),
+      healthIntervalMs: 0,
+      sleep: async () => {},
+      now: () => clock,
+      ...options,
+    });
+    return { pool, calls, tick: (ms) => { clock += ms; } };
+  }
+  const serverError = () => Object.assign(new Error('bad gateway'), { code: 'SERVER_ERROR' });
+
+  it('fails over to the next endpoint on transient errors', async () => {
+    const { pool, calls } = makePool({
+      'https://a.example/key': () => serverError(),
+      'https://b.example': () => 'vitalik.eth',
+    });
+    assert.strictEqual(await pool.lookupAddress(ADDR_A), 'vitalik.eth');
+    assert.deepStrictEqual(calls, { 'https://a.example/key': 1, 'https://b.example': 1 });
+    const health = pool.health();
+    assert.strictEqual(health.endpoints[0].url, 'https://a.example/…');
+    assert.strictEqual(health.endpoints[0].consecutiveFailures, 1);
+    assert.strictEqual(health.endpoints[0].lastError, 'bad gateway');
+  });
+
+  it('does not retry deterministic errors', async () => {
+    const revert = Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+    const { pool, calls } = makePool({
+      'https://a.example': () => revert,
+      'https://b.example': () => 'vitalik.eth',
+    });
+    await assert.rejects(pool.lookupAddress(ADDR_A), /execution reverted/);
+    assert.deepStrictEqual(calls, { 'https://a.example': 1 });
+    assert.strictEqual(pool.health().endpoints[0].state, 'closed');
+  });
+
+  it('opens the circuit after repeated failures and half-opens after the cooldown', async () => {
+    let aHealthy = false;
+    const { pool, calls, tick } = makePool({
+      'https://a.example': () => (aHealthy ? 'a.eth' : serverError()),
+      'https://b.example': () => 'b.eth',
+    }, { failureThreshold: 2, cooldownMs: 1000 });
+
+    await pool.checkHealth();
+    await pool.checkHealth();
+    assert.strictEqual(pool.health().endpoints[0].state, 'open');
+    assert.strictEqual(pool.health().healthy, 1);
+
+    // While open, calls skip the endpoint
+    await pool.lookupAddress(ADDR_A);
+    assert.strictEqual(calls['https://a.example'], undefined);
+    assert.strictEqual(calls['https://b.example'], 1);
+
+    // After the cooldown a failed trial re-opens it; a successful one closes it
+    tick(1000);
+    await pool.checkHealth();
+    assert.strictEqual(pool.health().endpoints[0].state, 'open');
+    tick(1000);
+    aHealthy = true;
+    await pool.checkHealth();
+    assert.strictEqual(pool.health().endpoints[0].state, 'closed');
+  });
+
+  it('prefers the endpoint with the lowest latency', async () => {
+    const delays = { 'https://slow.example': 40, 'https://fast.example': 1 };
+    const hits = [];
+    const pool = createProviderPool(Object.keys(delays), {
+      create: (url) => ({
+        getBlockNumber: () => new Promise((resolve) => setTimeout(() => resolve(1), delays[url])),
+        lookupAddress: async () => { hits.push(url); return null; },
+      }),
+      healthIntervalMs: 0,
+    });
+    await pool.checkHealth();
+    await pool.lookupAddress(ADDR_A);
+    assert.deepStrictEqual(hits, ['https://fast.example']);
+    const [slow, fast] = pool.health().endpoints;
+    assert.ok(fast.latencyMs < slow.latencyMs);
+  });
+
+  it('gives up after maxAttempts with backoff between tries', async () => {
+    const sleeps = [];
+    const { pool } = makePool({ 'https://a.example': () => serverError() }, {
+      maxAttempts: 3,
+      backoffMs: 10,
+      failureThreshold: 10,
+      sleep: async (ms) => { sleeps.push(ms); },
+    });
+    await assert.rejects(pool.lookupAddress(ADDR_A), /bad gateway/);
+    assert.deepStrictEqual(sleeps, [10, 20]);
+  });
+
+  it('times out slow endpoints', async () => {
+    const pool = createProviderPool(['https://hang.example', 'https://ok.example'], {
+      create: (url) => ({
+        lookupAddress: () => (url.includes('hang') ? new Promise(() => {}) : Promise.resolve('ok.eth')),
+      }),
+      timeoutMs: 20,
+      healthIntervalMs: 0,
+      sleep: async () => {},
+    });
+    assert.strictEqual(await pool.lookupAddress(ADDR_A), 'ok.eth');
+    assert.match(pool.health().endpoints[0].lastError, /timed out/);
+  });
+
+  it('returns a quorum result and rejects when endpoints disagree', async () => {
+    const agreeing = makePool({
+      'https://a.example': () => 'vitalik.eth',
+      'https://b.example': () => 'evil.eth',
+      'https://c.example': () => 'vitalik.eth',
+    });
+    assert.strictEqual(await agreeing.pool.quorum((p) => p.lookupAddress(ADDR_A), { quorum: 2 }), 'vitalik.eth');
+    assert.deepStrictEqual(agreeing.calls, { 'https://a.example': 1, 'https://b.example': 1, 'https://c.example': 1 });
+
+    const split = makePool({
+      'https://a.example': () => 'vitalik.eth',
+      'https://b.example': () => 'evil.eth',
+      'https://c.example': () => serverError(),
+    });
+    await assert.rejects(
+      split.pool.quorum((p) => p.lookupAddress(ADDR_A), { quorum: 2 }),
+      (err) => err.code === 'QUORUM_NOT_REACHED'
+    );
+  });
+
+  it('uses the configured default quorum and clamps it to the pool size', async () => {
+    const { pool, calls } = makePool({ 'https://a.example': () => null }, { quorum: 3 });
+    assert.strictEqual(await pool.quorum((p) => p.lookupAddress(ADDR_A)), null);
+    assert.strictEqual(calls['https://a.example'], 1);
+    assert.strictEqual(pool.health().quorum, 1);
+  });
+
+  it('returns resolvers whose record reads fail over across endpoints', async () => {
+    const RESOLVER = '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63';
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const calls = { a: 0, b: 0 };
+    const endpoint = (id, failCalls) => ({
+      getResolver: async (name) => ({ address: RESOLVER, name }),
+      call: async (tx) => {
+        calls[id]++;
+        if (failCalls) throw serverError();
+        // supportsInterface(ENSIP-10 wildcard) → false; text(node, key) → 'hello'
+        return tx.data.startsWith('0x01ffc9a7') ? coder.encode(['bool'], [false]) : coder.encode(['string'], ['hello']);
+      },
+    });
+    const pool = createProviderPool(['https://a.example', 'https://b.example'], {
+      create: (url) => (url.includes('a.example') ? endpoint('a', true) : endpoint('b', false)),
+      healthIntervalMs: 0,
+      sleep: async () => {},
+    });
+    const resolver = await pool.getResolver('vitalik.eth');
+    assert.strictEqual(resolver.address, RESOLVER);
+    assert.strictEqual(await resolver.getText('url'), 'hello');
+    assert.ok(calls.a >= 1);
+    assert.ok(calls.b >= 1);
+  });
+
+  it('classifies errors and redacts URLs', () => {
+    assert.strictEqual(isRetryable({ code: 'TIMEOUT' }), true);
+    assert.strictEqual(isRetryable(new Error('socket hang up')), true);
+    assert.strictEqual(isRetryable({ code: 'CALL_EXCEPTION' }), false);
+    assert.strictEqual(redactUrl('https://user:pw@eth-mainnet.g.alchemy.com/v2/secret'), 'https://eth-mainnet.g.alchemy.com/…');
+    assert.strictEqual(redactUrl('https://eth.llamarpc.com'), 'https://eth.llamarpc.com');
+  });
+});
+
+describe('RPC pools in the registry and /health', () => {
+  it('reads RPC_URLS lists with the documented precedence', () => {
+    const urls = rpcUrlsFromEnv({
+      RPC_URL: 'https://single.example',
+      RPC_URLS: 'https://a.example, https://b.example,',
+      RPC_URL_8453: 'https://base.example',
+      RPC_URLS_8453: 'https://base-a.example,https://base-b.example',
+    });
+    assert.deepStrictEqual(urls.get(1), ['https://a.example', 'https://b.example']);
+    assert.deepStrictEqual(urls.get(8453), ['https://base-a.example', 'https://base-b.example']);
+  });
+
+  it('builds a pool per chain by default and reports its health', async () => {
+    const registry = createProviderRegistry({ env: { RPC_URLS: 'https://a.example,https://b.example', RPC_QUORUM: '2' } });
+    assert.deepStrictEqual(registry.health(), {});
+    const pool = registry.get(1);
+    assert.strictEqual(typeof pool.quorum, 'function');
+    const health = registry.health();
+    assert.strictEqual(health[1].quorum, 2);
+    assert.deepStrictEqual(health[1].endpoints.map((e) => e.url), ['https://a.example', 'https://b.example']);
+  });
+
+  it('GET /health includes RPC pool health', async () => {
+    const res = await request(app).get('/health');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, 'ok');
+    // Test providers are plain mocks, not pools
+    assert.deepStrictEqual(res.body.rpc, {});
+  });
+});
+
+// ====================================================================
+// Layered ENS cache (lib/cache.js LayeredCache + admin stats)
+// ====================================================================
+
+const { LayeredCache, parseCacheTtls } = require('../lib/cache');
+
+describe('LayeredCache', () => {
+  function makeCache(options = {}) {
+    let clock = 1000;
+    const shared = createMemoryStore({ now: () => clock });
+    const cache = new LayeredCache({ redis: shared, now: () => clock, ...options });
+    return { cache, shared, tick: (ms) => { clock += ms; } };
+  }
+
+  it('serves values from Redis after the local tier is lost', async () => {
+    const { cache, shared } = makeCache();
+    await cache.set('resolve:vitalik.eth', ADDR_A);
+    assert.ok(await shared.get('ens:cache:resolve:vitalik.eth'));
+
+    cache.clear(); // cold start
+    assert.strictEqual(await cache.get('resolve:vitalik.eth'), ADDR_A);
+    assert.strictEqual(await cache.get('resolve:vitalik.eth'), ADDR_A);
+    const stats = cache.stats();
+    assert.strictEqual(stats.l2.hits, 1);
+    assert.strictEqual(stats.l1.hits, 1);
+    assert.strictEqual(stats.byType.resolve.hits, 2);
+  });
+
+  it('caches misses with the negative TTL', async () => {
+    const { cache, shared } = makeCache({ negativeTtlMs: 5000, staleTtlMs: 0 });
+    assert.strictEqual(await cache.get('resolve:notfound.eth'), undefined);
+    await cache.set('resolve:notfound.eth', null);
+    assert.strictEqual(await cache.get('resolve:notfound.eth'), null);
+    const ttl = await shared.ttl('ens:cache:resolve:notfound.eth');
+    assert.ok(ttl > 0 && ttl <= 5);
+    const stats = cache.stats();
+    assert.strictEqual(stats.negativeHits, 1);
+    assert.strictEqual(stats.misses, 1);
+  });
+
+  it('applies per-record-type TTLs', async () => {
+    const { cache, tick } = makeCache({ ttls: { text: 2000 } });
+    await cache.set('text:vitalik.eth:url', 'https://vitalik.ca/');
+    await cache.set('avatar:vitalik.eth', 'https://example.com/a.png');
+    tick(2500);
+    cache.clear(); // the local tier runs on the real clock; check the shared one
+    assert.strictEqual(await cache.get('text:vitalik.eth:url'), undefined);
+    assert.strictEqual(await cache.get('avatar:vitalik.eth'), 'https://example.com/a.png');
+    assert.strictEqual(cache.ttlFor('avatar:x'), 60 * 60 * 1000);
+    assert.strictEqual(cache.ttlFor('unknown:x'), 5 * 60 * 1000);
+  });
+
+  it('does not let L1 copies outlive the shared entry', async () => {
+    const local = new TTLCache();
+    const localTtls = [];
+    const set = local.set.bind(local);
+    local.set = (key, value, ttlMs) => { localTtls.push(ttlMs); set(key, value, ttlMs); };
+    const { cache, tick } = makeCache({ local, ttls: { resolve: 10_000 } });
+
+    await cache.set('resolve:vitalik.eth', ADDR_A);
+    tick(8000);
+    cache.clear();
+    assert.strictEqual(await cache.get('resolve:vitalik.eth'), ADDR_A);
+    assert.deepStrictEqual(localTtls, [10_000, 2000]); // copied with the remaining 2s
+  });
+
+  it('treats Redis errors as misses', async () => {
+    const broken = {
+      get: async () => { throw new Error('connection refused'); },
+      set: async () => { throw new Error('connection refused'); },
+    };
+    const cache = new LayeredCache({ redis: broken });
+    await cache.set('resolve:vitalik.eth', ADDR_A);
+    assert.strictEqual(await cache.get('resolve:vitalik.eth'), ADDR_A);
+    cache.clear();
+    assert.strictEqual(await cache.get('resolve:vitalik.eth'), undefined);
+    assert.strictEqual(cache.stats().l2.errors, 2);
+  });
+
+  it('parses ENS_CACHE_TTLS (seconds) and ignores invalid input', () => {
+    assert.deepStrictEqual(parseCacheTtls('{"resolve":60,"negative":10,"text":"x"}'), { resolve: 60000, negative: 10000 });
+    assert.deepStrictEqual(parseCacheTtls('not json'), {});
+    assert.deepStrictEqual(parseCacheTtls(undefined), {});
+  });
+});
+
+describe('GET /api/admin/cache/stats', () => {
+  it('requires the admin secret', async () => {
+    const res = await request(app).get('/api/admin/cache/stats');
+    assert.strictEqual(res.status, 401);
+  });
+
+  it('reports hits, negative hits and misses per record type', async () => {
+    const auth = { Authorization: `Bearer ${process.env.CRON_SECRET}` };
+    await request(app).get('/api/admin/cache/stats?reset=1').set(auth);
+
+    await request(app).get('/api/ens/resolve/notfound.eth');
+    await request(app).get('/api/ens/resolve/notfound.eth');
+    await request(app).get('/api/ens/avatar/vitalik.eth');
+
+    const res = await request(app).get('/api/admin/cache/stats').set(auth);
+    assert.strictEqual(res.status, 200);
+    const { stats } = res.body;
+    assert.strictEqual(stats.byType.resolve.negativeHits >= 1, true);
+    assert.strictEqual(stats.byType.resolve.hits + stats.byType.resolve.misses, 2);
+    assert.ok(stats.byType.avatar);
+    assert.strictEqual(stats.l2.enabled, false); // memory storage is not shared
+  });
+});
+
+// ====================================================================
+// TTLCache LRU, sweeping and getOrLoad (stale-while-revalidate)
+// ====================================================================
+
+describe('TTLCache LRU and getOrLoad', () => {
+  function clockCache(ttlMs, maxEntries, options = {}) {
+    let clock = 0;
+    const cache = new TTLCache(ttlMs, maxEntries, { now: () => clock, ...options });
+    return { cache, tick: (ms) => { clock += ms; } };
+  }
+
+  it('keeps recently read entries when evicting', () => {
+    const { cache } = clockCache(60000, 2);
+    cache.set('hot', 1);
+    cache.set('cold', 2);
+    cache.get('hot');
+    cache.set('new', 3);
+    assert.strictEqual(cache.get('hot'), 1);
+    assert.strictEqual(cache.get('cold'), undefined);
+    assert.strictEqual(cache.get('new'), 3);
+  });
+
+  it('overwriting a key does not evict another entry', () => {
+    const { cache } = clockCache(60000, 2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 3);
+    assert.strictEqual(cache.get('a'), 3);
+    assert.strictEqual(cache.get('b'), 2);
+  });
+
+  it('sweeps expired entries and excludes them from size', () => {
+    const { cache, tick } = clockCache(1000, 100, { sweepIntervalMs: 5000 });
+    cache.set('a', 1);
+    cache.set('b', 2, 10_000);
+    tick(2000);
+    assert.strictEqual(cache.size, 1);
+
+    cache.set('c', 3, 1000);
+    tick(6000); // past the sweep interval: the next write sweeps 'c'
+    cache.set('d', 4);
+    assert.strictEqual(cache.sweep(), 0); // 'c' is already gone
+  });
+
+  it('coalesces concurrent loads of the same key', async () => {
+    const { cache } = clockCache(60000);
+    let calls = 0;
+    const loader = async () => {
+      calls++;
+      await new Promise((resolve) => setImmediate(resolve));
+      return 'value';
+    };
+    const results = await Promise.all([
+      cache.getOrLoad('k', loader),
+      cache.getOrLoad('k', loader),
+      cache.getOrLoad('k', loader),
+    ]);
+    assert.deepStrictEqual(results, ['value', 'value', 'value']);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(await cache.getOrLoad('k', loader), 'value');
+    assert.strictEqual(calls, 1);
+  });
+
+  it('does not cache failed or undefined loads', async () => {
+    const { cache } = clockCache(60000);
+    await assert.rejects(cache.getOrLoad('k', async () => { throw new Error('rpc down'); }), /rpc down/);
+    assert.strictEqual(await cache.getOrLoad('k', async () => undefined), undefined);
+    assert.strictEqual(await cache.getOrLoad('k', async () => 'ok'), 'ok');
+  });
+
+  it('serves stale values while refreshing in the background', async () => {
+    const { cache, tick } = clockCache(1000);
+    let version = 1;
+    const loader = async () => `v${version}`;
+    await cache.getOrLoad('k', loader, { ttl: 1000, staleTtl: 5000 });
+
+    tick(2000);
+    version = 2;
+    assert.strictEqual(cache.get('k'), undefined); // get() never returns stale values
+    assert.strictEqual(await cache.getOrLoad('k', loader, { ttl: 1000, staleTtl: 5000 }), 'v1');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(cache.get('k'), 'v2');
+
+    // Past the stale window the caller waits for a fresh load
+    tick(10_000);
+    version = 3;
+    assert.strictEqual(await cache.getOrLoad('k', loader, { ttl: 1000, staleTtl: 5000 }), 'v3');
+  });
+
+  it('keeps the stale value when a background refresh fails', async () => {
+    const { cache, tick } = clockCache(1000, 100, { staleTtlMs: 5000 });
+    await cache.getOrLoad('k', async () => 'v1');
+    tick(2000);
+    assert.strictEqual(await cache.getOrLoad('k', async () => { throw new Error('rpc down'); }), 'v1');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(await cache.getOrLoad('k', async () => 'v2'), 'v1');
+  });
+});
+
+describe('LayeredCache getOrLoad', () => {
+  it('caches falsy results as misses, serves stale shared entries and counts them', async () => {
+    let clock = 0;
+    const shared = createMemoryStore({ now: () => clock });
+    const cache = new LayeredCache({ redis: shared, now: () => clock, ttls: { resolve: 1000 }, staleTtlMs: 5000 });
+
+    let calls = 0;
+    assert.strictEqual(await cache.getOrLoad('resolve:notfound.eth', async () => { calls++; return null; }), null);
+    assert.strictEqual(await cache.getOrLoad('resolve:notfound.eth', async () => { calls++; return null; }), null);
+    assert.strictEqual(calls, 1);
+
+    await cache.getOrLoad('resolve:vitalik.eth', async () => ADDR_A);
+    clock += 2000;
+    cache.clear(); // cold start with a stale shared entry
+    const refreshed = [];
+    assert.strictEqual(await cache.getOrLoad('resolve:vitalik.eth', async () => { refreshed.push(1); return ADDR_B; }), ADDR_A);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(refreshed.length, 1);
+    assert.strictEqual(await cache.get('resolve:vitalik.eth'), ADDR_B);
+
+    const stats = cache.stats().byType.resolve;
+    assert.strictEqual(stats.staleHits, 1);
+    assert.strictEqual(stats.negativeHits, 1);
+  });
+
+  it('coalesces concurrent ENS route requests into one RPC call', async () => {
+    const original = testProvider.resolveName;
+    let calls = 0;
+    testProvider.resolveName = async (name) => {
+      calls++;
+      await new Promise((resolve) => setImmediate(resolve));
+      return name === 'coalesce.eth' ? ADDR_A : original(name);
+    };
+    try {
+      const responses = await Promise.all([1, 2, 3].map(() => request(app).get('/api/ens/resolve/coalesce.eth')));
+      assert.ok(responses.every((r) => r.status === 200 && r.body.address === ADDR_A));
+      assert.strictEqual(calls, 1);
+    } finally {
+      testProvider.resolveName = original;
+    }
+  });
+});
+
+// ====================================================================
+// ENS data service (lib/ensdata.js)
+// ====================================================================
+
+const { createEnsDataService, mapLimit } = require('../lib/ensdata');
+
+describe('lib/ensdata', () => {
+  // Counts every RPC-backed call and tracks how many getText calls overlap
+  function countingProvider({ failKey } = {}) {
+    const counts = { getResolver: 0, resolveName: 0, getText: 0, getContentHash: 0, maxParallelText: 0 };
+    let activeText = 0;
+    const resolver = {
+      address: '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63',
+      getText: async (key) => {
+        counts.getText++;
+        activeText++;
+        counts.maxParallelText = Math.max(counts.maxParallelText, activeText);
+        await new Promise((resolve) => setImmediate(resolve));
+        activeText--;
+        if (key === failKey) throw new Error('resolver reverted');
+        if (key === 'avatar') return 'https://example.com/a.png';
+        return key === 'url' ? 'https://vitalik.ca/' : null;
+      },
+      getContentHash: async () => { counts.getContentHash++; return null; },
+    };
+    const provider = {
+      getResolver: async (name) => { counts.getResolver++; return name === 'notfound.eth' ? null : resolver; },
+      resolveName: async (name) => { counts.resolveName++; return name === 'notfound.eth' ? null : ADDR_A; },
+    };
+    return { provider, counts };
+  }
+
+  it('fetches a profile once and serves it from cache afterwards', async () => {
+    const { provider, counts } = countingProvider();
+    const ens = createEnsDataService({ provider, cache: new LayeredCache() });
+
+    const profile = await ens.getProfile('vitalik.eth', { keys: EXTENDED_TEXT_KEYS });
+    assert.strictEqual(profile.address, ADDR_A);
+    assert.strictEqual(profile.resolver, '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63');
+    assert.strictEqual(profile.avatar, 'https://example.com/a.png');
+    assert.deepStrictEqual(profile.textRecords, { url: 'https://vitalik.ca/', avatar: 'https://example.com/a.png' });
+    assert.strictEqual(counts.getResolver, 1);
+    assert.strictEqual(counts.getText, EXTENDED_TEXT_KEYS.length);
+
+    const before = { ...counts };
+    assert.deepStrictEqual(await ens.getProfile('vitalik.eth', { keys: EXTENDED_TEXT_KEYS }), profile);
+    assert.deepStrictEqual(counts, before);
+  });
+
+  it('caps parallel text lookups', async () => {
+    const { provider, counts } = countingProvider();
+    const ens = createEnsDataService({ provider, cache: new LayeredCache(), textConcurrency: 3 });
+    await ens.getTexts('vitalik.eth', EXTENDED_TEXT_KEYS);
+    assert.strictEqual(counts.maxParallelText, 3);
+  });
+
+  it('skips text keys that fail without failing the profile', async () => {
+    const { provider } = countingProvider({ failKey: 'url' });
+    const ens = createEnsDataService({ provider, cache: new LayeredCache() });
+    const profile = await ens.getProfile('vitalik.eth', { keys: ['url', 'description'] });
+    assert.deepStrictEqual(profile.textRecords, {});
+    assert.strictEqual(profile.address, ADDR_A);
+  });
+
+  it('caches missing resolvers', async () => {
+    const { provider, counts } = countingProvider();
+    const ens = createEnsDataService({ provider, cache: new LayeredCache() });
+    assert.strictEqual(await ens.getResolver('notfound.eth'), null);
+    assert.strictEqual(await ens.getText('notfound.eth', 'url'), null);
+    assert.strictEqual(counts.getResolver, 1);
+  });
+
+  it('rebuilds resolvers from an address cached by another instance', async () => {
+    const shared = createMemoryStore();
+    const first = createEnsDataService({ provider: countingProvider().provider, cache: new LayeredCache({ redis: shared }) });
+    await first.getResolver('vitalik.eth');
+
+    const { provider, counts } = countingProvider();
+    const second = createEnsDataService({ provider, cache: new LayeredCache({ redis: shared }) });
+    const resolver = await second.getResolver('vitalik.eth');
+    assert.ok(resolver instanceof ethers.EnsResolver);
+    assert.strictEqual(resolver.address, '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63');
+    assert.strictEqual(counts.getResolver, 0);
+  });
+
+  it('mapLimit keeps input order', async () => {
+    const out = await mapLimit([30, 10, 20], 2, async (ms) => {
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      return ms;
+    });
+    assert.deepStrictEqual(out, [30, 10, 20]);
+  });
+});
+
+// ====================================================================
+// Multicall batching (lib/multicall.js)
+// ====================================================================
+
+const {
+  aggregate3,
+  multicallInterface,
+  registryInterface,
+  resolverInterface,
+  MULTICALL3_ADDRESS,
+  ENS_REGISTRY_ADDRESS,
+  WILDCARD_INTERFACE_ID,
+} = require('../lib/multicall');
+
+describe('lib/multicall', () => {
+  const RESOLVER = '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63';
+
+  // Fake ENS registry + resolver behind a Multicall3 that counts eth_calls
+  function multicallProvider({ records = {}, texts = {}, reverts = new Set(), wildcard = false, failCall = false } = {}) {
+    const counts = { call: 0, calls: 0, resolveName: 0, getText: 0 };
+    const byNode = new Map(Object.keys(records).map((name) => [ethers.namehash(name), name]));
+
+    function execute({ target, callData }) {
+      if (target === ENS_REGISTRY_ADDRESS) {
+        const tx = registryInterface.parseTransaction({ data: callData });
+        const known = byNode.has(tx.args[0]);
+        return registryInterface.encodeFunctionResult('resolver', [known ? RESOLVER : ethers.ZeroAddress]);
+      }
+      const tx = resolverInterface.parseTransaction({ data: callData });
+      if (tx.name === 'supportsInterface') {
+        return resolverInterface.encodeFunctionResult('supportsInterface', [wildcard && tx.args[0] === WILDCARD_INTERFACE_ID]);
+      }
+      const name = byNode.get(tx.args[0]);
+      if (reverts.has(name)) throw new Error('revert');
+      if (tx.name === 'addr') return resolverInterface.encodeFunctionResult('addr(bytes32)', [records[name] || ethers.ZeroAddress]);
+      if (tx.name === 'text') {
+        if (reverts.has(`${name}:${tx.args[1]}`)) throw new Error('revert');
+        return resolverInterface.encodeFunctionResult('text', [texts[tx.args[1]] || '']);
+      }
+      throw new Error(`unexpected call ${tx.name}`);
+    }
+
+    const provider = {
+      call: async (tx) => {
+        counts.call++;
+        if (failCall) throw new Error('rpc down');
+        assert.strictEqual(tx.to, MULTICALL3_ADDRESS);
+        const [calls] = multicallInterface.decodeFunctionData('aggregate3', tx.data);
+        counts.calls += calls.length;
+        const results = calls.map((c) => {
+          try {
+            return { success: true, returnData: execute(c) };
+          } catch (e) {
+            return { success: false, returnData: '0x' };
+          }
+        });
+        return multicallInterface.encodeFunctionResult('aggregate3', [results]);
+      },
+      resolveName: async (name) => {
+        counts.resolveName++;
+        if (name === 'broken.eth') throw new Error('resolver offline');
+        return records[name] || null;
+      },
+      getResolver: async (name) => ({
+        address: RESOLVER,
+        getText: async (key) => { counts.getText++; return texts[key] || null; },
+        getAvatar: async () => null,
+        getContentHash: async () => null,
+      }),
+    };
+    return { provider, counts };
+  }
+
+  const twentyNames = Array.from({ length: 20 }, (_, i) => `multi${i}.eth`);
+  const twentyRecords = Object.fromEntries(
+    twentyNames.map((name, i) => [name, ethers.getAddress(`0x${(i + 1).toString(16).padStart(40, '0')}`)])
+  );
+
+  it('resolves 20 names in two eth_calls and serves repeats from cache', async () => {
+    const { provider, counts } = multicallProvider({ records: twentyRecords });
+    const ens = createEnsDataService({ provider, cache: new LayeredCache() });
+
+    const out = await ens.resolveMany(twentyNames);
+    assert.strictEqual(counts.call, 2);
+    assert.strictEqual(counts.resolveName, 0);
+    assert.deepStrictEqual(out.get('multi0.eth'), { address: twentyRecords['multi0.eth'] });
+    assert.deepStrictEqual(out.get('multi19.eth'), { address: twentyRecords['multi19.eth'] });
+
+    await ens.resolveMany(twentyNames);
+    assert.strictEqual(counts.call, 2);
+    // The resolver address is cached too
+    assert.strictEqual((await ens.getResolver('multi3.eth')).address, RESOLVER);
+  });
+
+  it('reports partial failures per name', async () => {
+    const { provider, counts } = multicallProvider({
+      records: { 'ok.eth': ADDR_A, 'broken.eth': ADDR_B, 'unset.eth': null },
+      reverts: new Set(['broken.eth']),
+    });
+    const ens = createEnsDataService({ provider, cache: new LayeredCache() });
+
+    const out = await ens.resolveMany(['ok.eth', 'broken.eth', 'unset.eth', 'missing.eth']);
+    assert.deepStrictEqual(out.get('ok.eth'), { address: ADDR_A });
+    assert.deepStrictEqual(out.get('unset.eth'), { address: null });
+    assert.deepStrictEqual(out.get('broken.eth'), { address: null, error: 'resolver offline' });
+    // No resolver of its own: ethers gets a chance to find a wildcard parent
+    assert.deepStrictEqual(out.get('missing.eth'), { address: null });
+    assert.strictEqual(counts.call, 2);
+    assert.strictEqual(counts.resolveName, 2);
+  });
+
+  it('fetches a profile address and text records in one eth_call', async () => {
+    const { provider, counts } = multicallProvider({
+      records: { 'vitalik.eth': ADDR_A },
+      texts: { url: 'https://vitalik.ca/', description: 'hello' },
+    });
+    const ens = createEnsDataService({ provider, cache: new LayeredCache() });
+
+    const profile = await ens.getProfile('vitalik.eth', { keys: EXTENDED_TEXT_KEYS, contenthash: false });
+    assert.strictEqual(profile.address, ADDR_A);
+    assert.deepStrictEqual(profile.textRecords, { url: 'https://vitalik.ca/', description: 'hello' });
+    assert.strictEqual(counts.call, 1);
+    // Wildcard check + every text key + addr
+    assert.strictEqual(counts.calls, EXTENDED_TEXT_KEYS.length + 2);
+    assert.strictEqual(counts.getText, 0);
+    assert.strictEqual(counts.resolveName, 0);
+
+    await ens.getProfile('vitalik.eth', { keys: EXTENDED_TEXT_KEYS, contenthash: false });
+    assert.strictEqual(counts.call, 1);
+  });
+
+  it('falls back to ethers for reverted keys and wildcard resolvers', async () => {
+    const reverted = multicallProvider({
+      records: { 'vitalik.eth': ADDR_A },
+      texts: { url: 'https://vitalik.ca/' },
+      reverts: new Set(['vitalik.eth:url']),
+    });
+    const ens = createEnsDataService({ provider: reverted.provider, cache: new LayeredCache() });
+    assert.deepStrictEqual(await ens.getTexts('vitalik.eth', ['url', 'description']), { url: 'https://vitalik.ca/' });
+    assert.strictEqual(reverted.counts.getText, 1);
+
+    const wild = multicallProvider({ records: { 'vitalik.eth': ADDR_A }, texts: { url: 'x' }, wildcard: true });
+    const wildEns = createEnsDataService({ provider: wild.provider, cache: new LayeredCache() });
+    const profile = await wildEns.getProfile('vitalik.eth', { keys: ['url', 'description'] });
+    assert.deepStrictEqual(profile.textRecords, { url: 'x' });
+    // url, description and the avatar record
+    assert.strictEqual(wild.counts.getText, 3);
+    assert.strictEqual(wild.counts.resolveName, 1);
+  });
+
+  it('aggregate3 fails every item of a chunk whose eth_call fails', async () => {
+    const { provider, counts } = multicallProvider({ failCall: true });
+    const calls = Array.from({ length: 5 }, () => ({
+      target: ENS_REGISTRY_ADDRESS,
+      callData: registryInterface.encodeFunctionData('resolver', [ethers.ZeroHash]),
+    }));
+    const results = await aggregate3(provider, calls, { batchSize: 2 });
+    assert.strictEqual(results.length, 5);
+    assert.ok(results.every((r) => !r.success && r.error === 'rpc down'));
+    assert.strictEqual(counts.call, 3);
+  });
+
+  it('POST /api/ens/batch resolves 20 names with two eth_calls', async () => {
+    const { provider, counts } = multicallProvider({ records: twentyRecords });
+    const original = { call: testProvider.call, resolveName: testProvider.resolveName };
+    testProvider.call = provider.call;
+    testProvider.resolveName = provider.resolveName;
+    try {
+      const res = await request(app).post('/api/ens/batch').send({ names: twentyNames });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(Object.keys(res.body.results.names).length, 20);
+      assert.deepStrictEqual(res.body.results.names['multi7.eth'], { address: twentyRecords['multi7.eth'] });
+      assert.strictEqual(counts.call, 2);
+      assert.strictEqual(counts.resolveName, 0);
+    } finally {
+      Object.assign(testProvider, original);
+    }
+  });
+});
+
+// ====================================================================
+// Universal Resolver + CCIP-Read (lib/universal.js, lib/ccip.js)
+// ====================================================================
+
+const http = require('node:http');
+const dns = require('node:dns');
+const { createCcipReader, isAllowedGateway, parseAllowlist, offchainLookupInterface } = require('../lib/ccip');
+const { createUniversalResolver, universalInterface, extendedResolverInterface, UNIVERSAL_RESOLVER_ADDRESS } = require('../lib/universal');
+
+describe('Universal Resolver and CCIP-Read', () => {
+  const OFFCHAIN_RESOLVER = ethers.getAddress('0x00000000000000000000000000000000000cc1f0');
+  const ONCHAIN_RESOLVER = '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63';
+  const callbackInterface = new ethers.Interface(['function resolveWithProof(bytes response, bytes extraData) view returns (bytes)']);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  // Offchain names live under cb.id (wildcard resolver on the parent); onchain.eth has its own resolver
+  const offchainTexts = { url: 'https://alice.example', description: 'offchain profile' };
+  const gateway = { server: null, origin: null, requests: [], delayMs: 0, status: 200, oversized: false };
+  const names = new Map();
+  for (const name of ['alice.cb.id', 'bob.cb.id', 'carol.cb.id', 'slow.cb.id', 'post.cb.id', 'blocked.cb.id', 'internal.cb.id', 'onchain.eth']) {
+    names.set(ethers.namehash(name), name);
+  }
+
+  // Answer a resolver call the way the offchain database would
+  function answer(data) {
+    const tx = resolverInterface.parseTransaction({ data });
+    if (tx.name === 'text') return resolverInterface.encodeFunctionResult('text', [offchainTexts[tx.args[1]] || '']);
+    if (tx.name === 'addr') return resolverInterface.encodeFunctionResult('addr(bytes32)', [ADDR_B]);
+    throw new Error(`unexpected ${tx.name}`);
+  }
+
+  before(async () => {
+    gateway.server = http.createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      gateway.requests.push({ method: req.method, url: req.url });
+      if (gateway.delayMs) await new Promise((resolve) => setTimeout(resolve, gateway.delayMs));
+      const data = req.method === 'POST' ? JSON.parse(body).data : req.url.split('/')[2].replace('.json', '');
+      res.setHeader('content-type', 'application/json');
+      if (gateway.status !== 200) {
+        res.statusCode = gateway.status;
+        return res.end(JSON.stringify({ message: 'record lookup failed' }));
+      }
+      if (gateway.oversized) return res.end(JSON.stringify({ data: `0x${'00'.repeat(600 * 1024)}` }));
+      const [, inner] = extendedResolverInterface.decodeFunctionData('resolve', data);
+      res.end(JSON.stringify({ data: coder.encode(['bytes'], [answer(inner)]) }));
+    });
+    await new Promise((resolve) => gateway.server.listen(0, '127.0.0.1', resolve));
+    gateway.origin = `http://127.0.0.1:${gateway.server.address().port}`;
+  });
+
+  after(() => {
+    gateway.server.closeAllConnections();
+    gateway.server.close();
+  });
+
+  beforeEach(() => {
+    gateway.requests = [];
+    gateway.delayMs = 0;
+    gateway.status = 200;
+    gateway.oversized = false;
+  });
+
+  // Mainnet stub: Universal Resolver, one wildcard offchain resolver, one onchain resolver
+  function ccipProvider() {
+    const counts = { call: 0 };
+    const call = async (tx) => {
+      counts.call++;
+      if (tx.to === UNIVERSAL_RESOLVER_ADDRESS) {
+        const [dnsName] = universalInterface.decodeFunctionData('findResolver', tx.data);
+        const name = ethers.toUtf8String(ethers.getBytes(dnsName).slice(1)).replace(/[\x00-\x1f]/g, '.').replace(/\.$/, '');
+        if (name.endsWith('.cb.id')) return universalInterface.encodeFunctionResult('findResolver', [OFFCHAIN_RESOLVER, ethers.namehash('cb.id'), 6]);
+        if (name === 'onchain.eth') return universalInterface.encodeFunctionResult('findResolver', [ONCHAIN_RESOLVER, ethers.namehash(name), 0]);
+        return universalInterface.encodeFunctionResult('findResolver', [ethers.ZeroAddress, ethers.ZeroHash, 0]);
+      }
+      const selector = ethers.dataSlice(tx.data, 0, 4);
+      if (selector === resolverInterface.getFunction('supportsInterface').selector) {
+        return resolverInterface.encodeFunctionResult('supportsInterface', [tx.to === OFFCHAIN_RESOLVER]);
+      }
+      if (tx.to === ONCHAIN_RESOLVER) return resolverInterface.encodeFunctionResult('text', ['onchain value']);
+      if (selector === callbackInterface.getFunction('resolveWithProof').selector) {
+        // Callback: hand back the gateway response (a real resolver verifies its signature)
+        return callbackInterface.decodeFunctionData('resolveWithProof', tx.data)[0];
+      }
+      const [, inner] = extendedResolverInterface.decodeFunctionData('resolve', tx.data);
+      const name = names.get(resolverInterface.parseTransaction({ data: inner }).args[0]);
+      const urls = name === 'blocked.cb.id' ? ['https://gateway.example/{sender}/{data}.json']
+        : name === 'internal.cb.id' ? ['https://ccip.internal.example/{sender}/{data}.json']
+          : name === 'post.cb.id' ? [`${gateway.origin}/lookup`]
+            : [`${gateway.origin}/{sender}/{data}.json`];
+      const sender = name === 'carol.cb.id' ? ONCHAIN_RESOLVER : OFFCHAIN_RESOLVER;
+      const data = offchainLookupInterface.encodeErrorResult('OffchainLookup', [
+        sender, urls, tx.data, callbackInterface.getFunction('resolveWithProof').selector, tx.data,
+      ]);
+      throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data });
+    };
+    return { provider: { call }, counts };
+  }
+
+  function universalFor(provider, options = {}) {
+    const ccip = createCcipReader({ provider, allowlist: ['127.0.0.1'], ...options });
+    return createUniversalResolver({ provider, ccip });
+  }
+
+  it('resolves wildcard names through a CCIP-Read gateway', async () => {
+    const { provider } = ccipProvider();
+    const ur = universalFor(provider);
+    const result = await ur.resolve('alice.cb.id', { type: 'text', key: 'url' });
+    assert.strictEqual(result.value, 'https://alice.example');
+    assert.deepStrictEqual(result.resolution, {
+      resolver: OFFCHAIN_RESOLVER, wildcard: true, source: 'offchain', gateway: gateway.origin,
+    });
+    assert.strictEqual(gateway.requests.length, 1);
+    assert.strictEqual(gateway.requests[0].method, 'GET');
+    assert.ok(gateway.requests[0].url.startsWith(`/${OFFCHAIN_RESOLVER.toLowerCase()}/0x`));
+
+    const addr = await ur.resolve('alice.cb.id', { type: 'addr' });
+    assert.strictEqual(addr.value, ADDR_B);
+  });
+
+  it('POSTs to gateway URLs without a {data} placeholder', async () => {
+    const { provider } = ccipProvider();
+    const result = await universalFor(provider).resolve('post.cb.id', { type: 'text', key: 'description' });
+    assert.strictEqual(result.value, 'offchain profile');
+    assert.strictEqual(gateway.requests[0].method, 'POST');
+  });
+
+  it('marks exact onchain resolvers as onchain without contacting a gateway', async () => {
+    const { provider } = ccipProvider();
+    const result = await universalFor(provider).resolve('onchain.eth', { type: 'text', key: 'url' });
+    assert.strictEqual(result.value, 'onchain value');
+    assert.deepStrictEqual(result.resolution, { resolver: ONCHAIN_RESOLVER, wildcard: false, source: 'onchain', gateway: null });
+    assert.strictEqual(gateway.requests.length, 0);
+    assert.deepStrictEqual(await universalFor(provider).resolve('nobody.eth', { type: 'text', key: 'url' }), { value: null, resolution: null });
+  });
+
+  it('refuses gateways outside the allowlist', async () => {
+    const { provider } = ccipProvider();
+    await assert.rejects(universalFor(provider).resolve('blocked.cb.id', { type: 'text', key: 'url' }), (err) => {
+      assert.strictEqual(err.code, 'CCIP_GATEWAY_NOT_ALLOWED');
+      assert.deepStrictEqual(err.resolution, {
+        resolver: OFFCHAIN_RESOLVER, wildcard: true, source: 'offchain', gateway: 'https://gateway.example',
+      });
+      return true;
+    });
+    await assert.rejects(
+      universalFor(provider, { allowlist: ['gateway.example'] }).resolve('alice.cb.id', { type: 'text', key: 'url' }),
+      { code: 'CCIP_GATEWAY_NOT_ALLOWED' }
+    );
+    assert.strictEqual(gateway.requests.length, 0);
+  });
+
+  it('matches allowlist entries by host, subdomain wildcard and *', () => {
+    assert.deepStrictEqual(parseAllowlist(''), ['*']);
+    assert.deepStrictEqual(parseAllowlist(' A.example , *.B.example '), ['a.example', '*.b.example']);
+    assert.ok(isAllowedGateway('https://api.example/{sender}/{data}', ['*']));
+    assert.ok(!isAllowedGateway('http://api.example/{data}', ['*']));
+    assert.ok(!isAllowedGateway('https://127.0.0.1/{data}', ['*']));
+    assert.ok(!isAllowedGateway('https://localhost/{data}', ['*']));
+    assert.ok(isAllowedGateway('http://127.0.0.1:8080/{data}', ['127.0.0.1']));
+    assert.ok(isAllowedGateway('https://ccip.b.example/x', ['*.b.example']));
+    assert.ok(!isAllowedGateway('https://evilb.example/x', ['*.b.example']));
+    assert.ok(!isAllowedGateway('ftp://a.example/x', ['a.example']));
+  });
+
+  it('times out slow gateways and reports HTTP errors', async () => {
+    const { provider } = ccipProvider();
+    gateway.delayMs = 200;
+    await assert.rejects(
+      universalFor(provider, { timeoutMs: 20 }).resolve('slow.cb.id', { type: 'text', key: 'url' }),
+      { code: 'CCIP_TIMEOUT' }
+    );
+    gateway.delayMs = 0;
+    gateway.status = 404;
+    await assert.rejects(universalFor(provider).resolve('alice.cb.id', { type: 'text', key: 'url' }), (err) => {
+      assert.strictEqual(err.code, 'CCIP_GATEWAY_ERROR');
+      assert.match(err.message, /HTTP 404$/);
+      assert.ok(!err.message.includes('record lookup failed'));
+      return true;
+    });
+  });
+
+  it('refuses wildcard-matched gateways that resolve to private addresses', async () => {
+    const { provider } = ccipProvider();
+    const original = dns.lookup;
+    dns.lookup = (hostname, options, callback) => callback(null, [{ address: '10.0.0.5', family: 4 }]);
+    try {
+      await assert.rejects(
+        universalFor(provider, { allowlist: ['*'] }).resolve('internal.cb.id', { type: 'text', key: 'url' }),
+        (err) => {
+          assert.strictEqual(err.code, 'CCIP_GATEWAY_NOT_ALLOWED');
+          assert.match(err.message, /https:\/\/ccip\.internal\.example resolves to a private address/);
+          return true;
+        }
+      );
+    } finally {
+      dns.lookup = original;
+    }
+  });
+
+  it('rejects oversized gateway responses', async () => {
+    const { provider } = ccipProvider();
+    gateway.oversized = true;
+    await assert.rejects(universalFor(provider).resolve('alice.cb.id', { type: 'text', key: 'url' }), (err) => {
+      assert.strictEqual(err.code, 'CCIP_GATEWAY_ERROR');
+      assert.match(err.message, /exceeds 1048576 bytes/);
+      return true;
+    });
+  });
+
+  it('rejects OffchainLookup raised by another contract', async () => {
+    const { provider } = ccipProvider();
+    await assert.rejects(universalFor(provider).resolve('carol.cb.id', { type: 'text', key: 'url' }), { code: 'CCIP_SENDER_MISMATCH' });
+  });
+
+  it('ENS data service records offchain resolution metadata', async () => {
+    const { provider } = ccipProvider();
+    const ens = createEnsDataService({
+      provider: { ...provider, getResolver: async () => ({ address: OFFCHAIN_RESOLVER, getText: async () => assert.fail('ethers path used'), getAvatar: async () => null }) },
+      cache: new LayeredCache(),
+      universal: universalFor(provider),
+    });
+    const profile = await ens.getProfile('alice.cb.id', { keys: ['url', 'description', 'email'], contenthash: false });
+    assert.strictEqual(profile.address, ADDR_B);
+    assert.deepStrictEqual(profile.textRecords, offchainTexts);
+    assert.strictEqual(profile.resolution.source, 'offchain');
+    assert.strictEqual(profile.resolution.gateway, gateway.origin);
+  });
+
+  it('text route reports the gateway, and 502 with the CCIP code when it fails', async () => {
+    const { provider } = ccipProvider();
+    const original = testProvider.call;
+    testProvider.call = provider.call;
+    try {
+      const ok = await request(app).get('/api/ens/text/alice.cb.id/url');
+      assert.strictEqual(ok.status, 200);
+      assert.strictEqual(ok.body.value, 'https://alice.example');
+      assert.strictEqual(ok.body.resolution.source, 'offchain');
+      assert.strictEqual(ok.body.resolution.gateway, gateway.origin);
+
+      const blocked = await request(app).get('/api/ens/text/blocked.cb.id/url');
+      assert.strictEqual(blocked.status, 502);
+      assert.strictEqual(blocked.body.code, 'CCIP_GATEWAY_NOT_ALLOWED');
+      assert.strictEqual(blocked.body.resolution.gateway, 'https://gateway.example');
+    } finally {
+      testProvider.call = original;
+    }
+  });
+});
+
+// ====================================================================
+// ENSIP-12 avatars and image proxy (lib/avatar.js)
+// ====================================================================
+
+const {
+  createAvatarService,
+  parseAvatarUri,
+  toGatewayUrl,
+  sniffImageType,
+  sanitizeSvg,
+  isPrivateAddress,
+  nftInterface,
+} = require('../lib/avatar');
+
+describe('Avatars', () => {
+  const NFT = ethers.getAddress('0x5b5e0000000000000000000000000000000000ab');
+  const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+  const SVG = '<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"><script>alert(2)</script>'
+    + '<image href="https://tracker.example/x.png"/><use href="#dot"/><circle id="dot" r="4"/></svg>';
+  const server = { http: null, origin: null, released: [] };
+
+  before(async () => {
+    server.http = http.createServer((req, res) => {
+      // Start a body and never finish it; the client has to close the response
+      const hold = () => {
+        res.on('close', () => server.released.push(req.url));
+        res.write('x');
+      };
+      const routes = {
+        '/meta/7.json': () => res.end(JSON.stringify({ name: 'Token 7', image: 'ipfs://QmImage/7.png' })),
+        [`/1155/${(42).toString(16).padStart(64, '0')}.json`]: () => res.end(JSON.stringify({ image_url: 'ar://tx-42' })),
+        '/img.png': () => res.end(PNG),
+        '/img.svg': () => res.end(SVG),
+        '/big.png': () => res.end(Buffer.concat([PNG, Buffer.alloc(2048)])),
+        '/page.html': () => res.end('<html><body>hi</body></html>'),
+        '/redirect': () => { res.statusCode = 302; res.setHeader('location', '/img.png'); res.end(); },
+        '/held/redirect': () => { res.statusCode = 302; res.setHeader('location', '/img.png'); hold(); },
+        '/held/missing.png': () => { res.statusCode = 404; hold(); },
+        '/held/big.png': () => { res.setHeader('content-length', '4096'); hold(); },
+      };
+      const route = routes[req.url];
+      if (route) return route();
+      res.statusCode = 404;
+      res.end();
+    });
+    await new Promise((resolve) => server.http.listen(0, '127.0.0.1', resolve));
+    server.origin = `http://127.0.0.1:${server.http.address().port}`;
+  });
+
+  after(() => {
+    server.http.closeAllConnections();
+    server.http.close();
+  });
+
+  // NFT contract: token 7 (ERC-721) is owned by ADDR_A; ADDR_A holds 5 of ERC-1155 token 42
+  function nftProvider() {
+    return {
+      call: async (tx) => {
+        assert.strictEqual(tx.to, NFT);
+        const call = nftInterface.parseTransaction({ data: tx.data });
+        switch (call.name) {
+          case 'ownerOf': return nftInterface.encodeFunctionResult('ownerOf', [ADDR_A]);
+          case 'tokenURI': return nftInterface.encodeFunctionResult('tokenURI', [`${server.origin}/meta/${call.args[0]}.json`]);
+          case 'balanceOf': return nftInterface.encodeFunctionResult('balanceOf', [call.args[0] === ADDR_A ? 5n : 0n]);
+          case 'uri': return nftInterface.encodeFunctionResult('uri', [`${server.origin}/1155/{id}.json`]);
+          default: throw new Error(`unexpected ${call.name}`);
+        }
+      },
+    };
+  }
+
+  function service(options = {}) {
+    return createAvatarService({
+      getProvider: (chainId) => (chainId === 1 ? nftProvider() : null),
+      allowPrivateHosts: true,
+      ...options,
+    });
+  }
+
+  it('parses ENSIP-12 avatar URIs', () => {
+    assert.deepStrictEqual(parseAvatarUri(`eip155:1/erc721:${NFT.toLowerCase()}/7`), {
+      type: 'erc721', chainId: 1, contract: NFT, tokenId: 7n,
+    });
+    assert.strictEqual(parseAvatarUri(`EIP155:8453/ERC1155:${NFT}/42`).type, 'erc1155');
+    assert.deepStrictEqual(parseAvatarUri('ipfs://QmImage'), { type: 'ipfs', uri: 'ipfs://QmImage' });
+    assert.deepStrictEqual(parseAvatarUri('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o'), {
+      type: 'ipfs', uri: 'ipfs://QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o',
+    });
+    assert.strictEqual(parseAvatarUri('data:image/png;base64,AAAA').type, 'data');
+    assert.strictEqual(parseAvatarUri('data:text/html,<script>'), null);
+    assert.strictEqual(parseAvatarUri('javascript:alert(1)'), null);
+    assert.strictEqual(parseAvatarUri(`eip155:1/erc20:${NFT}/1`), null);
+  });
+
+  it('maps ipfs, ipns and ar URIs to gateway URLs', () => {
+    assert.strictEqual(toGatewayUrl('ipfs://QmImage/7.png'), 'https://ipfs.io/ipfs/QmImage/7.png');
+    assert.strictEqual(toGatewayUrl('ipfs://ipfs/QmImage'), 'https://ipfs.io/ipfs/QmImage');
+    assert.strictEqual(toGatewayUrl('ipns://name.eth', { ipfsGateway: 'https://gw.example/' }), 'https://gw.example/ipns/name.eth');
+    assert.strictEqual(toGatewayUrl('ar://tx-42'), 'https://arweave.net/tx-42');
+    assert.strictEqual(toGatewayUrl('https://example.com/a.png'), 'https://example.com/a.png');
+    assert.throws(() => toGatewayUrl('ftp://example.com/a.png'), { code: 'AVATAR_INVALID_URI' });
+  });
+
+  it('verifies ERC-721 ownership and reads the image from token metadata', async () => {
+    const avatars = service();
+    const owned = await avatars.resolve(`eip155:1/erc721:${NFT}/7`, { owner: ADDR_A });
+    assert.strictEqual(owned.url, 'https://ipfs.io/ipfs/QmImage/7.png');
+    assert.strictEqual(owned.nft.verified, true);
+    assert.strictEqual(owned.nft.metadataUrl, `${server.origin}/meta/7.json`);
+
+    const stolen = await avatars.resolve(`eip155:1/erc721:${NFT}/7`, { owner: ADDR_B });
+    assert.strictEqual(stolen.url, null);
+    assert.strictEqual(stolen.nft.verified, false);
+    assert.match(stolen.error, /owned by/);
+
+    const otherChain = await avatars.resolve(`eip155:10/erc721:${NFT}/7`, { owner: ADDR_A });
+    assert.strictEqual(otherChain.url, null);
+    assert.match(otherChain.error, /No RPC configured for chain 10/);
+  });
+
+  it('verifies ERC-1155 balances and substitutes {id}', async () => {
+    const avatars = service();
+    const held = await avatars.resolve(`eip155:1/erc1155:${NFT}/42`, { owner: ADDR_A });
+    assert.strictEqual(held.url, 'https://arweave.net/tx-42');
+    const empty = await avatars.resolve(`eip155:1/erc1155:${NFT}/42`, { owner: ADDR_B });
+    assert.strictEqual(empty.url, null);
+    assert.strictEqual(empty.nft.verified, false);
+  });
+
+  it('sniffs image types from bytes', () => {
+    assert.strictEqual(sniffImageType(PNG), 'image/png');
+    assert.strictEqual(sniffImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assert.strictEqual(sniffImageType(Buffer.from('GIF89a....')), 'image/gif');
+    assert.strictEqual(sniffImageType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1')), 'image/webp');
+    assert.strictEqual(sniffImageType(Buffer.from(SVG)), 'image/svg+xml');
+    assert.strictEqual(sniffImageType(Buffer.from('<html><svg></svg></html>')), null);
+  });
+
+  it('sanitises SVG scripts, handlers and external references', () => {
+    const clean = sanitizeSvg(SVG);
+    assert.ok(!/script|onload|tracker\.example/.test(clean));
+    assert.ok(clean.includes('<use href="#dot"/>'));
+    assert.ok(clean.includes('<circle id="dot" r="4"/>'));
+    assert.ok(!sanitizeSvg('<svg><rect style="fill:url(https://x.example/a)"/></svg>').includes('x.example'));
+  });
+
+  it('sanitises handlers after "/" and unquoted hrefs', () => {
+    const clean = sanitizeSvg('<svg/onload=alert(1)><a href=javascript:alert(1)>x</a><rect x="1"onclick="alert(2)"/></svg>');
+    assert.ok(!/onload|onclick|javascript|alert/.test(clean), clean);
+    assert.ok(sanitizeSvg('<svg><use href=#dot /></svg>').includes('href=#dot'));
+  });
+
+  it('fetches images with type sniffing, size limits and redirects', async () => {
+    const avatars = service({ maxBytes: 1024 });
+    assert.deepStrictEqual(await avatars.fetchImage(`${server.origin}/img.png`), { contentType: 'image/png', body: PNG });
+    assert.strictEqual((await avatars.fetchImage(`${server.origin}/redirect`)).contentType, 'image/png');
+
+    const svg = await avatars.fetchImage(`${server.origin}/img.svg`);
+    assert.strictEqual(svg.contentType, 'image/svg+xml');
+    assert.ok(!svg.body.toString().includes('<script'));
+
+    await assert.rejects(avatars.fetchImage(`${server.origin}/big.png`), { code: 'AVATAR_TOO_LARGE' });
+    await assert.rejects(avatars.fetchImage(`${server.origin}/page.html`), { code: 'AVATAR_UNSUPPORTED_TYPE' });
+    await assert.rejects(avatars.fetchImage(`${server.origin}/missing.png`), { code: 'AVATAR_FETCH_FAILED' });
+    const inline = await avatars.fetchImage(`data:image/png;base64,${PNG.toString('base64')}`);
+    assert.strictEqual(inline.contentType, 'image/png');
+  });
+
+  it('releases responses it does not read', async () => {
+    const avatars = service({ maxBytes: 1024 });
+    assert.strictEqual((await avatars.fetchImage(`${server.origin}/held/redirect`)).contentType, 'image/png');
+    await assert.rejects(avatars.fetchImage(`${server.origin}/held/missing.png`), { code: 'AVATAR_FETCH_FAILED' });
+    await assert.rejects(avatars.fetchImage(`${server.origin}/held/big.png`), { code: 'AVATAR_TOO_LARGE' });
+    for (let i = 0; i < 50 && server.released.length < 3; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.deepStrictEqual(server.released.sort(), ['/held/big.png', '/held/missing.png', '/held/redirect']);
+  });
+
+  it('refuses private and local hosts', async () => {
+    const avatars = createAvatarService();
+    await assert.rejects(avatars.fetchImage(`${server.origin}/img.png`), { code: 'AVATAR_BLOCKED_HOST' });
+    await assert.rejects(avatars.fetchImage('http://localhost/img.png'), { code: 'AVATAR_BLOCKED_HOST' });
+    for (const ip of [
+      '127.0.0.1', '10.1.2.3', '192.168.1.1', '169.254.169.254', '198.18.0.1', '198.19.255.255', '224.0.0.251',
+      '255.255.255.255', '::1', 'fd00::1', '::ffff:10.0.0.1', '64:ff9b::a00:1',
+    ]) {
+      assert.ok(isPrivateAddress(ip), ip);
+    }
+    assert.ok(!isPrivateAddress('93.184.216.34'));
+  });
+
+  it('checks the address the socket connects to, not an earlier lookup', async () => {
+    // Rebinding DNS: the answers differ per lookup. The host must be resolved
+    // once, by the connection itself, and a private answer there is refused
+    const originalLookup = dns.lookup;
+    let lookups = 0;
+    dns.lookup = (hostname, options, callback) => {
+      lookups++;
+      const address = lookups === 1 ? '127.0.0.1' : '93.184.216.34';
+      callback(null, options.all ? [{ address, family: 4 }] : address, 4);
+    };
+    try {
+      const port = server.http.address().port;
+      await assert.rejects(createAvatarService().fetchImage(`http://rebind.example:${port}/img.png`), { code: 'AVATAR_BLOCKED_HOST' });
+      assert.strictEqual(lookups, 1);
+    } finally {
+      dns.lookup = originalLookup;
+    }
+  });
+
+  it('GET /api/ens/avatar/:name resolves and /image proxies a sanitised SVG', async () => {
+    const svg = `data:image/svg+xml;base64,${Buffer.from(SVG).toString('base64')}`;
+    const original = testProvider.getResolver;
+    testProvider.getResolver = async (name) => (name === 'svgavatar.eth'
+      ? { address: '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63', getText: async (key) => (key === 'avatar' ? svg : null) }
+      : original(name));
+    try {
+      const meta = await request(app).get('/api/ens/avatar/svgavatar.eth');
+      assert.strictEqual(meta.status, 200);
+      assert.strictEqual(meta.body.type, 'data');
+      assert.strictEqual(meta.body.image, '/api/ens/avatar/svgavatar.eth/image');
+
+      const res = await request(app).get('/api/ens/avatar/svgavatar.eth/image').buffer(true).parse((r, cb) => {
+        const chunks = [];
+        r.on('data', (c) => chunks.push(c));
+        r.on('end', () => cb(null, Buffer.concat(chunks)));
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers['content-type'], 'image/svg+xml');
+      assert.match(res.headers['content-security-policy'], /default-src 'none'/);
+      assert.strictEqual(res.headers['x-content-type-options'], 'nosniff');
+      assert.ok(!res.body.toString().includes('<script'));
+    } finally {
+      testProvider.getResolver = original;
+    }
+  });
+
+  it('GET /api/ens/avatar/:name/image is 404 without an avatar', async () => {
+    const res = await request(app).get('/api/ens/avatar/notfound.eth/image');
+    assert.strictEqual(res.status, 404);
+  });
+});
+
+// ====================================================================
+// Contenthash decoding (lib/contenthash.js)
+// ====================================================================
+
+const { decodeContenthash, encodeContenthash, parseGateways, DEFAULT_GATEWAYS } = require('../lib/contenthash');
+
+describe('Contenthash decoding', () => {
+  // ENSIP-7 example
+  const IPFS_RAW = '0xe3010170122029f2d17be6139079dc48696d1f582a8530eb9805b561eda517e22a892c7e3f1f';
+  const IPFS_V0 = 'QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4';
+  const IPFS_V1 = 'bafybeibj6lixxzqtsb45ysdjnupvqkufgdvzqbnvmhw2kf7cfkesy7r7d4';
+  const SWARM_REF = 'd1de9994b4d039f6548d191eb26786769f580809256b4685ef316805265ea162';
+  const ONION3 = 'p53lf57qovyuvwsc6xnrppyply3vtqm7l6pcobkmyqsiofyeznfu5uqd';
+  const hex = (text) => Buffer.from(text).toString('hex');
+
+  it('decodes IPFS hashes into CIDv0 / CIDv1 and gateway URLs', () => {
+    const decoded = decodeContenthash(IPFS_RAW, { name: 'vitalik.eth' });
+    assert.strictEqual(decoded.protocol, 'ipfs');
+    assert.strictEqual(decoded.uri, `ipfs://${IPFS_V0}`);
+    assert.deepStrictEqual(decoded.cid, { v0: IPFS_V0, v1: IPFS_V1, codec: 'dag-pb', multihash: 'sha2-256' });
+    assert.deepStrictEqual(decoded.gateways, [
+      'https://vitalik.eth.limo',
+      `https://${IPFS_V1}.ipfs.dweb.link`,
+      `https://ipfs.io/ipfs/${IPFS_V1}`,
+    ]);
+    // eth.limo only serves .eth names
+    assert.ok(!decodeContenthash(IPFS_RAW, { name: 'example.xyz' }).gateways.some((u) => u.includes('limo')));
+  });
+
+  it('decodes IPNS keys (base36) and DNSLink names', () => {
+    const key = decodeContenthash(`0xe5010172002408011220${'11'.repeat(32)}`);
+    assert.strictEqual(key.protocol, 'ipns');
+    assert.strictEqual(key.cid.codec, 'libp2p-key');
+    assert.ok(key.cid.v1.startsWith('k51'));
+    assert.strictEqual(key.cid.v0, null);
+
+    const dnslink = decodeContenthash(`0xe5010170000f${hex('app.uniswap.org')}`);
+    assert.strictEqual(dnslink.uri, 'ipns://app.uniswap.org');
+    assert.strictEqual(dnslink.cid, null);
+    assert.deepStrictEqual(dnslink.gateways, ['https://ipfs.io/ipns/app.uniswap.org']);
+  });
+
+  it('decodes Swarm, onion and Arweave hashes', () => {
+    const swarm = decodeContenthash(`0xe40101fa011b20${SWARM_REF}`);
+    assert.strictEqual(swarm.uri, `bzz://${SWARM_REF}`);
+    assert.deepStrictEqual(swarm.gateways, [`https://api.gateway.ethswarm.org/bzz/${SWARM_REF}/`]);
+
+    const onion = decodeContenthash(`0xbd03${hex(ONION3)}`, { name: 'hidden.eth' });
+    assert.strictEqual(onion.protocol, 'onion3');
+    assert.strictEqual(onion.uri, `onion3://${ONION3}`);
+    assert.deepStrictEqual(onion.gateways, [`http://${ONION3}.onion`]);
+
+    const txid = Buffer.alloc(32, 7).toString('base64url');
+    const arweave = decodeContenthash(`0x90b2ca05${'07'.repeat(32)}`);
+    assert.strictEqual(arweave.protocol, 'arweave');
+    assert.strictEqual(arweave.uri, `ar://${txid}`);
+    assert.deepStrictEqual(arweave.gateways, [`https://arweave.net/${txid}`]);
+  });
+
+  it('round-trips ethers-style URIs to raw bytes', () => {
+    assert.strictEqual(encodeContenthash(`ipfs://${IPFS_V0}`), IPFS_RAW);
+    assert.strictEqual(encodeContenthash(`ipfs://${IPFS_V1}`), IPFS_RAW);
+    assert.strictEqual(encodeContenthash(`bzz://${SWARM_REF}`), `0xe40101fa011b20${SWARM_REF}`);
+    assert.strictEqual(decodeContenthash(`ipfs://${IPFS_V0}`).raw, IPFS_RAW);
+  });
+
+  it('reports malformed and unsupported hashes', () => {
+    assert.throws(() => decodeContenthash('0xe30101701220aa'), { code: 'CONTENTHASH_INVALID', message: /digest is 1 bytes, expected 32/ });
+    assert.throws(() => decodeContenthash('0xe30102'), { code: 'CONTENTHASH_INVALID', message: /CID version 2/ });
+    assert.throws(() => decodeContenthash(`0xbc03${hex('short')}`), { code: 'CONTENTHASH_INVALID', message: /16 base32 characters/ });
+    assert.throws(() => decodeContenthash('0x90b2ca050707'), { code: 'CONTENTHASH_INVALID' });
+    assert.throws(() => decodeContenthash('0x0801'), { code: 'CONTENTHASH_UNSUPPORTED' });
+    assert.throws(() => decodeContenthash('ftp://example.com'), { code: 'CONTENTHASH_INVALID' });
+  });
+
+  it('uses configurable gateway templates', () => {
+    assert.deepStrictEqual(parseGateways(''), DEFAULT_GATEWAYS);
+    const gateways = parseGateways('https://{name}.link, https://gw.example/ipfs/{ipfs}, https://static.example');
+    assert.deepStrictEqual(decodeContenthash(IPFS_RAW, { name: 'vitalik.eth', gateways }).gateways, [
+      'https://vitalik.eth.link',
+      `https://gw.example/ipfs/${IPFS_V1}`,
+    ]);
+  });
+
+  function withResolver(name, getContentHash, fn) {
+    const original = testProvider.getResolver;
+    testProvider.getResolver = async (n) => (n === name
+      ? { address: '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63', getContentHash, getText: async () => null }
+      : original(n));
+    return fn().finally(() => { testProvider.getResolver = original; });
+  }
+
+  // ethers' getContentHash() only decodes IPFS / IPNS / Swarm and reports other bytes like this
+  function unsupported(data) {
+    return async () => {
+      throw Object.assign(new Error('invalid or unsupported content hash data'), { code: 'UNSUPPORTED_OPERATION', info: { data } });
+    };
+  }
+
+  it('GET /api/ens/contenthash/:name returns the decoded contenthash', async () => {
+    const res = await request(app).get('/api/ens/contenthash/vitalik.eth');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.contenthash, `ipfs://${IPFS_V0}`);
+    assert.strictEqual(res.body.protocol, 'ipfs');
+    assert.strictEqual(res.body.raw, IPFS_RAW);
+    assert.strictEqual(res.body.cid.v1, IPFS_V1);
+    assert.ok(res.body.gateways.includes('https://vitalik.eth.limo'));
+  });
+
+  it('decodes protocols ethers does not (onion3 via the raw bytes)', async () => {
+    await withResolver('onionsite.eth', unsupported(`0xbd03${hex(ONION3)}`), async () => {
+      const res = await request(app).get('/api/ens/contenthash/onionsite.eth');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.protocol, 'onion3');
+      assert.strictEqual(res.body.value, ONION3);
+    });
+  });
+
+  it('answers 422 for a malformed contenthash and flags it on /records', async () => {
+    await withResolver('badhash.eth', unsupported('0xe30101701220aa'), async () => {
+      const res = await request(app).get('/api/ens/contenthash/badhash.eth');
+      assert.strictEqual(res.status, 422);
+      assert.strictEqual(res.body.code, 'CONTENTHASH_INVALID');
+      assert.strictEqual(res.body.raw, '0xe30101701220aa');
+
+      const records = await request(app).get('/api/ens/records/badhash.eth');
+      assert.strictEqual(records.status, 200);
+      assert.strictEqual(records.body.contenthash, null);
+      assert.strictEqual(records.body.contenthashDecoded.code, 'CONTENTHASH_INVALID');
+    });
+  });
+
+  it('GET /api/ens/records/:name includes the decoded contenthash', async () => {
+    const res = await request(app).get('/api/ens/records/vitalik.eth');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.contenthash, `ipfs://${IPFS_V0}`);
+    assert.strictEqual(res.body.contenthashDecoded.protocol, 'ipfs');
+    assert.strictEqual(res.body.contenthashDecoded.cid.v0, IPFS_V0);
+    assert.ok(res.body.contenthashDecoded.gateways.includes('https://vitalik.eth.limo'));
+  });
+});
+
+// ====================================================================
+// Multi-key text records and key discovery (lib/textkeys.js)
+// ====================================================================
+
+const { validateTextKey, parseTextKeys } = require('../lib/ens');
+const { discoverTextKeys, textChangedInterface, DEFAULT_BLOCKS, DEFAULT_CHUNK_SIZE } = require('../lib/textkeys');
+
+describe('Text keys', () => {
+  const RESOLVER = '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63';
+  const [OLD_EVENT, NEW_EVENT] = textChangedInterface.fragments;
+
+  function textChangedLog(name, key, value) {
+    const args = value === undefined ? [ethers.namehash(name), key, key] : [ethers.namehash(name), key, key, value];
+    return { address: RESOLVER, ...textChangedInterface.encodeEventLog(value === undefined ? OLD_EVENT : NEW_EVENT, args) };
+  }
+
+  // Logs by block number; getLogs records the ranges it was asked for
+  function logProvider(name, logsByBlock, head = 120) {
+    const ranges = [];
+    return {
+      ranges,
+      getBlockNumber: async () => head,
+      getLogs: async (filter) => {
+        assert.strictEqual(filter.address, RESOLVER);
+        assert.strictEqual(filter.topics[0].length, 2);
+        assert.strictEqual(filter.topics[1], ethers.namehash(name));
+        ranges.push([filter.fromBlock, filter.toBlock]);
+        return Object.entries(logsByBlock)
+          .filter(([block]) => block >= filter.fromBlock && block <= filter.toBlock)
+          .flatMap(([, logs]) => logs);
+      },
+    };
+  }
+
+  it('validates text keys', () => {
+    assert.strictEqual(validateTextKey('org.farcaster').valid, true);
+    assert.strictEqual(validateTextKey('').valid, false);
+    assert.strictEqual(validateTextKey('has space').valid, false);
+    assert.strictEqual(validateTextKey('bell\u0007').valid, false);
+    assert.strictEqual(validateTextKey('k'.repeat(257)).valid, false);
+  });
+
+  it('parses, de-duplicates and limits ?keys=', () => {
+    assert.deepStrictEqual(parseTextKeys(' url, com.github ,url,,org.farcaster').keys, ['url', 'com.github', 'org.farcaster']);
+    assert.match(parseTextKeys('a,b,c', 2).error, /at most 2/);
+    assert.match(parseTextKeys(',,').error, /at least one/);
+    assert.strictEqual(parseTextKeys(['a', 'b']).valid, false);
+    assert.strictEqual(parseTextKeys('url,bad key').valid, false);
+  });
+
+  it('discovers keys from both TextChanged layouts, chunked over the block range', async () => {
+    const provider = logProvider('keys.eth', {
+      30: [textChangedLog('keys.eth', 'org.farcaster')],
+      75: [textChangedLog('keys.eth', 'xyz.lens', 'lensfan'), textChangedLog('keys.eth', 'org.farcaster', 'again')],
+      110: [{ address: RESOLVER, topics: [NEW_EVENT.topicHash, ethers.namehash('keys.eth')], data: '0x' }],
+    });
+    const found = await discoverTextKeys(provider, { resolver: RESOLVER, name: 'keys.eth', blocks: 100, chunkSize: 50 });
+    assert.deepStrictEqual(found, { keys: ['org.farcaster', 'xyz.lens'], fromBlock: 21, toBlock: 120 });
+    assert.deepStrictEqual(provider.ranges, [[21, 70], [71, 120]]);
+  });
+
+  it('scans a bounded window in provider-safe chunks by default', async () => {
+    const provider = logProvider('keys.eth', {}, 20_000_000);
+    const found = await discoverTextKeys(provider, { resolver: RESOLVER, name: 'keys.eth' });
+    assert.strictEqual(found.toBlock - found.fromBlock + 1, DEFAULT_BLOCKS);
+    assert.ok(DEFAULT_CHUNK_SIZE <= 10_000);
+    assert.strictEqual(provider.ranges.length, 5);
+    assert.ok(provider.ranges.every(([from, to]) => to - from + 1 <= DEFAULT_CHUNK_SIZE));
+  });
+
+  it('starts at block 0 on short chains', async () => {
+    const provider = logProvider('keys.eth', {}, 10);
+    const found = await discoverTextKeys(provider, { resolver: RESOLVER, name: 'keys.eth', blocks: 100, chunkSize: 50 });
+    assert.deepStrictEqual([found.fromBlock, found.toBlock], [0, 10]);
+    assert.deepStrictEqual(provider.ranges, [[0, 10]]);
+  });
+
+  it('GET /api/ens/text/:name?keys= returns set keys and lists missing ones', async () => {
+    const res = await request(app).get('/api/ens/text/vitalik.eth?keys=url,com.github,org.farcaster');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.keys, ['url', 'com.github', 'org.farcaster']);
+    assert.deepStrictEqual(res.body.records, { url: 'https://vitalik.ca/', 'com.github': 'vbuterin' });
+    assert.deepStrictEqual(res.body.missing, ['org.farcaster']);
+    assert.strictEqual(res.body.discovery, null);
+  });
+
+  it('GET /api/ens/text/:name rejects too many or invalid keys', async () => {
+    const many = Array.from({ length: 51 }, (_, i) => `key${i}`).join(',');
+    assert.strictEqual((await request(app).get(`/api/ens/text/vitalik.eth?keys=${many}`)).status, 400);
+    assert.strictEqual((await request(app).get('/api/ens/text/vitalik.eth?keys=url,bad%20key')).status, 400);
+    assert.strictEqual((await request(app).get('/api/ens/text/vitalik.eth/bad%20key')).status, 400);
+  });
+
+  it('GET /api/ens/text/:name without keys discovers them; /records?discover=true includes them', async () => {
+    const texts = { url: 'https://keys.example', 'org.farcaster': 'keysfan', 'xyz.lens': 'keys.lens' };
+    const logs = logProvider('keys.eth', {
+      100: [textChangedLog('keys.eth', 'org.farcaster', 'keysfan'), textChangedLog('keys.eth', 'url', 'https://keys.example')],
+      110: [textChangedLog('keys.eth', 'xyz.lens', 'keys.lens'), textChangedLog('keys.eth', 'cleared.key', '')],
+    });
+    const original = { getResolver: testProvider.getResolver, getBlockNumber: testProvider.getBlockNumber, getLogs: testProvider.getLogs };
+    Object.assign(testProvider, {
+      getResolver: async (name) => (name === 'keys.eth'
+        ? { address: RESOLVER, getText: async (key) => texts[key] || null, getContentHash: async () => null }
+        : original.getResolver(name)),
+      getBlockNumber: logs.getBlockNumber,
+      getLogs: logs.getLogs,
+    });
+    try {
+      const res = await request(app).get('/api/ens/text/keys.eth');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.keys, ['org.farcaster', 'url', 'xyz.lens', 'cleared.key']);
+      assert.deepStrictEqual(res.body.records, texts);
+      assert.deepStrictEqual(res.body.missing, ['cleared.key']);
+      assert.strictEqual(res.body.discovery.toBlock, 120);
+      assert.strictEqual(res.body.discovery.truncated, false);
+
+      const both = await request(app).get('/api/ens/text/keys.eth?keys=description,url&discover=true');
+      assert.deepStrictEqual(both.body.keys, ['description', 'url', 'org.farcaster', 'xyz.lens', 'cleared.key']);
+
+      const records = await request(app).get('/api/ens/records/keys.eth?discover=true');
+      assert.strictEqual(records.status, 200);
+      assert.strictEqual(records.body.textRecords['org.farcaster'], 'keysfan');
+      assert.strictEqual(records.body.textRecords['xyz.lens'], 'keys.lens');
+      assert.ok(records.body.discoveredKeys.includes('org.farcaster'));
+
+      const plain = await request(app).get('/api/ens/records/keys.eth');
+      assert.strictEqual(plain.body.discoveredKeys, undefined);
+      assert.strictEqual(plain.body.textRecords['org.farcaster'], undefined);
+    } finally {
+      Object.assign(testProvider, original);
+    }
+  });
+});
+
+// ====================================================================
+// Name ownership, registration and expiry (lib/ownership.js)
+// ====================================================================
+
+const {
+  readOwnership,
+  describeOwnership,
+  decodeFuses,
+  registrarInterface,
+  nameWrapperInterface,
+  FUSES,
+  BASE_REGISTRAR_ADDRESS,
+  NAME_WRAPPER_ADDRESS,
+} = require('../lib/ownership');
+
+describe('Ownership', () => {
+  const NOW = Date.parse('2026-01-01T00:00:00Z');
+  const DAY = 24 * 60 * 60;
+  const nowSeconds = NOW / 1000;
+
+  // Chain state per name: { registryOwner, expiry, registrant, wrapper: { owner, fuses, expiry } }
+  function ownershipProvider(names) {
+    const counts = { call: 0 };
+    const byNode = new Map(Object.keys(names).map((n) => [ethers.namehash(n), n]));
+    const byLabel = new Map(Object.keys(names).map((n) => [BigInt(ethers.id(n.split('.')[0])), n]));
+
+    function execute({ target, callData }) {
+      if (target === ENS_REGISTRY_ADDRESS) {
+        const tx = registryInterface.parseTransaction({ data: callData });
+        return registryInterface.encodeFunctionResult('owner', [names[byNode.get(tx.args[0])]?.registryOwner || ethers.ZeroAddress]);
+      }
+      if (target === NAME_WRAPPER_ADDRESS) {
+        const tx = nameWrapperInterface.parseTransaction({ data: callData });
+        const w = names[byNode.get(ethers.toBeHex(tx.args[0], 32))]?.wrapper || { owner: ethers.ZeroAddress, fuses: 0, expiry: 0 };
+        return nameWrapperInterface.encodeFunctionResult('getData', [w.owner, w.fuses, w.expiry]);
+      }
+      assert.strictEqual(target, BASE_REGISTRAR_ADDRESS);
+      const tx = registrarInterface.parseTransaction({ data: callData });
+      const state = names[byLabel.get(tx.args[0])] || {};
+      if (tx.name === 'nameExpires') return registrarInterface.encodeFunctionResult('nameExpires', [state.expiry || 0]);
+      // BaseRegistrar.ownerOf reverts for expired names
+      if (!state.expiry || state.expiry <= nowSeconds) throw new Error('revert');
+      return registrarInterface.encodeFunctionResult('ownerOf', [state.registrant]);
+    }
+
+    return {
+      counts,
+      call: async (tx) => {
+        counts.call++;
+        assert.strictEqual(tx.to, MULTICALL3_ADDRESS);
+        const [calls] = multicallInterface.decodeFunctionData('aggregate3', tx.data);
+        const results = calls.map((c) => {
+          try {
+            return { success: true, returnData: execute(c) };
+          } catch {
+            return { success: false, returnData: '0x' };
+          }
+        });
+        return multicallInterface.encodeFunctionResult('aggregate3', [results]);
+      },
+    };
+  }
+
+  it('decodes NameWrapper fuses', () => {
+    assert.deepStrictEqual(decodeFuses(0), []);
+    assert.deepStrictEqual(
+      decodeFuses(FUSES.CANNOT_UNWRAP | FUSES.CANNOT_TRANSFER | FUSES.PARENT_CANNOT_CONTROL | FUSES.IS_DOT_ETH),
+      ['CANNOT_UNWRAP', 'CANNOT_TRANSFER', 'PARENT_CANNOT_CONTROL', 'IS_DOT_ETH']
+    );
+  });
+
+  it('reads registry, registrar and wrapper state in one eth_call', async () => {
+    const provider = ownershipProvider({
+      'alice.eth': { registryOwner: ADDR_A, expiry: nowSeconds + 3 * DAY, registrant: ADDR_A },
+      'wrapped.eth': {
+        registryOwner: NAME_WRAPPER_ADDRESS,
+        expiry: nowSeconds + 400 * DAY,
+        registrant: NAME_WRAPPER_ADDRESS,
+        wrapper: { owner: ADDR_B, fuses: FUSES.PARENT_CANNOT_CONTROL | FUSES.IS_DOT_ETH, expiry: nowSeconds + 490 * DAY },
+      },
+    });
+    assert.deepStrictEqual(await readOwnership(provider, 'alice.eth'), {
+      registryOwner: ADDR_A, registrar: { expiry: nowSeconds + 3 * DAY, registrant: ADDR_A }, wrapper: null,
+    });
+    const wrapped = await readOwnership(provider, 'wrapped.eth');
+    assert.strictEqual(wrapped.registrar.registrant, NAME_WRAPPER_ADDRESS);
+    assert.deepStrictEqual(wrapped.wrapper, { owner: ADDR_B, fuses: FUSES.PARENT_CANNOT_CONTROL | FUSES.IS_DOT_ETH, expiry: nowSeconds + 490 * DAY });
+    // Subnames and DNS names have no registrar entry
+    assert.strictEqual((await readOwnership(provider, 'sub.alice.eth')).registrar, null);
+    assert.strictEqual(provider.counts.call, 3);
+
+    await assert.rejects(readOwnership({ call: async () => '0x' }, 'alice.eth'), /Could not read the ENS registry/);
+  });
+
+  it('flags names expiring soon and owners that differ from the resolved address', () => {
+    const raw = { registryOwner: ADDR_A, registrar: { expiry: nowSeconds + 3 * DAY, registrant: ADDR_A }, wrapper: null };
+    const info = describeOwnership('alice.eth', raw, { now: NOW, resolvedAddress: ADDR_B });
+    assert.strictEqual(info.owner, ADDR_A);
+    assert.strictEqual(info.expiry.status, 'active');
+    assert.strictEqual(info.expiry.daysRemaining, 3);
+    assert.strictEqual(info.expiry.gracePeriodEndsAt, new Date((nowSeconds + 93 * DAY) * 1000).toISOString());
+    assert.deepStrictEqual(info.flags, { expiringSoon: true, inGracePeriod: false, expired: false, ownerMismatch: true });
+    assert.deepStrictEqual(info.warnings, ['alice.eth expires in 3 days', 'The owner of alice.eth is not the address it resolves to']);
+
+    const calm = describeOwnership('alice.eth', raw, { now: NOW, resolvedAddress: ADDR_A.toLowerCase(), warningDays: 2 });
+    assert.deepStrictEqual(calm.flags, { expiringSoon: false, inGracePeriod: false, expired: false, ownerMismatch: false });
+    assert.deepStrictEqual(calm.warnings, []);
+  });
+
+  it('reports the grace period, expiry and never-registered names', () => {
+    const grace = describeOwnership('late.eth', { registryOwner: ADDR_A, registrar: { expiry: nowSeconds - 10 * DAY, registrant: null }, wrapper: null }, { now: NOW });
+    assert.strictEqual(grace.expiry.status, 'grace');
+    assert.strictEqual(grace.flags.inGracePeriod, true);
+    assert.deepStrictEqual(grace.warnings, ['late.eth has expired; the grace period ends in 80 days']);
+    // ownerOf reverts once expired: the last registrant of an unwrapped name is unknown
+    assert.strictEqual(grace.owner, null);
+    assert.strictEqual(grace.registrant, null);
+
+    // The wrapper's expiry covers the grace period, so wrapped names keep their owner
+    const wrappedGrace = describeOwnership('late.eth', {
+      registryOwner: NAME_WRAPPER_ADDRESS,
+      registrar: { expiry: nowSeconds - 10 * DAY, registrant: null },
+      wrapper: { owner: ADDR_B, fuses: FUSES.PARENT_CANNOT_CONTROL | FUSES.IS_DOT_ETH, expiry: nowSeconds + 80 * DAY },
+    }, { now: NOW, resolvedAddress: ADDR_A });
+    assert.strictEqual(wrappedGrace.expiry.status, 'grace');
+    assert.strictEqual(wrappedGrace.owner, ADDR_B);
+    assert.strictEqual(wrappedGrace.flags.ownerMismatch, true);
+
+    const expired = describeOwnership('gone.eth', { registryOwner: ADDR_A, registrar: { expiry: nowSeconds - 100 * DAY, registrant: null }, wrapper: null }, { now: NOW });
+    assert.strictEqual(expired.expiry.status, 'expired');
+    assert.strictEqual(expired.owner, null);
+    assert.strictEqual(expired.flags.expired, true);
+
+    const fresh = describeOwnership('fresh.eth', { registryOwner: null, registrar: { expiry: 0, registrant: null }, wrapper: null }, { now: NOW });
+    assert.strictEqual(fresh.expiry.status, 'available');
+    assert.deepStrictEqual(fresh.warnings, ['fresh.eth is not registered']);
+  });
+
+  it('describes wrapped names: owner, fuses, lock state and subname expiry', () => {
+    const locked = describeOwnership('pay.alice.eth', {
+      registryOwner: NAME_WRAPPER_ADDRESS,
+      registrar: null,
+      wrapper: { owner: ADDR_B, fuses: FUSES.CANNOT_UNWRAP | FUSES.PARENT_CANNOT_CONTROL, expiry: nowSeconds + 100 * DAY },
+    }, { now: NOW });
+    assert.strictEqual(locked.owner, ADDR_B);
+    assert.strictEqual(locked.manager, NAME_WRAPPER_ADDRESS);
+    assert.strictEqual(locked.wrapped, true);
+    assert.strictEqual(locked.wrapper.state, 'locked');
+    assert.deepStrictEqual(locked.wrapper.fuseNames, ['CANNOT_UNWRAP', 'PARENT_CANNOT_CONTROL']);
+    assert.strictEqual(locked.expiry.status, 'active');
+    assert.strictEqual(locked.expiry.daysRemaining, 100);
+
+    // Without PARENT_CANNOT_CONTROL the parent still controls the subname: no expiry
+    const plain = describeOwnership('pay.alice.eth', {
+      registryOwner: NAME_WRAPPER_ADDRESS, registrar: null, wrapper: { owner: ADDR_B, fuses: 0, expiry: nowSeconds - DAY },
+    }, { now: NOW });
+    assert.strictEqual(plain.wrapper.state, 'wrapped');
+    assert.strictEqual(plain.expiry.status, 'none');
+
+    const unwrapped = describeOwnership('sub.alice.eth', { registryOwner: ADDR_A, registrar: null, wrapper: null }, { now: NOW });
+    assert.strictEqual(unwrapped.owner, ADDR_A);
+    assert.strictEqual(unwrapped.wrapped, false);
+    assert.strictEqual(unwrapped.expiry.status, 'none');
+  });
+
+  it('GET /api/ens/ownership/:name returns ownership with flags', async () => {
+    const VITALIK = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+    const provider = ownershipProvider({
+      'vitalik.eth': { registryOwner: VITALIK, expiry: Math.floor(Date.now() / 1000) + 5 * DAY, registrant: ADDR_B },
+    });
+    const original = testProvider.call;
+    // Universal Resolver lookups (address) keep the default mock
+    testProvider.call = (tx) => (tx.to === MULTICALL3_ADDRESS ? provider.call(tx) : original(tx));
+    try {
+      const res = await request(app).get('/api/ens/ownership/vitalik.eth');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.success, true);
+      assert.strictEqual(res.body.owner, ADDR_B);
+      assert.strictEqual(res.body.manager, VITALIK);
+      assert.strictEqual(res.body.resolvedAddress, VITALIK);
+      assert.strictEqual(res.body.expiry.status, 'active');
+      assert.strictEqual(res.body.flags.expiringSoon, true);
+      assert.strictEqual(res.body.flags.ownerMismatch, true);
+
+      const missing = await request(app).get('/api/ens/ownership/unregistered-name.eth');
+      assert.strictEqual(missing.status, 404);
+    } finally {
+      testProvider.call = original;
+    }
+  });
+
+  it('GET /api/ens/ownership/invalid returns 400', async () => {
+    const res = await request(app).get('/api/ens/ownership/invalid');
+    assert.strictEqual(res.status, 400);
+  });
+});
+
+// ====================================================================
+// Verified primary names, strict mode and ENSIP-19 (lib/primary.js)
+// ====================================================================
+
+const {
+  readReverseName,
+  readDefaultReverseName,
+  readL2ReverseName,
+  verifyPrimaryName,
+  reverseRegistrarsFromEnv,
+  nameResolverInterface,
+  l2ReverseRegistrarInterface,
+  L2_REVERSE_REGISTRAR_ADDRESS,
+  REASONS,
+} = require('../lib/primary');
+
+const REVERSE_RESOLVER = '0xA2C122BE93b0074270ebeE7f6b7292C7deB45047';
+const DEFAULT_REVERSE_RESOLVER = '0xde7a000000000000000000000000000000000001';
+
+// Mainnet reverse records of testProvider: <addr>.addr.reverse and the ENSIP-19
+// default primary name (<addr>.default.reverse), by lowercased address
+const MAINNET_REVERSE_RECORDS = {
+  addr: new Map([[ADDR_A.toLowerCase(), 'vitalik.eth']]),
+  default: new Map([[ADDR_A.toLowerCase(), 'vitalik.eth']]),
+};
+
+/**
+ * Answer an eth_call the way the ENS contracts do for `records`: the registry
+ * points addr.reverse nodes at a reverse resolver and default.reverse at a
+ * wildcard (ENSIP-10) resolver. Other calls get '0x'.
+ */
+function reverseRecordCall(records, tx) {
+  const byNode = (kind) => new Map([...records[kind]].map(([addr, name]) => [ethers.namehash(`${addr.slice(2)}.${kind}.reverse`), name]));
+  if (tx.to === ENS_REGISTRY_ADDRESS) {
+    const { args } = registryInterface.parseTransaction({ data: tx.data });
+    let resolver = ethers.ZeroAddress;
+    if (args[0] === ethers.namehash('default.reverse')) resolver = DEFAULT_REVERSE_RESOLVER;
+    else if (byNode('addr').has(args[0])) resolver = REVERSE_RESOLVER;
+    return registryInterface.encodeFunctionResult('resolver', [resolver]);
+  }
+  if (tx.to === REVERSE_RESOLVER) {
+    const { args } = nameResolverInterface.parseTransaction({ data: tx.data });
+    return nameResolverInterface.encodeFunctionResult('name', [byNode('addr').get(args[0]) || '']);
+  }
+  if (tx.to === DEFAULT_REVERSE_RESOLVER) {
+    const [, data] = extendedResolverInterface.decodeFunctionData('resolve', tx.data);
+    const { args } = nameResolverInterface.parseTransaction({ data });
+    const name = nameResolverInterface.encodeFunctionResult('name', [byNode('default').get(args[0]) || '']);
+    return extendedResolverInterface.encodeFunctionResult('resolve', [name]);
+  }
+  return '0x';
+}
+
+describe('Primary names', () => {
+  // Reverse records: { [address]: name } under addr.reverse, `defaults` under default.reverse
+  function reverseProvider(records, extra = {}, defaults = {}) {
+    const lower = (entries) => new Map(Object.entries(entries).map(([addr, name]) => [addr.toLowerCase(), name]));
+    const all = { addr: lower(records), default: lower(defaults) };
+    return {
+      call: async (tx) => {
+        assert.ok([ENS_REGISTRY_ADDRESS, REVERSE_RESOLVER, DEFAULT_REVERSE_RESOLVER].includes(tx.to));
+        return reverseRecordCall(all, tx);
+      },
+      ...extra,
+    };
+  }
+
+  // L2 reverse registrar: { [address]: name }
+  function l2Provider(records) {
+    const calls = [];
+    return {
+      calls,
+      call: async (tx) => {
+        calls.push(tx);
+        const { args } = l2ReverseRegistrarInterface.parseTransaction({ data: tx.data });
+        return l2ReverseRegistrarInterface.encodeFunctionResult('nameForAddr', [records[args[0]] || '']);
+      },
+    };
+  }
+
+  it('reads raw mainnet reverse records', async () => {
+    const provider = reverseProvider({ [ADDR_A]: 'Vitalik.eth' });
+    // Stored as is: no normalization, no forward check
+    assert.strictEqual(await readReverseName(provider, ADDR_A.toLowerCase()), 'Vitalik.eth');
+    assert.strictEqual(await readReverseName(provider, ADDR_B), null);
+    await assert.rejects(readReverseName({ call: async () => '0x' }, ADDR_A), { code: 'BAD_DATA' });
+  });
+
+  it('reads ENSIP-19 default primary names through the default.reverse resolver', async () => {
+    const provider = reverseProvider({ [ADDR_A]: 'addr-only.eth' }, {}, { [ADDR_A]: 'vitalik.eth' });
+    assert.strictEqual(await readDefaultReverseName(provider, ADDR_A), 'vitalik.eth');
+    assert.strictEqual(await readDefaultReverseName(provider, ADDR_B), null);
+    // No resolver on default.reverse
+    const empty = { call: async () => registryInterface.encodeFunctionResult('resolver', [ethers.ZeroAddress]) };
+    assert.strictEqual(await readDefaultReverseName(empty, ADDR_A), null);
+  });
+
+  it('reads ENSIP-19 L2 reverse records and treats missing registrars as empty', async () => {
+    const provider = l2Provider({ [BASE_ADDR]: 'vitalik.eth' });
+    assert.strictEqual(await readL2ReverseName(provider, L2_REVERSE_REGISTRAR_ADDRESS, BASE_ADDR), 'vitalik.eth');
+    assert.strictEqual(provider.calls[0].to, L2_REVERSE_REGISTRAR_ADDRESS);
+    assert.strictEqual(await readL2ReverseName(provider, L2_REVERSE_REGISTRAR_ADDRESS, ADDR_B), null);
+    assert.strictEqual(await readL2ReverseName({ call: async () => '0x' }, L2_REVERSE_REGISTRAR_ADDRESS, ADDR_B), null);
+    await assert.rejects(
+      readL2ReverseName({ call: async () => { throw new Error('network down'); } }, L2_REVERSE_REGISTRAR_ADDRESS, ADDR_B),
+      /network down/,
+    );
+  });
+
+  it('gives a reason for each outcome', async () => {
+    const forward = async (name) => (name === 'vitalik.eth' ? ADDR_A : null);
+    assert.deepStrictEqual(await verifyPrimaryName('vitalik.eth', ADDR_A.toLowerCase(), forward),
+      { name: 'vitalik.eth', verified: true, reason: REASONS.VERIFIED });
+    assert.deepStrictEqual(await verifyPrimaryName('vitalik.eth', ADDR_B, forward),
+      { name: 'vitalik.eth', verified: false, reason: REASONS.MISMATCH });
+    assert.strictEqual((await verifyPrimaryName('nobody.eth', ADDR_B, forward)).reason, REASONS.MISMATCH);
+
+    // Unnormalized names are never forward-resolved
+    let resolved = 0;
+    const counting = async (name) => { resolved++; return forward(name); };
+    assert.strictEqual((await verifyPrimaryName('Vitalik.eth', ADDR_A, counting)).reason, REASONS.NORMALIZATION_FAILED);
+    assert.strictEqual((await verifyPrimaryName('vit\u200Balik.eth', ADDR_A, counting)).reason, REASONS.NORMALIZATION_FAILED);
+    assert.strictEqual(resolved, 0);
+  });
+
+  it('reverseRegistrarsFromEnv covers the ENSIP-19 chains and accepts overrides', () => {
+    const defaults = reverseRegistrarsFromEnv({});
+    for (const chainId of [10, 8453, 42161]) assert.strictEqual(defaults.get(chainId), L2_REVERSE_REGISTRAR_ADDRESS);
+    assert.strictEqual(defaults.has(1), false);
+
+    const custom = reverseRegistrarsFromEnv({
+      L2_REVERSE_REGISTRAR_8453: ADDR_B.toLowerCase(),
+      L2_REVERSE_REGISTRAR_11155420: ADDR_B,
+      L2_REVERSE_REGISTRAR_10: 'not-an-address',
+    });
+    assert.strictEqual(custom.get(8453), ADDR_B);
+    assert.strictEqual(custom.get(11155420), ADDR_B);
+    assert.strictEqual(custom.get(10), L2_REVERSE_REGISTRAR_ADDRESS);
+  });
+
+  it('ensData.lookupName prefers the L2 record and falls back to the default primary name', async () => {
+    const mainnet = reverseProvider({ [ADDR_A]: 'vitalik.eth', [ADDR_B]: 'vitalik.eth' }, {
+      resolveName: async (name) => (name === 'vitalik.eth' ? ADDR_A : null),
+      getResolver: async () => ({ getAddress: async () => BASE_ADDR }),
+    }, { [ADDR_A]: 'vitalik.eth' });
+    const base = l2Provider({ [BASE_ADDR]: 'vitalik.eth' });
+    const ens = createEnsDataService({
+      provider: mainnet,
+      cache: new LayeredCache(),
+      getProvider: (chainId) => (chainId === 8453 ? base : chainId === 1 ? mainnet : null),
+      reverseRegistrars: reverseRegistrarsFromEnv({}),
+    });
+
+    assert.deepStrictEqual(await ens.lookupName(ADDR_A.toLowerCase()),
+      { name: 'vitalik.eth', verified: true, reason: REASONS.VERIFIED, source: 'mainnet' });
+    assert.deepStrictEqual(await ens.lookupName(ADDR_B.toLowerCase()),
+      { name: 'vitalik.eth', verified: false, reason: REASONS.MISMATCH, source: 'mainnet' });
+    assert.strictEqual(await ens.lookupName('0x0000000000000000000000000000000000000001'), null);
+
+    // Base: ENSIP-19 record verified against the ENSIP-11 Base address
+    assert.deepStrictEqual(await ens.lookupName(BASE_ADDR.toLowerCase(), 8453),
+      { name: 'vitalik.eth', verified: true, reason: REASONS.VERIFIED, source: 'l2' });
+    // No L2 record: the default primary name, checked against the Base address
+    assert.deepStrictEqual(await ens.lookupName(ADDR_A.toLowerCase(), 8453),
+      { name: 'vitalik.eth', verified: false, reason: REASONS.MISMATCH, source: 'default' });
+    // The mainnet-only addr.reverse record is not a fallback
+    assert.strictEqual(await ens.lookupName(ADDR_B.toLowerCase(), 8453), null);
+    // Chains without a provider only use the default name
+    assert.strictEqual((await ens.lookupName(ADDR_A.toLowerCase(), 10)).source, 'default');
+  });
+
+  it('GET /api/ens/reverse reports reasons and withholds unverified names in strict mode', async () => {
+    const verified = await request(app).get(`/api/ens/reverse/${ADDR_A}?strict=true`);
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.name, 'vitalik.eth');
+    assert.strictEqual(verified.body.reason, REASONS.VERIFIED);
+    assert.strictEqual(verified.body.strict, true);
+
+    const mismatch = await request(app).get(`/api/ens/reverse/${ADDR_A}?chainId=8453`);
+    assert.strictEqual(mismatch.status, 200);
+    assert.strictEqual(mismatch.body.reason, REASONS.MISMATCH);
+    assert.strictEqual(mismatch.body.source, 'default');
+    const strict = await request(app).get(`/api/ens/reverse/${ADDR_A}?chainId=8453&strict=true`);
+    assert.strictEqual(strict.status, 404);
+    assert.strictEqual(strict.body.reason, REASONS.MISMATCH);
+    assert.strictEqual(strict.body.name, undefined);
+
+    const none = await request(app).get('/api/ens/reverse/0x0000000000000000000000000000000000000002');
+    assert.strictEqual(none.status, 404);
+    assert.strictEqual(none.body.reason, REASONS.NO_REVERSE_RECORD);
+  });
+
+  it('GET /api/ens/reverse flags unnormalized primary names', async () => {
+    const SPOOF = '0x5900f00000000000000000000000000000000001';
+    MAINNET_REVERSE_RECORDS.addr.set(SPOOF, 'Vitalik.eth');
+    try {
+      const res = await request(app).get(`/api/ens/reverse/${SPOOF}`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.name, 'Vitalik.eth');
+      assert.strictEqual(res.body.verified, false);
+      assert.strictEqual(res.body.reason, REASONS.NORMALIZATION_FAILED);
+      const strict = await request(app).get(`/api/ens/reverse/${SPOOF}?strict=1`);
+      assert.strictEqual(strict.status, 404);
+      assert.strictEqual(strict.body.reason, REASONS.NORMALIZATION_FAILED);
+    } finally {
+      MAINNET_REVERSE_RECORDS.addr.delete(SPOOF);
+    }
+  });
+
+  it('GET /api/ens/reverse reads ENSIP-19 primary names on Base', async () => {
+    const L2_USER = ethers.getAddress('0xba5e000000000000000000000000000000000001');
+    const originalCall = baseProvider.call;
+    const originalResolver = testProvider.getResolver;
+    baseProvider.call = l2Provider({ [L2_USER]: 'l2user.eth' }).call;
+    testProvider.getResolver = async (name) => (name === 'l2user.eth'
+      ? { address: ethers.ZeroAddress, getAddress: async () => L2_USER }
+      : originalResolver(name));
+    try {
+      const res = await request(app).get(`/api/ens/reverse/${L2_USER}?chainId=8453&strict=true`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.name, 'l2user.eth');
+      assert.strictEqual(res.body.verified, true);
+      assert.strictEqual(res.body.reason, REASONS.VERIFIED);
+      assert.strictEqual(res.body.source, 'l2');
+    } finally {
+      baseProvider.call = originalCall;
+      testProvider.getResolver = originalResolver;
+    }
+  });
+
+  it('POST /api/ens/batch gives reasons and nulls unverified names in strict mode', async () => {
+    const unknown = '0x0000000000000000000000000000000000000003';
+    const res = await request(app).post('/api/ens/batch').send({ addresses: [ADDR_A, unknown], chainId: 8453, strict: true });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.strict, true);
+    assert.deepStrictEqual(res.body.results.addresses[ADDR_A],
+      { name: null, verified: false, reason: REASONS.MISMATCH, source: 'default' });
+    assert.deepStrictEqual(res.body.results.addresses[unknown],
+      { name: null, verified: false, reason: REASONS.NO_REVERSE_RECORD });
+
+    const lenient = await request(app).post('/api/ens/batch').send({ addresses: [ADDR_A], chainId: 8453 });
+    assert.strictEqual(lenient.body.strict, false);
+    assert.strictEqual(lenient.body.results.addresses[ADDR_A].name, 'vitalik.eth');
+    assert.strictEqual(lenient.body.results.addresses[ADDR_A].reason, REASONS.MISMATCH);
+  });
+});
+
+// ====================================================================
+// Graph traversal: multi-hop paths and risk exposure (lib/graph.js)
+// ====================================================================
+
+const { findPath, computeExposure } = require('../lib/graph');
+
+describe('Graph traversal', () => {
+  // a - b - c - d, b - e (undirected, like graph:neighbors:*)
+  const GRAPH = { a: ['b'], b: ['a', 'c', 'e'], c: ['b', 'd'], d: ['c'], e: ['b'], lone: [] };
+  const neighborsMany = async (nodes) => nodes.map((node) => GRAPH[node] || []);
+
+  it('findPath returns the shortest path within maxHops', async () => {
+    assert.deepStrictEqual(await findPath('a', 'd', { neighborsMany, maxHops: 3 }),
+      { path: ['a', 'b', 'c', 'd'], hops: 3, visited: 5, truncated: false });
+    assert.deepStrictEqual((await findPath('a', 'a', { neighborsMany, maxHops: 1 })).path, ['a']);
+    const tooFar = await findPath('a', 'd', { neighborsMany, maxHops: 2 });
+    assert.strictEqual(tooFar.path, null);
+    assert.strictEqual(tooFar.truncated, false);
+    assert.strictEqual((await findPath('a', 'lone', { neighborsMany, maxHops: 6 })).path, null);
+  });
+
+  it('findPath stops at the node cap', async () => {
+    const result = await findPath('a', 'd', { neighborsMany, maxHops: 6, maxNodes: 3 });
+    assert.strictEqual(result.path, null);
+    assert.strictEqual(result.truncated, true);
+    assert.strictEqual(result.visited, 3);
+  });
+
+  it('computeExposure decays per hop and combines flagged nodes', async () => {
+    const flags = { d: ['scamsniffer'], e: ['custom'] };
+    const flaggedSourcesMany = async (nodes) => nodes.map((node) => flags[node] || []);
+
+    const far = await computeExposure('a', { neighborsMany, flaggedSourcesMany, depth: 3 });
+    // e at 2 hops (0.25), d at 3 hops (0.125): 1 - 0.75 * 0.875
+    assert.strictEqual(far.score, 34);
+    assert.strictEqual(far.level, 'medium');
+    assert.deepStrictEqual(far.nearest, { address: 'e', hops: 2, sources: ['custom'], contribution: 0.25, path: ['a', 'b', 'e'] });
+    assert.deepStrictEqual(far.flagged.map((f) => f.address), ['e', 'd']);
+    assert.strictEqual(far.message, 'Address is 2 hops from a flagged address (custom)');
+
+    const near = await computeExposure('a', { neighborsMany, flaggedSourcesMany, depth: 1 });
+    assert.strictEqual(near.score, 0);
+    assert.strictEqual(near.nearest, null);
+    assert.strictEqual(near.message, null);
+
+    const self = await computeExposure('d', { neighborsMany, flaggedSourcesMany, depth: 1, decay: 0.8 });
+    assert.strictEqual(self.score, 100);
+    assert.strictEqual(self.nearest.hops, 0);
+
+    const capped = await computeExposure('a', { neighborsMany, flaggedSourcesMany, depth: 3, maxNodes: 2 });
+    assert.strictEqual(capped.truncated, true);
+    assert.strictEqual(capped.visited, 2);
+  });
+
+  it('reads neighbors and feed flags once per hop, for the whole frontier', async () => {
+    const calls = { neighbors: [], flags: [] };
+    const exposure = await computeExposure('a', {
+      neighborsMany: async (nodes) => { calls.neighbors.push(nodes); return neighborsMany(nodes); },
+      flaggedSourcesMany: async (nodes) => { calls.flags.push(nodes); return nodes.map(() => []); },
+      depth: 3,
+    });
+    assert.strictEqual(exposure.visited, 5);
+    assert.deepStrictEqual(calls.neighbors, [['a'], ['b'], ['c', 'e']]);
+    assert.deepStrictEqual(calls.flags, [['a'], ['b'], ['c', 'e'], ['d']]);
+  });
+
+  describe('routes', () => {
+    const P1 = '0xa100000000000000000000000000000000000001';
+    const P2 = '0xa100000000000000000000000000000000000002';
+    const P3 = '0xa100000000000000000000000000000000000003';
+    const DRAINER = '0xbad0000000000000000000000000000000000d01';
+
+    before(async () => {
+      for (const [from, to] of [[P1, P2], [P2, P3], [DRAINER, P3]]) {
+        await request(app).post('/api/graph/interaction').send({ from, to, kind: 'tx' });
+      }
+      await store.sadd('scamsniffer:addresses', DRAINER);
+    });
+
+    after(async () => {
+      await store.srem('scamsniffer:addresses', DRAINER);
+    });
+
+    it('GET /api/graph/path returns the path and its edges', async () => {
+      const res = await request(app).get(`/api/graph/path?from=${P1}&to=${DRAINER}&maxHops=3`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.found, true);
+      assert.strictEqual(res.body.hops, 3);
+      assert.deepStrictEqual(res.body.path, [P1, P2, P3, DRAINER]);
+      // The last edge was recorded DRAINER → P3
+      assert.deepStrictEqual(res.body.edges.map((e) => [e.from, e.to]), [[P1, P2], [P2, P3], [DRAINER, P3]]);
+      assert.strictEqual(res.body.edges[0].type, 'sent_tx');
+
+      // Every hop's edge, in both directions, is read in one batch
+      const mget = store.mget;
+      const edgeReads = [];
+      store.mget = (...keys) => {
+        if (keys.some((k) => k.startsWith('graph:edge:'))) edgeReads.push(keys);
+        return mget.apply(store, keys);
+      };
+      let again;
+      try {
+        again = await request(app).get(`/api/graph/path?from=${P1}&to=${DRAINER}&maxHops=3`);
+      } finally {
+        store.mget = mget;
+      }
+      assert.deepStrictEqual(again.body.edges, res.body.edges);
+      assert.strictEqual(edgeReads.length, 1);
+      assert.strictEqual(edgeReads[0].length, 6);
+
+      const short = await request(app).get(`/api/graph/path?from=${P1}&to=${DRAINER}&maxHops=2`);
+      assert.strictEqual(short.body.found, false);
+      assert.strictEqual(short.body.path, null);
+      assert.deepStrictEqual(short.body.edges, []);
+
+      // maxHops is clamped to GRAPH_MAX_HOPS (6)
+      const clamped = await request(app).get(`/api/graph/path?from=${P1}&to=${P2}&maxHops=99`);
+      assert.strictEqual(clamped.body.maxHops, 6);
+    });
+
+    it('GET /api/graph/path rejects invalid addresses', async () => {
+      const res = await request(app).get(`/api/graph/path?from=${P1}&to=nope`);
+      assert.strictEqual(res.status, 400);
+    });
+
+    it('GET /api/graph/address/:address/exposure reports the nearest flagged address', async () => {
+      const res = await request(app).get(`/api/graph/address/${P2}/exposure?depth=2`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.depth, 2);
+      assert.strictEqual(res.body.score, 25);
+      assert.strictEqual(res.body.nearest.address, DRAINER);
+      assert.deepStrictEqual(res.body.nearest.path, [P2, P3, DRAINER]);
+      assert.deepStrictEqual(res.body.nearest.sources, ['scamsniffer']);
+      assert.strictEqual(res.body.message, 'Address is 2 hops from a flagged address (scamsniffer)');
+
+      const shallow = await request(app).get(`/api/graph/address/${P2}/exposure?depth=1`);
+      assert.strictEqual(shallow.body.score, 0);
+
+      const invalid = await request(app).get('/api/graph/address/invalid/exposure');
+      assert.strictEqual(invalid.status, 400);
+    });
+  });
+});
+
+// ====================================================================
+// Graph export: GraphML, GEXF, Cytoscape JSON and DOT (lib/export.js)
+// ====================================================================
+
+const { serializeGraph, EXPORT_FORMATS } = require('../lib/export');
+const { collectSubgraph } = require('../lib/graph');
+
+describe('Graph export', () => {
+  const NODES = [
+    { id: '0xaa', ensName: 'a&b.eth', label: 'a&b.eth', flagged: false, interactionCount: 2 },
+    { id: '0xbb', ensName: null, label: null, flagged: true, interactionCount: 1 },
+  ];
+  const EDGES = [
+    { id: '0xaa:0xbb', source: '0xaa', target: '0xbb', type: 'sent_tx', method: 'eth_sendTransaction "x"\u0001', count: 3, firstSeen: 1, lastSeen: 2, chainId: null },
+  ];
+  const META = { id: 'ensight', description: 'test <graph>' };
+
+  async function render(format, { nodes = NODES, edges = EDGES } = {}) {
+    let out = '';
+    let chunks = 0;
+    for await (const chunk of serializeGraph(format, { nodes, edges, meta: META })) {
+      out += chunk;
+      chunks++;
+    }
+    return { out, chunks };
+  }
+
+  it('writes GraphML with typed keys and escaped values', async () => {
+    const { out, chunks } = await render('graphml');
+    assert.ok(chunks > 3, 'streamed in several chunks');
+    assert.ok(out.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.ok(out.includes('<key id="interactionCount" for="node" attr.name="interactionCount" attr.type="int"/>'));
+    assert.ok(out.includes('<key id="firstSeen" for="edge" attr.name="firstSeen" attr.type="long"/>'));
+    assert.ok(out.includes('<graph id="ensight" edgedefault="directed">'));
+    assert.ok(out.includes('<desc>test &lt;graph&gt;</desc>'));
+    assert.ok(out.includes('<node id="0xaa"><data key="ensName">a&amp;b.eth</data><data key="label">a&amp;b.eth</data>'));
+    // Null attributes are left out
+    assert.ok(out.includes('<node id="0xbb"><data key="flagged">true</data><data key="interactionCount">1</data></node>'));
+    assert.ok(out.includes('<data key="method">eth_sendTransaction &quot;x&quot;</data>'));
+    assert.ok(!out.includes('chainId">'));
+    assert.ok(!out.includes('\u0001'));
+    assert.ok(out.trimEnd().endsWith('</graphml>'));
+  });
+
+  it('writes GEXF with built-in labels and edge weights', async () => {
+    const { out } = await render('gexf');
+    assert.ok(out.includes('<gexf xmlns="http://www.gexf.net/1.2draft" version="1.2">'));
+    assert.ok(out.includes('<attribute id="interactionCount" title="interactionCount" type="integer"/>'));
+    assert.ok(out.includes('<node id="0xaa" label="a&amp;b.eth">'));
+    // No name: labelled with the address
+    assert.ok(out.includes('<node id="0xbb" label="0xbb">'));
+    assert.ok(out.includes('<edge id="0xaa:0xbb" source="0xaa" target="0xbb" weight="3">'));
+    assert.ok(out.includes('<attvalue for="type" value="sent_tx"/>'));
+    assert.ok(out.trimEnd().endsWith('</gexf>'));
+  });
+
+  it('writes Cytoscape JSON', async () => {
+    const doc = JSON.parse((await render('cytoscape')).out);
+    assert.strictEqual(doc.data.name, 'ensight');
+    assert.deepStrictEqual(doc.elements.nodes[0].data, {
+      id: '0xaa', name: 'a&b.eth', ensName: 'a&b.eth', label: 'a&b.eth', flagged: false, interactionCount: 2,
+    });
+    assert.strictEqual(doc.elements.nodes[1].data.name, '0xbb');
+    assert.strictEqual(doc.elements.edges[0].data.source, '0xaa');
+    assert.strictEqual(doc.elements.edges[0].data.count, 3);
+    assert.strictEqual('chainId' in doc.elements.edges[0].data, false);
+
+    const empty = JSON.parse((await render('cytoscape', { nodes: [], edges: [] })).out);
+    assert.deepStrictEqual(empty.elements, { nodes: [], edges: [] });
+  });
+
+  it('writes DOT with quoted ids and flagged nodes in red', async () => {
+    const { out } = await render('dot');
+    assert.ok(out.includes('digraph "ensight" {'));
+    assert.ok(out.includes('"0xaa" [label="a&b.eth", ensName="a&b.eth", flagged=false, interactionCount=2];'));
+    assert.ok(out.includes('"0xbb" [label="0xbb", color="red", flagged=true, interactionCount=1];'));
+    assert.ok(out.includes('"0xaa" -> "0xbb" [type="sent_tx", method="eth_sendTransaction \\"x\\"\u0001", count=3, firstSeen=1, lastSeen=2];'));
+  });
+
+  it('collectSubgraph lists the nodes within depth, nearest first, up to the node cap', async () => {
+    const GRAPH = { a: ['b'], b: ['a', 'c'], c: ['b', 'd'], d: ['c'] };
+    const neighborsMany = async (nodes) => nodes.map((node) => GRAPH[node] || []);
+    assert.deepStrictEqual(await collectSubgraph('b', { neighborsMany, depth: 1 }), { nodes: ['b', 'a', 'c'], truncated: false });
+    assert.deepStrictEqual(await collectSubgraph('a', { neighborsMany, depth: 3, maxNodes: 2 }), { nodes: ['a', 'b'], truncated: true });
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => serializeGraph('csv', { nodes: [], edges: [], meta: META }), /Unsupported export format/);
+    assert.deepStrictEqual(Object.keys(EXPORT_FORMATS), ['graphml', 'gexf', 'cytoscape', 'dot']);
+  });
+
+  describe('GET /api/graph/export', () => {
+    const X1 = '0xe100000000000000000000000000000000000001';
+    const X2 = '0xe100000000000000000000000000000000000002';
+    const X3 = '0xe100000000000000000000000000000000000003';
+    const X4 = '0xe100000000000000000000000000000000000004';
+
+    const text = (req) => req.buffer(true).parse((r, cb) => {
+      let body = '';
+      r.setEncoding('utf8');
+      r.on('data', (c) => { body += c; });
+      r.on('end', () => cb(null, body));
+    });
+
+    before(async () => {
+      for (const [from, to] of [[X1, X2], [X2, X3], [X3, X4]]) {
+        await request(app).post('/api/graph/interaction').send({ from, to, kind: 'tx', chainId: '0x2105' });
+      }
+    });
+
+    it('streams the subgraph within depth hops', async () => {
+      const res = await text(request(app).get(`/api/graph/export?root=${X2}&depth=1&format=cytoscape`));
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers['content-type'], /^application\/json/);
+      assert.match(res.headers['content-disposition'], /attachment; filename="ensight-graph-0xe1.*\.cyjs"/);
+      assert.strictEqual(res.headers['x-graph-nodes'], '3');
+      assert.strictEqual(res.headers['x-graph-truncated'], 'false');
+      const doc = JSON.parse(res.body);
+      assert.deepStrictEqual(doc.elements.nodes.map((n) => n.data.id).sort(), [X1, X2, X3]);
+      // X3 → X4 leaves the subgraph
+      assert.deepStrictEqual(doc.elements.edges.map((e) => e.data.id).sort(), [`${X1}:${X2}`, `${X2}:${X3}`]);
+      assert.strictEqual(doc.elements.edges[0].data.chainId, 8453);
+      assert.strictEqual(doc.elements.edges[0].data.type, 'sent_tx');
+    });
+
+    it('defaults to GraphML and serves every format', async () => {
+      const res = await text(request(app).get(`/api/graph/export?root=${X1}`));
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers['content-type'], /^application\/graphml\+xml/);
+      assert.ok(res.body.includes(`<edge id="${X2}:${X3}" source="${X2}" target="${X3}">`));
+      assert.ok(!res.body.includes(X4));
+
+      const gexf = await text(request(app).get(`/api/graph/export?root=${X1}&depth=3&format=gexf`));
+      assert.ok(gexf.body.includes(`<node id="${X4}"`));
+      const dot = await text(request(app).get(`/api/graph/export?root=${X1}&format=dot`));
+      assert.match(dot.headers['content-type'], /^text\/vnd\.graphviz/);
+      assert.ok(dot.body.includes(`"${X1}" -> "${X2}"`));
+    });
+
+    it('validates root and format', async () => {
+      assert.strictEqual((await request(app).get('/api/graph/export?root=nope')).status, 400);
+      const format = await request(app).get(`/api/graph/export?root=${X1}&format=csv`);
+      assert.strictEqual(format.status, 400);
+      assert.match(format.body.error, /graphml, gexf, cytoscape, dot/);
+      const missing = await request(app).get('/api/graph/export?root=0xe100000000000000000000000000000000000099');
+      assert.strictEqual(missing.status, 404);
+    });
+  });
+});
+
+// ====================================================================
+// Graph time-series: per-edge event log and time windows
+// ====================================================================
+
+describe('lib/memory: sorted sets', () => {
+  it('orders by score and ranges by rank or score', async () => {
+    const s = createMemoryStore();
+    assert.strictEqual(await s.zadd('z', { score: 3, member: 'c' }, { score: 1, member: 'a' }, { score: 2, member: 'b' }), 3);
+    // Re-adding a member updates its score
+    assert.strictEqual(await s.zadd('z', { score: 4, member: 'a' }), 0);
+    assert.deepStrictEqual(await s.zrange('z', 0, -1), ['b', 'c', 'a']);
+    assert.deepStrictEqual(await s.zrange('z', 2, 3, { byScore: true }), ['b', 'c']);
+    assert.deepStrictEqual(await s.zrange('z', '(2', '+inf', { byScore: true }), ['c', 'a']);
+    assert.deepStrictEqual(await s.zrange('z', '+inf', '-inf', { byScore: true, rev: true, offset: 0, count: 2 }), ['a', 'c']);
+    assert.strictEqual(await s.zcard('z'), 3);
+    assert.strictEqual(await s.zcount('z', '-inf', 3), 2);
+    await assert.rejects(() => s.zcount('z', 'x', 1), /not a float/);
+  });
+
+  it('removes by score and rank and drops empty keys', async () => {
+    const s = createMemoryStore();
+    await s.zadd('z', [1, 2, 3, 4, 5].map((n) => ({ score: n, member: `m${n}` })));
+    assert.strictEqual(await s.zremrangebyscore('z', '-inf', '(3'), 2);
+    assert.strictEqual(await s.zremrangebyrank('z', 0, -3), 1);
+    assert.deepStrictEqual(await s.zrange('z', 0, -1), ['m4', 'm5']);
+    assert.strictEqual(await s.zremrangebyrank('z', 0, -1), 2);
+    assert.strictEqual(await s.exists('z'), 0);
+    await s.set('str', 'x');
+    await assert.rejects(() => s.zadd('str', { score: 1, member: 'a' }), /WRONGTYPE/);
+  });
+
+  it('translates sorted-set calls for ioredis', async () => {
+    const calls = [];
+    const fake = {};
+    for (const command of STORAGE_COMMANDS) {
+      fake[command] = async (...args) => { calls.push([command, ...args]); return 'r'; };
+    }
+    const s = wrapIoredis(fake);
+    await s.zadd('z', { score: 1, member: { a: 1 } }, { score: 2, member: 'b' });
+    await s.zrange('z', '+inf', 10, { byScore: true, rev: true, offset: 0, count: 5 });
+    await s.zrange('z', 0, -1);
+    assert.deepStrictEqual(calls, [
+      ['zadd', 'z', 1, '{"a":1}', 2, 'b'],
+      ['zrange', 'z', '+inf', 10, 'BYSCORE', 'REV', 'LIMIT', 0, 5],
+      ['zrange', 'z', 0, -1],
+    ]);
+  });
+});
+
+describe('Graph time-series', () => {
+  const T1 = '0xf100000000000000000000000000000000000001';
+  const T2 = '0xf100000000000000000000000000000000000002';
+  const T3 = '0xf100000000000000000000000000000000000003';
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+  before(async () => {
+    for (const kind of ['connect', 'tx', 'tx', 'sign']) {
+      await request(app).post('/api/graph/interaction').send({ from: T1, to: T2, kind, method: `m_${kind}`, chainId: 1 });
+      await sleep(3);
+    }
+  });
+
+  it('keeps per-type counts on the edge instead of the last type', async () => {
+    const res = await request(app).get(`/api/graph/address/${T2}`);
+    const edge = res.body.edges.find((e) => e.from === T1);
+    assert.strictEqual(edge.count, 4);
+    assert.deepStrictEqual(edge.types, { connected: 1, sent_tx: 2, signed_for: 1 });
+    assert.strictEqual(edge.type, 'sent_tx');
+    assert.strictEqual(edge.lastType, 'signed_for');
+    assert.strictEqual(edge.method, 'm_sign');
+  });
+
+  it('GET /api/graph/edge/:from/:to/events returns the timeline', async () => {
+    const res = await request(app).get(`/api/graph/edge/${T1}/${T2}/events`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.total, 4);
+    assert.strictEqual(res.body.order, 'desc');
+    assert.deepStrictEqual(res.body.events.map((e) => e.type), ['signed_for', 'sent_tx', 'sent_tx', 'connected']);
+    assert.strictEqual(res.body.events[0].method, 'm_sign');
+    assert.strictEqual(res.body.events[0].chainId, 1);
+    assert.strictEqual(res.body.edge.count, 4);
+
+    const asc = await request(app).get(`/api/graph/edge/${T1}/${T2}/events?order=asc&limit=2`);
+    assert.deepStrictEqual(asc.body.events.map((e) => e.type), ['connected', 'sent_tx']);
+    assert.strictEqual(asc.body.truncated, true);
+
+    // since / until are inclusive
+    const [, second, third] = res.body.events.slice().reverse();
+    const windowed = await request(app).get(`/api/graph/edge/${T1}/${T2}/events?since=${second.ts}&until=${new Date(third.ts).toISOString()}`);
+    assert.strictEqual(windowed.body.total, 2);
+    assert.deepStrictEqual(windowed.body.events.map((e) => e.id), [third.id, second.id]);
+  });
+
+  it('GET /api/graph/address/:address filters edges by time window', async () => {
+    const timeline = (await request(app).get(`/api/graph/edge/${T1}/${T2}/events?order=asc`)).body.events;
+    await sleep(3);
+    await request(app).post('/api/graph/interaction').send({ from: T3, to: T2, kind: 'connect' });
+
+    const all = await request(app).get(`/api/graph/address/${T2}`);
+    assert.strictEqual(all.body.edges.length, 2);
+    assert.strictEqual(all.body.window, undefined);
+
+    // The event logs of all edges are read in one pipeline, not one ZRANGE per edge
+    const originalZrange = store.zrange;
+    let zranges = 0;
+    store.zrange = (...args) => { zranges++; return originalZrange(...args); };
+    const res = await request(app).get(`/api/graph/address/${T2}?since=${timeline[1].ts}&until=${timeline[3].ts}`);
+    store.zrange = originalZrange;
+    assert.strictEqual(zranges, 0);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.window, { since: timeline[1].ts, until: timeline[3].ts });
+    assert.strictEqual(res.body.edges.length, 1);
+    assert.deepStrictEqual(res.body.edges[0].window, {
+      count: 3, types: { sent_tx: 2, signed_for: 1 }, firstSeen: timeline[1].ts, lastSeen: timeline[3].ts,
+    });
+
+    const later = await request(app).get(`/api/graph/address/${T2}?since=${timeline[3].ts + 1}`);
+    assert.deepStrictEqual(later.body.edges.map((e) => e.from), [T3]);
+  });
+
+  it('caps the event log by count and retention', async () => {
+    const T4 = '0xf100000000000000000000000000000000000004';
+    const key = `graph:events:${T1}:${T4}`;
+    // An event past the 90-day retention
+    await store.zadd(key, { score: Date.now() - 91 * 24 * 60 * 60 * 1000, member: JSON.stringify({ id: 'old', type: 'connected' }) });
+    for (let i = 0; i < 7; i++) {
+      await request(app).post('/api/graph/interaction').send({ from: T1, to: T4, kind: 'tx' });
+    }
+    const res = await request(app).get(`/api/graph/edge/${T1}/${T4}/events?limit=100`);
+    // GRAPH_EVENT_MAX=5 in these tests
+    assert.strictEqual(res.body.total, 5);
+    assert.ok(res.body.events.every((e) => e.id !== 'old'));
+    assert.strictEqual(res.body.edge.count, 7);
+    assert.ok((await store.ttl(key)) > 0);
+  });
+
+  it('validates addresses and time windows', async () => {
+    assert.strictEqual((await request(app).get(`/api/graph/edge/nope/${T2}/events`)).status, 400);
+    assert.strictEqual((await request(app).get(`/api/graph/edge/${T2}/${T1}/events`)).status, 404);
+    const unknownSender = await request(app).get(`/api/graph/edge/unknown/${T2}/events`);
+    assert.strictEqual(unknownSender.status, 404);
+    const bad = await request(app).get(`/api/graph/address/${T2}?since=yesterday`);
+    assert.strictEqual(bad.status, 400);
+    assert.match(bad.body.error, /since/);
+    const reversed = await request(app).get(`/api/graph/edge/${T1}/${T2}/events?since=10&until=5`);
+    assert.strictEqual(reversed.status, 400);
+  });
+});
+
+// ====================================================================
+// Graph storage: hash records, atomic writes, batched reads
+// ====================================================================
+
+describe('lib/memory: hashes', () => {
+  it('sets, increments and reads hash fields', async () => {
+    const s = createMemoryStore();
+    assert.strictEqual(await s.hgetall('h'), null);
+    assert.strictEqual(await s.hset('h', { a: 'x', n: 1 }), 2);
+    assert.strictEqual(await s.hsetnx('h', 'a', 'y'), 0);
+    assert.strictEqual(await s.hsetnx('h', 'b', { c: 1 }), 1);
+    assert.strictEqual(await s.hincrby('h', 'n', 2), 3);
+    assert.strictEqual(await s.hincrby('h', 'm', 1), 1);
+    assert.deepStrictEqual(await s.hgetall('h'), { a: 'x', n: '3', b: '{"c":1}', m: '1' });
+    await assert.rejects(() => s.hincrby('h', 'a', 1), /not an integer/);
+    // MGET only returns strings
+    await s.set('str', 'v');
+    assert.deepStrictEqual(await s.mget('h', 'str'), [null, 'v']);
+    await assert.rejects(() => s.hgetall('str'), /WRONGTYPE/);
+  });
+
+  it('translates hash calls for ioredis', async () => {
+    const calls = [];
+    const fake = {};
+    for (const command of STORAGE_COMMANDS) {
+      fake[command] = async (...args) => { calls.push([command, ...args]); return 'r'; };
+    }
+    const s = wrapIoredis(fake);
+    await s.hset('h', { a: 'x', n: 1, o: { b: 2 } });
+    await s.hsetnx('h', 'n', 5);
+    await s.hincrby('h', 'n', 1);
+    assert.deepStrictEqual(calls, [
+      ['hset', 'h', 'a', 'x', 'n', '1', 'o', '{"b":2}'],
+      ['hsetnx', 'h', 'n', '5'],
+      ['hincrby', 'h', 'n', 1],
+    ]);
+  });
+});
+
+describe('Graph storage', () => {
+  const S1 = '0xf200000000000000000000000000000000000001';
+  const S2 = '0xf200000000000000000000000000000000000002';
+
+  it('does not lose increments on concurrent interactions', async () => {
+    const results = await Promise.all(Array.from({ length: 20 }, (_, i) => request(app)
+      .post('/api/graph/interaction')
+      .send({ from: S1, to: S2, kind: i % 2 ? 'tx' : 'sign', chainId: i % 2 ? 1 : '0x2105' })));
+    assert.ok(results.every((r) => r.status === 200));
+
+    const res = await request(app).get(`/api/graph/address/${S2}`);
+    assert.strictEqual(res.body.node.interactionCount, 20);
+    assert.deepStrictEqual(res.body.node.chains, [1, 8453]);
+    assert.strictEqual(res.body.edges.length, 1);
+    assert.strictEqual(res.body.edges[0].count, 20);
+    assert.deepStrictEqual(res.body.edges[0].types, { signed_for: 10, sent_tx: 10 });
+    const events = await request(app).get(`/api/graph/edge/${S1}/${S2}/events`);
+    // GRAPH_EVENT_MAX=5 in these tests
+    assert.strictEqual(events.body.total, 5);
+  });
+
+  it('stores nodes and edges as hashes', async () => {
+    const node = await store.hgetall(`graph:node:${S1}`);
+    assert.strictEqual(node.interactionCount, '20');
+    assert.strictEqual(node['chain:8453'], '1');
+    const edge = await store.hgetall(`graph:edge:${S1}:${S2}`);
+    assert.strictEqual(edge.count, '20');
+    assert.strictEqual(edge['type:sent_tx'], '10');
+    assert.strictEqual(edge.from, S1);
+  });
+
+  it('reads JSON records from before hashes and converts them on write', async () => {
+    const L1 = '0xf200000000000000000000000000000000000011';
+    const L2 = '0xf200000000000000000000000000000000000012';
+    await store.set(`graph:node:${L2}`, JSON.stringify({
+      address: L2, ensName: 'old.eth', label: 'old.eth', firstSeen: 1000, lastSeen: 2000, interactionCount: 3, chains: [10],
+    }));
+    await store.set(`graph:edge:${L1}:${L2}`, JSON.stringify({
+      from: L1, to: L2, type: 'sent_tx', method: 'eth_sendTransaction', kind: 'tx', hostname: '', count: 3,
+      firstSeen: 1000, lastSeen: 2000, value: '1234567890123456789',
+    }));
+    await store.sadd(`graph:edges-of:${L2}`, `${L1}:${L2}`);
+
+    const before = await request(app).get(`/api/graph/address/${L2}`);
+    assert.strictEqual(before.body.node.ensName, 'old.eth');
+    assert.deepStrictEqual(before.body.node.chains, [10]);
+    assert.deepStrictEqual(before.body.edges[0].types, { sent_tx: 3 });
+    assert.strictEqual(before.body.edges[0].value, '1234567890123456789');
+
+    await request(app).post('/api/graph/interaction').send({ from: L1, to: L2, kind: 'sign', chainId: 1 });
+    const edge = await store.hgetall(`graph:edge:${L1}:${L2}`);
+    assert.strictEqual(edge['type:sent_tx'], '3');
+    assert.strictEqual(edge['type:signed_for'], '1');
+
+    const after = await request(app).get(`/api/graph/address/${L2}`);
+    assert.strictEqual(after.body.node.ensName, 'old.eth');
+    assert.strictEqual(after.body.node.firstSeen, 1000);
+    assert.strictEqual(after.body.node.interactionCount, 4);
+    assert.deepStrictEqual(after.body.node.chains, [1, 10]);
+    assert.strictEqual(after.body.edges[0].count, 4);
+    assert.strictEqual(after.body.edges[0].type, 'sent_tx');
+    assert.strictEqual(after.body.edges[0].firstSeen, 1000);
+    assert.strictEqual(after.body.edges[0].value, '1234567890123456789');
+  });
+
+  it('reads nodes, edges and flags in batches', async () => {
+    const HUB = '0xf200000000000000000000000000000000000020';
+    const spokes = [1, 2, 3, 4].map((n) => `0xf20000000000000000000000000000000000002${n}`);
+    for (const spoke of spokes) {
+      await request(app).post('/api/graph/interaction').send({ from: HUB, to: spoke, kind: 'tx' });
+    }
+    await store.sadd('scamsniffer:addresses', spokes[0]);
+
+    const counts = { get: 0, sismember: 0 };
+    const originals = {};
+    for (const command of Object.keys(counts)) {
+      originals[command] = store[command];
+      store[command] = (...args) => { counts[command]++; return originals[command](...args); };
+    }
+    try {
+      const address = await request(app).get(`/api/graph/address/${HUB}`);
+      assert.strictEqual(address.body.edges.length, 4);
+      assert.strictEqual(address.body.riskSummary.flaggedNeighborCount, 1);
+      const neighbors = await request(app).get(`/api/graph/address/${HUB}/neighbors`);
+      assert.strictEqual(neighbors.body.neighbors.length, 4);
+      assert.deepStrictEqual(
+        neighbors.body.neighbors.filter((n) => n.flagged).map((n) => n.address),
+        [spokes[0]],
+      );
+      assert.strictEqual(neighbors.body.edges.length, 4);
+    } finally {
+      Object.assign(store, originals);
+      await store.srem('scamsniffer:addresses', spokes[0]);
+    }
+    assert.deepStrictEqual(counts, { get: 0, sismember: 0 });
+  });
+});